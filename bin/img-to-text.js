@@ -1,7 +1,14 @@
 #!/usr/bin/env node
 
-const { Command } = require('commander');
-const { ImageToText } = require('../src/index');
+const { Command, InvalidArgumentError } = require('commander');
+const { ImageToText, PRESETS, formatOutput } = require('../src/index');
+const { parseRegion } = require('../src/utils/geometry');
+const {
+  findLanguagePack,
+  installLanguagePacks,
+  listLanguagePacks,
+  verifyLanguagePack
+} = require('../src/utils/languagePacks');
 const chalk = require('chalk');
 const fs = require('fs-extra');
 const path = require('path');
@@ -27,8 +34,9 @@ program
   .description('Analyze a single image')
   .argument('<input>', 'Input image file path')
   .option('-o, --output <file>', 'Output file path')
-  .option('-f, --format <format>', 'Output format (json, yaml, markdown)', 'json')
-  .option('-d, --detail <level>', 'Detail level (basic, standard, comprehensive)', 'standard')
+  .option('-f, --format <format>', 'Output format (json, yaml, markdown, hocr, alto)', 'json')
+  .option('-d, --detail <level>', 'Raw vision data to keep (basic, standard, comprehensive)', 'standard')
+  .option('--precision <level>', 'Analysis precision (fast, standard, high)', 'standard')
   .option('--no-ocr', 'Disable OCR text extraction')
   .option('--no-shapes', 'Disable shape detection')
   .option('--no-colors', 'Disable color analysis')
@@ -40,8 +48,27 @@ program
   .option('--enable-multi-lang', 'Enable multi-language OCR with auto-detection')
   .option('--enable-optimization', 'Enable performance optimization')
   .option('--lang <language>', 'OCR language (default: eng)', 'eng')
-  .action(async (input, options) => {
+  .option('--lang-path <dir>', 'Load OCR language packs from this directory instead of downloading them')
+  .option('--no-ocr-preprocessing', 'Run OCR on the image as is, without deskewing, binarizing, upscaling or inverting it')
+  .option('--vocabulary <file>', 'Word list (one term per line, or JSON) that OCR recognizes and corrects its text to')
+  .option('--reading-direction <direction>', 'Reading direction of the text: ltr, rtl or auto (from the OCR language)')
+  .option('--reading-flow <flow>', 'Read multi-column pages by columns or by rows')
+  .option('--tables', 'Detect tables and extract their cells as JSON, CSV and Markdown')
+  .option('--forms', 'Extract forms as labelled fields with a JSON Schema and UI schema')
+  .option('--locale <locale>', 'Locale for reading dates and numbers in entities (e.g. de-DE)')
+  .option('--strict', 'Fail on the first stage error instead of returning partial results')
+  .option('--stage-timeout <ms>', 'Abort any analysis stage that runs longer than this')
+  .option('--region <x,y,w,h>', 'Analyze only this region of the image (repeatable)', collectRegion, [])
+  .option('--frames', 'Analyze every frame of an animated GIF or page of a multi-page TIFF')
+  .option('--frame-step <n>', 'With --frames, analyze every n-th frame')
+  .option('--preset <name>', 'Analysis preset (fast-ocr, full-ui-audit, design-tokens or one from the config file)')
+  .option('--config <file>', 'Config file to use instead of searching for .imgtotextrc / img-to-text.config.*')
+  .option('--no-config', 'Ignore config files')
+  .option('--profile', 'Print time, CPU and heap use per stage and sub-step')
+  .action(async (input, options, command) => {
     const spinner = ora('Initializing computational analysis...').start();
+    const controller = new AbortController();
+    const onInterrupt = () => controller.abort(new Error('Analysis cancelled by user'));
 
     try {
       // Validate input file
@@ -51,21 +78,59 @@ program
 
       // Initialize analyzer
       const analyzer = new ImageToText({
-        outputFormat: options.format,
-        ocrLanguage: options.lang,
-        enableOCR: options.ocr,
-        enableShapeDetection: options.shapes,
-        enableColorAnalysis: options.colors,
-        enableLayoutAnalysis: options.layout,
-        enableAdvancedPatterns: options.patterns,
-        enableComponentRelationships: options.relationships,
-        enableDesignSystemAnalysis: options.designSystem,
-        enableMultiLanguageOCR: options.enableMultiLang,
-        enablePerformanceOptimization: options.enableOptimization,
+        ...cliOverrides(command, {
+          outputFormat: 'format',
+          detail: 'detail',
+          precision: 'precision',
+          ocrLanguage: 'lang',
+          langPath: 'langPath',
+          ocrPreprocessing: 'ocrPreprocessing',
+          vocabulary: 'vocabulary',
+          readingDirection: 'readingDirection',
+          readingFlow: 'readingFlow',
+          enableTableDetection: 'tables',
+          enableFormExtraction: 'forms',
+          locale: 'locale',
+          enableOCR: 'ocr',
+          enableShapeDetection: 'shapes',
+          enableColorAnalysis: 'colors',
+          enableLayoutAnalysis: 'layout',
+          enableAdvancedPatterns: 'patterns',
+          enableComponentRelationships: 'relationships',
+          enableDesignSystemAnalysis: 'designSystem',
+          enableMultiLanguageOCR: 'enableMultiLang',
+          enablePerformanceOptimization: 'enableOptimization'
+        }),
+        errorMode: options.strict ? 'strict' : undefined,
+        preset: options.preset,
+        config: options.config,
         verbose: program.opts().verbose
       });
 
+      const stageTimeout = options.stageTimeout ? parseInt(options.stageTimeout, 10) : undefined;
+      if (stageTimeout !== undefined && (isNaN(stageTimeout) || stageTimeout < 1)) {
+        throw new Error('Stage timeout must be a positive number of milliseconds');
+      }
+
+      const frameStep = options.frameStep ? parseInt(options.frameStep, 10) : undefined;
+      if (frameStep !== undefined && (isNaN(frameStep) || frameStep < 1)) {
+        throw new Error('Frame step must be a positive integer');
+      }
+      const frames = (options.frames || frameStep) ? { step: frameStep || 1 } : undefined;
+
       spinner.text = 'Analyzing image with computational methods...';
+      analyzer.on('stage:start', ({ stage }) => {
+        spinner.text = `Analyzing image: ${stage}...`;
+      });
+      analyzer.on('ocr:progress', ({ status, progress }) => {
+        spinner.text = `Analyzing image: ocr (${status} ${Math.round((progress || 0) * 100)}%)...`;
+      });
+      analyzer.on('frame:end', ({ index, total }) => {
+        spinner.text = `Analyzed frame ${index + 1}/${total}...`;
+      });
+
+      // Ctrl+C cancels the running analysis instead of killing the process mid-stage
+      process.once('SIGINT', onInterrupt);
 
       // Perform analysis
       const result = await analyzer.analyze(input, {
@@ -73,10 +138,20 @@ program
         detectShapes: options.shapes,
         analyzeColors: options.colors,
         analyzeLayout: options.layout,
-        classifyComponents: options.classify
+        classifyComponents: options.classify,
+        stageTimeout,
+        regions: options.region.length > 0 ? options.region : undefined,
+        frames,
+        signal: controller.signal
       });
+      process.removeListener('SIGINT', onInterrupt);
+      await analyzer.cleanup();
 
-      spinner.succeed('Analysis completed successfully!');
+      if (result.stage_errors?.length > 0) {
+        spinner.warn(`Analysis completed with ${result.stage_errors.length} failed stage(s)`);
+      } else {
+        spinner.succeed('Analysis completed successfully!');
+      }
 
       // Handle output
       if (options.output) {
@@ -92,8 +167,12 @@ program
         displaySummary(result);
       }
 
+      if (options.profile && result.analysis_statistics?.profile) {
+        displayProfile(result.analysis_statistics.profile);
+      }
+
     } catch (error) {
-      spinner.fail('Analysis failed');
+      spinner.fail(error.name === 'AbortError' ? 'Analysis cancelled' : 'Analysis failed');
       console.error(chalk.red('Error:'), error.message);
       process.exit(1);
     }
@@ -106,10 +185,11 @@ program
   .argument('[input]', 'Input directory containing images (optional if using --input-dir)')
   .option('-i, --input-dir <directory>', 'Input directory containing images')
   .option('-o, --output-dir <directory>', 'Output directory for results')
-  .option('-f, --format <format>', 'Output format (json, yaml, markdown)', 'json')
+  .option('-f, --format <format>', 'Output format (json, yaml, markdown, hocr, alto)', 'json')
   .option('-p, --pattern <pattern>', 'File pattern to match', '**/*.{png,jpg,jpeg,gif,bmp,tiff,webp}')
   .option('-w, --workers <count>', 'Number of parallel workers', String(Math.min(os.cpus().length, 4)))
   .option('--chunk-size <size>', 'Batch processing chunk size', '5')
+  .option('--precision <level>', 'Analysis precision (fast, standard, high)', 'standard')
   .option('--no-ocr', 'Disable OCR text extraction')
   .option('--no-shapes', 'Disable shape detection')
   .option('--no-colors', 'Disable color analysis')
@@ -121,8 +201,20 @@ program
   .option('--enable-multi-lang', 'Enable multi-language OCR with auto-detection')
   .option('--enable-optimization', 'Enable performance optimization')
   .option('--lang <language>', 'OCR language (default: eng)', 'eng')
+  .option('--lang-path <dir>', 'Load OCR language packs from this directory instead of downloading them')
+  .option('--no-ocr-preprocessing', 'Run OCR on the image as is, without deskewing, binarizing, upscaling or inverting it')
+  .option('--vocabulary <file>', 'Word list (one term per line, or JSON) that OCR recognizes and corrects its text to')
+  .option('--reading-direction <direction>', 'Reading direction of the text: ltr, rtl or auto (from the OCR language)')
+  .option('--reading-flow <flow>', 'Read multi-column pages by columns or by rows')
+  .option('--tables', 'Detect tables and extract their cells as JSON, CSV and Markdown')
+  .option('--forms', 'Extract forms as labelled fields with a JSON Schema and UI schema')
+  .option('--locale <locale>', 'Locale for reading dates and numbers in entities (e.g. de-DE)')
   .option('--progress', 'Show detailed progress information')
-  .action(async (input, options) => {
+  .option('--strict', 'Fail an image on its first stage error instead of returning partial results')
+  .option('--preset <name>', 'Analysis preset (fast-ocr, full-ui-audit, design-tokens or one from the config file)')
+  .option('--config <file>', 'Config file to use instead of searching for .imgtotextrc / img-to-text.config.*')
+  .option('--no-config', 'Ignore config files')
+  .action(async (input, options, command) => {
     const spinner = ora('Initializing batch processing...').start();
 
     try {
@@ -180,21 +272,43 @@ program
 
       // Initialize analyzer
       const analyzer = new ImageToText({
-        outputFormat: options.format,
-        ocrLanguage: options.lang,
-        enableOCR: options.ocr,
-        enableShapeDetection: options.shapes,
-        enableColorAnalysis: options.colors,
-        enableLayoutAnalysis: options.layout,
-        enableComponentClassification: options.classify,
-        enableAdvancedPatterns: options.patterns,
-        enableComponentRelationships: options.relationships,
-        enableDesignSystemAnalysis: options.designSystem,
-        enableMultiLanguageOCR: options.enableMultiLang,
-        enablePerformanceOptimization: options.enableOptimization,
+        ...cliOverrides(command, {
+          outputFormat: 'format',
+          precision: 'precision',
+          ocrLanguage: 'lang',
+          langPath: 'langPath',
+          ocrPreprocessing: 'ocrPreprocessing',
+          vocabulary: 'vocabulary',
+          readingDirection: 'readingDirection',
+          readingFlow: 'readingFlow',
+          enableTableDetection: 'tables',
+          enableFormExtraction: 'forms',
+          locale: 'locale',
+          enableOCR: 'ocr',
+          enableShapeDetection: 'shapes',
+          enableColorAnalysis: 'colors',
+          enableLayoutAnalysis: 'layout',
+          enableComponentClassification: 'classify',
+          enableAdvancedPatterns: 'patterns',
+          enableComponentRelationships: 'relationships',
+          enableDesignSystemAnalysis: 'designSystem',
+          enableMultiLanguageOCR: 'enableMultiLang',
+          enablePerformanceOptimization: 'enableOptimization'
+        }),
+        // One pooled OCR worker per concurrent image
+        ocrWorkers: workers,
+        errorMode: options.strict ? 'strict' : undefined,
+        preset: options.preset,
+        config: options.config,
         verbose: program.opts().verbose
       });
 
+      if (analyzer.config.enableOCR && options.ocr !== false) {
+        spinner.start('Starting OCR workers...');
+        await analyzer.warmUpOCR();
+        spinner.stop();
+      }
+
       // Process images in parallel chunks
       const results = await processImagesInParallel(
         imagePaths,
@@ -212,6 +326,7 @@ program
           progress: options.progress
         }
       );
+      await analyzer.cleanup();
 
       // Display batch summary
       if (!program.opts().quiet) {
@@ -239,7 +354,7 @@ program
   .command('export')
   .description('Export analysis results to different formats')
   .argument('<input>', 'Input image file path or analysis JSON file')
-  .option('-f, --format <format>', 'Export format (svg, xml, figma, sketch, adobe, html, wireframe, interactive, hierarchy)', 'svg')
+  .option('-f, --format <format>', 'Export format (svg, xml, hocr, alto, figma, sketch, adobe, html, wireframe, interactive, hierarchy)', 'svg')
   .option('-o, --output <file>', 'Output file path')
   .option('--show-boxes', 'Show component bounding boxes (SVG only)')
   .option('--show-text', 'Show text elements (SVG only)')
@@ -267,6 +382,7 @@ program
         });
 
         analysisResult = await analyzer.analyze(input);
+        await analyzer.cleanup();
       }
 
       spinner.text = `Exporting to ${options.format}...`;
@@ -292,6 +408,12 @@ program
         case 'xml':
           exportResult = await analyzer.exportToXML(analysisResult, exportOptions);
           break;
+        case 'hocr':
+          exportResult = await analyzer.exportToHOCR(analysisResult, exportOptions);
+          break;
+        case 'alto':
+          exportResult = await analyzer.exportToALTO(analysisResult, exportOptions);
+          break;
         default:
           exportResult = await analyzer.exportToDesignTool(analysisResult, options.format, exportOptions);
       }
@@ -314,6 +436,74 @@ program
     }
   });
 
+// Diff command
+program
+  .command('diff')
+  .description('Compare two screenshots and report changed components')
+  .argument('<before>', 'First image, or its analysis JSON file')
+  .argument('<after>', 'Second image, or its analysis JSON file')
+  .option('-o, --output <file>', 'Save the diff as JSON')
+  .option('--svg <file>', 'Save an SVG overlay highlighting the changes on the second image')
+  .option('--no-ocr', 'Disable OCR text extraction')
+  .option('--lang <language>', 'OCR language (default: eng)', 'eng')
+  .option('--lang-path <dir>', 'Load OCR language packs from this directory instead of downloading them')
+  .option('--strict', 'Fail on the first stage error instead of returning partial results')
+  .option('--preset <name>', 'Analysis preset (fast-ocr, full-ui-audit, design-tokens or one from the config file)')
+  .option('--config <file>', 'Config file to use instead of searching for .imgtotextrc / img-to-text.config.*')
+  .option('--no-config', 'Ignore config files')
+  .action(async (before, after, options, command) => {
+    const spinner = ora('Preparing comparison...').start();
+
+    try {
+      const loadInput = async (input) => {
+        if (!await fs.pathExists(input)) {
+          throw new Error(`Input file not found: ${input}`);
+        }
+        return input.endsWith('.json') ? fs.readJson(input) : input;
+      };
+
+      const analyzer = new ImageToText({
+        ...cliOverrides(command, { ocrLanguage: 'lang', langPath: 'langPath', enableOCR: 'ocr' }),
+        errorMode: options.strict ? 'strict' : undefined,
+        preset: options.preset,
+        config: options.config,
+        verbose: program.opts().verbose
+      });
+
+      analyzer.on('stage:start', ({ stage }) => {
+        spinner.text = `Analyzing images: ${stage}...`;
+      });
+
+      const diff = await analyzer.compare(await loadInput(before), await loadInput(after), {
+        extractText: options.ocr
+      });
+      await analyzer.cleanup();
+
+      spinner.succeed('Comparison completed');
+
+      if (options.output) {
+        await fs.writeJson(options.output, diff, { spaces: 2 });
+        console.log(chalk.green(`Diff saved to: ${options.output}`));
+      } else if (!options.svg) {
+        console.log(JSON.stringify(diff, null, 2));
+      }
+
+      if (options.svg) {
+        await fs.writeFile(options.svg, await analyzer.exportDiffToSVG(diff));
+        console.log(chalk.green(`Overlay saved to: ${options.svg}`));
+      }
+
+      if (!program.opts().quiet) {
+        displayDiffSummary(diff);
+      }
+
+    } catch (error) {
+      spinner.fail('Comparison failed');
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Info command
 program
   .command('info')
@@ -352,6 +542,9 @@ program
     console.log('• Worker Support: Yes');
     console.log('• Chunk Processing: Yes');
     console.log('• Progress Tracking: Yes');
+    console.log('');
+    console.log(chalk.yellow('🎛️  Presets (--preset):'));
+    Object.keys(PRESETS).forEach(name => console.log(`• ${name}`));
   });
 
 // Test command
@@ -378,6 +571,7 @@ program
       if (exampleImages.length > 0) {
         spinner.text = 'Testing image analysis...';
         const testResult = await analyzer.analyze(exampleImages[0]);
+        await analyzer.cleanup();
         
         if (testResult && testResult.analysis_statistics) {
           const confidence = testResult.analysis_statistics.confidence_scores;
@@ -409,8 +603,139 @@ program
     }
   });
 
+// Language pack command
+const langCommand = program
+  .command('lang')
+  .description('Manage the Tesseract language packs (.traineddata) used for offline OCR');
+
+langCommand
+  .command('list')
+  .description('List the language packs the configuration needs and whether they are installed')
+  .option('--lang-path <dir>', 'Language pack directory (default: langPath from the config file, or ./tessdata)')
+  .option('--config <file>', 'Config file to use instead of searching for .imgtotextrc / img-to-text.config.*')
+  .option('--no-config', 'Ignore config files')
+  .action((options) => {
+    try {
+      const { langPath, languages } = resolveLanguagePacks(options);
+      const installed = listLanguagePacks(langPath);
+
+      console.log(chalk.blue(`📦 Language packs in ${langPath}:`));
+      languages.forEach(language => {
+        const pack = installed.find(candidate => candidate.language === language);
+        if (pack) {
+          console.log(chalk.green(`✓ ${language} (${path.basename(pack.file)}, ${formatBytes(pack.size)})`));
+        } else {
+          console.log(chalk.red(`✗ ${language} (missing)`));
+        }
+      });
+      installed
+        .filter(pack => !languages.includes(pack.language))
+        .forEach(pack => console.log(chalk.gray(`• ${pack.language} (${path.basename(pack.file)}, not required)`)));
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+langCommand
+  .command('install [languages...]')
+  .description('Copy language packs from a local directory (default: every pack the configuration needs)')
+  .requiredOption('--from <dir>', 'Directory containing .traineddata or .traineddata.gz files')
+  .option('--lang-path <dir>', 'Language pack directory (default: langPath from the config file, or ./tessdata)')
+  .option('--config <file>', 'Config file to use instead of searching for .imgtotextrc / img-to-text.config.*')
+  .option('--no-config', 'Ignore config files')
+  .action(async (requested, options) => {
+    try {
+      const { langPath, languages } = resolveLanguagePacks(options);
+      const { installed, missing } = await installLanguagePacks(
+        options.from,
+        langPath,
+        requested.length > 0 ? requested : languages
+      );
+
+      installed.forEach(pack => {
+        console.log(chalk.green(`✓ ${pack.language} → ${pack.file} (${formatBytes(pack.size)})`));
+      });
+      if (missing.length > 0) {
+        throw new Error(`Not found in ${path.resolve(options.from)}: ${missing.join(', ')}`);
+      }
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+langCommand
+  .command('verify')
+  .description('Check that every language pack the configuration needs is installed and readable')
+  .option('--lang-path <dir>', 'Language pack directory (default: langPath from the config file, or ./tessdata)')
+  .option('--config <file>', 'Config file to use instead of searching for .imgtotextrc / img-to-text.config.*')
+  .option('--no-config', 'Ignore config files')
+  .action((options) => {
+    try {
+      const { langPath, languages } = resolveLanguagePacks(options);
+      let failed = 0;
+
+      languages.forEach(language => {
+        const pack = findLanguagePack(langPath, language);
+        const check = pack ? verifyLanguagePack(pack.file) : { valid: false, error: 'missing' };
+        if (check.valid) {
+          console.log(chalk.green(`✓ ${language} (${path.basename(pack.file)}, ${formatBytes(check.size)})`));
+        } else {
+          failed++;
+          console.log(chalk.red(`✗ ${language}: ${check.error}`));
+        }
+      });
+
+      if (failed > 0) {
+        throw new Error(`${failed} of ${languages.length} language pack(s) in ${langPath} failed verification`);
+      }
+      console.log(chalk.green(`All ${languages.length} language packs verified`));
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Helper functions
 
+/**
+ * Resolve the language pack directory and the languages the configuration needs
+ */
+function resolveLanguagePacks(options) {
+  // OCR is disabled so that missing packs do not fail the analyzer before they can be listed
+  const analyzer = new ImageToText({ config: options.config, enableOCR: false });
+  return {
+    langPath: path.resolve(options.langPath || analyzer.config.langPath || 'tessdata'),
+    languages: analyzer.getRequiredLanguages()
+  };
+}
+
+function formatBytes(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
+
+/**
+ * Map CLI options to analyzer options, keeping only flags given on the command line
+ * so that defaults do not override the config file or preset
+ */
+function cliOverrides(command, mapping) {
+  const options = command.opts();
+  return Object.fromEntries(
+    Object.entries(mapping)
+      .filter(([, flag]) => command.getOptionValueSource(flag) === 'cli')
+      .map(([key, flag]) => [key, options[flag]])
+  );
+}
+
+function collectRegion(value, previous) {
+  try {
+    return previous.concat([parseRegion(value)]);
+  } catch (error) {
+    throw new InvalidArgumentError(error.message);
+  }
+}
+
 async function processImagesInParallel(imagePaths, analyzer, options) {
   const { workers, chunkSize, outputDir, format, progress } = options;
   const startTime = Date.now();
@@ -521,6 +846,10 @@ function displayResults(result, format) {
     case 'markdown':
       displayMarkdownResults(result);
       break;
+    case 'hocr':
+    case 'alto':
+      console.log(formatOutput(result, format));
+      break;
     default:
       console.log(JSON.stringify(result, null, 2));
   }
@@ -552,6 +881,28 @@ function displayMarkdownResults(result) {
     console.log('');
   }
 
+  if (result.tables && result.tables.length > 0) {
+    console.log('## Tables');
+    result.tables.forEach(table => {
+      console.log('');
+      console.log(table.markdown);
+    });
+    console.log('');
+  }
+
+  if (result.forms && result.forms.length > 0) {
+    console.log('## Forms');
+    result.forms.forEach(form => {
+      console.log('');
+      console.log(`### ${form.title || form.id}`);
+      form.fields.forEach(field => {
+        console.log(`- ${field.label || field.placeholder || field.name} (${field.type}${field.required ? ', required' : ''})`);
+      });
+      if (form.submit) console.log(`- [${form.submit.text}]`);
+    });
+    console.log('');
+  }
+
   if (result.components && result.components.length > 0) {
     console.log('## Components');
     result.components.forEach((comp, i) => {
@@ -565,6 +916,12 @@ function displaySummary(result) {
   const stats = result.analysis_statistics || {};
   console.log(chalk.gray(''));
   console.log(chalk.blue('📊 Analysis Summary:'));
+  if (stats.regions_analyzed) {
+    console.log(chalk.gray(`• Regions analyzed: ${stats.regions_analyzed}`));
+  }
+  if (stats.frames_analyzed) {
+    console.log(chalk.gray(`• Frames analyzed: ${stats.frames_analyzed} (${result.timeline?.length || 0} with changes)`));
+  }
   console.log(chalk.gray(`• Components detected: ${stats.components_detected || 0}`));
   console.log(chalk.gray(`• Text elements: ${stats.text_elements || 0}`));
   console.log(chalk.gray(`• Visual elements: ${stats.visual_elements || 0}`));
@@ -576,6 +933,61 @@ function displaySummary(result) {
   }
   
   console.log(chalk.gray(`• Processing time: ${stats.processing_time || 0}ms`));
+
+  if (result.stage_errors?.length > 0) {
+    console.log(chalk.yellow('⚠️  Failed stages:'));
+    result.stage_errors.forEach(stageError => {
+      let where = '';
+      if (stageError.region !== undefined) where = ` [region ${stageError.region + 1}]`;
+      if (stageError.frame !== undefined) where = ` [frame ${stageError.frame + 1}]`;
+      console.log(chalk.yellow(`• ${stageError.stage}${where}: ${stageError.error} (${stageError.duration}ms)`));
+    });
+  }
+}
+
+function displayProfile(profile) {
+  const barWidth = 20;
+  const total = profile.wall_ms || 1;
+  const rows = [];
+  const collect = (span, depth) => {
+    rows.push({ span, label: `${'  '.repeat(depth)}${span.name}` });
+    span.children.forEach(child => collect(child, depth + 1));
+  };
+  collect(profile, 0);
+
+  const labelWidth = Math.max(...rows.map(row => row.label.length));
+
+  console.log(chalk.gray(''));
+  console.log(chalk.blue('⏱️  Profile:'));
+  console.log(chalk.gray(`${'Step'.padEnd(labelWidth)}  ${'Wall'.padStart(10)}  ${'CPU'.padStart(10)}  ${'Peak heap'.padStart(9)}`));
+  rows.forEach(({ span, label }) => {
+    const filled = Math.round(Math.min(span.wall_ms / total, 1) * barWidth);
+    const bar = '█'.repeat(filled) + '░'.repeat(barWidth - filled);
+    const status = `${span.status ? chalk.red(` ${span.status}`) : ''}${span.concurrent ? chalk.gray(' concurrent') : ''}`;
+    console.log(
+      `${label.padEnd(labelWidth)}  ${`${span.wall_ms.toFixed(1)}ms`.padStart(10)}  ` +
+      `${`${span.cpu_ms.toFixed(1)}ms`.padStart(10)}  ${formatBytes(span.peak_heap_delta_bytes).padStart(9)}  ` +
+      `${chalk.magenta(bar)}${status}`
+    );
+  });
+}
+
+function displayDiffSummary(diff) {
+  const { summary } = diff;
+  console.log(chalk.gray(''));
+  console.log(chalk.blue('🔍 Diff Summary:'));
+  console.log(chalk.gray(`• Components: ${summary.components_before} → ${summary.components_after} (${summary.unchanged} unchanged)`));
+
+  ['added', 'removed', 'moved', 'resized', 'recolored', 'text_changed'].forEach(type => {
+    if (summary[type] > 0) {
+      console.log(chalk.gray(`• ${type.replace('_', ' ')}: ${summary[type]}`));
+    }
+  });
+
+  diff.layout_changes.forEach(change => {
+    const axis = change.axis ? ` (${change.axis})` : '';
+    console.log(chalk.yellow(`• Layout ${change.type.replace(/_/g, ' ')}${axis}: ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)}`));
+  });
 }
 
 function displayEnhancedBatchSummary(results, options = {}) {
@@ -0,0 +1,330 @@
+const { boxIoU } = require('../utils/geometry');
+
+const normalizeText = text => (typeof text === 'string' ? text.toLowerCase().replace(/\s+/g, ' ').trim() : '');
+
+/**
+ * Similarity of two strings between 0 and 1, based on Levenshtein distance
+ */
+function textSimilarity(a, b) {
+  const textA = normalizeText(a).slice(0, 200);
+  const textB = normalizeText(b).slice(0, 200);
+  if (textA === textB) return 1;
+  if (!textA || !textB) return 0;
+
+  let previous = Array.from({ length: textB.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= textA.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= textB.length; j++) {
+      const cost = textA[i - 1] === textB[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+
+  return 1 - previous[textB.length] / Math.max(textA.length, textB.length);
+}
+
+/**
+ * Parse a `#rrggbb` color into [r, g, b]
+ */
+function parseHex(hex) {
+  const match = typeof hex === 'string' && hex.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+  return match ? match.slice(1).map(part => parseInt(part, 16)) : null;
+}
+
+/**
+ * Compares two analysis results: matches components between them and reports
+ * added, removed, moved, resized, recolored and text-changed components, plus
+ * layout-level changes.
+ */
+class AnalysisComparator {
+  constructor(options = {}) {
+    this.options = {
+      minMatchScore: options.minMatchScore || 0.5, // Minimum score for two components to match
+      maxMoveDistance: options.maxMoveDistance || 0.25, // Largest move, as a fraction of the image diagonal
+      moveTolerance: options.moveTolerance || 4, // Pixels a component may shift without counting as moved
+      resizeTolerance: options.resizeTolerance || 4, // Pixels a component may grow or shrink without counting as resized
+      colorTolerance: options.colorTolerance || 30, // RGB distance below which colors count as equal
+      spacingTolerance: options.spacingTolerance || 4, // Pixels average spacing may change without being reported
+      ...options
+    };
+  }
+
+  /**
+   * Compare two analysis results
+   * @param {Object} before - Analysis of the first image
+   * @param {Object} after - Analysis of the second image
+   * @returns {Object} Diff { summary, changes, layout_changes, matches }
+   */
+  compare(before, after) {
+    try {
+      const beforeComponents = this.getComponents(before);
+      const afterComponents = this.getComponents(after);
+
+      // Positions from the first image are compared in the second image's coordinate space
+      const scale = this.getScale(before.image_metadata, after.image_metadata);
+      const diagonal = Math.hypot(after.image_metadata?.width || 1000, after.image_metadata?.height || 800);
+
+      const matches = this.matchComponents(beforeComponents, afterComponents, scale, diagonal);
+      const matchedBefore = new Set(matches.map(match => match.before));
+      const matchedAfter = new Set(matches.map(match => match.after));
+
+      const changes = [];
+      matches.forEach(match => changes.push(...this.describeChanges(match, scale)));
+
+      afterComponents
+        .filter(component => !matchedAfter.has(component))
+        .forEach(component => changes.push({
+          type: 'added',
+          component_id: component.id,
+          component_type: component.type,
+          after: this.describeComponent(component)
+        }));
+
+      beforeComponents
+        .filter(component => !matchedBefore.has(component))
+        .forEach(component => changes.push({
+          type: 'removed',
+          component_id: component.id,
+          component_type: component.type,
+          before: this.describeComponent(component),
+          // Where the component would be in the second image, for overlays
+          position: this.scaleBox(component.position, scale)
+        }));
+
+      const layoutChanges = this.compareLayouts(before.layout_analysis, after.layout_analysis);
+      const changedIds = new Set(changes.filter(change => change.after_id).map(change => change.after_id));
+
+      return {
+        summary: {
+          components_before: beforeComponents.length,
+          components_after: afterComponents.length,
+          matched: matches.length,
+          unchanged: matches.filter(match => !changedIds.has(match.after.id)).length,
+          ...this.countChanges(changes),
+          layout_changes: layoutChanges.length
+        },
+        changes,
+        layout_changes: layoutChanges,
+        matches: matches.map(match => ({
+          before_id: match.before.id,
+          after_id: match.after.id,
+          score: Math.round(match.score * 1000) / 1000
+        }))
+      };
+    } catch (error) {
+      throw new Error(`Analysis comparison failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Components of a result; falls back to visual elements when classification did not run
+   */
+  getComponents(result) {
+    const components = result.components || result.vision_analysis?.visual_elements || [];
+    return components.filter(component => component && component.position);
+  }
+
+  /**
+   * Scale factors from the first image's coordinates to the second's
+   */
+  getScale(beforeMetadata = {}, afterMetadata = {}) {
+    return {
+      x: beforeMetadata.width && afterMetadata.width ? afterMetadata.width / beforeMetadata.width : 1,
+      y: beforeMetadata.height && afterMetadata.height ? afterMetadata.height / beforeMetadata.height : 1
+    };
+  }
+
+  scaleBox(box, scale) {
+    return {
+      x: Math.round(box.x * scale.x),
+      y: Math.round(box.y * scale.y),
+      width: Math.round(box.width * scale.x),
+      height: Math.round(box.height * scale.y)
+    };
+  }
+
+  /**
+   * Match components: identical stable IDs first, then the best-scoring
+   * remaining pairs of the same type
+   */
+  matchComponents(beforeComponents, afterComponents, scale, diagonal) {
+    const matches = [];
+    const usedBefore = new Set();
+    const usedAfter = new Set();
+
+    const afterById = new Map(afterComponents.map(component => [component.id, component]));
+    beforeComponents.forEach(component => {
+      const counterpart = afterById.get(component.id);
+      if (counterpart && counterpart.type === component.type && !usedAfter.has(counterpart)) {
+        matches.push({ before: component, after: counterpart, score: 1 });
+        usedBefore.add(component);
+        usedAfter.add(counterpart);
+      }
+    });
+
+    const candidates = [];
+    beforeComponents.filter(component => !usedBefore.has(component)).forEach(beforeComponent => {
+      afterComponents.filter(component => !usedAfter.has(component)).forEach(afterComponent => {
+        if (beforeComponent.type !== afterComponent.type) return;
+
+        const score = this.scoreMatch(beforeComponent, afterComponent, scale, diagonal);
+        if (score >= this.options.minMatchScore) {
+          candidates.push({ before: beforeComponent, after: afterComponent, score });
+        }
+      });
+    });
+
+    candidates
+      .sort((a, b) => b.score - a.score)
+      .forEach(candidate => {
+        if (usedBefore.has(candidate.before) || usedAfter.has(candidate.after)) return;
+        matches.push(candidate);
+        usedBefore.add(candidate.before);
+        usedAfter.add(candidate.after);
+      });
+
+    return matches;
+  }
+
+  /**
+   * Score how likely two components are the same element, between 0 and 1
+   */
+  scoreMatch(beforeComponent, afterComponent, scale, diagonal) {
+    const a = this.scaleBox(beforeComponent.position, scale);
+    const b = afterComponent.position;
+
+    const distance = Math.hypot(
+      (a.x + a.width / 2) - (b.x + b.width / 2),
+      (a.y + a.height / 2) - (b.y + b.height / 2)
+    );
+    const proximity = Math.max(0, 1 - distance / (diagonal * this.options.maxMoveDistance));
+    if (proximity === 0) return 0;
+
+    const areaA = a.width * a.height;
+    const areaB = b.width * b.height;
+    const sizeSimilarity = areaA > 0 && areaB > 0 ? Math.min(areaA, areaB) / Math.max(areaA, areaB) : 0;
+
+    const text = textSimilarity(beforeComponent.text_content || beforeComponent.text, afterComponent.text_content || afterComponent.text);
+    const overlap = boxIoU(a, b);
+
+    return 0.3 * proximity + 0.2 * overlap + 0.25 * sizeSimilarity + 0.25 * text;
+  }
+
+  /**
+   * List the changes between two matched components
+   */
+  describeChanges(match, scale) {
+    const { before, after } = match;
+    const a = this.scaleBox(before.position, scale);
+    const b = after.position;
+    const base = {
+      component_id: after.id,
+      before_id: before.id,
+      after_id: after.id,
+      component_type: after.type,
+      before: this.describeComponent(before),
+      after: this.describeComponent(after)
+    };
+    const changes = [];
+
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    if (Math.abs(dx) > this.options.moveTolerance || Math.abs(dy) > this.options.moveTolerance) {
+      changes.push({ type: 'moved', ...base, details: { dx, dy } });
+    }
+
+    const dw = b.width - a.width;
+    const dh = b.height - a.height;
+    if (Math.abs(dw) > this.options.resizeTolerance || Math.abs(dh) > this.options.resizeTolerance) {
+      changes.push({ type: 'resized', ...base, details: { dw, dh } });
+    }
+
+    const colorBefore = parseHex(before.visual_properties?.fill_color);
+    const colorAfter = parseHex(after.visual_properties?.fill_color);
+    if (colorBefore && colorAfter) {
+      const distance = Math.hypot(...colorBefore.map((channel, index) => channel - colorAfter[index]));
+      if (distance > this.options.colorTolerance) {
+        changes.push({
+          type: 'recolored',
+          ...base,
+          details: {
+            before_color: before.visual_properties.fill_color,
+            after_color: after.visual_properties.fill_color,
+            distance: Math.round(distance)
+          }
+        });
+      }
+    }
+
+    const textBefore = before.text_content || before.text || '';
+    const textAfter = after.text_content || after.text || '';
+    if (normalizeText(textBefore) !== normalizeText(textAfter)) {
+      changes.push({ type: 'text_changed', ...base, details: { before_text: textBefore, after_text: textAfter } });
+    }
+
+    return changes;
+  }
+
+  describeComponent(component) {
+    const description = { position: component.position };
+    const text = component.text_content || component.text;
+    if (text) description.text = text;
+    if (component.visual_properties?.fill_color) description.fill_color = component.visual_properties.fill_color;
+    return description;
+  }
+
+  countChanges(changes) {
+    const counts = { added: 0, removed: 0, moved: 0, resized: 0, recolored: 0, text_changed: 0 };
+    changes.forEach(change => {
+      counts[change.type]++;
+    });
+    return counts;
+  }
+
+  /**
+   * Compare the layout analyses of both images
+   * @returns {Array<Object>} Layout changes
+   */
+  compareLayouts(before, after) {
+    if (!before || !after) return [];
+
+    const changes = [];
+
+    if (before.layout_type !== after.layout_type) {
+      changes.push({ type: 'layout_type_changed', before: before.layout_type, after: after.layout_type });
+    }
+
+    const gridBefore = before.grid_analysis || {};
+    const gridAfter = after.grid_analysis || {};
+    if (
+      !!gridBefore.detected !== !!gridAfter.detected ||
+      gridBefore.rows !== gridAfter.rows ||
+      gridBefore.columns !== gridAfter.columns
+    ) {
+      changes.push({
+        type: 'grid_changed',
+        before: { detected: !!gridBefore.detected, rows: gridBefore.rows || 0, columns: gridBefore.columns || 0 },
+        after: { detected: !!gridAfter.detected, rows: gridAfter.rows || 0, columns: gridAfter.columns || 0 }
+      });
+    }
+
+    [['horizontal', 'horizontal_spacing'], ['vertical', 'vertical_spacing']].forEach(([axis, key]) => {
+      const spacingBefore = before.spacing_analysis?.[key]?.average || 0;
+      const spacingAfter = after.spacing_analysis?.[key]?.average || 0;
+
+      if (Math.abs(spacingAfter - spacingBefore) > this.options.spacingTolerance) {
+        changes.push({
+          type: 'spacing_changed',
+          axis,
+          before: Math.round(spacingBefore * 10) / 10,
+          after: Math.round(spacingAfter * 10) / 10
+        });
+      }
+    });
+
+    return changes;
+  }
+}
+
+module.exports = AnalysisComparator;
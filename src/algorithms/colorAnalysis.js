@@ -299,6 +299,65 @@ class ColorAnalyzer {
     return closestIndex;
   }
 
+  /**
+   * Sample the fill color of each box: the most common color inside it
+   * @param {Buffer} imageBuffer - Image buffer
+   * @param {Array<Object>} boxes - Boxes {x, y, width, height}
+   * @param {Object} frame - Size of the coordinate space the boxes are in (defaults to the image size)
+   * @returns {Promise<Array<string|null>>} Hex color per box, or null for boxes outside the image
+   */
+  async sampleRegionColors(imageBuffer, boxes, frame = {}) {
+    try {
+      const { data, info } = await sharp(imageBuffer)
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+      const scaleX = frame.width ? info.width / frame.width : 1;
+      const scaleY = frame.height ? info.height / frame.height : 1;
+
+      return boxes.map(box => {
+        if (!box) return null;
+
+        const left = Math.max(0, Math.floor(box.x * scaleX));
+        const top = Math.max(0, Math.floor(box.y * scaleY));
+        const right = Math.min(info.width, Math.ceil((box.x + box.width) * scaleX));
+        const bottom = Math.min(info.height, Math.ceil((box.y + box.height) * scaleY));
+        if (right <= left || bottom <= top) return null;
+
+        // Sample at most ~50x50 pixels per box
+        const step = Math.max(1, Math.floor(Math.max(right - left, bottom - top) / 50));
+        const bins = new Map();
+
+        for (let y = top; y < bottom; y += step) {
+          for (let x = left; x < right; x += step) {
+            const offset = (y * info.width + x) * info.channels;
+            const r = data[offset];
+            const g = info.channels >= 3 ? data[offset + 1] : r;
+            const b = info.channels >= 3 ? data[offset + 2] : r;
+
+            // Group similar colors (16 levels per channel) and average within the group
+            const key = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+            const bin = bins.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+            bin.count++;
+            bin.r += r;
+            bin.g += g;
+            bin.b += b;
+            bins.set(key, bin);
+          }
+        }
+
+        const dominant = [...bins.values()].sort((a, b) => b.count - a.count)[0];
+        return this.rgbToHex(
+          Math.round(dominant.r / dominant.count),
+          Math.round(dominant.g / dominant.count),
+          Math.round(dominant.b / dominant.count)
+        );
+      });
+    } catch (error) {
+      throw new Error(`Region color sampling failed: ${error.message}`);
+    }
+  }
+
   /**
    * Calculate Euclidean distance between colors
    */
@@ -297,7 +297,7 @@ class ComponentRelationshipMapper {
 
         if (distance < 100) {
           formRelationships.push({
-            component1: `label_${label.id}`,
+            component1: label.id,
             component2: input.id,
             type: 'functional',
             subtype: 'form_labeling',
@@ -455,7 +455,7 @@ class ComponentRelationshipMapper {
 
         if (distance < 200 && header.position.y < content.position.y) {
           semanticRelationships.push({
-            component1: `header_${header.id}`,
+            component1: header.id,
             component2: content.id,
             type: 'semantic',
             subtype: 'header_content',
@@ -482,7 +482,7 @@ class ComponentRelationshipMapper {
         if (distance < 150) {
           semanticRelationships.push({
             component1: image.id,
-            component2: `text_${text.id}`,
+            component2: text.id,
             type: 'semantic',
             subtype: 'image_caption',
             confidence: 0.7 - (distance / 300),
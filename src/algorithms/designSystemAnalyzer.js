@@ -1,4 +1,5 @@
 const { Stats } = require('fast-stats');
+const { containsCentre } = require('../utils/textExtraction');
 
 class DesignSystemAnalyzer {
   constructor(options = {}) {
@@ -142,10 +143,12 @@ class DesignSystemAnalyzer {
    * Analyze typography system compliance
    */
   async analyzeTypographySystem(analysisResult) {
-    const textElements = analysisResult.text_extraction?.structured_text || [];
+    const textElements = this.getTypographySamples(analysisResult);
 
     const typographySystem = {
       font_sizes: [],
+      font_weights: [],
+      text_colors: [],
       size_scale: 'unknown',
       hierarchy_clarity: 0,
       consistency_score: 0,
@@ -160,11 +163,18 @@ class DesignSystemAnalyzer {
 
     // Extract font sizes
     const fontSizes = textElements
-      .map(text => text.font_info?.estimated_size)
+      .map(text => text.size)
       .filter(size => size && size > 0)
       .sort((a, b) => a - b);
 
     typographySystem.font_sizes = [...new Set(fontSizes)];
+    typographySystem.font_weights = [...new Set(textElements.map(text => text.weight).filter(Boolean))];
+    typographySystem.text_colors = [...new Set(textElements.map(text => text.color).filter(Boolean))];
+
+    const lowContrast = textElements.filter(text => text.contrast_ratio && text.contrast_ratio < 4.5);
+    if (lowContrast.length > 0) {
+      typographySystem.issues.push(`${lowContrast.length} text line(s) below the WCAG AA contrast ratio of 4.5:1`);
+    }
 
     if (typographySystem.font_sizes.length === 0) {
       typographySystem.issues.push('No font size information available');
@@ -210,6 +220,40 @@ class DesignSystemAnalyzer {
     return typographySystem;
   }
 
+  /**
+   * Typography samples of a result: one per OCR line with a measured style, or when no
+   * line was styled one per structured text element with its estimated font size.
+   * Lines take the type ('header', 'paragraph', ...) of the element they are part of.
+   * @returns {Array<Object>} { text, type, size, weight, color, contrast_ratio }
+   */
+  getTypographySamples(analysisResult) {
+    const extraction = analysisResult.text_extraction || {};
+    const elements = extraction.structured_text || [];
+    const styledLines = (extraction.lines || []).filter(line => line.style);
+
+    if (styledLines.length === 0) {
+      return elements.map(element => ({
+        text: element.text,
+        type: element.type,
+        size: element.font_info?.estimated_size
+      }));
+    }
+
+    return styledLines.map(line => {
+      const element = elements.find(candidate =>
+        candidate.position && containsCentre(candidate.position, line.position)
+      );
+      return {
+        text: line.text,
+        type: element?.type,
+        size: line.style.font_size,
+        weight: line.style.font_weight,
+        color: line.style.color,
+        contrast_ratio: line.style.contrast_ratio
+      };
+    });
+  }
+
   /**
    * Analyze spacing system compliance
    */
@@ -509,7 +553,7 @@ class DesignSystemAnalyzer {
     const sizeGroups = {};
 
     textElements.forEach(text => {
-      const size = text.font_info?.estimated_size;
+      const { size } = text;
       if (size) {
         const roundedSize = Math.round(size / 2) * 2; // Group similar sizes
         if (!sizeGroups[roundedSize]) {
@@ -1,4 +1,20 @@
 const Tesseract = require('tesseract.js');
+const OCRScheduler = require('../core/ocrScheduler');
+const { isAbortError, throwIfAborted } = require('../utils/abort');
+const { measure } = require('../utils/profiler');
+const { isLocalLangPath, findLanguagePack } = require('../utils/languagePacks');
+
+const DEFAULT_FALLBACK_LANGUAGES = ['eng', 'spa', 'fra', 'deu', 'chi_sim'];
+
+/**
+ * Default fallback languages; offline, only those whose packs are in the local langPath
+ * @param {string} langPath - Tesseract langPath
+ * @returns {Array<string>} Languages
+ */
+function defaultFallbackLanguages(langPath) {
+  if (!isLocalLangPath(langPath)) return DEFAULT_FALLBACK_LANGUAGES;
+  return DEFAULT_FALLBACK_LANGUAGES.filter(language => findLanguagePack(langPath, language));
+}
 
 class MultiLanguageOCR {
   constructor(options = {}) {
@@ -6,7 +22,7 @@ class MultiLanguageOCR {
       defaultLanguage: options.defaultLanguage || 'eng',
       autoDetectLanguage: options.autoDetectLanguage !== false,
       confidenceThreshold: options.confidenceThreshold || 0.7,
-      fallbackLanguages: options.fallbackLanguages || ['eng', 'spa', 'fra', 'deu', 'chi_sim'],
+      fallbackLanguages: options.fallbackLanguages || defaultFallbackLanguages(options.langPath),
       maxRetries: options.maxRetries || 3,
       ...options
     };
@@ -14,9 +30,12 @@ class MultiLanguageOCR {
     // Language-specific configurations
     this.languageConfigs = this.initializeLanguageConfigs();
 
-    // Initialize workers for different languages
-    this.workers = new Map();
-    this.workerPromises = new Map();
+    // Workers for every language come from one pool, shared with OCREngine when given
+    this.scheduler = options.scheduler || new OCRScheduler({
+      workersPerLanguage: options.ocrWorkers,
+      idleTimeout: options.ocrIdleTimeout,
+      workerOptions: { ...options.tesseractConfig, langPath: options.langPath, cachePath: options.cachePath }
+    });
   }
 
   /**
@@ -188,11 +207,15 @@ class MultiLanguageOCR {
    * Process image with multi-language OCR
    * @param {Buffer|string} imageInput - Image buffer or path
    * @param {Object} options - Processing options
+   * @param {AbortSignal} options.signal - Aborting stops between OCR passes and discards the busy worker
+   * @param {Profiler} options.profiler - Span that receives language detection, each language attempt and post-processing
    * @returns {Promise<Object>} OCR results with language detection
    */
   async processImage(imageInput, options = {}) {
     try {
       const processingOptions = { ...this.options, ...options };
+      const { signal, profiler = null } = processingOptions;
+      throwIfAborted(signal);
 
       let detectedLanguage = processingOptions.language || this.options.defaultLanguage;
       let ocrResults = null;
@@ -200,20 +223,20 @@ class MultiLanguageOCR {
 
       // Auto-detect language if enabled
       if (this.options.autoDetectLanguage && !processingOptions.language) {
-        languageDetectionResults = await this.detectLanguage(imageInput);
+        languageDetectionResults = await measure(profiler, 'language_detection', () => this.detectLanguage(imageInput));
         detectedLanguage = languageDetectionResults.primary_language;
+        throwIfAborted(signal);
       }
 
       // Perform OCR with detected/specified language
-      ocrResults = await this.performOCR(imageInput, detectedLanguage, processingOptions);
+      ocrResults = await measure(profiler, `ocr_${detectedLanguage}`, () =>
+        this.performOCR(imageInput, detectedLanguage, processingOptions));
 
       // If confidence is low, try fallback languages
       if (ocrResults.confidence < this.options.confidenceThreshold) {
-        const fallbackResults = await this.tryFallbackLanguages(
-          imageInput,
-          detectedLanguage,
-          processingOptions
-        );
+        throwIfAborted(signal);
+        const fallbackResults = await measure(profiler, 'fallback_languages', fallbackProfiler =>
+          this.tryFallbackLanguages(imageInput, detectedLanguage, { ...processingOptions, profiler: fallbackProfiler }));
 
         if (fallbackResults && fallbackResults.confidence > ocrResults.confidence) {
           ocrResults = fallbackResults;
@@ -222,7 +245,8 @@ class MultiLanguageOCR {
       }
 
       // Post-process results based on language
-      const processedResults = await this.postProcessResults(ocrResults, detectedLanguage);
+      const processedResults = await measure(profiler, 'post_processing', () =>
+        this.postProcessResults(ocrResults, detectedLanguage));
 
       return {
         language: detectedLanguage,
@@ -243,6 +267,7 @@ class MultiLanguageOCR {
         }
       };
     } catch (error) {
+      if (isAbortError(error)) throw error;
       throw new Error(`Multi-language OCR processing failed: ${error.message}`);
     }
   }
@@ -306,8 +331,8 @@ class MultiLanguageOCR {
   async detectLanguageByScript(imageInput) {
     try {
       // Quick OCR with script detection
-      const worker = await this.getWorker('osd'); // Orientation and Script Detection
-      const result = await worker.detect(imageInput);
+      // Orientation and Script Detection
+      const result = await this.runJob('osd', worker => worker.detect(imageInput));
 
       const scriptMappings = {
         'Latin': ['eng', 'spa', 'fra', 'deu', 'ita', 'por'],
@@ -356,10 +381,9 @@ class MultiLanguageOCR {
       const results = await Promise.all(
         testLanguages.map(async (lang) => {
           try {
-            const worker = await this.getWorker(lang);
-            const result = await worker.recognize(imageInput, {
-              tessedit_pageseg_mode: Tesseract.PSM.AUTO,
-              tessedit_char_confidence: '1'
+            const result = await this.runJob(lang, async worker => {
+              await worker.setParameters({ tessedit_pageseg_mode: String(Tesseract.PSM.AUTO) });
+              return worker.recognize(imageInput);
             });
 
             return {
@@ -403,8 +427,10 @@ class MultiLanguageOCR {
   async detectLanguageByPattern(imageInput) {
     try {
       // Quick OCR to get sample text
-      const worker = await this.getWorker(this.options.defaultLanguage);
-      const result = await worker.recognize(imageInput);
+      const result = await this.runJob(this.options.defaultLanguage, async worker => {
+        await worker.setParameters({ tessedit_pageseg_mode: String(Tesseract.PSM.SINGLE_BLOCK) });
+        return worker.recognize(imageInput);
+      });
       const text = result.data.text;
 
       const patterns = {
@@ -488,7 +514,6 @@ class MultiLanguageOCR {
   async performOCR(imageInput, language, options = {}) {
     try {
       const startTime = Date.now();
-      const worker = await this.getWorker(language);
       const config = this.languageConfigs[language] || this.languageConfigs.eng;
 
       const tesseractOptions = {
@@ -496,7 +521,10 @@ class MultiLanguageOCR {
         ...options.tesseractOptions
       };
 
-      const result = await worker.recognize(imageInput, tesseractOptions);
+      const result = await this.runJob(language, async worker => {
+        await worker.setParameters({ tessedit_pageseg_mode: String(options.pageSegMode || Tesseract.PSM.SINGLE_BLOCK) });
+        return worker.recognize(imageInput, tesseractOptions);
+      }, options.signal);
 
       return {
         language,
@@ -508,6 +536,7 @@ class MultiLanguageOCR {
         processing_time: Date.now() - startTime
       };
     } catch (error) {
+      if (isAbortError(error)) throw error;
       throw new Error(`OCR processing failed for language ${language}: ${error.message}`);
     }
   }
@@ -516,15 +545,13 @@ class MultiLanguageOCR {
    * Try fallback languages if primary detection has low confidence
    */
   async tryFallbackLanguages(imageInput, primaryLanguage, options) {
-    const fallbackLanguages = this.options.fallbackLanguages.filter(lang => lang !== primaryLanguage);
     let bestResult = null;
     let attempts = 0;
 
-    for (const language of fallbackLanguages) {
-      if (attempts >= this.options.maxRetries) break;
-
+    for (const language of this.getFallbackLanguages(primaryLanguage)) {
       try {
-        const result = await this.performOCR(imageInput, language, options);
+        const result = await measure(options.profiler, `ocr_${language}`, () =>
+          this.performOCR(imageInput, language, options));
         attempts++;
 
         if (!bestResult || result.confidence > bestResult.confidence) {
@@ -536,6 +563,7 @@ class MultiLanguageOCR {
           break;
         }
       } catch (error) {
+        if (isAbortError(error)) throw error;
         attempts++;
         continue;
       }
@@ -544,6 +572,32 @@ class MultiLanguageOCR {
     return bestResult;
   }
 
+  /**
+   * Fallback languages tried, in order, when OCR in a language has low confidence
+   * @param {string} primaryLanguage - Language OCR ran in
+   * @returns {Array<string>} Up to maxRetries fallback languages
+   */
+  getFallbackLanguages(primaryLanguage) {
+    return this.options.fallbackLanguages
+      .filter(language => language !== primaryLanguage)
+      .slice(0, this.options.maxRetries);
+  }
+
+  /**
+   * Languages processImage() may load a pack for. Given a language, that language and its
+   * fallbacks; detecting the language also reads with 'osd' and may pick any configured language
+   * @param {string} language - Language passed to processImage(), if any
+   * @returns {Array<string>} Tesseract languages
+   */
+  getRequiredLanguages(language) {
+    if (!language && this.options.autoDetectLanguage) {
+      return [...new Set(['osd', ...Object.keys(this.languageConfigs), ...this.options.fallbackLanguages])];
+    }
+
+    const primary = language || this.options.defaultLanguage;
+    return [primary, ...this.getFallbackLanguages(primary)];
+  }
+
   /**
    * Post-process OCR results based on language
    */
@@ -939,35 +993,15 @@ class MultiLanguageOCR {
   }
 
   /**
-   * Get or create Tesseract worker for language
+   * Run a job on a pooled worker for a language, forwarding its progress to `ocrLogger`
    */
-  async getWorker(language) {
-    if (this.workers.has(language)) {
-      return this.workers.get(language);
-    }
-
-    if (this.workerPromises.has(language)) {
-      return await this.workerPromises.get(language);
-    }
-
-    const workerPromise = this.createWorker(language);
-    this.workerPromises.set(language, workerPromise);
-
-    const worker = await workerPromise;
-    this.workers.set(language, worker);
-    this.workerPromises.delete(language);
-
-    return worker;
-  }
-
-  /**
-   * Create new Tesseract worker
-   */
-  async createWorker(language) {
-    const worker = await Tesseract.createWorker();
-    await worker.loadLanguage(language);
-    await worker.initialize(language);
-    return worker;
+  runJob(language, job, signal) {
+    return this.scheduler.run(language, job, {
+      signal,
+      logger: m => {
+        if (this.options.ocrLogger) this.options.ocrLogger({ ...m, language });
+      }
+    });
   }
 
   /**
@@ -992,10 +1026,7 @@ class MultiLanguageOCR {
    * Cleanup workers
    */
   async cleanup() {
-    const workers = Array.from(this.workers.values());
-    await Promise.all(workers.map(worker => worker.terminate()));
-    this.workers.clear();
-    this.workerPromises.clear();
+    await this.scheduler.cleanup();
   }
 }
 
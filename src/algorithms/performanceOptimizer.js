@@ -2,6 +2,7 @@ const { Worker } = require('worker_threads');
 const os = require('os');
 const path = require('path');
 const fs = require('fs').promises;
+const { isAbortError, throwIfAborted, toAbortError } = require('../utils/abort');
 
 class PerformanceOptimizer {
   constructor(options = {}) {
@@ -166,6 +167,9 @@ class PerformanceOptimizer {
    * Optimize batch processing with chunking and parallel processing
    * @param {Array} imageInputs - Array of image inputs
    * @param {Object} processingOptions - Processing options
+   * @param {AbortSignal} processingOptions.signal - Cancels the batch and terminates busy workers
+   * @param {Function} processingOptions.onItem - Called with { index, total, input, status, duration, error }
+   *   as each image completes
    * @param {Function} progressCallback - Progress callback function
    * @returns {Promise<Array>} Batch processing results
    */
@@ -180,8 +184,13 @@ class PerformanceOptimizer {
       const chunks = this.chunkArray(imageInputs, this.options.chunkSize);
 
       for (const chunk of chunks) {
+        throwIfAborted(processingOptions.signal);
+
         // Process chunk in parallel with worker pool
-        const chunkResults = await this.processChunkInParallel(chunk, processingOptions);
+        const chunkResults = await this.processChunkInParallel(chunk, processingOptions, {
+          offset: processedCount,
+          total: totalImages
+        });
         results.push(...chunkResults);
 
         processedCount += chunk.length;
@@ -215,6 +224,7 @@ class PerformanceOptimizer {
         }
       };
     } catch (error) {
+      if (isAbortError(error)) throw error;
       throw new Error(`Batch processing optimization failed: ${error.message}`);
     }
   }
@@ -323,14 +333,27 @@ class PerformanceOptimizer {
   /**
    * Process chunk in parallel using worker pool
    */
-  async processChunkInParallel(chunk, processingOptions) {
+  async processChunkInParallel(chunk, processingOptions, position = {}) {
+    const { offset = 0, total = chunk.length } = position;
+    const { onItem } = processingOptions;
+
     const promises = chunk.map(async (imageInput, index) => {
+      const startTime = Date.now();
+      const item = {
+        index: offset + index,
+        total,
+        input: typeof imageInput === 'string' ? imageInput : `input_${offset + index + 1}`
+      };
+
       try {
         const worker = await this.getAvailableWorker();
         const result = await this.processWithWorker(worker, imageInput, processingOptions);
         this.releaseWorker(worker);
+        if (onItem) onItem({ ...item, status: 'success', duration: Date.now() - startTime });
         return result;
       } catch (error) {
+        if (isAbortError(error)) throw error;
+        if (onItem) onItem({ ...item, status: 'error', duration: Date.now() - startTime, error: error.message });
         return {
           error: error.message,
           image_index: index,
@@ -346,19 +369,36 @@ class PerformanceOptimizer {
    * Process image with worker thread
    */
   async processWithWorker(worker, imageInput, processingOptions) {
+    // Signals and callbacks stay in this thread
+    const { signal, onItem: _onItem, ...workerOptions } = processingOptions;
+    throwIfAborted(signal);
+
     return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timeout);
+        // The job cannot be interrupted inside the thread, so retire the worker
+        this.workerPool = this.workerPool.filter(poolWorker => poolWorker !== worker);
+        this.activeWorkers--;
+        worker.terminate();
+        reject(toAbortError(signal.reason));
+      };
+
       const timeout = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
         reject(new Error('Worker processing timeout'));
       }, 30000); // 30 second timeout
 
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
       worker.postMessage({
         type: 'process_image',
         imageInput,
-        options: processingOptions
+        options: workerOptions
       });
 
       worker.once('message', (result) => {
         clearTimeout(timeout);
+        if (signal) signal.removeEventListener('abort', onAbort);
         if (result.error) {
           reject(new Error(result.error));
         } else {
@@ -368,6 +408,7 @@ class PerformanceOptimizer {
 
       worker.once('error', (error) => {
         clearTimeout(timeout);
+        if (signal) signal.removeEventListener('abort', onAbort);
         reject(error);
       });
     });
@@ -0,0 +1,161 @@
+const fs = require('fs-extra');
+const path = require('path');
+const YAML = require('yaml');
+const { isLocalLangPath } = require('../utils/languagePacks');
+const { resolveVocabularyPaths } = require('../utils/vocabulary');
+const { validateOptions } = require('../utils/validators');
+const { getPreset, mergeOptions } = require('./presets');
+
+// Checked in this order in each directory, from the working directory up to the filesystem root
+const CONFIG_FILE_NAMES = [
+  '.imgtotextrc',
+  '.imgtotextrc.json',
+  '.imgtotextrc.yaml',
+  '.imgtotextrc.yml',
+  'img-to-text.config.json',
+  'img-to-text.config.yaml',
+  'img-to-text.config.yml',
+  'img-to-text.config.js'
+];
+
+/**
+ * Find the nearest config file, searching from a directory up to the filesystem root
+ * @param {string} startDir - Directory to start from (default: process.cwd())
+ * @returns {string|null} Absolute path of the config file, or null if there is none
+ */
+function findConfigFile(startDir = process.cwd()) {
+  const isFile = filepath => fs.existsSync(filepath) && fs.statSync(filepath).isFile();
+  let dir = path.resolve(startDir);
+
+  for (;;) {
+    for (const name of CONFIG_FILE_NAMES) {
+      const filepath = path.join(dir, name);
+      if (isFile(filepath)) return filepath;
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) return null;
+    dir = parent;
+  }
+}
+
+/**
+ * Read and validate a config file. `.imgtotextrc` may contain JSON or YAML.
+ * @param {string} filepath - Path to the config file
+ * @returns {Object} Config values
+ * @throws {Error} If the file cannot be read or contains invalid values
+ */
+function loadConfigFile(filepath) {
+  const resolved = path.resolve(filepath);
+  let config;
+
+  try {
+    if (path.extname(resolved) === '.js') {
+      config = require(resolved);
+    } else {
+      // YAML is a superset of JSON, so one parser covers both
+      config = YAML.parse(fs.readFileSync(resolved, 'utf8'));
+    }
+  } catch (error) {
+    throw new Error(`Config file could not be loaded: ${resolved}: ${error.message}`);
+  }
+
+  // An empty file is an empty config
+  if (config === null || config === undefined) return {};
+
+  try {
+    validateConfig(config);
+  } catch (error) {
+    throw new Error(`Invalid config file ${resolved}: ${error.message}`);
+  }
+
+  return config;
+}
+
+/**
+ * Validate config file contents: analyzer options plus optional custom `presets`
+ * @param {Object} config - Config values
+ * @throws {Error} If validation fails
+ */
+function validateConfig(config) {
+  if (typeof config !== 'object' || Array.isArray(config)) {
+    throw new Error('config must be an object of analyzer options');
+  }
+
+  const { presets, ...options } = config;
+  validateOptions(options);
+
+  if (presets !== undefined) {
+    if (!presets || typeof presets !== 'object' || Array.isArray(presets)) {
+      throw new Error('presets must be an object mapping preset names to options');
+    }
+    for (const [name, preset] of Object.entries(presets)) {
+      if (!preset || typeof preset !== 'object' || Array.isArray(preset)) {
+        throw new Error(`presets.${name} must be an object of analyzer options`);
+      }
+      const { extends: parentName, ...presetOptions } = preset;
+      if (parentName !== undefined && typeof parentName !== 'string') {
+        throw new Error(`presets.${name}.extends must be a preset name`);
+      }
+      try {
+        validateOptions(presetOptions);
+      } catch (error) {
+        throw new Error(`presets.${name}: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Resolve constructor options against the project config file and presets.
+ * Layers are applied in order, later ones winning: the selected preset, the
+ * config file, then the options passed in.
+ * @param {Object} options - Constructor options
+ * @param {boolean|string} options.config - false skips config files; a path loads that file
+ *   instead of searching for one
+ * @param {string} options.cwd - Directory to start the config file search from
+ * @param {string} options.preset - Preset name; overrides the config file's `preset`
+ * @returns {Object} { options, configFile, preset }
+ */
+function resolveConfig(options = {}) {
+  const { config: configOption, cwd, ...explicit } = options;
+
+  let configFile = null;
+  if (typeof configOption === 'string') {
+    configFile = path.resolve(cwd || process.cwd(), configOption);
+    if (!fs.existsSync(configFile)) {
+      throw new Error(`Config file not found: ${configFile}`);
+    }
+  } else if (configOption !== false) {
+    configFile = findConfigFile(cwd);
+  }
+
+  const { presets: customPresets, ...fileOptions } = configFile ? loadConfigFile(configFile) : {};
+
+  // Language data directories and word lists in a config file are relative to the file, not the working directory
+  for (const option of ['langPath', 'cachePath']) {
+    if (isLocalLangPath(fileOptions[option])) {
+      fileOptions[option] = path.resolve(path.dirname(configFile), fileOptions[option]);
+    }
+  }
+  if (fileOptions.vocabulary !== undefined) {
+    fileOptions.vocabulary = resolveVocabularyPaths(fileOptions.vocabulary, path.dirname(configFile));
+  }
+
+  const presetName = explicit.preset || fileOptions.preset;
+  const preset = presetName ? getPreset(presetName, customPresets) : null;
+
+  return {
+    options: mergeOptions(preset, fileOptions, explicit),
+    configFile,
+    preset: presetName || null
+  };
+}
+
+module.exports = {
+  CONFIG_FILE_NAMES,
+  findConfigFile,
+  loadConfigFile,
+  validateConfig,
+  resolveConfig
+};
@@ -0,0 +1,99 @@
+const { PSM } = require('tesseract.js');
+
+/**
+ * What each `precision` level computes. Values become constructor defaults,
+ * so any of them can still be overridden individually.
+ */
+const PRECISION_PROFILES = {
+  // One vision scale, one edge detector, one OCR pass treating the image as a single text block,
+  // without adaptive OCR preprocessing or second OCR passes over components and low-confidence lines
+  fast: {
+    analysisScales: [1.0],
+    edgeDetectors: ['sobel'],
+    ocrPageSegModes: [PSM.SINGLE_BLOCK],
+    ocrPreprocessing: false,
+    enableComponentOCR: false,
+    enableOCRRefinement: false,
+    enableComponentRelationships: false,
+    enableDesignSystemAnalysis: false
+  },
+
+  standard: {
+    analysisScales: [0.5, 1.0],
+    edgeDetectors: ['sobel', 'canny'],
+    ocrPageSegModes: [PSM.AUTO],
+    ocrPreprocessing: 'auto',
+    enableComponentOCR: true,
+    enableOCRRefinement: true,
+    enableComponentRelationships: true,
+    enableDesignSystemAnalysis: true
+  },
+
+  // Four vision scales, every edge detector, and a second sparse-text OCR pass for scattered UI labels
+  high: {
+    analysisScales: [0.5, 0.75, 1.0, 1.25],
+    edgeDetectors: ['sobel', 'canny', 'laplacian'],
+    ocrPageSegModes: [PSM.AUTO, PSM.SPARSE_TEXT],
+    ocrPreprocessing: 'auto',
+    enableComponentOCR: true,
+    enableOCRRefinement: true,
+    enableComponentRelationships: true,
+    enableDesignSystemAnalysis: true
+  }
+};
+
+/**
+ * Raw vision data removed from `vision_analysis` at each `detail` level
+ */
+const DETAIL_LEVELS = {
+  basic: ['edges', 'contours', 'lines', 'regions', 'multi_scale_features', 'edge_detection'],
+  standard: ['regions', 'multi_scale_features', 'edge_detection'],
+  comprehensive: []
+};
+
+/**
+ * Look up a precision profile
+ * @param {string} precision - 'fast', 'standard' or 'high'
+ * @returns {Object} Profile
+ * @throws {Error} If the precision is unknown
+ */
+function getPrecisionProfile(precision = 'standard') {
+  const profile = PRECISION_PROFILES[String(precision).toLowerCase()];
+  if (!profile) {
+    throw new Error(`Invalid precision: ${precision}. Valid precisions: ${Object.keys(PRECISION_PROFILES).join(', ')}`);
+  }
+  return profile;
+}
+
+/**
+ * Look up the vision keys dropped at a detail level
+ * @param {string} detail - 'basic', 'standard' or 'comprehensive'
+ * @returns {Array<string>} Dropped `vision_analysis` keys
+ * @throws {Error} If the detail level is unknown
+ */
+function getDetailLevel(detail = 'standard') {
+  const dropped = DETAIL_LEVELS[detail];
+  if (!dropped) {
+    throw new Error(`Invalid detail: ${detail}. Valid levels: ${Object.keys(DETAIL_LEVELS).join(', ')}`);
+  }
+  return dropped;
+}
+
+/**
+ * Drop the raw vision data not kept at a detail level
+ * @param {Object} visionAnalysis - `vision_analysis` of a result
+ * @param {string} detail - 'basic', 'standard' or 'comprehensive'
+ * @returns {Object} Vision analysis with only the kept keys
+ */
+function pruneVisionAnalysis(visionAnalysis, detail = 'standard') {
+  const dropped = getDetailLevel(detail);
+  return Object.fromEntries(Object.entries(visionAnalysis).filter(([key]) => !dropped.includes(key)));
+}
+
+module.exports = {
+  PRECISION_PROFILES,
+  DETAIL_LEVELS,
+  getPrecisionProfile,
+  getDetailLevel,
+  pruneVisionAnalysis
+};
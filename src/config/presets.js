@@ -0,0 +1,121 @@
+/**
+ * Built-in analysis presets. A preset is a bundle of constructor options
+ * (stage toggles, `stages` entries and thresholds) selected with `preset`.
+ */
+const PRESETS = {
+  // Text only: OCR without vision, color, layout or design analysis
+  'fast-ocr': {
+    precision: 'fast',
+    detail: 'basic',
+    enableOCR: true,
+    enableShapeDetection: false,
+    enableColorAnalysis: false,
+    enableLayoutAnalysis: false,
+    enableAdvancedPatterns: false,
+    enableDesignSystemAnalysis: false,
+    enableComponentRelationships: false,
+    enableMultiLanguageOCR: false,
+    stages: [
+      { name: 'classification', enabled: false },
+      { name: 'recommendations', enabled: false }
+    ]
+  },
+
+  // Every stage at high precision, including small shapes and multi-language OCR
+  'full-ui-audit': {
+    precision: 'high',
+    detail: 'comprehensive',
+    enableOCR: true,
+    enableShapeDetection: true,
+    enableColorAnalysis: true,
+    enableLayoutAnalysis: true,
+    enableAdvancedPatterns: true,
+    enableDesignSystemAnalysis: true,
+    enableComponentRelationships: true,
+    enableMultiLanguageOCR: true,
+    enableTableDetection: true,
+    enableFormExtraction: true,
+    minContourArea: 50,
+    contrastThreshold: 4.5
+  },
+
+  // Colors, spacing and typography for extracting design tokens
+  'design-tokens': {
+    precision: 'standard',
+    enableOCR: true,
+    enableShapeDetection: true,
+    enableColorAnalysis: true,
+    enableLayoutAnalysis: true,
+    enableAdvancedPatterns: false,
+    enableDesignSystemAnalysis: true,
+    enableComponentRelationships: false,
+    enableMultiLanguageOCR: false,
+    maxColors: 24,
+    minimumOccurrences: 2
+  }
+};
+
+/**
+ * Names of the available presets
+ * @param {Object} customPresets - Presets defined in a config file
+ * @returns {Array<string>} Preset names
+ */
+function listPresets(customPresets = {}) {
+  return [...new Set([...Object.keys(PRESETS), ...Object.keys(customPresets)])];
+}
+
+/**
+ * Resolve a preset by name. Custom presets may `extends` a built-in or another custom preset.
+ * @param {string} name - Preset name
+ * @param {Object} customPresets - Presets defined in a config file, keyed by name
+ * @param {Array<string>} seen - Presets already on the `extends` chain
+ * @returns {Object} Preset options, without `extends`
+ * @throws {Error} If the preset is unknown or its `extends` chain is circular
+ */
+function getPreset(name, customPresets = {}, seen = []) {
+  if (seen.includes(name)) {
+    throw new Error(`Preset '${name}' extends itself: ${[...seen, name].join(' -> ')}`);
+  }
+
+  const preset = Object.prototype.hasOwnProperty.call(customPresets, name)
+    ? customPresets[name]
+    : PRESETS[name];
+  if (!preset) {
+    throw new Error(`Unknown preset: ${name}. Available presets: ${listPresets(customPresets).join(', ')}`);
+  }
+
+  const { extends: parentName, ...options } = preset;
+  if (!parentName) return options;
+
+  // A custom preset may extend the built-in preset it shadows
+  const parent = parentName === name
+    ? getPreset(parentName, {}, [])
+    : getPreset(parentName, customPresets, [...seen, name]);
+  return mergeOptions(parent, options);
+}
+
+/**
+ * Merge option layers; later layers win and undefined values are ignored.
+ * `stages` entries are concatenated so every layer's stage toggles are applied in order.
+ * @param {...Object} layers - Option objects
+ * @returns {Object} Merged options
+ */
+function mergeOptions(...layers) {
+  return layers.filter(Boolean).reduce((merged, layer) => {
+    const next = { ...merged };
+    Object.entries(layer).forEach(([key, value]) => {
+      if (value !== undefined) next[key] = value;
+    });
+    if (merged.stages && layer.stages) {
+      next.stages = [...merged.stages, ...layer.stages];
+    }
+    return next;
+  }, {});
+}
+
+module.exports = {
+  PRESETS,
+  listPresets,
+  getPreset,
+  mergeOptions
+};
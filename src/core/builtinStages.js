@@ -0,0 +1,276 @@
+const { normalizeTextExtraction } = require('../utils/textExtraction');
+const { mapGeometry } = require('../utils/geometry');
+const { measure } = require('../utils/profiler');
+const { isAbortError } = require('../utils/abort');
+
+/**
+ * Run OCR on a buffer with the configured engine and normalize its output
+ * @param {Object} context - Pipeline context
+ * @param {Buffer} buffer - Image to recognize
+ * @param {Object} metadata - Metadata of that image (its width and height scope stable IDs)
+ */
+async function recognizeText({ analyzer, config, signal, profiler }, buffer, metadata) {
+  const frame = { width: metadata.width, height: metadata.height };
+  const prepared = await prepareForOCR(analyzer, config, buffer, profiler);
+  // OCR runs on the prepared image; its coordinates are mapped back before IDs are assigned
+  const toOriginal = extraction => (prepared.transform ? mapGeometry(extraction, prepared.transform) : extraction);
+  let normalized;
+
+  if (config.enableMultiLanguageOCR) {
+    const extraction = await analyzer.multiLanguageOCR.processImage(prepared.buffer, {
+      language: config.ocrLanguage,
+      autoDetectLanguage: true,
+      pageSegMode: config.ocrPageSegModes?.[0],
+      signal,
+      profiler
+    });
+    normalized = normalizeTextExtraction(toOriginal(extraction), { engine: 'multi_language', language: config.ocrLanguage, ...frame });
+  } else {
+    const extraction = await analyzer.ocrEngine.extractText(prepared.buffer, {
+      signal,
+      pageSegModes: config.ocrPageSegModes,
+      profiler
+    });
+    normalized = normalizeTextExtraction(toOriginal(extraction), { engine: 'tesseract', language: analyzer.ocrEngine.language, ...frame });
+  }
+
+  if (prepared.preprocessing) normalized.preprocessing = prepared.preprocessing;
+  if (config.enableOCRRefinement) {
+    normalized = await refineText(analyzer, normalized, buffer, { frame, signal, profiler });
+  }
+
+  if (analyzer.ocrCorrector.hasVocabulary()) {
+    normalized = await measure(profiler, 'correction', () => analyzer.ocrCorrector.correct(normalized, { frame }));
+  }
+  if (config.enableTextStyleAnalysis) {
+    normalized = await analyzeTextStyles(analyzer, normalized, buffer, profiler);
+  }
+  return normalized;
+}
+
+/**
+ * Measure the font size, weight, slant and colors of each line and word from the
+ * pixels under it. A failure keeps the text without styles, with the error recorded
+ * in `style_error`.
+ */
+async function analyzeTextStyles(analyzer, normalized, buffer, profiler) {
+  try {
+    return await measure(profiler, 'styles', () => analyzer.textStyleAnalyzer.analyze(normalized, buffer));
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    return { ...normalized, style_error: error.message };
+  }
+}
+
+/**
+ * Re-recognize low-confidence lines. A failure keeps the page reading, with the error
+ * recorded in `refinement.error`.
+ */
+async function refineText(analyzer, normalized, buffer, { frame, signal, profiler }) {
+  // Low-confidence lines are cropped from the unprocessed image, where their positions now are
+  try {
+    return await measure(profiler, 'refinement', refinementProfiler =>
+      analyzer.ocrRefiner.refine(normalized, buffer, { frame, signal, profiler: refinementProfiler })
+    );
+  } catch (error) {
+    if (isAbortError(error)) throw error;
+    return { ...normalized, refinement: { error: error.message } };
+  }
+}
+
+/**
+ * Apply the configured OCR preprocessing. A failure falls back to the unprocessed
+ * image, with the error recorded in `preprocessing.error`.
+ */
+async function prepareForOCR(analyzer, config, buffer, profiler) {
+  if (!config.ocrPreprocessing) {
+    return { buffer, preprocessing: null, transform: null };
+  }
+
+  try {
+    return await measure(profiler, 'preprocessing', () =>
+      analyzer.imageProcessor.prepareForOCR(buffer, { steps: config.ocrPreprocessing })
+    );
+  } catch (error) {
+    return { buffer, preprocessing: { steps: [], error: error.message }, transform: null };
+  }
+}
+
+/**
+ * Run a per-buffer analysis on every tile of a tiled image and merge the results.
+ * `analyzeTile` receives (buffer, metadata, tile, profiler), with a profiler span per tile.
+ */
+function analyzeTiled(context, analyzeTile) {
+  return context.analyzer.tiledAnalyzer.analyze(
+    context.image.source,
+    context.tiles,
+    analyzeTile,
+    { signal: context.signal, profiler: context.profiler }
+  );
+}
+
+/**
+ * Built-in analysis pipeline stages, in their default execution order.
+ *
+ * Every stage receives the pipeline context:
+ * { analyzer, image, buffer, metadata, result, config, options, signal, profiler, tiles }
+ * and returns the value for its output key. `signal` aborts when the analysis is
+ * cancelled or the stage times out. `profiler` is the stage's span; sub-steps measured
+ * with it appear under the stage in `analysis_statistics.profile`. `tiles` is set in tiling mode, where OCR and
+ * vision run on full-resolution tiles instead of the downscaled `buffer`.
+ */
+function createBuiltinStages() {
+  return [
+    {
+      name: 'ocr',
+      description: 'Extracting text with OCR',
+      inputs: ['buffer'],
+      outputs: ['text_extraction'],
+      enabled: ({ config, options }) => options.extractText && config.enableOCR,
+      run: context => context.tiles
+        ? analyzeTiled(context, (buffer, metadata, _tile, profiler) => recognizeText({ ...context, profiler }, buffer, metadata))
+        : recognizeText(context, context.buffer, context.metadata)
+    },
+    {
+      // Runs on the whole page's text, after tiles are merged
+      name: 'reading_order',
+      description: 'Ordering text for reading',
+      inputs: ['text_extraction'],
+      outputs: ['text_extraction'],
+      enabled: ({ config, result }) => config.enableReadingOrder && !!result.text_extraction,
+      run: ({ analyzer, result }) => analyzer.readingOrderAnalyzer.analyze(result.text_extraction)
+    },
+    {
+      // Runs on the whole page's text, so entities across tile seams are read once
+      name: 'entities',
+      description: 'Extracting entities',
+      inputs: ['text_extraction'],
+      outputs: ['text_extraction'],
+      enabled: ({ config, result }) => config.enableEntityExtraction && !!result.text_extraction,
+      run: ({ analyzer, result }) => ({
+        ...result.text_extraction,
+        entities: analyzer.entityExtractor.extract(result.text_extraction)
+      })
+    },
+    {
+      name: 'vision',
+      description: 'Detecting shapes and visual elements',
+      inputs: ['buffer'],
+      outputs: ['vision_analysis'],
+      enabled: ({ config, options }) => options.detectShapes && config.enableShapeDetection,
+      run: context => context.tiles
+        ? analyzeTiled(context, (buffer, _metadata, _tile, profiler) => context.analyzer.visionAnalyzer.analyze(buffer, { profiler }))
+        : context.analyzer.visionAnalyzer.analyze(context.buffer, { profiler: context.profiler })
+    },
+    {
+      name: 'color',
+      description: 'Analyzing colors',
+      inputs: ['buffer'],
+      outputs: ['color_analysis'],
+      enabled: ({ config, options }) => options.analyzeColors && config.enableColorAnalysis,
+      run: ({ analyzer, buffer }) => analyzer.colorAnalyzer.analyze(buffer)
+    },
+    {
+      name: 'layout',
+      description: 'Analyzing layout',
+      inputs: ['vision_analysis', 'metadata'],
+      outputs: ['layout_analysis'],
+      enabled: ({ config, options }) => options.analyzeLayout && config.enableLayoutAnalysis,
+      run: ({ analyzer, result, metadata }) => {
+        const components = result.vision_analysis?.visual_elements || [];
+        return analyzer.layoutAnalyzer.analyze(components, metadata);
+      }
+    },
+    {
+      name: 'classification',
+      description: 'Classifying UI components',
+      inputs: ['vision_analysis', 'text_extraction', 'layout_analysis'],
+      outputs: ['components'],
+      enabled: ({ options }) => options.classifyComponents,
+      run: async ({ analyzer, result, buffer, metadata, config }) => {
+        const components = await analyzer.classifyComponents(result);
+        return config.enableColorAnalysis
+          ? analyzer.sampleComponentColors(components, buffer, metadata)
+          : components;
+      }
+    },
+    {
+      // Re-reads component labels the full-page OCR pass missed
+      name: 'component_ocr',
+      description: 'Reading component labels',
+      inputs: ['components', 'text_extraction'],
+      outputs: ['components'],
+      enabled: ({ config, options, result }) =>
+        options.extractText && config.enableOCR && config.enableComponentOCR && !!result.components,
+      run: ({ analyzer, result, buffer, metadata, signal, profiler }) => analyzer.componentOCR.recognize(
+        result.components,
+        buffer,
+        metadata,
+        { textElements: result.text_extraction?.structured_text, signal, profiler }
+      )
+    },
+    {
+      name: 'tables',
+      description: 'Detecting tables',
+      inputs: ['text_extraction', 'vision_analysis'],
+      outputs: ['tables'],
+      enabled: ({ config, result }) => config.enableTableDetection && !!result.text_extraction,
+      run: ({ analyzer, result }) => analyzer.tableDetector.detect(result)
+    },
+    {
+      name: 'forms',
+      description: 'Extracting forms',
+      inputs: ['text_extraction', 'vision_analysis', 'components', 'tables'],
+      outputs: ['forms'],
+      enabled: ({ config, result }) => config.enableFormExtraction && !!result.text_extraction,
+      run: ({ analyzer, result }) => analyzer.formExtractor.detect(result)
+    },
+    {
+      name: 'patterns',
+      description: 'Analyzing advanced patterns',
+      inputs: ['components', 'layout_analysis', 'text_extraction', 'vision_analysis', 'color_analysis'],
+      outputs: ['advanced_patterns'],
+      enabled: ({ config }) => config.enableAdvancedPatterns,
+      run: ({ analyzer, result }) => analyzer.patternRecognition.analyzePatterns(result)
+    },
+    {
+      name: 'relationships',
+      description: 'Mapping component relationships',
+      inputs: ['components', 'layout_analysis', 'text_extraction'],
+      outputs: ['component_relationships'],
+      enabled: ({ config, result }) => config.enableComponentRelationships && !!result.components,
+      run: ({ analyzer, result }) => analyzer.componentRelationshipMapper.mapComponentRelationships(
+        result.components,
+        result.layout_analysis,
+        result.text_extraction
+      )
+    },
+    {
+      name: 'design_system',
+      description: 'Analyzing design system compliance',
+      inputs: ['components', 'color_analysis', 'text_extraction', 'layout_analysis'],
+      outputs: ['design_system_compliance'],
+      enabled: ({ config }) => config.enableDesignSystemAnalysis,
+      run: ({ analyzer, result }) => analyzer.designSystemAnalyzer.analyzeDesignSystemCompliance(result)
+    },
+    {
+      // Summary stages run after any ready custom stage
+      name: 'recommendations',
+      description: 'Generating recommendations',
+      inputs: ['components', 'layout_analysis', 'color_analysis', 'vision_analysis'],
+      outputs: ['computed_recommendations'],
+      priority: 90,
+      run: ({ analyzer, result }) => analyzer.generateRecommendations(result)
+    },
+    {
+      name: 'statistics',
+      description: 'Calculating analysis statistics',
+      inputs: ['components', 'text_extraction', 'vision_analysis', 'color_analysis', 'computed_recommendations'],
+      outputs: ['analysis_statistics'],
+      priority: 100,
+      run: ({ analyzer, result }) => analyzer.calculateStatistics(result)
+    }
+  ];
+}
+
+module.exports = { createBuiltinStages };
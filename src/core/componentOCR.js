@@ -0,0 +1,167 @@
+const Tesseract = require('tesseract.js');
+const { clampRegion, getBox, intersectionArea } = require('../utils/geometry');
+const { isAbortError, throwIfAborted } = require('../utils/abort');
+const { measure } = require('../utils/profiler');
+const { assignStableIds, getIdPrefix } = require('../utils/stableId');
+const { toUnitConfidence } = require('../utils/textExtraction');
+
+/**
+ * Second OCR pass over small labelled components (buttons, inputs, navigation).
+ *
+ * Full-page OCR often misses short labels, so each component is cropped with some padding,
+ * upscaled and recognized as a single text line. The crop's text replaces the component's
+ * `text_content` when it is more confident than the full-page text overlapping the component.
+ */
+class ComponentOCR {
+  /**
+   * @param {OCREngine} ocrEngine - Engine that runs the crops (its worker pool is shared)
+   * @param {ImageProcessor} imageProcessor - Decodes the image
+   * @param {Object} options - Options
+   * @param {Array<string>} options.componentOCRTypes - Component types to re-read (default: button, input, navigation)
+   * @param {number} options.componentOCRPadding - Pixels added around each component (default: 6)
+   * @param {number} options.maxComponentOCR - Most components re-read per image (default: 30)
+   */
+  constructor(ocrEngine, imageProcessor, options = {}) {
+    this.ocrEngine = ocrEngine;
+    this.imageProcessor = imageProcessor;
+    this.options = {
+      types: options.componentOCRTypes || ['button', 'input', 'navigation'],
+      padding: options.componentOCRPadding ?? 6,
+      maxComponents: options.maxComponentOCR || 30,
+      targetHeight: 64, // Crops are upscaled to about this height...
+      maxScale: 4, // ...but never more than this
+      minSize: 8 // Components smaller than this (px) hold no readable text
+    };
+  }
+
+  /**
+   * Re-read the text of eligible components
+   * @param {Array<Object>} components - Classified components
+   * @param {Buffer} buffer - Processed image buffer
+   * @param {Object} frame - Coordinate space of the components ({ width, height })
+   * @param {Object} options - Options
+   * @param {Array<Object>} options.textElements - Full-page `structured_text`, for the confidence to beat
+   * @param {AbortSignal} options.signal - Stops recognizing crops when aborted
+   * @param {Profiler} options.profiler - Span that receives one child span per component
+   * @returns {Promise<Array<Object>>} Components; re-read ones have `text_confidence` and `text_source`,
+   *   and new IDs where their text changed
+   */
+  async recognize(components, buffer, frame, options = {}) {
+    const { textElements = [], signal, profiler = null } = options;
+    const eligible = components
+      .filter(component => this.options.types.includes(component.type))
+      .filter(component => component.position.width >= this.options.minSize && component.position.height >= this.options.minSize)
+      .slice(0, this.options.maxComponents);
+    if (eligible.length === 0) return components;
+
+    const image = await this.imageProcessor.readGrayscale(buffer);
+    const scaleX = frame.width ? image.width / frame.width : 1;
+    const scaleY = frame.height ? image.height / frame.height : 1;
+
+    // The OCR worker pool runs the crops in parallel
+    const readings = new Map(await Promise.all(eligible.map(async component => {
+      const reading = await measure(profiler, `component_${component.id}`, componentProfiler =>
+        this.recognizeComponent(image, component.position, { scaleX, scaleY, signal, profiler: componentProfiler })
+      );
+      return [component, reading];
+    })));
+
+    let replaced = false;
+    const result = components.map(component => {
+      const reading = readings.get(component);
+      if (!reading) return component;
+
+      const pageConfidence = this.getPageConfidence(component, textElements);
+      if (reading.text && reading.confidence > pageConfidence) {
+        replaced = replaced || reading.text !== component.text_content;
+        return { ...component, text_content: reading.text, text_confidence: reading.confidence, text_source: 'component_ocr' };
+      }
+      return { ...component, text_confidence: pageConfidence, text_source: 'page' };
+    });
+    if (!replaced) return result;
+
+    // Component IDs are derived from the text, which has changed
+    return assignStableIds(result, component => getIdPrefix(component.id), {
+      width: frame.width,
+      height: frame.height,
+      getText: component => component.text_content
+    });
+  }
+
+  /**
+   * Crop, upscale and recognize one component as a single line of text
+   * @returns {Promise<Object|null>} { text, confidence }, or null if the crop could not be read
+   */
+  async recognizeComponent(image, position, { scaleX, scaleY, signal, profiler }) {
+    throwIfAborted(signal);
+
+    const { padding } = this.options;
+    const region = clampRegion({
+      x: (position.x - padding) * scaleX,
+      y: (position.y - padding) * scaleY,
+      width: (position.width + padding * 2) * scaleX,
+      height: (position.height + padding * 2) * scaleY
+    }, image.width, image.height);
+    if (!region) return null;
+
+    try {
+      const scale = Math.min(this.options.maxScale, Math.max(1, this.options.targetHeight / region.height));
+      let pipeline = this.imageProcessor.fromRawGrayscale(image)
+        .extract({ left: region.x, top: region.y, width: region.width, height: region.height })
+        .resize(Math.round(region.width * scale), Math.round(region.height * scale), { kernel: 'lanczos3' })
+        .normalise();
+      // Tesseract reads dark text on a light background best
+      if (this.isDarkBackground(image, region)) {
+        pipeline = pipeline.negate();
+      }
+      const crop = await pipeline.png().toBuffer();
+
+      const extraction = await this.ocrEngine.extractText(crop, {
+        pageSegModes: [Tesseract.PSM.SINGLE_LINE],
+        signal,
+        profiler
+      });
+      return { text: extraction.raw_text.replace(/\s+/g, ' ').trim(), confidence: toUnitConfidence(extraction.confidence) };
+    } catch (error) {
+      // An unreadable crop keeps the full-page text
+      if (isAbortError(error)) throw error;
+      return null;
+    }
+  }
+
+  /**
+   * Check whether the median brightness of a region is dark
+   */
+  isDarkBackground(image, region) {
+    const histogram = new Uint32Array(256);
+    for (let y = region.y; y < region.y + region.height; y++) {
+      for (let x = region.x; x < region.x + region.width; x++) {
+        histogram[image.data[y * image.width + x]]++;
+      }
+    }
+
+    let seen = 0;
+    for (let value = 0; value < 256; value++) {
+      seen += histogram[value];
+      if (seen >= region.width * region.height / 2) return value < 128;
+    }
+    return false;
+  }
+
+  /**
+   * Mean confidence of the full-page text elements overlapping a component; 0 when it has no text
+   */
+  getPageConfidence(component, textElements) {
+    if (!component.text_content) return 0;
+
+    const overlapping = textElements.filter(element => {
+      const box = getBox(element);
+      return box && intersectionArea(box, component.position) > 0;
+    });
+    if (overlapping.length === 0) return 0;
+
+    return toUnitConfidence(overlapping.reduce((sum, element) => sum + element.confidence, 0) / overlapping.length);
+  }
+}
+
+module.exports = ComponentOCR;
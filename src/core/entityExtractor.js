@@ -0,0 +1,384 @@
+const { unionBoxes } = require('../utils/geometry');
+const { containsCentre } = require('../utils/textExtraction');
+
+// Locale used for the numbers and dates of each OCR language
+const LANGUAGE_LOCALES = {
+  eng: 'en-US',
+  deu: 'de-DE',
+  fra: 'fr-FR',
+  spa: 'es-ES',
+  ita: 'it-IT',
+  por: 'pt-BR',
+  nld: 'nl-NL',
+  pol: 'pl-PL',
+  rus: 'ru-RU',
+  ukr: 'uk-UA',
+  swe: 'sv-SE',
+  dan: 'da-DK',
+  nor: 'nb-NO',
+  fin: 'fi-FI',
+  tur: 'tr-TR',
+  jpn: 'ja-JP',
+  chi_sim: 'zh-CN',
+  chi_tra: 'zh-TW',
+  kor: 'ko-KR',
+  ara: 'ar',
+  heb: 'he-IL',
+  hin: 'hi-IN'
+};
+
+const CURRENCY_SYMBOLS = {
+  '$': 'USD',
+  '€': 'EUR',
+  '£': 'GBP',
+  '¥': 'JPY',
+  '₹': 'INR',
+  '₩': 'KRW',
+  '₽': 'RUB',
+  '₺': 'TRY',
+  '₪': 'ILS',
+  'R$': 'BRL',
+  'zł': 'PLN'
+};
+const CURRENCY_CODES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD', 'CNY', 'INR', 'KRW', 'RUB', 'BRL', 'MXN', 'SEK', 'NOK', 'DKK', 'PLN', 'TRY', 'ILS', 'SGD', 'HKD'];
+
+// Types in the order they claim text: an email is not also read as a URL, a date not as a version
+const ENTITY_TYPES = ['email', 'url', 'hex_color', 'date', 'time', 'version', 'price', 'percentage', 'phone'];
+// Types whose shape claims text even when it does not parse: 2024-02-30 is a wrong date, not a phone number
+const SHAPE_CLAIMING_TYPES = ['date'];
+
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const pad = value => String(value).padStart(2, '0');
+
+/**
+ * Tags entities in recognized text: emails, URLs, phone numbers, prices, dates, times,
+ * percentages, version numbers and hex colors.
+ *
+ * Each line is matched as the words it contains, so an entity's box is the union of the
+ * words it was read from. Numbers and dates are parsed for the locale (from the `locale`
+ * option or the OCR language): the locale's decimal separator and day, month and year
+ * order decide ambiguous values such as "1.250" or "03/04/2024", and its month names are
+ * recognized alongside the English ones.
+ */
+class EntityExtractor {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.locale - BCP 47 locale for numbers and dates (default: from the OCR language)
+   */
+  constructor(options = {}) {
+    this.options = {
+      locale: options.locale || null
+    };
+    this.formats = new Map();
+  }
+
+  /**
+   * Extract the entities of a text extraction
+   * @param {Object} extraction - Normalized text extraction
+   * @returns {Array<Object>} Entities ({ type, text, value, confidence, position, text_type })
+   *   in reading order; `value` is the normalized form of `text`
+   */
+  extract(extraction) {
+    const format = this.getFormat(this.getLocale(extraction.language));
+    const entities = this.getTextUnits(extraction).flatMap(unit => this.extractFromUnit(unit, format));
+
+    // The classified element an entity was read from (button, link, label, ...) gives its context
+    return entities.map(entity => {
+      const element = extraction.structured_text.find(item => containsCentre(item.position, entity.position));
+      return element ? { ...entity, text_type: element.type } : entity;
+    });
+  }
+
+  /**
+   * Lines with the words they contain, in reading order. Lines without words (or extractions
+   * without lines) are matched as whole items.
+   */
+  getTextUnits(extraction) {
+    const items = extraction.lines.length > 0 ? extraction.lines : extraction.structured_text;
+
+    return items.map(item => {
+      const words = extraction.words
+        .filter(word => containsCentre(item.position, word.position))
+        .sort((a, b) => a.position.x - b.position.x);
+      return { item, words: words.length > 0 ? words : [item] };
+    });
+  }
+
+  /**
+   * Find the entities of one line. Matches are taken in ENTITY_TYPES order, each keeping
+   * only text that no earlier match claimed. Matches that do not parse claim nothing,
+   * except for SHAPE_CLAIMING_TYPES.
+   */
+  extractFromUnit({ words }, format) {
+    // Join the words with single spaces, remembering where each one starts and ends
+    const spans = [];
+    let text = '';
+    words.forEach(word => {
+      if (text) text += ' ';
+      spans.push({ word, start: text.length, end: text.length + word.text.length });
+      text += word.text;
+    });
+
+    const claimed = [];
+    const entities = [];
+    ENTITY_TYPES.forEach(type => {
+      this.findMatches(type, text, format).forEach(match => {
+        const start = match.index;
+        const end = start + match.text.length;
+        if (claimed.some(range => start < range.end && end > range.start)) return;
+        if (match.value === null) {
+          if (SHAPE_CLAIMING_TYPES.includes(type)) claimed.push({ start, end });
+          return;
+        }
+
+        const contributing = spans.filter(span => span.start < end && span.end > start).map(span => span.word);
+        claimed.push({ start, end });
+        entities.push({
+          start,
+          entity: {
+            type,
+            text: match.text,
+            value: match.value,
+            confidence: Math.round(contributing.reduce((sum, word) => sum + word.confidence, 0) / contributing.length * 10000) / 10000,
+            position: unionBoxes(contributing.map(word => word.position))
+          }
+        });
+      });
+    });
+
+    return entities.sort((a, b) => a.start - b.start).map(({ entity }) => entity);
+  }
+
+  /**
+   * Matches of one entity type in a line
+   * @returns {Array<Object>} { index, text, value } where value is null for text that looks
+   *   like the type but does not parse
+   */
+  findMatches(type, text, format) {
+    const matches = [];
+    const collect = (pattern, parse) => {
+      for (const match of text.matchAll(pattern)) {
+        const matched = this.trimMatch(type, match[0]);
+        matches.push({ index: match.index, text: matched, value: parse(match, matched) });
+      }
+    };
+    // Spaces group thousands only where the locale does (1 250 in fr-FR), else "$5 100" would be 5100
+    const number = `[-−]?\\d+(?:[.,'${format.spaceGrouping ? '\\s' : ''}]\\d{3})*(?:[.,]\\d+)?`;
+    const symbols = Object.keys(CURRENCY_SYMBOLS).map(escapeRegExp).join('|');
+    const codes = CURRENCY_CODES.join('|');
+
+    switch (type) {
+      case 'email':
+        collect(/[\p{L}\d._%+-]+@[\p{L}\d-]+(?:\.[\p{L}\d-]+)*\.\p{L}{2,}/gu, match => match[0].toLowerCase());
+        break;
+      case 'url':
+        collect(/\b(?:https?:\/\/|www\.)[^\s<>"']+|\b[a-z\d-]+(?:\.[a-z\d-]+)*\.(?:com|org|net|io|dev|app|co|ai|edu|gov|info|biz)\b(?:\/[^\s<>"']*)?/gi,
+          (match, matched) => this.normalizeUrl(matched));
+        break;
+      case 'hex_color':
+        collect(/#(?:[\da-f]{8}|[\da-f]{6}|[\da-f]{3,4})(?![\w-])/gi, match => this.normalizeHexColor(match[0]));
+        break;
+      case 'date':
+        collect(/\b(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})\b/g, match => this.toISODate(match[1], match[2], match[3]));
+        collect(/\b(\d{1,2})([-/.])(\d{1,2})\2(\d{4}|\d{2})\b/g, match => this.parseNumericDate([match[1], match[3], match[4]], format));
+        collect(new RegExp(`(?<![\\p{L}\\d])(\\d{1,2})(?:st|nd|rd|th|\\.)?\\s+(?:de\\s+)?(${format.monthPattern})\\.?(?:,?\\s+(?:de\\s+)?(\\d{4}))?(?![\\p{L}\\d])`, 'giu'),
+          match => this.toISODate(match[3], format.months.get(match[2].toLowerCase()), match[1]));
+        collect(new RegExp(`(?<![\\p{L}\\d])(${format.monthPattern})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?(?![\\p{L}\\d])`, 'giu'),
+          match => this.toISODate(match[3], format.months.get(match[1].toLowerCase()), match[2]));
+        break;
+      case 'time':
+        collect(/(?<![\d:.])([01]?\d|2[0-3])[:h]([0-5]\d)(?::([0-5]\d))?(?:\s*([ap])\.?m\.?)?(?![\d:])/gi,
+          match => this.toTime(match[1], match[2], match[3], match[4]));
+        collect(/(?<![\d:.])(1[0-2]|0?[1-9])\s*([ap])\.?m\.?(?![\p{L}\d])/giu, match => this.toTime(match[1], '00', undefined, match[2]));
+        break;
+      case 'version':
+        collect(/(?<![\w.])v?\d+\.\d+\.\d+(?:-[\da-z.-]+)?(?:\+[\da-z.-]+)?(?![\w.])|(?<![\w.])v\d+(?:\.\d+)?(?![\w.])/gi,
+          match => match[0].replace(/^v/i, ''));
+        break;
+      case 'price':
+        collect(new RegExp(`(${symbols}|\\b(?:${codes}))\\s?(${number})`, 'g'),
+          match => this.toPrice(match[2], match[1], format));
+        collect(new RegExp(`(${number})\\s?(${symbols}|(?:${codes})\\b)`, 'g'),
+          match => this.toPrice(match[1], match[2], format));
+        break;
+      case 'percentage':
+        collect(new RegExp(`(${number})\\s?%`, 'g'), match => this.parseNumber(match[1], format));
+        break;
+      case 'phone':
+        collect(/(?<![\w+])(?:\+\d{1,3}[\s.-]?)?(?:\(\d{1,5}\)[\s.-]?)?\d{2,5}(?:[\s.-]\d{2,5}){0,4}(?![\w])/g,
+          (match, matched) => this.normalizePhone(matched));
+        break;
+      default:
+        break;
+    }
+
+    return matches;
+  }
+
+  /**
+   * Drop punctuation that ends a sentence rather than an entity
+   */
+  trimMatch(type, text) {
+    if (type === 'url' || type === 'email') return text.replace(/[.,;:!?)\]}'"]+$/, '');
+    return text.replace(/\s+$/, '');
+  }
+
+  normalizeUrl(text) {
+    if (!/[a-z\d]\.[a-z]/i.test(text)) return null;
+    try {
+      return new URL(/^https?:\/\//i.test(text) ? text : `https://${text}`).href;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * #rgb, #rgba, #rrggbb or #rrggbbaa as lower-case #rrggbb(aa). Short forms of digits only
+   * are more likely numbers (#123 for an order or issue), so they need a letter.
+   */
+  normalizeHexColor(text) {
+    const hex = text.slice(1).toLowerCase();
+    if (hex.length <= 4) {
+      if (!/[a-f]/.test(hex)) return null;
+      return `#${hex.split('').map(digit => digit + digit).join('')}`;
+    }
+    return `#${hex}`;
+  }
+
+  /**
+   * Phone numbers need 7 to 15 digits (E.164) and the grouping of one: a country code,
+   * an area code in parentheses or at least two separators. Digits are kept with a leading +.
+   */
+  normalizePhone(text) {
+    const digits = text.replace(/\D/g, '');
+    if (digits.length < 7 || digits.length > 15) return null;
+
+    const grouped = text.startsWith('+') || text.includes('(') || (text.match(/[\s.-]/g) || []).length >= 2;
+    if (!grouped) return null;
+    return `${text.startsWith('+') ? '+' : ''}${digits}`;
+  }
+
+  toPrice(amount, currency, format) {
+    const value = this.parseNumber(amount, format);
+    if (value === null) return null;
+    return { amount: value, currency: CURRENCY_SYMBOLS[currency] || currency };
+  }
+
+  /**
+   * Parse a number written with thousands separators and a decimal mark. With both '.' and
+   * ',' the last one is the decimal mark; a single mark followed by exactly three digits is
+   * read as the locale writes it (1.250 is 1250 in de-DE and 1.25 in en-US).
+   */
+  parseNumber(text, format) {
+    const sign = /^[-−]/.test(text) ? -1 : 1;
+    const digits = text.replace(/^[-−]/, '').replace(/[\s']/g, '');
+    const marks = digits.match(/[.,]/g) || [];
+    const last = Math.max(digits.lastIndexOf('.'), digits.lastIndexOf(','));
+
+    let decimalMark = null;
+    if (new Set(marks).size > 1) {
+      decimalMark = digits[last];
+    } else if (marks.length === 1) {
+      const isGrouping = digits.length - last - 1 === 3 && marks[0] !== format.decimal;
+      decimalMark = isGrouping ? null : marks[0];
+    }
+
+    const integer = decimalMark ? digits.slice(0, digits.lastIndexOf(decimalMark)) : digits;
+    const fraction = decimalMark ? digits.slice(digits.lastIndexOf(decimalMark) + 1) : '';
+    const value = Number(`${integer.replace(/[.,]/g, '')}${fraction ? `.${fraction}` : ''}`);
+    return Number.isFinite(value) ? sign * value : null;
+  }
+
+  /**
+   * A date of three numbers in the locale's day, month and year order
+   */
+  parseNumericDate(parts, format) {
+    const fields = {};
+    format.dateOrder.forEach((field, index) => {
+      fields[field] = parts[index];
+    });
+    // Year-first locales still write short dates with the year last
+    if (format.dateOrder[0] === 'year') {
+      [fields.month, fields.day, fields.year] = parts;
+    }
+    return this.toISODate(fields.year, fields.month, fields.day);
+  }
+
+  /**
+   * ISO 8601 date (YYYY-MM-DD, or --MM-DD without a year), or null if it is not a valid date
+   */
+  toISODate(year, month, day) {
+    const monthNumber = Number(month);
+    const dayNumber = Number(day);
+    if (!(monthNumber >= 1 && monthNumber <= 12) || !(dayNumber >= 1)) return null;
+
+    if (year === undefined) {
+      if (dayNumber > new Date(Date.UTC(2000, monthNumber, 0)).getUTCDate()) return null;
+      return `--${pad(monthNumber)}-${pad(dayNumber)}`;
+    }
+
+    let yearNumber = Number(year);
+    // Two-digit years are read as 1970-2069
+    if (year.length === 2) yearNumber += yearNumber < 70 ? 2000 : 1900;
+    if (dayNumber > new Date(Date.UTC(yearNumber, monthNumber, 0)).getUTCDate()) return null;
+    return `${yearNumber}-${pad(monthNumber)}-${pad(dayNumber)}`;
+  }
+
+  /**
+   * 24-hour HH:MM or HH:MM:SS
+   */
+  toTime(hours, minutes, seconds, meridiem) {
+    let hour = Number(hours);
+    if (meridiem) {
+      if (hour < 1 || hour > 12) return null;
+      hour = hour % 12 + (meridiem.toLowerCase() === 'p' ? 12 : 0);
+    }
+    return `${pad(hour)}:${minutes}${seconds ? `:${seconds}` : ''}`;
+  }
+
+  /**
+   * Locale for an extraction: the configured one, else the locale of its first OCR language
+   */
+  getLocale(language) {
+    if (this.options.locale) return this.options.locale;
+    return LANGUAGE_LOCALES[String(language || '').split('+')[0]] || 'en-US';
+  }
+
+  /**
+   * Decimal mark, thousands grouping, date field order and month names of a locale, read from Intl
+   */
+  getFormat(locale) {
+    if (!this.formats.has(locale)) {
+      // Some locales only group numbers of five or more digits
+      const numberParts = new Intl.NumberFormat(locale).formatToParts(1234567.5);
+      const dateOrder = new Intl.DateTimeFormat(locale, { timeZone: 'UTC' })
+        .formatToParts(Date.UTC(2001, 10, 23))
+        .map(part => part.type)
+        .filter(type => type === 'day' || type === 'month' || type === 'year');
+
+      // Month names of the locale and of English, long and abbreviated, without trailing dots
+      const months = new Map();
+      [...new Set([locale, 'en-US'])].forEach(monthLocale => {
+        ['long', 'short'].forEach(style => {
+          const formatter = new Intl.DateTimeFormat(monthLocale, { month: style, timeZone: 'UTC' });
+          for (let month = 0; month < 12; month++) {
+            const name = formatter.format(Date.UTC(2000, month, 15)).toLowerCase().replace(/\.$/, '');
+            if (!/\d/.test(name) && !months.has(name)) months.set(name, month + 1);
+          }
+        });
+      });
+      months.set('sept', 9);
+
+      this.formats.set(locale, {
+        decimal: numberParts.find(part => part.type === 'decimal')?.value || '.',
+        spaceGrouping: /\s/.test(numberParts.find(part => part.type === 'group')?.value || ''),
+        dateOrder: dateOrder.length === 3 ? dateOrder : ['month', 'day', 'year'],
+        months,
+        monthPattern: [...months.keys()].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|')
+      });
+    }
+    return this.formats.get(locale);
+  }
+}
+
+module.exports = EntityExtractor;
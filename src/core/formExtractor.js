@@ -0,0 +1,725 @@
+const { assignStableIds } = require('../utils/stableId');
+const { intersectionArea, unionBoxes } = require('../utils/geometry');
+const { containsCentre } = require('../utils/textExtraction');
+const { mean, median } = require('../utils/statistics');
+
+// Glyphs OCR reads for checkboxes and radio buttons, checked or not (not ■ and ●, which are mostly bullets)
+const CHECKBOX_GLYPH = /^(?:[☐☑☒□▢]|\[[ xX✓✔]?\])/u;
+const RADIO_GLYPH = /^(?:[○◯◉◎⦿]|\([ •*oO]?\))/u;
+const CHECKED_GLYPH = /^(?:[☑☒◉⦿]|\[[xX✓✔]\]|\([•*oO]\))/u;
+// Chevrons at the end of a select box
+const SELECT_MARKER = /\s*(?:[▼▾⌄⏷˅∨]|\s[vV])$/u;
+const SELECT_PROMPT = /^(?:select|choose|pick|--)/i;
+const SUBMIT_TEXT = /^(?:submit|send|save|sign ?(?:up|in)|log ?in|register|continue|next|create(?: an)? account|apply|confirm|subscribe|pay|check ?out|place order|update|book|get started|go)(?: now| changes)?[.!]?$/i;
+
+// Field types inferred from label and placeholder text, in order of precedence
+const FIELD_TYPE_PATTERNS = [
+  { type: 'email', pattern: /e-?mail/i },
+  { type: 'password', pattern: /password|passwort|mot de passe|contraseña|passcode|\bpin\b|^[•*●]{3,}$/i },
+  { type: 'phone', pattern: /phone|mobile|\btel\b|telephone|\bcell\b/i },
+  { type: 'date', pattern: /\bdate\b|birthday|birth date|\bdob\b|datum|fecha|\b(?:mm|dd)[/.-](?:dd|mm)[/.-]y{2,4}\b|\byyyy[/.-]mm[/.-]dd\b/i },
+  // Codes and numbers that identify something are strings: they keep leading zeros and any length
+  { type: 'identifier', pattern: /\bzip\b|postal|postcode|\bcard\b|\baccount\b|\biban\b|\bid\b|\bssn\b|\bcvc\b|\bcvv\b|\bcode\b|\bnumber\b(?!\s+of\b)|\bno\./i },
+  { type: 'number', pattern: /\bnumber of\b|amount|quantity|\bqty\b|\bage\b|price|\bcount\b|\byears?\b/i }
+];
+// Field types of the entities (text_extraction.entities) a placeholder can show
+const ENTITY_FIELD_TYPES = { email: 'email', phone: 'phone', date: 'date', price: 'number', percentage: 'number' };
+
+const JSON_SCHEMA_DRAFT = 'http://json-schema.org/draft-07/schema#';
+
+/**
+ * Extracts forms from a screenshot: the fields with their labels, inferred types and
+ * required markers, grouped into fieldsets, as a JSON Schema and a UI schema.
+ *
+ * Controls are outlined boxes (VisionAnalyzer.detectBoxes()) sized like text inputs,
+ * select boxes, text areas and checkboxes, checkbox and radio glyphs read by OCR, and
+ * components classified as inputs. Each control is paired with the nearest free text to
+ * its left or above it (to its right for checkboxes and radio buttons); text inside a box
+ * is its placeholder. Fields close to each other form a form, split into fieldsets by the
+ * headings between them, and the nearest submit-like button below is the form's action.
+ *
+ * Each form's `json_schema` (draft-07) has a property per field, nested in an object per
+ * fieldset, and its `ui_schema` follows react-jsonschema-form: `ui:order` gives the
+ * fields in reading order and `ui:widget` and `ui:placeholder` the controls.
+ */
+class FormExtractor {
+  /**
+   * @param {LayoutAnalyzer} layoutAnalyzer - Groups words into rows
+   * @param {Object} options - Options
+   * @param {number} options.minFormFields - Fewest fields of a form without a submit button (default: 2)
+   * @param {number} options.formGap - Widest gap between fields of one form (px, default: 3 control heights)
+   */
+  constructor(layoutAnalyzer, options = {}) {
+    this.layoutAnalyzer = layoutAnalyzer;
+    this.options = {
+      minFormFields: options.minFormFields || 2,
+      formGap: options.formGap || null,
+      phraseGap: 1.5, // Word gaps wider than this many text heights separate phrases
+      maxLabelGap: 200, // px between a label and the control to its right
+      checkboxSize: [8, 32] // px
+    };
+  }
+
+  /**
+   * Extract the forms of an analysis result
+   * @param {Object} analysisResult - Result with `text_extraction` and optionally
+   *   `vision_analysis`, `components` and `tables`
+   * @returns {Array<Object>} Forms ({ id, title, position, confidence, fields, fieldsets,
+   *   submit, json_schema, ui_schema }), top to bottom
+   */
+  detect(analysisResult) {
+    const extraction = analysisResult.text_extraction;
+    if (!extraction) return [];
+
+    const { controls, buttons, frames } = this.findControls(analysisResult);
+    const phrases = this.findPhrases(extraction, controls);
+    buttons.push(...phrases.filter(phrase => this.isButtonText(phrase.text)).map(phrase => ({
+      text: phrase.text,
+      position: phrase.position,
+      phrase
+    })));
+
+    const fields = this.pairLabels(controls, phrases.filter(phrase => !this.isButtonText(phrase.text)), extraction.entities || []);
+    if (fields.length === 0) return [];
+    this.attachDescriptions(fields, phrases);
+
+    const formGap = this.options.formGap || Math.max(40, median(controls.map(control => control.position.height)) * 3);
+    const forms = this.groupFields(fields, frames, formGap)
+      .map(formFields => this.createForm(formFields, phrases, buttons, formGap))
+      .filter(form => form.fields.length >= this.options.minFormFields || (form.fields.length > 0 && form.submit))
+      .sort((a, b) => a.position.y - b.position.y);
+
+    const frame = {
+      width: analysisResult.image_metadata?.width,
+      height: analysisResult.image_metadata?.height,
+      getText: form => form.title || form.fields.map(field => field.name).join(' ')
+    };
+    return assignStableIds(forms, 'form', frame).map(({ id, ...form }) => ({ id, ...form }));
+  }
+
+  /**
+   * Controls ({ control, position, placeholder, checked, confidence }), submit-like buttons
+   * and frames (outlines that hold other controls, such as cards and fieldsets)
+   */
+  findControls(analysisResult) {
+    const extraction = analysisResult.text_extraction;
+    const words = extraction.words.length > 0 ? extraction.words : extraction.lines;
+    const tables = (analysisResult.tables || []).map(table => table.position);
+    const components = analysisResult.components || [];
+    const [minCheckbox, maxCheckbox] = this.options.checkboxSize;
+
+    const controls = [];
+    const buttons = [];
+    const outlines = [];
+
+    (analysisResult.vision_analysis?.lines?.boxes || []).forEach(({ position }) => {
+      if (tables.some(table => containsCentre(table, position))) return;
+      const inner = this.layoutAnalyzer.groupByRows(words.filter(word => containsCentre(position, word.position)));
+      const aspect = position.width / position.height;
+
+      // Checkbox-sized outlines that OCR read as letters are glyphs, not controls
+      if (position.width >= minCheckbox && position.width <= maxCheckbox &&
+        position.height >= minCheckbox && position.height <= maxCheckbox && aspect >= 0.75 && aspect <= 1.33) {
+        const covering = words.find(word => intersectionArea(word.position, position) > position.width * position.height * 0.5);
+        if (!covering || CHECKBOX_GLYPH.test(covering.text)) {
+          controls.push({ control: 'checkbox', position, checked: !!covering && CHECKED_GLYPH.test(covering.text), confidence: 0.8 });
+        }
+        return;
+      }
+
+      if (inner.length > 1) {
+        outlines.push(position);
+        return;
+      }
+      const text = inner[0] ? inner[0].map(word => word.text.trim()).join(' ') : '';
+      if (text && (this.isButtonText(text) || this.isCentred(unionBoxes(inner[0].map(word => word.position)), position) ||
+        components.some(component => component.type === 'button' && containsCentre(position, component.position)))) {
+        buttons.push({ text, position });
+        return;
+      }
+
+      if (position.height <= 80 && aspect >= 2.5 && position.width >= 60) {
+        const isSelect = SELECT_MARKER.test(text) || SELECT_PROMPT.test(text);
+        controls.push({
+          control: isSelect ? 'select' : 'text',
+          position,
+          placeholder: text.replace(SELECT_MARKER, '').trim() || null,
+          confidence: 0.85
+        });
+      } else if (position.height > 80 && position.width >= 100) {
+        controls.push({ control: 'textarea', position, placeholder: text || null, confidence: 0.75 });
+      } else if (text === '') {
+        outlines.push(position);
+      }
+    });
+
+    // Checkbox and radio glyphs, which OCR may read together with their label
+    words.forEach(word => {
+      const isCheckbox = CHECKBOX_GLYPH.test(word.text);
+      if (!isCheckbox && !RADIO_GLYPH.test(word.text)) return;
+      const glyph = word.text.match(isCheckbox ? CHECKBOX_GLYPH : RADIO_GLYPH)[0];
+      const size = Math.min(word.position.height, word.position.width);
+      const position = glyph.length === word.text.length
+        ? word.position
+        : { x: word.position.x, y: word.position.y, width: size, height: word.position.height };
+      if (controls.some(control => intersectionArea(control.position, position) > 0)) return;
+
+      controls.push({
+        control: isCheckbox ? 'checkbox' : 'radio',
+        position,
+        checked: CHECKED_GLYPH.test(glyph),
+        confidence: word.confidence,
+        glyph: { word, length: glyph.length }
+      });
+    });
+
+    // Components classified as form controls, unless an outline already covers them
+    const componentControls = { input: 'text', checkbox: 'checkbox', radio: 'radio', select: 'select', textarea: 'textarea' };
+    components.forEach(component => {
+      if (component.type === 'button' && component.text_content &&
+        !buttons.some(button => intersectionArea(button.position, component.position) > 0)) {
+        buttons.push({ text: component.text_content, position: component.position });
+      }
+      const control = componentControls[component.type];
+      if (!control || controls.some(existing => containsCentre(existing.position, component.position))) return;
+      controls.push({
+        control,
+        position: component.position,
+        placeholder: control === 'text' || control === 'select' ? component.text_content || null : null,
+        confidence: component.confidence,
+        component_id: component.id
+      });
+    });
+
+    const frames = outlines.filter(outline =>
+      controls.some(control => control.position !== outline && containsCentre(outline, control.position))
+    );
+    return { controls, buttons, frames };
+  }
+
+  /**
+   * Text outside the controls, split into phrases at wide gaps. The label that OCR read
+   * together with a checkbox or radio glyph becomes its own phrase.
+   */
+  findPhrases(extraction, controls) {
+    const insideControl = word => controls.some(control =>
+      !control.glyph && control.control !== 'checkbox' && containsCentre(control.position, word.position));
+
+    const words = [];
+    (extraction.words.length > 0 ? extraction.words : extraction.lines).forEach(word => {
+      const control = controls.find(candidate => candidate.glyph?.word === word);
+      if (control) {
+        // The rest of a word such as "☐Remember" is label text
+        const rest = word.text.slice(control.glyph.length).trim();
+        if (rest) {
+          const right = control.position.x + control.position.width;
+          words.push({ ...word, text: rest, position: { ...word.position, x: right, width: word.position.x + word.position.width - right } });
+        }
+      } else if (!insideControl(word) && !CHECKBOX_GLYPH.test(word.text) && !RADIO_GLYPH.test(word.text)) {
+        words.push(word);
+      }
+    });
+
+    return this.layoutAnalyzer.groupByRows(words).flatMap(row => {
+      const sorted = [...row].sort((a, b) => a.position.x - b.position.x);
+      const height = median(sorted.map(word => word.position.height));
+      const phrases = [];
+      sorted.forEach(word => {
+        const previous = phrases[phrases.length - 1];
+        const last = previous?.[previous.length - 1];
+        // A control between two words separates them too
+        const separated = last && controls.some(control =>
+          control.position.x >= last.position.x + last.position.width - 1 && control.position.x <= word.position.x &&
+          containsCentre({ ...control.position, x: 0, width: Infinity }, word.position)
+        );
+        if (last && !separated && word.position.x - (last.position.x + last.position.width) <= height * this.options.phraseGap) {
+          previous.push(word);
+        } else {
+          phrases.push([word]);
+        }
+      });
+
+      return phrases.map(phraseWords => ({
+        text: phraseWords.map(word => word.text.trim()).join(' '),
+        confidence: phraseWords.reduce((sum, word) => sum + (word.confidence || 0), 0) / phraseWords.length,
+        position: unionBoxes(phraseWords.map(word => word.position)),
+        used: false
+      }));
+    });
+  }
+
+  /**
+   * Pair controls with label phrases, nearest pairs first, and gather radio buttons into
+   * one field per group
+   * @returns {Array<Object>} Fields ({ control, position, label, ... }) before naming
+   */
+  pairLabels(controls, phrases, entities) {
+    const pairs = [];
+    controls.forEach(control => {
+      phrases.forEach(phrase => {
+        const distance = this.labelDistance(control, phrase.position);
+        if (distance !== null) pairs.push({ control, phrase, distance });
+      });
+    });
+
+    const labels = new Map();
+    pairs.sort((a, b) => a.distance - b.distance).forEach(({ control, phrase }) => {
+      if (labels.has(control) || phrase.used) return;
+      labels.set(control, phrase);
+      phrase.used = true;
+    });
+
+    const fields = controls
+      .filter(control => control.control !== 'radio')
+      .map(control => this.createField(control, labels.get(control), entities));
+
+    this.groupRadios(controls.filter(control => control.control === 'radio')).forEach(group => {
+      const options = group.map(radio => ({ radio, label: labels.get(radio) }));
+      const position = unionBoxes(group.map(radio => radio.position));
+      const label = this.findGroupLabel(position, phrases);
+      const checked = options.find(option => option.radio.checked);
+
+      fields.push({
+        ...this.createField({ control: 'radio', position, confidence: mean(group.map(radio => radio.confidence)) }, label, entities),
+        options: options.map((option, index) => option.label?.text || `Option ${index + 1}`),
+        default: checked ? checked.label?.text || null : null,
+        option_positions: options.map(option => option.label ? unionBoxes([option.radio.position, option.label.position]) : option.radio.position)
+      });
+    });
+
+    return fields;
+  }
+
+  /**
+   * How far a phrase is from where a control's label goes, or null if it is not there:
+   * left on the same row or just above for text controls, right on the same row for
+   * checkboxes and radio buttons
+   */
+  labelDistance(control, label) {
+    const box = control.position;
+    const centreY = label.y + label.height / 2;
+    const sameRow = centreY >= box.y - label.height / 2 && centreY <= box.y + box.height + label.height / 2;
+
+    if (control.control === 'checkbox' || control.control === 'radio') {
+      const gap = label.x - (box.x + box.width);
+      return sameRow && gap >= -2 && gap <= Math.max(24, box.width * 3) ? gap : null;
+    }
+
+    const leftGap = box.x - (label.x + label.width);
+    if (sameRow && leftGap >= -2 && leftGap <= this.options.maxLabelGap) return leftGap / 2;
+
+    const aboveGap = box.y - (label.y + label.height);
+    const aligned = label.x < box.x + box.width && Math.abs(label.x - box.x) <= Math.max(box.width * 0.25, label.height * 2);
+    if (aligned && aboveGap >= -2 && aboveGap <= Math.max(24, label.height * 2)) return aboveGap;
+
+    return null;
+  }
+
+  /**
+   * Radio buttons in one column or row with little space between them
+   */
+  groupRadios(radios) {
+    const groups = [];
+    [...radios].sort((a, b) => a.position.y - b.position.y || a.position.x - b.position.x).forEach(radio => {
+      const size = Math.max(radio.position.height, 16);
+      const group = groups.find(candidates => candidates.some(other => {
+        const sameColumn = Math.abs(other.position.x - radio.position.x) <= size / 2 &&
+          Math.abs(other.position.y - radio.position.y) <= size * 3;
+        const sameRow = Math.abs(other.position.y - radio.position.y) <= size / 2 &&
+          Math.abs(other.position.x - radio.position.x) <= this.options.maxLabelGap * 1.5;
+        return sameColumn || sameRow;
+      }));
+      if (group) group.push(radio);
+      else groups.push([radio]);
+    });
+    return groups;
+  }
+
+  /**
+   * The free phrase just above a radio group, or to the left of its first button
+   */
+  findGroupLabel(position, phrases) {
+    const candidates = phrases
+      .filter(phrase => !phrase.used)
+      .map(phrase => ({ phrase, distance: this.labelDistance({ control: 'radio_group', position }, phrase.position) }))
+      .filter(candidate => candidate.distance !== null)
+      .sort((a, b) => a.distance - b.distance);
+    if (candidates.length === 0) return null;
+
+    candidates[0].phrase.used = true;
+    return candidates[0].phrase;
+  }
+
+  /**
+   * A field from a control and its label phrase, with the required marker, placeholder
+   * and type worked out
+   */
+  createField(control, label, entities) {
+    const { text: labelText, required } = this.parseLabel(label?.text || '');
+    const field = {
+      label: labelText || null,
+      control: control.control,
+      type: this.inferType(control, labelText, entities),
+      required,
+      position: control.position,
+      confidence: Math.round(mean([control.confidence, label ? label.confidence : 0.5]) * 10000) / 10000
+    };
+
+    if (label) field.label_position = label.position;
+    if (control.placeholder) field.placeholder = control.placeholder;
+    if (control.control === 'checkbox') field.default = !!control.checked;
+    if (control.component_id) field.component_id = control.component_id;
+    return field;
+  }
+
+  /**
+   * Strip the required marker ("*", "(required)") and trailing colon from a label
+   */
+  parseLabel(text) {
+    const required = /\*|\(required\)|(?<!\bnot\s+)\brequired\b/i.test(text) && !/\(optional\)/i.test(text);
+    const label = text
+      .replace(/\((?:required|optional)\)/gi, '')
+      .replace(/\*/g, '')
+      .replace(/\s*:\s*$/, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+    return { text: label, required };
+  }
+
+  /**
+   * Field type from the control, then from its label and placeholder, then from an entity
+   * in the placeholder: "name@example.com" or "(555) 123-4567" shows the expected value
+   * @returns {string} text, email, password, phone, date, identifier, number, boolean or choice
+   */
+  inferType(control, label, entities) {
+    if (control.control === 'checkbox') return 'boolean';
+    if (control.control === 'radio') return 'choice';
+
+    const placeholder = control.placeholder || '';
+    const match = FIELD_TYPE_PATTERNS.find(({ pattern }) => pattern.test(label) || pattern.test(placeholder));
+    if (match) return match.type;
+
+    const entity = placeholder && entities.find(candidate =>
+      ENTITY_FIELD_TYPES[candidate.type] && containsCentre(control.position, candidate.position));
+    if (entity) return ENTITY_FIELD_TYPES[entity.type];
+    return control.control === 'select' ? 'choice' : 'text';
+  }
+
+  /**
+   * Attach the free phrase right below a text control (help or error text) as its description
+   */
+  attachDescriptions(fields, phrases) {
+    fields.forEach(field => {
+      if (!['text', 'select', 'textarea'].includes(field.control)) return;
+      const box = field.position;
+      const description = phrases
+        .filter(phrase => !phrase.used && !this.isButtonText(phrase.text))
+        .find(phrase => {
+          const gap = phrase.position.y - (box.y + box.height);
+          return gap >= -2 && gap <= phrase.position.height * 1.2 &&
+            Math.abs(phrase.position.x - box.x) <= Math.max(box.width * 0.1, phrase.position.height) &&
+            phrase.position.x + phrase.position.width <= box.x + box.width * 1.2;
+        });
+      if (description) {
+        field.description = description.text;
+        description.used = true;
+      }
+    });
+  }
+
+  /**
+   * Group fields whose boxes (with their labels) are within the form gap of each other and
+   * in the same frame
+   */
+  groupFields(fields, frames, formGap) {
+    const extent = field => unionBoxes([field.position, ...(field.label_position ? [field.label_position] : [])]);
+    const innermostFrame = field => frames
+      .filter(frame => containsCentre(frame, field.position))
+      .sort((a, b) => a.width * a.height - b.width * b.height)[0] || null;
+
+    const parent = fields.map((_, index) => index);
+    const find = index => {
+      let root = index;
+      while (parent[root] !== root) root = parent[root];
+      return root;
+    };
+
+    fields.forEach((field, i) => {
+      for (let j = i + 1; j < fields.length; j++) {
+        const a = extent(field);
+        const b = extent(fields[j]);
+        const gapX = Math.max(a.x, b.x) - Math.min(a.x + a.width, b.x + b.width);
+        const gapY = Math.max(a.y, b.y) - Math.min(a.y + a.height, b.y + b.height);
+        if (gapX <= formGap && gapY <= formGap && innermostFrame(field) === innermostFrame(fields[j])) {
+          parent[find(j)] = find(i);
+        }
+      }
+    });
+
+    const groups = new Map();
+    fields.forEach((field, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(field);
+    });
+    return [...groups.values()];
+  }
+
+  /**
+   * Name the fields of a form, split them into fieldsets at headings, find its submit
+   * button and build its schemas
+   */
+  createForm(formFields, phrases, buttons, formGap) {
+    // Reading order: rows top to bottom, left to right within a row
+    const fields = this.layoutAnalyzer.groupByRows(formFields).flat();
+    const extent = unionBoxes(fields.flatMap(field => [field.position, ...(field.label_position ? [field.label_position] : [])]));
+
+    const headings = this.findHeadings(fields, extent, phrases, formGap);
+    const { title, fieldsets } = this.createFieldsets(fields, headings);
+
+    const submit = buttons
+      .filter(button => !button.taken)
+      .filter(button => {
+        const below = button.position.y - (extent.y + extent.height);
+        const overlaps = button.position.x < extent.x + extent.width + formGap && button.position.x + button.position.width > extent.x - formGap;
+        return overlaps && below <= formGap && button.position.y + button.position.height > extent.y;
+      })
+      // Submit-like text first ("Save" over "Cancel"), then the lowest
+      .sort((a, b) => this.isButtonText(b.text) - this.isButtonText(a.text) || b.position.y - a.position.y)[0] || null;
+    if (submit) {
+      submit.taken = true;
+      if (submit.phrase) submit.phrase.used = true;
+    }
+
+    const names = new Set();
+    fields.forEach((field, index) => {
+      field.name = this.uniqueName(this.toName(field.label || field.placeholder || '') || `field_${index + 1}`, names);
+    });
+    fieldsets.forEach((fieldset, index) => {
+      fieldset.name = this.uniqueName(this.toName(fieldset.title) || `section_${index + 1}`, names);
+    });
+
+    const fieldsetOf = new Map();
+    fieldsets.forEach(fieldset => fieldset.fields.forEach(field => fieldsetOf.set(field, fieldset)));
+    const position = unionBoxes([extent, ...(submit ? [submit.position] : []), ...headings.map(heading => heading.position)]);
+
+    return {
+      title,
+      position,
+      confidence: Math.round(mean(fields.map(field => field.confidence)) * 10000) / 10000,
+      fields: fields.map(field => ({
+        name: field.name,
+        ...field,
+        ...(fieldsetOf.has(field) ? { fieldset: fieldsetOf.get(field).name } : {})
+      })),
+      fieldsets: fieldsets.map(fieldset => ({
+        name: fieldset.name,
+        title: fieldset.title,
+        position: fieldset.position,
+        fields: fieldset.fields.map(field => field.name)
+      })),
+      submit: submit ? { text: submit.text, position: submit.position } : null,
+      json_schema: this.toJSONSchema(title, fields, fieldsets),
+      ui_schema: this.toUISchema(fields, fieldsets)
+    };
+  }
+
+  /**
+   * Free phrases on their own row that lead into fields of the form: above its first field
+   * or between its fields, within its horizontal extent
+   */
+  findHeadings(fields, extent, phrases, formGap) {
+    const rowOverlaps = (a, b) => a.y < b.y + b.height && a.y + a.height > b.y;
+    const fieldBoxes = fields.flatMap(field => [field.position, ...(field.label_position ? [field.label_position] : [])]);
+
+    return phrases
+      .filter(phrase => !phrase.used && phrase.text.length <= 60)
+      .filter(phrase => {
+        const box = phrase.position;
+        const centreX = box.x + box.width / 2;
+        if (centreX < extent.x - formGap / 2 || centreX > extent.x + extent.width + formGap / 2) return false;
+        if (fieldBoxes.some(field => rowOverlaps(field, box))) return false;
+        // Something of the form follows within the gap
+        return fieldBoxes.some(field => field.y >= box.y + box.height && field.y - (box.y + box.height) <= formGap);
+      })
+      .map(phrase => {
+        phrase.used = true;
+        return phrase;
+      })
+      .sort((a, b) => a.position.y - b.position.y);
+  }
+
+  /**
+   * Fields after a heading belong to its fieldset. Of the headings above the first field,
+   * the top one titles the form when another heading is left to title the first fieldset,
+   * when it is set larger than the form's other headings, or when there are none.
+   */
+  createFieldsets(fields, headings) {
+    const fieldTop = field => Math.min(field.position.y, field.label_position?.y ?? Infinity);
+    const firstTop = Math.min(...fields.map(fieldTop));
+    const leading = headings.filter(heading => heading.position.y + heading.position.height <= firstTop);
+    const later = headings.filter(heading => !leading.includes(heading));
+
+    let title = null;
+    let sectionHeadings = headings;
+    const isLarger = heading => later.every(other => heading.position.height > other.position.height * 1.1);
+    if (leading.length >= 2 || (leading.length === 1 && isLarger(leading[0]))) {
+      title = this.parseLabel(leading[0].text).text;
+      sectionHeadings = headings.slice(1);
+    }
+
+    const fieldsets = sectionHeadings.map(heading => ({ title: this.parseLabel(heading.text).text, heading, fields: [] }));
+    fields.forEach(field => {
+      const fieldset = [...fieldsets].reverse().find(candidate => candidate.heading.position.y < fieldTop(field));
+      if (fieldset) fieldset.fields.push(field);
+    });
+
+    return {
+      title,
+      fieldsets: fieldsets
+        .filter(fieldset => fieldset.fields.length > 0)
+        .map(fieldset => ({
+          title: fieldset.title,
+          fields: fieldset.fields,
+          position: unionBoxes([fieldset.heading.position, ...fieldset.fields.map(field => field.position)])
+        }))
+    };
+  }
+
+  /**
+   * JSON Schema (draft-07) of a form: a property per field, those in a fieldset nested in
+   * an object property of their own
+   */
+  toJSONSchema(title, fields, fieldsets) {
+    const objectSchema = (objectTitle, objectFields) => {
+      const schema = { type: 'object' };
+      if (objectTitle) schema.title = objectTitle;
+      schema.properties = {};
+      objectFields.forEach(field => {
+        schema.properties[field.name] = this.toFieldSchema(field);
+      });
+      const required = objectFields.filter(field => field.required).map(field => field.name);
+      if (required.length > 0) schema.required = required;
+      return schema;
+    };
+
+    const inFieldset = new Set(fieldsets.flatMap(fieldset => fieldset.fields));
+    const schema = { $schema: JSON_SCHEMA_DRAFT, ...objectSchema(title, fields.filter(field => !inFieldset.has(field))) };
+    fieldsets.forEach(fieldset => {
+      schema.properties[fieldset.name] = objectSchema(fieldset.title, fieldset.fields);
+    });
+
+    // Fields and fieldsets in reading order
+    const order = this.getOrder(fields, fieldsets);
+    schema.properties = Object.fromEntries(order.map(name => [name, schema.properties[name]]));
+    return schema;
+  }
+
+  toFieldSchema(field) {
+    const schema = {};
+    switch (field.type) {
+      case 'boolean':
+        schema.type = 'boolean';
+        break;
+      case 'number':
+        schema.type = 'number';
+        break;
+      case 'email':
+        schema.type = 'string';
+        schema.format = 'email';
+        break;
+      case 'date':
+        schema.type = 'string';
+        schema.format = 'date';
+        break;
+      case 'identifier':
+        schema.type = 'string';
+        // A placeholder of digits ("12345", "1234 5678 9012 3456") shows the value is digits too
+        if (/^[\d\s-]*\d[\d\s-]*$/.test(field.placeholder || '')) schema.pattern = '^[0-9 -]+$';
+        break;
+      default:
+        schema.type = 'string';
+    }
+    if (field.label) schema.title = field.label;
+    if (field.description) schema.description = field.description;
+    if (field.options) schema.enum = field.options;
+    if (field.default !== undefined && field.default !== null) schema.default = field.default;
+    return schema;
+  }
+
+  /**
+   * UI schema: `ui:order` per level, and the widget, placeholder and input type per field
+   */
+  toUISchema(fields, fieldsets) {
+    const inFieldset = new Set(fieldsets.flatMap(fieldset => fieldset.fields));
+    const uiSchema = { 'ui:order': this.getOrder(fields, fieldsets) };
+
+    const addField = (target, field) => {
+      const entry = {};
+      const widgets = { textarea: 'textarea', select: 'select', radio: 'radio', checkbox: 'checkbox' };
+      if (field.type === 'password') entry['ui:widget'] = 'password';
+      else if (widgets[field.control]) entry['ui:widget'] = widgets[field.control];
+      if (field.type === 'phone') entry['ui:options'] = { inputType: 'tel' };
+      if (field.placeholder) entry['ui:placeholder'] = field.placeholder;
+      if (Object.keys(entry).length > 0) target[field.name] = entry;
+    };
+
+    fields.filter(field => !inFieldset.has(field)).forEach(field => addField(uiSchema, field));
+    fieldsets.forEach(fieldset => {
+      uiSchema[fieldset.name] = { 'ui:order': fieldset.fields.map(field => field.name) };
+      fieldset.fields.forEach(field => addField(uiSchema[fieldset.name], field));
+    });
+    return uiSchema;
+  }
+
+  /**
+   * Names of the top-level fields and fieldsets in reading order
+   */
+  getOrder(fields, fieldsets) {
+    const order = [];
+    fields.forEach(field => {
+      const fieldset = fieldsets.find(candidate => candidate.fields.includes(field));
+      const name = fieldset ? fieldset.name : field.name;
+      if (!order.includes(name)) order.push(name);
+    });
+    return order;
+  }
+
+  /**
+   * snake_case property name from label text
+   */
+  toName(text) {
+    const name = text
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .split('_')
+      .slice(0, 5)
+      .join('_');
+    return /^[a-z]/.test(name) ? name : '';
+  }
+
+  uniqueName(name, names) {
+    let unique = name;
+    for (let suffix = 2; names.has(unique); suffix++) unique = `${name}_${suffix}`;
+    names.add(unique);
+    return unique;
+  }
+
+  isButtonText(text) {
+    return SUBMIT_TEXT.test(text.trim());
+  }
+
+  /**
+   * Text centred in its box, as on a button (placeholders start at the left)
+   */
+  isCentred(text, box) {
+    const left = text.x - box.x;
+    const right = box.x + box.width - (text.x + text.width);
+    return left > box.height * 0.5 && Math.abs(left - right) <= box.width * 0.1;
+  }
+}
+
+module.exports = FormExtractor;
@@ -2,6 +2,8 @@ const sharp = require('sharp');
 const fs = require('fs-extra');
 const path = require('path');
 const mime = require('mime-types');
+const { clampRegion, createDeskewTransform } = require('../utils/geometry');
+const { measureCells, findDarkCells, measureOCRQuality, estimateTextHeight, otsuThreshold, invertCells, sauvolaBinarize, planOCRPreprocessing, OCR_PREPROCESSING_THRESHOLDS } = require('../utils/ocrPreprocessing');
 
 class ImageProcessor {
   constructor(options = {}) {
@@ -16,31 +18,44 @@ class ImageProcessor {
   }
 
   /**
-   * Process image file and return buffer with metadata
-   * @param {string} imagePath - Path to image file
+   * Process image and return buffer with metadata
+   * @param {string|Buffer|Object} imageInput - Image path, encoded image buffer, or
+   *   raw pixel object ({ data, width, height, channels })
+   * @param {Object} options - Processing options
+   * @param {Object} options.region - Crop {x, y, width, height} in original image coordinates,
+   *   applied before preprocessing; the clamped region is returned as `metadata.region`
+   * @param {number} options.page - Frame of an animated GIF or page of a multi-page TIFF to load
+   *   (default: the first)
    * @returns {Promise<Object>} Object with buffer and metadata
    */
-  async process(imagePath) {
+  async process(imageInput, options = {}) {
     try {
-      // Validate file exists
-      if (!await fs.pathExists(imagePath)) {
-        throw new Error(`Image file not found: ${imagePath}`);
-      }
-
-      // Get file stats
-      const stats = await fs.stat(imagePath);
-
-      // Validate file type
-      const mimeType = mime.lookup(imagePath);
-      if (!this.isSupportedImageType(mimeType)) {
-        throw new Error(`Unsupported image format: ${mimeType}`);
-      }
+      const source = await this.resolveSource(imageInput);
 
       // Load image with Sharp
-      let image = sharp(imagePath);
+      let image = options.page !== undefined
+        ? sharp(source.data, { page: options.page })
+        : sharp(source.data);
 
       // Get initial metadata
-      const metadata = await image.metadata();
+      let metadata = await image.metadata();
+      const originalMetadata = metadata;
+      let region = null;
+
+      // Crop from the full-resolution image so small regions keep their detail
+      if (options.region) {
+        region = clampRegion(options.region, metadata.width, metadata.height);
+        if (!region) {
+          const { x, y, width, height } = options.region;
+          throw new Error(`Region ${x},${y},${width}x${height} lies outside the ${metadata.width}x${metadata.height} image`);
+        }
+
+        const cropped = await image
+          .extract({ left: region.x, top: region.y, width: region.width, height: region.height })
+          .toBuffer();
+        image = sharp(cropped);
+        metadata = { ...await image.metadata(), format: originalMetadata.format };
+      }
 
       // Apply preprocessing
       image = await this.preprocess(image, metadata);
@@ -55,10 +70,12 @@ class ImageProcessor {
         buffer,
         metadata: {
           ...finalMetadata,
-          originalWidth: metadata.width,
-          originalHeight: metadata.height,
-          originalFormat: metadata.format,
-          fileSize: stats.size,
+          originalWidth: originalMetadata.width,
+          originalHeight: originalMetadata.height,
+          originalFormat: source.format || originalMetadata.format,
+          fileSize: source.size,
+          region,
+          page: options.page !== undefined ? options.page : null,
           processed: true
         }
       };
@@ -68,6 +85,68 @@ class ImageProcessor {
     }
   }
 
+  /**
+   * Read the frames of an animated GIF or the pages of a multi-page TIFF
+   * @param {string|Buffer|Object} imageInput - Image path, encoded image buffer, or raw pixel object
+   * @returns {Promise<Object>} Frame info { count, delays (ms per frame, GIF only), loop }
+   */
+  async getFrameInfo(imageInput) {
+    try {
+      const source = await this.resolveSource(imageInput);
+      const metadata = await sharp(source.data).metadata();
+
+      return {
+        count: metadata.pages || 1,
+        delays: Array.isArray(metadata.delay) ? metadata.delay : null,
+        loop: metadata.loop !== undefined ? metadata.loop : null
+      };
+    } catch (error) {
+      throw new Error(`Frame detection failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Resolve an image input into data Sharp can load
+   * @param {string|Buffer|Object} imageInput - Image path, buffer or raw pixel object
+   * @returns {Promise<Object>} Source data, size in bytes and original format
+   */
+  async resolveSource(imageInput) {
+    if (typeof imageInput === 'string') {
+      // Validate file exists
+      if (!await fs.pathExists(imageInput)) {
+        throw new Error(`Image file not found: ${imageInput}`);
+      }
+
+      // Validate file type
+      const mimeType = mime.lookup(imageInput);
+      if (!this.isSupportedImageType(mimeType)) {
+        throw new Error(`Unsupported image format: ${mimeType}`);
+      }
+
+      const stats = await fs.stat(imageInput);
+      return { data: imageInput, size: stats.size };
+    }
+
+    if (Buffer.isBuffer(imageInput)) {
+      return { data: imageInput, size: imageInput.length };
+    }
+
+    if (imageInput && imageInput.data && imageInput.width && imageInput.height) {
+      // Raw pixels have no container format, so encode losslessly before preprocessing
+      const { data, width, height } = imageInput;
+      const channels = imageInput.channels || 4;
+      const encoded = await sharp(Buffer.from(data.buffer, data.byteOffset, data.byteLength), {
+        raw: { width, height, channels }
+      })
+        .png()
+        .toBuffer();
+
+      return { data: encoded, size: data.byteLength, format: 'raw' };
+    }
+
+    throw new Error('Unsupported image input type');
+  }
+
   /**
    * Preprocess image for optimal analysis
    * @param {Sharp} image - Sharp image instance
@@ -208,6 +287,139 @@ class ImageProcessor {
     }
   }
 
+  /**
+   * Adaptively prepare an image for OCR: invert light-on-dark areas, correct skew, upscale
+   * small text and binarize uneven lighting, each only when assessQuality() calls for it
+   * @param {Buffer} imageBuffer - Image buffer
+   * @param {Object} options - Preparation options
+   * @param {string|Object} options.steps - 'auto', or {invert, deskew, upscale, binarize} each
+   *   true (always), false (never) or 'auto' (default)
+   * @param {number} options.maxPixels - Upscaling stops at this many pixels (default: 25 megapixels)
+   * @returns {Promise<Object>} { buffer, preprocessing: { steps, metrics }, transform } where
+   *   `transform` maps OCR coordinates back to the input image (null if they are unchanged)
+   */
+  async prepareForOCR(imageBuffer, options = {}) {
+    const { steps = 'auto', maxPixels = 25000000 } = options;
+
+    try {
+      let image = await this.readGrayscale(imageBuffer);
+      const original = { width: image.width, height: image.height };
+      const quality = await this.assessQuality(imageBuffer, { image });
+      const metrics = quality.ocr;
+      const plan = planOCRPreprocessing(quality, steps);
+      const applied = [];
+      let angle = 0;
+      let scale = 1;
+
+      if (plan.invert) {
+        const grid = measureCells(image);
+        image = invertCells(image, grid, findDarkCells(grid));
+        applied.push({ step: 'invert', coverage: metrics.dark_coverage });
+      }
+
+      if (plan.deskew !== null) {
+        angle = plan.deskew;
+        image = await this.toRawGrayscale(sharp(this.fromRawGrayscale(image)).rotate(-angle, { background: '#ffffff' }));
+        applied.push({ step: 'deskew', angle });
+      }
+
+      // Rotated canvas size; OCR coordinates are mapped back through it
+      const rotated = { width: image.width, height: image.height };
+
+      // Text measured on a skewed image looks taller than it is, so measure it again
+      let upscale = plan.upscale;
+      if (angle !== 0 && upscale !== null) {
+        const textHeight = estimateTextHeight(image, otsuThreshold(image.data));
+        upscale = planOCRPreprocessing({ ...quality, ocr: { ...metrics, skew_angle: 0, text_height: textHeight } }, steps).upscale;
+      }
+      if (upscale !== null) {
+        const width = Math.round(image.width * Math.min(upscale, Math.sqrt(maxPixels / (image.width * image.height))));
+        if (width > image.width) {
+          scale = width / image.width;
+          image = await this.toRawGrayscale(sharp(this.fromRawGrayscale(image))
+            .resize(width, Math.round(image.height * scale), { kernel: 'lanczos3' }));
+          applied.push({ step: 'upscale', scale: Math.round(scale * 100) / 100 });
+        }
+      }
+
+      if (plan.binarize) {
+        // Window of about two text lines, odd so it centres on the pixel
+        const textHeight = (metrics.text_height || OCR_PREPROCESSING_THRESHOLDS.minTextHeight) * scale;
+        const windowSize = Math.max(15, Math.round(textHeight * 2)) | 1;
+        const k = 0.34;
+        image = sauvolaBinarize(image, { windowSize, k });
+        applied.push({ step: 'binarize', method: 'sauvola', window: windowSize, k });
+      }
+
+      const buffer = applied.length > 0
+        ? await sharp(this.fromRawGrayscale(image)).png().toBuffer()
+        : imageBuffer;
+
+      return {
+        buffer,
+        preprocessing: { steps: applied, metrics },
+        transform: angle !== 0 || scale !== 1 ? createDeskewTransform(angle, original, rotated, scale) : null
+      };
+    } catch (error) {
+      throw new Error(`OCR preprocessing failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decode an image to 8-bit grayscale pixels
+   * @param {Buffer} imageBuffer - Image buffer
+   * @returns {Promise<Object>} { data, width, height }
+   */
+  readGrayscale(imageBuffer) {
+    return this.toRawGrayscale(sharp(imageBuffer).removeAlpha());
+  }
+
+  async toRawGrayscale(pipeline) {
+    const { data, info } = await pipeline
+      .grayscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    // Grayscale output can still carry extra channels (e.g. a rotation background); keep the first
+    if (info.channels === 1) {
+      return { data: new Uint8Array(data.buffer, data.byteOffset, data.length), width: info.width, height: info.height };
+    }
+    const gray = new Uint8Array(info.width * info.height);
+    for (let i = 0; i < gray.length; i++) gray[i] = data[i * info.channels];
+    return { data: gray, width: info.width, height: info.height };
+  }
+
+  /**
+   * Decode an image to 8-bit sRGB pixels
+   * @param {Buffer} imageBuffer - Image buffer
+   * @returns {Promise<Object>} { data, width, height } with 3 bytes per pixel
+   */
+  async readRGB(imageBuffer) {
+    const { data, info } = await sharp(imageBuffer)
+      .removeAlpha()
+      .toColourspace('srgb')
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+
+    // Single-channel images stay single-channel through toColourspace(), so expand them
+    if (info.channels === 3) {
+      return { data: new Uint8Array(data.buffer, data.byteOffset, data.length), width: info.width, height: info.height };
+    }
+    const rgb = new Uint8Array(info.width * info.height * 3);
+    for (let i = 0; i < info.width * info.height; i++) {
+      rgb[i * 3] = data[i * info.channels];
+      rgb[i * 3 + 1] = data[i * info.channels + Math.min(1, info.channels - 1)];
+      rgb[i * 3 + 2] = data[i * info.channels + Math.min(2, info.channels - 1)];
+    }
+    return { data: rgb, width: info.width, height: info.height };
+  }
+
+  fromRawGrayscale(image) {
+    return sharp(Buffer.from(image.data.buffer, image.data.byteOffset, image.data.length), {
+      raw: { width: image.width, height: image.height, channels: 1 }
+    });
+  }
+
   /**
    * Get image dominant color
    * @param {Buffer} imageBuffer - Image buffer
@@ -280,35 +492,25 @@ class ImageProcessor {
   /**
    * Split image into grid regions
    * @param {Buffer} imageBuffer - Image buffer
-   * @param {Object} grid - Grid configuration {rows, cols}
+   * @param {Object} grid - Grid configuration {rows, cols, overlap}
    * @returns {Promise<Array>} Array of region buffers with coordinates
    */
   async splitIntoGrid(imageBuffer, grid = { rows: 3, cols: 3 }) {
     try {
       const metadata = await sharp(imageBuffer).metadata();
-      const cellWidth = Math.floor(metadata.width / grid.cols);
-      const cellHeight = Math.floor(metadata.height / grid.rows);
+      const cells = this.planGrid(metadata.width, metadata.height, grid);
 
       const regions = [];
 
-      for (let row = 0; row < grid.rows; row++) {
-        for (let col = 0; col < grid.cols; col++) {
-          const x = col * cellWidth;
-          const y = row * cellHeight;
+      for (const cell of cells) {
+        const position = { x: cell.x, y: cell.y, width: cell.width, height: cell.height };
+        const regionBuffer = await this.extractRegion(imageBuffer, position);
 
-          const regionBuffer = await this.extractRegion(imageBuffer, {
-            x,
-            y,
-            width: cellWidth,
-            height: cellHeight
-          });
-
-          regions.push({
-            buffer: regionBuffer,
-            position: { x, y, width: cellWidth, height: cellHeight },
-            gridIndex: { row, col }
-          });
-        }
+        regions.push({
+          buffer: regionBuffer,
+          position,
+          gridIndex: { row: cell.row, col: cell.col }
+        });
       }
 
       return regions;
@@ -317,15 +519,93 @@ class ImageProcessor {
     }
   }
 
+  /**
+   * Plan grid cell positions without extracting them
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {Object} grid - Grid configuration {rows, cols, overlap}; `overlap` is the number
+   *   of pixels shared by neighbouring cells
+   * @returns {Array} Cells {x, y, width, height, row, col}
+   */
+  planGrid(width, height, grid = { rows: 3, cols: 3 }) {
+    const overlap = grid.overlap || 0;
+
+    const axis = (length, count) => {
+      if (!overlap) {
+        const size = Math.floor(length / count);
+        return Array.from({ length: count }, (_, index) => ({ start: index * size, size }));
+      }
+
+      // Cells share `overlap` pixels; the last cell is aligned to the image edge
+      const size = Math.min(length, Math.ceil((length + (count - 1) * overlap) / count));
+      return Array.from({ length: count }, (_, index) => ({
+        start: Math.min(index * (size - overlap), length - size),
+        size
+      }));
+    };
+
+    const columns = axis(width, grid.cols);
+    const rows = axis(height, grid.rows);
+    const cells = [];
+
+    rows.forEach((rowSpan, row) => {
+      columns.forEach((colSpan, col) => {
+        cells.push({
+          x: colSpan.start,
+          y: rowSpan.start,
+          width: colSpan.size,
+          height: rowSpan.size,
+          row,
+          col
+        });
+      });
+    });
+
+    return cells;
+  }
+
+  /**
+   * Plan overlapping tiles that cover an image at full resolution
+   * @param {number} width - Image width
+   * @param {number} height - Image height
+   * @param {Object} options - Tiling options
+   * @param {number} options.tileWidth - Maximum tile width (default: maxWidth)
+   * @param {number} options.tileHeight - Maximum tile height (default: maxHeight)
+   * @param {number} options.overlap - Pixels shared by neighbouring tiles (default: 128)
+   * @returns {Array} Tiles {x, y, width, height, row, col}
+   */
+  planTiles(width, height, options = {}) {
+    const tileWidth = options.tileWidth || this.options.maxWidth;
+    const tileHeight = options.tileHeight || this.options.maxHeight;
+    // Overlap must leave each tile some new content
+    const overlap = Math.min(
+      options.overlap !== undefined ? options.overlap : 128,
+      Math.floor(Math.min(tileWidth, tileHeight) / 2)
+    );
+
+    const count = (length, tile) => length <= tile ? 1 : Math.ceil((length - overlap) / (tile - overlap));
+
+    return this.planGrid(width, height, {
+      rows: count(height, tileHeight),
+      cols: count(width, tileWidth),
+      overlap
+    });
+  }
+
+
   /**
    * Detect image quality issues
    * @param {Buffer} imageBuffer - Image buffer
-   * @returns {Promise<Object>} Quality assessment
+   * @param {Object} options - Assessment options
+   * @param {Object} options.image - The image already decoded by readGrayscale(), to skip decoding it again
+   * @returns {Promise<Object>} Quality assessment; `ocr` holds the text metrics OCR
+   *   preprocessing is planned from (skew_angle, text_height, dark_coverage, lighting_variation, contrast)
    */
-  async assessQuality(imageBuffer) {
+  async assessQuality(imageBuffer, options = {}) {
     try {
       const metadata = await sharp(imageBuffer).metadata();
       const stats = await sharp(imageBuffer).stats();
+      const ocr = measureOCRQuality(options.image || await this.readGrayscale(imageBuffer));
 
       const quality = {
         resolution: {
@@ -342,6 +622,7 @@ class ImageProcessor {
           mean: stats.channels[0].mean,
           rating: this.rateBrightness(stats.channels[0].mean)
         },
+        ocr,
         overall_quality: 'good' // Simplified assessment
       };
 
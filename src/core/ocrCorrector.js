@@ -0,0 +1,327 @@
+const { getBox } = require('../utils/geometry');
+const { assignStableIds, getIdPrefix } = require('../utils/stableId');
+const { getVocabularyTerms } = require('../utils/vocabulary');
+const { containsCentre } = require('../utils/textExtraction');
+
+// Characters and sequences OCR mistakes for one another (compared in lower case)
+const CONFUSION_PAIRS = [
+  ['0', 'o'], ['1', 'l'], ['1', 'i'], ['l', 'i'], ['|', 'l'], ['|', 'i'], ['!', 'l'],
+  ['5', 's'], ['8', 'b'], ['2', 'z'], ['rn', 'm'], ['vv', 'w'], ['cl', 'd']
+];
+
+/**
+ * Corrects OCR text against a custom vocabulary.
+ *
+ * Only words Tesseract was unsure of are corrected: words read below the confidence
+ * threshold, and never read confidently elsewhere on the page. Each is compared with the
+ * vocabulary words of the extraction's language using an edit distance in which the usual
+ * OCR confusions (0/O, 1/l/I, rn/m, ...) cost a quarter of other edits. A word within the
+ * allowed distance of exactly one vocabulary word is replaced by it; a tie leaves the word
+ * as read. Corrected items keep `original_text`.
+ */
+class OCRCorrector {
+  /**
+   * @param {Object} vocabulary - Loaded vocabulary (see loadVocabulary())
+   * @param {Object} options - Options
+   * @param {number} options.maxCorrectionDistance - Largest edit distance corrected, OCR confusions counting 0.25 (default: 2)
+   * @param {number} options.ocrCorrectionThreshold - Only words below this confidence (0-1) are corrected (default: 0.8)
+   * @param {boolean} options.ocrCaseCorrection - Also give vocabulary words the vocabulary's capitals (default: false)
+   */
+  constructor(vocabulary, options = {}) {
+    this.vocabulary = vocabulary || { terms: [], languages: {} };
+    this.options = {
+      maxDistance: options.maxCorrectionDistance ?? 2,
+      threshold: options.ocrCorrectionThreshold ?? 0.8,
+      caseCorrection: options.ocrCaseCorrection || false,
+      confusionCost: 0.25,
+      distancePerCharacter: 0.15, // Allowed distance grows with word length, up to maxDistance
+      minLength: 3 // Shorter words are too ambiguous to correct
+    };
+
+    this.singleConfusions = new Set();
+    this.sequenceConfusions = [];
+    CONFUSION_PAIRS.forEach(([a, b]) => {
+      if (a.length === 1 && b.length === 1) {
+        this.singleConfusions.add(a + b).add(b + a);
+      } else {
+        this.sequenceConfusions.push([a, b], [b, a]);
+      }
+    });
+
+    // language -> Map of lower-case word -> vocabulary word
+    this.dictionaries = new Map();
+  }
+
+  /**
+   * Check whether any vocabulary terms are configured
+   * @returns {boolean} Whether correction can change anything
+   */
+  hasVocabulary() {
+    return this.vocabulary.terms.length > 0 ||
+      Object.values(this.vocabulary.languages).some(terms => terms.length > 0);
+  }
+
+  /**
+   * Correct the text of a normalized extraction
+   * @param {Object} extraction - Normalized text extraction (see normalizeTextExtraction())
+   * @param {Object} options - Options
+   * @param {Object} options.frame - Image size ({ width, height }) that scopes stable IDs
+   * @returns {Object} Extraction with corrected text and a `corrections` list
+   *   ({ original, corrected, distance, reason, confidence, position })
+   */
+  correct(extraction, options = {}) {
+    const { frame = {} } = options;
+    const dictionary = this.getDictionary(extraction.language);
+    if (dictionary.size === 0) return { ...extraction, corrections: [] };
+
+    const uncertain = this.getUncertainWords(extraction);
+    const correctText = text => this.correctText(text, dictionary, uncertain).text;
+    const correctItem = item => {
+      const text = correctText(item.text);
+      return text === item.text ? item : { ...item, text, original_text: item.text };
+    };
+
+    // Corrections are reported per line, positioned at the corrected word when it is known
+    const corrections = extraction.lines.length > 0
+      ? extraction.lines.flatMap(line => this.locateCorrections(line, extraction.words, dictionary, uncertain))
+      : extraction.words.flatMap(word => this.locateCorrections(word, [], dictionary, uncertain));
+
+    const corrected = {
+      ...extraction,
+      raw_text: correctText(extraction.raw_text),
+      structured_text: extraction.structured_text.map(element => {
+        const item = correctItem(element);
+        return Array.isArray(element.words) ? { ...item, words: element.words.map(correctItem) } : item;
+      }),
+      words: extraction.words.map(correctItem),
+      lines: extraction.lines.map(correctItem),
+      paragraphs: extraction.paragraphs.map(correctItem),
+      blocks: extraction.blocks.map(correctItem),
+      corrections
+    };
+    if (typeof extraction.processed_text === 'string') corrected.processed_text = correctText(extraction.processed_text);
+
+    if (corrections.length > 0) {
+      corrected.structured_text = assignStableIds(corrected.structured_text, element => getIdPrefix(element.id), frame);
+    }
+    return corrected;
+  }
+
+  /**
+   * Words that may be corrected: those read below the threshold, unless the same word was
+   * also read above it. Words come with their own confidence; words only found in a line's
+   * text (OCR drops the least confident words) come with the line's.
+   * @returns {Set<string>} Words, without surrounding punctuation
+   */
+  getUncertainWords(extraction) {
+    const uncertain = new Set();
+    const confident = new Set();
+    const wordsOf = item => (item.text.match(/\S+/g) || []).map(token => splitToken(token).word);
+    const add = (word, confidence) => (confidence < this.options.threshold ? uncertain : confident).add(word);
+
+    const read = new Set();
+    extraction.words.forEach(item => wordsOf(item).forEach(word => {
+      read.add(word);
+      add(word, item.confidence);
+    }));
+    extraction.lines.forEach(line => wordsOf(line)
+      .filter(word => !read.has(word))
+      .forEach(word => add(word, line.confidence)));
+
+    confident.forEach(word => uncertain.delete(word));
+    return uncertain;
+  }
+
+  /**
+   * Correct the uncertain words of a text
+   * @param {string} text - Text to correct
+   * @param {Map} dictionary - Lower-case word -> vocabulary word (see getDictionary())
+   * @param {Set<string>} uncertain - Words that may be corrected (see getUncertainWords())
+   * @returns {Object} { text, corrections } where corrections are { original, corrected, distance, reason }
+   */
+  correctText(text, dictionary, uncertain) {
+    const corrections = [];
+    if (typeof text !== 'string') return { text, corrections };
+
+    const corrected = text.replace(/\S+/g, token => {
+      const { leading, word, trailing } = splitToken(token);
+      const correction = this.correctWord(word, dictionary, uncertain);
+      if (!correction) return token;
+
+      corrections.push(correction);
+      return leading + correction.corrected + trailing;
+    });
+    return { text: corrected, corrections };
+  }
+
+  /**
+   * Find the vocabulary word a word was most likely meant to be
+   * @returns {Object|null} { original, corrected, distance, reason }, or null to keep the word
+   */
+  correctWord(word, dictionary, uncertain) {
+    if (word.length < this.options.minLength || !/\p{L}/u.test(word)) return null;
+
+    const lower = word.toLowerCase();
+    const exact = dictionary.get(lower);
+    if (exact) {
+      if (!this.options.caseCorrection) return null;
+      const corrected = this.matchCase(exact, word);
+      return corrected === word ? null : { original: word, corrected, distance: 0, reason: 'case' };
+    }
+    if (!uncertain.has(word)) return null;
+
+    const allowed = Math.min(this.options.maxDistance, word.length * this.options.distancePerCharacter);
+    // Every edit that changes the length costs at least a confusion
+    const maxLengthChange = Math.floor(allowed / this.options.confusionCost);
+    let best = null;
+    let tied = false;
+
+    for (const [candidate, term] of dictionary) {
+      if (Math.abs(candidate.length - lower.length) > maxLengthChange) continue;
+
+      const { distance, edits } = this.distance(lower, candidate, allowed);
+      if (distance > allowed) continue;
+      if (!best || distance < best.distance) {
+        best = { term, distance, edits };
+        tied = false;
+      } else if (distance === best.distance) {
+        tied = true;
+      }
+    }
+    if (!best || tied) return null;
+
+    return {
+      original: word,
+      corrected: this.matchCase(best.term, word),
+      distance: best.distance,
+      reason: best.edits === 0 ? 'confusion' : 'edit'
+    };
+  }
+
+  /**
+   * Weighted Damerau-Levenshtein distance in which OCR confusions are cheap
+   * @param {string} source - Word as read (lower case)
+   * @param {string} target - Vocabulary word (lower case)
+   * @param {number} limit - Stop early once every path costs more than this
+   * @returns {Object} { distance, edits } where edits counts the non-confusion edits of the cheapest path
+   */
+  distance(source, target, limit = Infinity) {
+    const columns = target.length + 1;
+    const cost = new Float64Array((source.length + 1) * columns);
+    const edits = new Uint16Array((source.length + 1) * columns);
+    const at = (i, j) => i * columns + j;
+    const { confusionCost } = this.options;
+
+    for (let j = 1; j <= target.length; j++) {
+      cost[at(0, j)] = j;
+      edits[at(0, j)] = j;
+    }
+
+    let previousMinimum = 0;
+    for (let i = 1; i <= source.length; i++) {
+      cost[at(i, 0)] = i;
+      edits[at(i, 0)] = i;
+      let rowMinimum = cost[at(i, 0)];
+
+      for (let j = 1; j <= target.length; j++) {
+        let best = cost[at(i - 1, j)] + 1;
+        let bestEdits = edits[at(i - 1, j)] + 1;
+        const consider = (value, valueEdits) => {
+          if (value < best || (value === best && valueEdits < bestEdits)) {
+            best = value;
+            bestEdits = valueEdits;
+          }
+        };
+
+        consider(cost[at(i, j - 1)] + 1, edits[at(i, j - 1)] + 1);
+
+        const pair = source[i - 1] + target[j - 1];
+        if (source[i - 1] === target[j - 1]) {
+          consider(cost[at(i - 1, j - 1)], edits[at(i - 1, j - 1)]);
+        } else if (this.singleConfusions.has(pair)) {
+          consider(cost[at(i - 1, j - 1)] + confusionCost, edits[at(i - 1, j - 1)]);
+        } else {
+          consider(cost[at(i - 1, j - 1)] + 1, edits[at(i - 1, j - 1)] + 1);
+        }
+
+        for (const [from, to] of this.sequenceConfusions) {
+          if (i >= from.length && j >= to.length &&
+              source.endsWith(from, i) && target.endsWith(to, j)) {
+            const previous = at(i - from.length, j - to.length);
+            consider(cost[previous] + confusionCost, edits[previous]);
+          }
+        }
+
+        if (i > 1 && j > 1 && source[i - 1] === target[j - 2] && source[i - 2] === target[j - 1]) {
+          consider(cost[at(i - 2, j - 2)] + 1, edits[at(i - 2, j - 2)] + 1);
+        }
+
+        cost[at(i, j)] = best;
+        edits[at(i, j)] = bestEdits;
+        rowMinimum = Math.min(rowMinimum, best);
+      }
+
+      // Confusions such as rn/m span two rows, so both rows must exceed the limit
+      if (Math.min(rowMinimum, previousMinimum) > limit) return { distance: Infinity, edits: Infinity };
+      previousMinimum = rowMinimum;
+    }
+
+    return { distance: cost[at(source.length, target.length)], edits: edits[at(source.length, target.length)] };
+  }
+
+  /**
+   * Give a vocabulary word the case of the word it replaces, unless the vocabulary
+   * spells it with capitals (e.g. brand names)
+   */
+  matchCase(term, word) {
+    if (/\p{Lu}/u.test(term)) return term;
+
+    const letters = word.replace(/[^\p{L}]/gu, '');
+    if (letters.length > 1 && letters === letters.toUpperCase()) return term.toUpperCase();
+    if (/^\p{Lu}/u.test(word)) return term.charAt(0).toUpperCase() + term.slice(1);
+    return term;
+  }
+
+  /**
+   * Corrections of one line (or word), with the position and confidence of the corrected word
+   */
+  locateCorrections(item, words, dictionary, uncertain) {
+    const lineBox = getBox(item);
+    const unused = words.filter(word => {
+      const box = getBox(word);
+      return lineBox && box && containsCentre(lineBox, box);
+    });
+
+    return this.correctText(item.text, dictionary, uncertain).corrections.map(correction => {
+      const index = unused.findIndex(word => word.text.includes(correction.original));
+      const word = index >= 0 ? unused.splice(index, 1)[0] : item;
+      return { ...correction, confidence: word.confidence, position: word.position };
+    });
+  }
+
+  /**
+   * Lower-case vocabulary words of a language, mapped to their spelling in the vocabulary
+   */
+  getDictionary(language) {
+    if (!this.dictionaries.has(language)) {
+      const dictionary = new Map();
+      getVocabularyTerms(this.vocabulary, language)
+        .flatMap(term => term.split(' '))
+        .forEach(word => {
+          if (!dictionary.has(word.toLowerCase())) dictionary.set(word.toLowerCase(), word);
+        });
+      this.dictionaries.set(language, dictionary);
+    }
+    return this.dictionaries.get(language);
+  }
+}
+
+/**
+ * Split a token into the word and the punctuation around it
+ */
+function splitToken(token) {
+  const [, leading, word, trailing] = token.match(/^([^\p{L}\p{N}|!]*)(.*?)([^\p{L}\p{N}]*)$/u);
+  return { leading, word, trailing };
+}
+
+module.exports = OCRCorrector;
@@ -1,34 +1,91 @@
 const Tesseract = require('tesseract.js');
 const chalk = require('chalk');
+const OCRScheduler = require('./ocrScheduler');
+const { isAbortError, throwIfAborted } = require('../utils/abort');
+const { measure } = require('../utils/profiler');
 
 class OCREngine {
+  /**
+   * @param {Object} options - Engine options
+   * @param {OCRScheduler} options.scheduler - Worker pool to share with other engines; by default the
+   *   engine creates its own from `ocrWorkers`, `ocrIdleTimeout`, `langPath`, `cachePath` and `tesseractConfig`
+   * @param {string} options.langPath - Local directory with .traineddata files; nothing is downloaded
+   * @param {string} options.cachePath - Directory where Tesseract caches language data
+   */
   constructor(options = {}) {
     this.language = options.language || 'eng';
+    this.ocrLogger = options.ocrLogger || null;
     this.config = {
-      logger: options.verbose ? m => console.log(chalk.blue(`OCR: ${m.status} - ${m.progress}%`)) : () => {},
-      ...options.tesseractConfig
+      logger: m => {
+        if (options.verbose) console.log(chalk.blue(`OCR: ${m.status} - ${m.progress}%`));
+        if (this.ocrLogger) this.ocrLogger({ ...m, language: this.language });
+      }
     };
+    this.scheduler = options.scheduler || new OCRScheduler({
+      workersPerLanguage: options.ocrWorkers,
+      idleTimeout: options.ocrIdleTimeout,
+      workerOptions: { ...options.tesseractConfig, langPath: options.langPath, cachePath: options.cachePath }
+    });
   }
 
   /**
    * Extract text from image with position and confidence data
    * @param {string|Buffer} image - Image path or buffer
-   * @param {Object} options - OCR options
+   * @param {Object} options - OCR options; other keys are passed to worker.recognize() (e.g. rectangle)
+   * @param {AbortSignal} options.signal - Aborting terminates the Tesseract worker running the job
+   * @param {Array<string>} options.pageSegModes - Tesseract page segmentation modes to try;
+   *   each runs one recognition pass and the most confident pass is kept
+   * @param {Profiler} options.profiler - Span that receives the wait for a worker and each pass
    * @returns {Promise<Object>} OCR result with structured text data
    */
   async extractText(image, options = {}) {
+    const { signal, pageSegModes = [], profiler = null, ...recognizeOptions } = options;
+
     try {
-      const result = await Tesseract.recognize(image, this.language, {
-        ...this.config,
-        ...options
-      });
+      throwIfAborted(signal);
+
+      return await this.scheduler.run(this.language, async worker => {
+        let best = null;
+        let bestMode = null;
+        for (const mode of pageSegModes.length > 0 ? pageSegModes : [null]) {
+          const result = await measure(profiler, mode !== null ? `recognize_psm_${mode}` : 'recognize', async () => {
+            await worker.setParameters({ tessedit_pageseg_mode: String(mode ?? Tesseract.PSM.SINGLE_BLOCK) });
+            return worker.recognize(image, recognizeOptions);
+          });
+          if (!best || result.data.confidence > best.data.confidence) {
+            best = result;
+            bestMode = mode;
+          }
+        }
 
-      return this.processOCRResult(result.data);
+        return {
+          ...this.processOCRResult(best.data),
+          processing_stats: { page_seg_mode: bestMode, passes: Math.max(pageSegModes.length, 1) }
+        };
+      }, { signal, logger: this.config.logger, profiler });
     } catch (error) {
+      if (isAbortError(error)) throw error;
       throw new Error(`OCR extraction failed: ${error.message}`);
     }
   }
 
+  /**
+   * Start pooled workers for the engine language ahead of the first job
+   * @param {number} count - Workers to start (default: the pool size)
+   * @returns {Promise<void>}
+   */
+  async warmUp(count) {
+    await this.scheduler.warmUp(this.language, count);
+  }
+
+  /**
+   * Terminate pooled workers
+   * @returns {Promise<void>}
+   */
+  async cleanup() {
+    await this.scheduler.cleanup();
+  }
+
   /**
    * Process raw OCR result into structured format
    * @param {Object} data - Raw Tesseract result
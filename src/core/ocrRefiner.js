@@ -0,0 +1,240 @@
+const Tesseract = require('tesseract.js');
+const { clampRegion, getBox, mapGeometry } = require('../utils/geometry');
+const { isAbortError, throwIfAborted } = require('../utils/abort');
+const { measure } = require('../utils/profiler');
+const { assignStableIds, getIdPrefix } = require('../utils/stableId');
+const { toUnitConfidence, normalizeTextItem, containsCentre } = require('../utils/textExtraction');
+
+/**
+ * Re-recognizes low-confidence text lines with alternative settings.
+ *
+ * A line is refined when its confidence, or that of a word on it, is below the threshold.
+ * The line is cropped and read again with other page segmentation modes, a larger scale,
+ * inverted, and in alternate languages, stopping early once a reading is confident enough.
+ * The most confident reading is kept and the others are listed in `alternatives`.
+ */
+class OCRRefiner {
+  /**
+   * @param {OCRScheduler} scheduler - Worker pool that runs the attempts
+   * @param {ImageProcessor} imageProcessor - Decodes the image
+   * @param {Object} options - Options
+   * @param {number} options.ocrRefinementThreshold - Lines and words below this confidence (0-1) are refined (default: 0.6)
+   * @param {number} options.maxRefinedLines - Most lines refined per image, least confident first (default: 20)
+   * @param {Array<string>} options.ocrRefinementLanguages - Alternate languages to try
+   */
+  constructor(scheduler, imageProcessor, options = {}) {
+    this.scheduler = scheduler;
+    this.imageProcessor = imageProcessor;
+    this.options = {
+      threshold: options.ocrRefinementThreshold ?? 0.6,
+      maxLines: options.maxRefinedLines || 20,
+      languages: options.ocrRefinementLanguages || [],
+      targetConfidence: 0.85, // Stop trying alternatives for a line at this confidence
+      targetHeight: 40 // Crops are scaled so the line is about this tall
+    };
+  }
+
+  /**
+   * Refine the low-confidence lines of a text extraction
+   * @param {Object} extraction - Normalized text extraction (see normalizeTextExtraction())
+   * @param {Buffer} buffer - Image the extraction's positions refer to
+   * @param {Object} options - Options
+   * @param {Object} options.frame - Image size ({ width, height }) that scopes stable IDs
+   * @param {AbortSignal} options.signal - Stops refining when aborted
+   * @param {Profiler} options.profiler - Span that receives one child span per refined line
+   * @returns {Promise<Object>} Extraction with refined lines and a `refinement` summary
+   */
+  async refine(extraction, buffer, options = {}) {
+    const { frame = {}, signal, profiler = null } = options;
+    const words = extraction.words.map(word => ({ word, box: getBox(word) }));
+    const wordsOf = line => words.filter(({ box }) => box && containsCentre(line.position, box)).map(({ word }) => word);
+
+    const candidates = extraction.lines
+      .map((line, index) => ({ line, index, confidence: Math.min(line.confidence, ...wordsOf(line).map(word => word.confidence)) }))
+      .filter(candidate => candidate.confidence < this.options.threshold)
+      .sort((a, b) => a.confidence - b.confidence)
+      .slice(0, this.options.maxLines);
+    // Counts end in _count so tiled analysis adds them up across tiles
+    const summary = { threshold: this.options.threshold, refined_count: candidates.length, improved_count: 0, attempt_count: 0 };
+    if (candidates.length === 0) return { ...extraction, refinement: summary };
+
+    const image = await this.imageProcessor.readGrayscale(buffer);
+    const language = extraction.language;
+
+    const refinements = await Promise.all(candidates.map(({ line, index }) =>
+      measure(profiler, `line_${index}`, () => this.refineLine(image, line, language, signal))
+    ));
+
+    let result = { ...extraction, lines: [...extraction.lines] };
+    candidates.forEach(({ line, index }, position) => {
+      const { best, readings } = refinements[position];
+      summary.attempt_count += readings.length - 1;
+
+      const alternatives = readings
+        .filter(reading => reading !== best)
+        .sort((a, b) => b.confidence - a.confidence)
+        .map(({ words: _words, ...reading }) => reading);
+      result.lines[index] = { ...line, text: best.text, confidence: best.confidence, strategy: best.strategy, alternatives };
+
+      if (best.strategy !== 'page') {
+        summary.improved_count++;
+        result = this.replaceLineText(result, index, line, best, wordsOf(line));
+      }
+    });
+
+    if (summary.improved_count > 0) {
+      // Structured text IDs are derived from the text, which may have changed
+      result.structured_text = assignStableIds(result.structured_text, element => getIdPrefix(element.id), frame);
+    }
+
+    return { ...result, refinement: summary };
+  }
+
+  /**
+   * Read one line with each alternative setting
+   * @returns {Promise<Object>} { best, readings }; readings are { text, confidence, strategy, words }
+   */
+  async refineLine(image, line, language, signal) {
+    const page = { text: line.text, confidence: line.confidence, strategy: 'page', words: null };
+    const readings = [page];
+    let best = page;
+
+    const padding = Math.max(4, Math.round(line.position.height * 0.25));
+    const region = clampRegion({
+      x: line.position.x - padding,
+      y: line.position.y - padding,
+      width: line.position.width + padding * 2,
+      height: line.position.height + padding * 2
+    }, image.width, image.height);
+    if (!region) return { best, readings };
+
+    for (const strategy of this.getStrategies(line, language)) {
+      throwIfAborted(signal);
+
+      try {
+        const reading = await this.read(image, region, strategy, signal);
+        readings.push(reading);
+        if (reading.text && reading.confidence > best.confidence) best = reading;
+      } catch (error) {
+        if (isAbortError(error)) throw error;
+        readings.push({ text: '', confidence: 0, strategy: strategy.name, error: error.message, words: null });
+      }
+
+      if (best.confidence >= this.options.targetConfidence) break;
+    }
+
+    return { best, readings };
+  }
+
+  /**
+   * Settings to try for a line, cheapest and most likely first
+   */
+  getStrategies(line, language) {
+    const scale = Math.min(4, Math.max(1, this.options.targetHeight / Math.max(line.position.height, 1)));
+    const psm = /\s/.test(line.text) ? Tesseract.PSM.SINGLE_LINE : Tesseract.PSM.SINGLE_WORD;
+
+    return [
+      { name: psm === Tesseract.PSM.SINGLE_WORD ? 'single_word' : 'single_line', psm, scale, language },
+      { name: 'raw_line', psm: Tesseract.PSM.RAW_LINE, scale, language },
+      { name: 'upscaled', psm, scale: Math.min(6, scale * 2), language },
+      { name: 'inverted', psm, scale, language, invert: true },
+      ...this.options.languages
+        .filter(alternate => alternate !== language)
+        .map(alternate => ({ name: `language_${alternate}`, psm, scale, language: alternate, alternateLanguage: true }))
+    ];
+  }
+
+  /**
+   * Recognize a crop with one strategy
+   * @returns {Promise<Object>} { text, confidence, strategy, language?, words } with words in image coordinates;
+   *   `language` is set for alternate-language readings
+   */
+  async read(image, region, strategy, signal) {
+    const width = Math.round(region.width * strategy.scale);
+    const height = Math.round(region.height * strategy.scale);
+    let pipeline = this.imageProcessor.fromRawGrayscale(image)
+      .extract({ left: region.x, top: region.y, width: region.width, height: region.height })
+      .resize(width, height, { kernel: 'lanczos3' });
+    if (strategy.invert) pipeline = pipeline.negate();
+    const crop = await pipeline.png().toBuffer();
+
+    const { data } = await this.scheduler.run(strategy.language, async worker => {
+      await worker.setParameters({ tessedit_pageseg_mode: String(strategy.psm) });
+      return worker.recognize(crop);
+    }, { signal });
+
+    const reading = {
+      text: data.text.replace(/\s+/g, ' ').trim(),
+      confidence: toUnitConfidence(data.confidence),
+      strategy: strategy.name,
+      // Tesseract words link back to their line and paragraph, so only the needed fields are mapped
+      words: mapGeometry((data.words || []).map(({ text, confidence, bbox }) => ({ text, confidence, bbox })), {
+        offsetX: region.x,
+        offsetY: region.y,
+        scaleX: region.width / width,
+        scaleY: region.height / height
+      }).map(normalizeTextItem).filter(Boolean)
+    };
+    if (strategy.alternateLanguage) reading.language = strategy.language;
+    return reading;
+  }
+
+  /**
+   * Put a refined reading in place of a line's text in the raw text and in the elements that contain the line.
+   * Lines are found by position, and by how often their text occurs in the lines before them,
+   * so an identical line elsewhere keeps its own text.
+   * @param {Object} extraction - Extraction whose `lines` already hold earlier refinements
+   * @param {number} index - Index of the line in `extraction.lines`
+   * @param {Object} line - The line as it was read on the page
+   */
+  replaceLineText(extraction, index, line, reading, lineWords) {
+    const words = reading.words.length > 0
+      ? [...extraction.words.filter(word => !lineWords.includes(word)), ...reading.words]
+        .sort((a, b) => (a.position.y - b.position.y) || (a.position.x - b.position.x))
+      : extraction.words;
+    if (!line.text) return { ...extraction, words };
+
+    const before = extraction.lines.slice(0, index);
+    const occurrence = lines => lines.reduce((count, other) => count + countOccurrences(other.text, line.text), 0);
+    const replace = (text, lines) => replaceOccurrence(text, line.text, reading.text, occurrence(lines));
+    const replaceIn = items => items.map(item => {
+      if (!item.position || !containsCentre(item.position, line.position)) return item;
+      return { ...item, text: replace(item.text, before.filter(other => containsCentre(item.position, other.position))) };
+    });
+
+    const replaced = {
+      ...extraction,
+      raw_text: replace(extraction.raw_text, before),
+      structured_text: replaceIn(extraction.structured_text),
+      words,
+      paragraphs: replaceIn(extraction.paragraphs),
+      blocks: replaceIn(extraction.blocks)
+    };
+    if (typeof extraction.processed_text === 'string') replaced.processed_text = replace(extraction.processed_text, before);
+    return replaced;
+  }
+}
+
+/**
+ * Count the non-overlapping occurrences of a string in a text
+ */
+function countOccurrences(text, search) {
+  if (typeof text !== 'string' || !search) return 0;
+  return text.split(search).length - 1;
+}
+
+/**
+ * Replace one occurrence of a string, leaving the text unchanged if there are fewer occurrences
+ * @param {number} occurrence - Zero-based occurrence to replace
+ */
+function replaceOccurrence(text, search, replacement, occurrence) {
+  if (typeof text !== 'string') return text;
+  let offset = -1;
+  for (let count = 0; count <= occurrence; count++) {
+    offset = text.indexOf(search, offset < 0 ? 0 : offset + search.length);
+    if (offset < 0) return text;
+  }
+  return text.slice(0, offset) + replacement + text.slice(offset + search.length);
+}
+
+module.exports = OCRRefiner;
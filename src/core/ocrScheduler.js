@@ -0,0 +1,325 @@
+const Tesseract = require('tesseract.js');
+const os = require('os');
+const { createAbortError, isAbortError, runAbortable, throwIfAborted, toAbortError } = require('../utils/abort');
+const { resolveWorkerOptions } = require('../utils/languagePacks');
+const { measure } = require('../utils/profiler');
+const { getUserWords } = require('../utils/vocabulary');
+
+// Path of the user words list inside a worker's virtual file system
+const USER_WORDS_FILE = '/user-words';
+
+/**
+ * Pool of long-lived Tesseract workers shared by OCREngine and MultiLanguageOCR.
+ *
+ * Each language gets up to `workersPerLanguage` workers, started on demand. A job leases
+ * a worker to itself until it settles, so it can change worker parameters (e.g. the page
+ * segmentation mode) between recognize calls. Jobs beyond the pool size wait in a FIFO
+ * queue, and workers left idle for `idleTimeout` ms are terminated.
+ */
+class OCRScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {number} options.workersPerLanguage - Maximum workers per language (default: CPU count, up to 4)
+   * @param {number} options.idleTimeout - Terminate workers idle this long, in ms (default: 5000; 0 keeps them
+   *   until cleanup()). Worker threads keep the process alive until they are terminated.
+   * @param {Object} options.workerOptions - Options passed to Tesseract.createWorker(); a local
+   *   `langPath` directory loads language packs from disk instead of downloading them
+   * @param {Object} options.vocabulary - Loaded vocabulary (see loadVocabulary()) whose words
+   *   each worker recognizes as user words
+   */
+  constructor(options = {}) {
+    this.options = {
+      workersPerLanguage: options.workersPerLanguage || Math.min(os.cpus().length, 4),
+      idleTimeout: options.idleTimeout ?? 5000,
+      workerOptions: options.workerOptions || {},
+      vocabulary: options.vocabulary || null
+    };
+
+    // language -> { entries, queue, starting }
+    this.pools = new Map();
+    this.pending = new Set();
+    // Bumped by cleanup() so workers still starting at that point are terminated when ready
+    this.generation = 0;
+  }
+
+  /**
+   * Run a job on a worker of the given language. Pooled workers keep parameters between
+   * jobs, so a job that relies on one (e.g. the page segmentation mode) always sets it.
+   * @param {string} language - Tesseract language (e.g. 'eng', 'chi_sim', 'osd')
+   * @param {Function} job - (worker) => Promise; the worker is leased to the job until it settles
+   * @param {Object} options - Run options
+   * @param {AbortSignal} options.signal - Aborting settles the job early and terminates its worker
+   * @param {Function} options.logger - Receives the Tesseract progress messages of this job
+   * @param {Profiler} options.profiler - Span that receives the time spent waiting for a worker
+   * @returns {Promise<*>} Job result
+   */
+  async run(language, job, options = {}) {
+    const { signal, logger = null, profiler = null } = options;
+    const entry = await measure(profiler, 'worker_acquire', () => this.acquire(language, signal));
+
+    if (signal && signal.aborted) {
+      this.release(entry);
+      throwIfAborted(signal);
+    }
+
+    // cleanup() aborts leased jobs through this controller as well
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    entry.logger = logger;
+    entry.controller = controller;
+
+    try {
+      const result = await runAbortable(() => job(entry.worker), { signal: controller.signal });
+      this.release(entry);
+      return result;
+    } catch (error) {
+      // An interrupted job keeps running inside the worker, so the worker cannot be reused
+      if (isAbortError(error)) {
+        await this.retire(entry);
+      } else {
+        this.release(entry);
+      }
+      throw error;
+    } finally {
+      if (signal) signal.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * Start workers for a language ahead of the first job
+   * @param {string} language - Tesseract language
+   * @param {number} count - Workers to have running (capped at workersPerLanguage)
+   * @returns {Promise<void>}
+   */
+  async warmUp(language, count = this.options.workersPerLanguage) {
+    const pool = this.getPool(language);
+    const missing = Math.min(count, this.options.workersPerLanguage) - pool.entries.length - pool.starting.size;
+    await Promise.all(Array.from({ length: Math.max(missing, 0) }, () => this.startWorker(language)));
+  }
+
+  /**
+   * Worker and queue counts per language
+   * @returns {Object} { [language]: { workers, busy, starting, queued } }
+   */
+  getStats() {
+    return Object.fromEntries(Array.from(this.pools, ([language, pool]) => [language, {
+      workers: pool.entries.length,
+      busy: pool.entries.filter(entry => entry.busy).length,
+      starting: pool.starting.size,
+      queued: pool.queue.length
+    }]));
+  }
+
+  /**
+   * Terminate every worker and reject queued jobs. Jobs still running are aborted.
+   * The scheduler stays usable; later jobs start new workers.
+   * @returns {Promise<void>}
+   */
+  async cleanup() {
+    this.generation++;
+    const error = createAbortError('OCR scheduler was cleaned up');
+    const pools = Array.from(this.pools.values());
+    this.pools.clear();
+
+    const entries = [];
+    pools.forEach(pool => {
+      pool.queue.splice(0).forEach(waiter => this.settle(waiter, error));
+      pool.starting.forEach(start => {
+        if (start.waiter) this.settle(start.waiter, error);
+      });
+      pool.entries.forEach(entry => {
+        clearTimeout(entry.idleTimer);
+        if (entry.controller) entry.controller.abort(error);
+      });
+      entries.push(...pool.entries);
+    });
+
+    await Promise.all(entries.map(entry => this.terminate(entry)));
+    // Workers still starting are terminated as soon as they are ready
+    await Promise.allSettled(Array.from(this.pending));
+  }
+
+  /**
+   * Create a Tesseract worker
+   * @param {string} language - Tesseract language
+   * @param {Function} logger - Progress logger of the worker
+   * @returns {Promise<Object>} Tesseract worker
+   * @throws {Error} If a language pack is missing from a local langPath
+   */
+  async createWorker(language, logger) {
+    const worker = await Tesseract.createWorker(language, 1, {
+      ...resolveWorkerOptions(language, this.options.workerOptions),
+      logger
+    });
+
+    const userWords = getUserWords(this.options.vocabulary, language);
+    if (userWords.length === 0) return worker;
+
+    // Tesseract only reads user words while initializing, so the worker is initialized again with them
+    try {
+      await worker.writeText(USER_WORDS_FILE, userWords.join('\n'));
+      await worker.reinitialize(language, 1, { user_words_file: USER_WORDS_FILE });
+      return worker;
+    } catch (error) {
+      await worker.terminate().catch(() => {});
+      throw new Error(`Loading user words failed: ${error.message}`);
+    }
+  }
+
+  getPool(language) {
+    if (!this.pools.has(language)) {
+      this.pools.set(language, { entries: [], queue: [], starting: new Set() });
+    }
+    return this.pools.get(language);
+  }
+
+  /**
+   * Wait for a free worker, starting one if the pool has room
+   */
+  acquire(language, signal) {
+    return new Promise((resolve, reject) => {
+      throwIfAborted(signal);
+
+      const pool = this.getPool(language);
+      const waiter = { resolve, reject, signal, onAbort: null, settled: false };
+      if (signal) {
+        waiter.onAbort = () => {
+          const index = pool.queue.indexOf(waiter);
+          if (index !== -1) pool.queue.splice(index, 1);
+          this.settle(waiter, toAbortError(signal.reason));
+        };
+        signal.addEventListener('abort', waiter.onAbort, { once: true });
+      }
+
+      pool.queue.push(waiter);
+      this.dispatch(language);
+    });
+  }
+
+  /**
+   * Hand idle workers to queued jobs and start workers while the pool has room
+   */
+  dispatch(language) {
+    const pool = this.getPool(language);
+
+    while (pool.queue.length > 0) {
+      const idle = pool.entries.find(entry => !entry.busy);
+      if (idle) {
+        this.lease(idle, pool.queue.shift());
+      } else if (pool.entries.length + pool.starting.size < this.options.workersPerLanguage) {
+        // The waiter receives the error if the worker fails to start
+        this.startWorker(language, pool.queue.shift()).catch(() => {});
+      } else {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Start a worker and lease it to `waiter`, or leave it idle when there is none
+   */
+  startWorker(language, waiter = null) {
+    const pool = this.getPool(language);
+    const generation = this.generation;
+    const entry = { language, worker: null, busy: false, logger: null, controller: null, idleTimer: null, terminated: false };
+    const start = { waiter };
+    pool.starting.add(start);
+
+    const starting = this.createWorker(language, message => {
+      if (entry.logger) entry.logger(message);
+    }).then(async worker => {
+      pool.starting.delete(start);
+      entry.worker = worker;
+
+      if (generation !== this.generation) {
+        await this.terminate(entry);
+        return null;
+      }
+
+      pool.entries.push(entry);
+      if (!waiter || !this.lease(entry, waiter)) this.release(entry);
+      return entry;
+    }, error => {
+      pool.starting.delete(start);
+      const startError = new Error(`OCR worker could not be started: ${error.message}`);
+      if (waiter) this.settle(waiter, startError);
+      if (generation === this.generation) this.dispatch(language);
+      throw startError;
+    });
+
+    this.pending.add(starting);
+    starting.catch(() => {}).then(() => this.pending.delete(starting));
+    return starting;
+  }
+
+  /**
+   * Give a worker to a waiting job; false if the job was already settled (e.g. aborted)
+   */
+  lease(entry, waiter) {
+    if (waiter.settled) return false;
+
+    clearTimeout(entry.idleTimer);
+    entry.idleTimer = null;
+    entry.busy = true;
+    waiter.settled = true;
+    if (waiter.onAbort) waiter.signal.removeEventListener('abort', waiter.onAbort);
+    waiter.resolve(entry);
+    return true;
+  }
+
+  settle(waiter, error) {
+    if (waiter.settled) return;
+
+    waiter.settled = true;
+    if (waiter.onAbort) waiter.signal.removeEventListener('abort', waiter.onAbort);
+    waiter.reject(error);
+  }
+
+  /**
+   * Return a worker to its pool: the next queued job gets it, otherwise it idles
+   */
+  release(entry) {
+    if (entry.terminated) return;
+
+    entry.busy = false;
+    entry.logger = null;
+    entry.controller = null;
+
+    const pool = this.getPool(entry.language);
+    while (pool.queue.length > 0) {
+      if (this.lease(entry, pool.queue.shift())) return;
+    }
+
+    if (this.options.idleTimeout > 0) {
+      entry.idleTimer = setTimeout(() => this.retire(entry), this.options.idleTimeout);
+      // Idle workers must not keep the process alive on their own timer
+      entry.idleTimer.unref();
+    }
+  }
+
+  /**
+   * Remove a worker from its pool and terminate it
+   */
+  async retire(entry) {
+    clearTimeout(entry.idleTimer);
+
+    const pool = this.pools.get(entry.language);
+    const index = pool ? pool.entries.indexOf(entry) : -1;
+    if (index !== -1) pool.entries.splice(index, 1);
+
+    await this.terminate(entry);
+
+    // The pool has room again for queued jobs
+    if (index !== -1) this.dispatch(entry.language);
+  }
+
+  async terminate(entry) {
+    if (entry.terminated) return;
+
+    entry.terminated = true;
+    await entry.worker.terminate().catch(() => {});
+  }
+}
+
+module.exports = OCRScheduler;
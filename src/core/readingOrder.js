@@ -0,0 +1,182 @@
+const { buildTextHierarchy } = require('../utils/textExtraction');
+
+// Tesseract languages written right to left
+const RTL_LANGUAGES = ['ara', 'heb', 'fas', 'urd', 'yid', 'pus', 'snd', 'uig', 'syr', 'div'];
+
+/**
+ * Reconstructs the reading order of OCR text on multi-column pages.
+ *
+ * Paragraphs are ordered by recursive cuts through the gaps between them. With the
+ * `columns` flow, a page is first split into columns (paragraphs grouped by
+ * LayoutAnalyzer.groupByColumns() and merged while they overlap horizontally), each read
+ * to the end before the next; where no column gap runs through a region it is split into
+ * bands read top to bottom. The `rows` flow cuts bands first, reading across the page.
+ * Paragraphs that no gap separates are read row by row (LayoutAnalyzer.groupByRows()).
+ */
+class ReadingOrderAnalyzer {
+  /**
+   * @param {LayoutAnalyzer} layoutAnalyzer - Groups elements into rows and columns
+   * @param {Object} options - Options
+   * @param {string} options.readingDirection - 'ltr', 'rtl' or 'auto' to follow the OCR language (default: 'auto')
+   * @param {string} options.readingFlow - 'columns' to read each column through, or 'rows' to read across (default: 'columns')
+   */
+  constructor(layoutAnalyzer, options = {}) {
+    this.layoutAnalyzer = layoutAnalyzer;
+    this.options = {
+      readingDirection: options.readingDirection || 'auto',
+      readingFlow: options.readingFlow || 'columns'
+    };
+  }
+
+  /**
+   * Add the reading order to a text extraction
+   * @param {Object} extraction - Normalized text extraction
+   * @returns {Object} Extraction with `reading_order` (paragraphs in reading order:
+   *   { order, text, confidence, position }) and `plain_text` (their text, one paragraph
+   *   per blank-line-separated section)
+   */
+  analyze(extraction) {
+    const direction = this.getDirection(extraction.language);
+    const paragraphs = buildTextHierarchy(extraction).flatMap(block => block.paragraphs);
+
+    const readingOrder = this.order(paragraphs, direction).map((paragraph, index) => ({
+      order: index + 1,
+      text: [...paragraph.lines]
+        .sort((a, b) => a.position.y - b.position.y)
+        .map(line => line.text)
+        .join('\n'),
+      confidence: paragraph.confidence,
+      position: paragraph.position
+    }));
+
+    return {
+      ...extraction,
+      reading_order: readingOrder,
+      plain_text: readingOrder.map(paragraph => paragraph.text).join('\n\n')
+    };
+  }
+
+  /**
+   * Order positioned items for reading
+   * @param {Array} items - Items with `position`
+   * @param {string} direction - 'ltr' or 'rtl'
+   * @returns {Array} Items in reading order
+   */
+  order(items, direction) {
+    if (items.length <= 1) return items;
+
+    const columns = this.splitColumns(items);
+    const bands = this.splitBands(items);
+    const byColumns = columns.length > 1 && !this.isGrid(items, columns);
+
+    if (this.options.readingFlow === 'rows' && bands.length > 1) {
+      return bands.flatMap(band => this.order(band, direction));
+    }
+    if (byColumns || (columns.length > 1 && bands.length === 1)) {
+      const ordered = direction === 'rtl' ? [...columns].reverse() : columns;
+      return ordered.flatMap(column => this.order(column, direction));
+    }
+    if (bands.length > 1) {
+      const regions = this.options.readingFlow === 'columns' ? this.mergeColumnBands(bands) : bands;
+      return (regions.length > 1 ? regions : bands).flatMap(region => this.order(region, direction));
+    }
+
+    // No gap runs through these items, so read them row by row
+    return this.layoutAnalyzer.groupByRows(items)
+      .flatMap(row => (direction === 'rtl' ? [...row].reverse() : row));
+  }
+
+  /**
+   * Split items into columns separated by vertical gaps, left to right
+   */
+  splitColumns(items) {
+    const groups = this.layoutAnalyzer.groupByColumns(items)
+      .map(group => ({
+        items: group,
+        left: Math.min(...group.map(item => item.position.x)),
+        right: Math.max(...group.map(item => item.position.x + item.position.width))
+      }))
+      .sort((a, b) => a.left - b.left);
+
+    // Left-aligned groups that overlap horizontally (e.g. indented paragraphs) are one column
+    const columns = [];
+    groups.forEach(group => {
+      const previous = columns[columns.length - 1];
+      if (previous && group.left < previous.right) {
+        previous.items.push(...group.items);
+        previous.right = Math.max(previous.right, group.right);
+      } else {
+        columns.push({ ...group, items: [...group.items] });
+      }
+    });
+
+    return columns.map(column => column.items);
+  }
+
+  /**
+   * Split items into bands separated by horizontal gaps, top to bottom
+   */
+  splitBands(items) {
+    const bands = [];
+    let bottom = -Infinity;
+
+    [...items].sort((a, b) => a.position.y - b.position.y).forEach(item => {
+      if (item.position.y >= bottom) {
+        bands.push([]);
+      }
+      bands[bands.length - 1].push(item);
+      bottom = Math.max(bottom, item.position.y + item.position.height);
+    });
+
+    return bands;
+  }
+
+  /**
+   * Merge runs of bands that are split into columns, so that the gaps between paragraphs
+   * do not cut columns into pieces read across. Bands of one column (headings, figures
+   * spanning the page) stay separate.
+   */
+  mergeColumnBands(bands) {
+    const regions = [];
+    let previousHasColumns = false;
+
+    bands.forEach(band => {
+      const hasColumns = this.splitColumns(band).length > 1;
+      if (hasColumns && previousHasColumns) {
+        regions[regions.length - 1].push(...band);
+      } else {
+        regions.push([...band]);
+      }
+      previousHasColumns = hasColumns;
+    });
+
+    return regions;
+  }
+
+  /**
+   * Check whether columns are the cells of a table or form rather than text columns:
+   * most rows hold single-line items from several columns, as labels and their values do.
+   * Those are read across.
+   */
+  isGrid(items, columns) {
+    const columnOf = new Map();
+    columns.forEach((column, index) => column.forEach(item => columnOf.set(item, index)));
+
+    const rows = this.layoutAnalyzer.groupByRows(items);
+    const sharedRows = rows.filter(row => new Set(row.map(item => columnOf.get(item))).size > 1);
+
+    return sharedRows.length >= 2 &&
+      sharedRows.length > rows.length / 2 &&
+      sharedRows.every(row => row.every(item => !item.lines || item.lines.length <= 1));
+  }
+
+  /**
+   * Reading direction for an OCR language ('ara', 'eng+heb', ...)
+   */
+  getDirection(language) {
+    if (this.options.readingDirection !== 'auto') return this.options.readingDirection;
+    return RTL_LANGUAGES.includes(String(language || '').split('+')[0]) ? 'rtl' : 'ltr';
+  }
+}
+
+module.exports = ReadingOrderAnalyzer;
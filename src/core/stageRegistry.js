@@ -0,0 +1,310 @@
+/**
+ * Registry of named analysis pipeline stages.
+ *
+ * A stage is a plain object:
+ * {
+ *   name: 'brand_logo',                 // unique stage name
+ *   inputs: ['vision_analysis'],        // context/result keys the stage reads
+ *   outputs: ['brand_logo'],            // result keys the stage writes
+ *   after: [], before: [],              // optional explicit ordering constraints
+ *   priority: 0,                        // tie-breaker among ready stages (lower runs first)
+ *   enabled: (context) => true,         // optional: a function decides at run time; false
+ *                                       // registers the stage disabled (see disable())
+ *   run: async (context) => value       // stage implementation
+ * }
+ *
+ * A stage that declares an input runs after every other stage that outputs it.
+ * Stages that both read and write a key update it in place, one after another in
+ * registration order, before the stages that only read it.
+ * Inputs nobody produces (e.g. because that stage is disabled) are simply absent.
+ */
+class StageRegistry {
+  constructor(stages = []) {
+    this.stages = new Map();
+    this.disabled = new Set();
+    this.registrationIndex = new Map();
+    this.nextIndex = 0;
+
+    stages.forEach(stage => this.register(stage));
+  }
+
+  /**
+   * Register a new stage
+   * @param {Object} stage - Stage definition
+   * @returns {StageRegistry} This registry
+   */
+  register(stage) {
+    const normalized = this.normalizeStage(stage);
+
+    if (this.stages.has(normalized.name)) {
+      throw new Error(`Stage '${normalized.name}' is already registered; use replace() to override it`);
+    }
+
+    this.stages.set(normalized.name, normalized);
+    this.registrationIndex.set(normalized.name, this.nextIndex++);
+    this.toggle(normalized.name, stage.enabled);
+    return this;
+  }
+
+  /**
+   * Replace an existing stage, keeping its position in registration order
+   * @param {string} name - Name of the stage to replace
+   * @param {Object} stage - New stage definition
+   * @returns {StageRegistry} This registry
+   */
+  replace(name, stage) {
+    if (!this.stages.has(name)) {
+      throw new Error(`Cannot replace unknown stage '${name}'`);
+    }
+
+    const normalized = this.normalizeStage({ ...stage, name: stage.name || name });
+    const index = this.registrationIndex.get(name);
+
+    if (normalized.name !== name && this.stages.has(normalized.name)) {
+      throw new Error(`Cannot rename stage '${name}' to '${normalized.name}': that stage is already registered`);
+    }
+
+    // A renamed stage keeps the disabled state of the stage it replaces
+    if (this.disabled.delete(name)) {
+      this.disabled.add(normalized.name);
+    }
+
+    this.stages.delete(name);
+    this.registrationIndex.delete(name);
+    this.stages.set(normalized.name, normalized);
+    this.registrationIndex.set(normalized.name, index);
+    this.toggle(normalized.name, stage.enabled);
+    return this;
+  }
+
+  /**
+   * Register a stage, replacing any stage with the same name
+   * @param {Object} stage - Stage definition
+   * @returns {StageRegistry} This registry
+   */
+  use(stage) {
+    if (stage && this.stages.has(stage.name)) {
+      return this.replace(stage.name, stage);
+    }
+    return this.register(stage);
+  }
+
+  /**
+   * Remove a stage from the registry
+   * @param {string} name - Stage name
+   * @returns {boolean} Whether a stage was removed
+   */
+  unregister(name) {
+    this.disabled.delete(name);
+    this.registrationIndex.delete(name);
+    return this.stages.delete(name);
+  }
+
+  /**
+   * Disable a stage without removing it
+   * @param {string} name - Stage name
+   * @returns {StageRegistry} This registry
+   */
+  disable(name) {
+    this.assertKnown(name);
+    this.disabled.add(name);
+    return this;
+  }
+
+  /**
+   * Re-enable a previously disabled stage
+   * @param {string} name - Stage name
+   * @returns {StageRegistry} This registry
+   */
+  enable(name) {
+    this.assertKnown(name);
+    this.disabled.delete(name);
+    return this;
+  }
+
+  /**
+   * Apply a list of stage entries, as accepted by the `stages` constructor option.
+   * Entries with a `run` function are registered or replace the stage of the same name;
+   * entries without one update an existing stage (`enabled`, `after`, `before`, `priority`).
+   * A boolean `enabled` switches the stage on or off; a function replaces its runtime toggle.
+   * @param {Array<Object>} entries - Stage entries
+   * @returns {StageRegistry} This registry
+   */
+  configure(entries = []) {
+    if (!Array.isArray(entries)) {
+      throw new Error('stages must be an array of stage definitions');
+    }
+
+    for (const entry of entries) {
+      if (!entry || typeof entry.name !== 'string') {
+        throw new Error('Each stage entry requires a name');
+      }
+
+      if (typeof entry.run === 'function') {
+        this.use(entry);
+      } else {
+        this.assertKnown(entry.name);
+        // A boolean keeps the stage's own runtime toggle; anything else is validated
+        const { enabled, ...definition } = entry;
+        const overrides = typeof enabled === 'boolean' ? definition : entry;
+        this.stages.set(entry.name, this.normalizeStage({ ...this.stages.get(entry.name), ...overrides }));
+        this.toggle(entry.name, enabled);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Check whether a stage is registered
+   * @param {string} name - Stage name
+   * @returns {boolean} Whether the stage exists
+   */
+  has(name) {
+    return this.stages.has(name);
+  }
+
+  /**
+   * Get a stage definition
+   * @param {string} name - Stage name
+   * @returns {Object|undefined} Stage definition
+   */
+  get(name) {
+    return this.stages.get(name);
+  }
+
+  /**
+   * List registered stages with their status
+   * @returns {Array<Object>} Stage summaries in execution order, disabled stages last
+   */
+  list() {
+    const ordered = this.resolve().map(stage => stage.name);
+    const disabled = [...this.stages.keys()].filter(name => this.disabled.has(name));
+
+    return [...ordered, ...disabled].map(name => {
+      const stage = this.stages.get(name);
+      return {
+        name,
+        inputs: [...stage.inputs],
+        outputs: [...stage.outputs],
+        enabled: !this.disabled.has(name)
+      };
+    });
+  }
+
+  /**
+   * Resolve enabled stages into execution order
+   * @returns {Array<Object>} Stage definitions in dependency order
+   */
+  resolve() {
+    const active = [...this.stages.values()].filter(stage => !this.disabled.has(stage.name));
+    const activeNames = new Set(active.map(stage => stage.name));
+    const dependencies = new Map(active.map(stage => [stage.name, new Set()]));
+
+    // Data dependencies: consumers run after every other producer of their inputs,
+    // except a stage updating a key in place does not wait for updates registered after it
+    const updates = (stage, key) => stage.inputs.includes(key) && stage.outputs.includes(key);
+    for (const consumer of active) {
+      for (const producer of active) {
+        if (producer === consumer) continue;
+        const registeredLater = this.registrationIndex.get(producer.name) > this.registrationIndex.get(consumer.name);
+        if (producer.outputs.some(output => consumer.inputs.includes(output) &&
+          !(registeredLater && updates(producer, output) && updates(consumer, output)))) {
+          dependencies.get(consumer.name).add(producer.name);
+        }
+      }
+    }
+
+    // Explicit ordering constraints (ignored when the referenced stage is inactive)
+    for (const stage of active) {
+      stage.after.filter(name => activeNames.has(name))
+        .forEach(name => dependencies.get(stage.name).add(name));
+      stage.before.filter(name => activeNames.has(name))
+        .forEach(name => dependencies.get(name).add(stage.name));
+    }
+
+    // Kahn's algorithm, breaking ties by priority and then registration order
+    const ordered = [];
+    const done = new Set();
+    const compare = (a, b) =>
+      (a.priority - b.priority) ||
+      (this.registrationIndex.get(a.name) - this.registrationIndex.get(b.name));
+
+    while (ordered.length < active.length) {
+      const ready = active
+        .filter(stage => !done.has(stage.name))
+        .filter(stage => [...dependencies.get(stage.name)].every(dep => done.has(dep)))
+        .sort(compare);
+
+      if (ready.length === 0) {
+        const blocked = active.filter(stage => !done.has(stage.name)).map(stage => stage.name);
+        throw new Error(`Pipeline stages have a dependency cycle: ${blocked.join(', ')}`);
+      }
+
+      ordered.push(ready[0]);
+      done.add(ready[0].name);
+    }
+
+    return ordered;
+  }
+
+  /**
+   * Validate and fill defaults for a stage definition
+   */
+  normalizeStage(stage) {
+    if (!stage || typeof stage !== 'object') {
+      throw new Error('Stage definition must be an object');
+    }
+    if (typeof stage.name !== 'string' || stage.name.trim() === '') {
+      throw new Error('Stage definition requires a non-empty name');
+    }
+    if (typeof stage.run !== 'function') {
+      throw new Error(`Stage '${stage.name}' requires a run() function`);
+    }
+    if (stage.enabled !== undefined && typeof stage.enabled !== 'function' && typeof stage.enabled !== 'boolean') {
+      throw new Error(`Stage '${stage.name}' enabled must be a boolean or a function`);
+    }
+
+    const toList = (value, field) => {
+      if (value === undefined) return [];
+      const list = Array.isArray(value) ? value : [value];
+      if (!list.every(item => typeof item === 'string')) {
+        throw new Error(`Stage '${stage.name}' ${field} must be a string or an array of strings`);
+      }
+      return list;
+    };
+
+    return {
+      ...stage,
+      inputs: toList(stage.inputs, 'inputs'),
+      outputs: toList(stage.outputs, 'outputs'),
+      after: toList(stage.after, 'after'),
+      before: toList(stage.before, 'before'),
+      priority: typeof stage.priority === 'number' ? stage.priority : 0,
+      // Booleans are kept as the registry's enabled state rather than on the stage
+      enabled: typeof stage.enabled === 'function' ? stage.enabled : undefined
+    };
+  }
+
+  /**
+   * Apply a boolean `enabled` from a stage definition or entry
+   */
+  toggle(name, enabled) {
+    if (enabled === false) {
+      this.disable(name);
+    } else if (enabled === true) {
+      this.enable(name);
+    }
+  }
+
+  /**
+   * Throw if a stage is not registered
+   */
+  assertKnown(name) {
+    if (!this.stages.has(name)) {
+      throw new Error(`Unknown stage '${name}'`);
+    }
+  }
+}
+
+module.exports = StageRegistry;
@@ -0,0 +1,553 @@
+const { assignStableIds } = require('../utils/stableId');
+const { unionBoxes } = require('../utils/geometry');
+const { median, mostCommon } = require('../utils/statistics');
+
+/**
+ * Finds tables in a screenshot and extracts their cells.
+ *
+ * Ruled tables are found from stacks of horizontal ruling lines of the same extent
+ * (VisionAnalyzer.detectRulingLines()); their columns come from vertical rulings or,
+ * when the table only separates rows, from the whitespace between word columns.
+ * Borderless tables are runs of text rows whose words fall into the same whitespace
+ * columns. LayoutAnalyzer groups the words into rows and checks the cell grid.
+ *
+ * Each table is returned with its cells (with row and column spans for merged cells),
+ * the number of header rows, and its content as a 2D array, CSV and Markdown.
+ */
+class TableDetector {
+  /**
+   * @param {LayoutAnalyzer} layoutAnalyzer - Groups words into rows and checks grids
+   * @param {Object} options - Options
+   * @param {number} options.minTableRows - Fewest rows of a borderless table, header included (default: 3)
+   * @param {number} options.minRulingLength - Shortest ruling line that can border a row (px, default: 40)
+   */
+  constructor(layoutAnalyzer, options = {}) {
+    this.layoutAnalyzer = layoutAnalyzer;
+    this.options = {
+      minTableRows: options.minTableRows || 3,
+      minRulingLength: options.minRulingLength || 40,
+      columnGap: 1, // Word gaps wider than this many text heights separate cells
+      maxCellWords: 5, // Borderless "cells" with more words (median) are prose columns
+      alignmentTolerance: 8 // px
+    };
+  }
+
+  /**
+   * Detect the tables of an analysis result
+   * @param {Object} analysisResult - Result with `text_extraction` and optionally `vision_analysis`
+   * @returns {Array<Object>} Tables ({ id, position, confidence, source, rows, columns,
+   *   header_rows, cells, data, csv, markdown }), top to bottom
+   */
+  detect(analysisResult) {
+    const extraction = analysisResult.text_extraction || {};
+    const words = (extraction.words?.length ? extraction.words : extraction.lines || [])
+      .filter(word => word.position && word.text && word.text.trim());
+    if (words.length === 0) return [];
+
+    const segments = analysisResult.vision_analysis?.lines?.segments || [];
+    const horizontal = this.mergeSegments(segments.filter(segment => segment.orientation === 'horizontal'), 'horizontal');
+    const vertical = this.mergeSegments(segments.filter(segment => segment.orientation === 'vertical'), 'vertical');
+
+    const textRows = this.layoutAnalyzer.groupByRows(words).map(row => this.createTextRow(row, vertical));
+    const used = new Set();
+
+    const ruled = this.findRuledTables(textRows, horizontal, vertical, used);
+    const borderless = this.findBorderlessTables(textRows.filter(row => !used.has(row)));
+
+    const tables = [...ruled, ...borderless].sort((a, b) => a.position.y - b.position.y);
+    const frame = {
+      width: analysisResult.image_metadata?.width,
+      height: analysisResult.image_metadata?.height,
+      getText: table => table.data[0].join(' ')
+    };
+    return assignStableIds(tables, 'table', frame).map(({ id, ...table }) => ({ id, ...table }));
+  }
+
+  /**
+   * A row of words split into phrases at wide gaps and vertical rulings. Each phrase
+   * is a candidate cell.
+   */
+  createTextRow(words, vertical) {
+    const height = median(words.map(word => word.position.height));
+    const phrases = [];
+
+    words.forEach(word => {
+      const previous = phrases[phrases.length - 1];
+      const last = previous?.words[previous.words.length - 1];
+      const gapStart = last ? last.position.x + last.position.width : 0;
+      const centreY = word.position.y + word.position.height / 2;
+      const ruled = last && vertical.some(segment =>
+        segment.position.x >= gapStart - 1 && segment.position.x <= word.position.x + 1 &&
+        segment.position.y <= centreY && segment.position.y + segment.position.height >= centreY
+      );
+
+      if (last && !ruled && word.position.x - gapStart <= height * this.options.columnGap) {
+        previous.words.push(word);
+      } else {
+        phrases.push({ words: [word] });
+      }
+    });
+
+    const rowPhrases = phrases.map(phrase => ({
+      text: phrase.words.map(word => word.text.trim()).join(' '),
+      confidence: phrase.words.reduce((sum, word) => sum + (word.confidence || 0), 0) / phrase.words.length,
+      position: unionBoxes(phrase.words.map(word => word.position)),
+      words: phrase.words
+    }));
+
+    return { phrases: rowPhrases, position: unionBoxes(rowPhrases.map(phrase => phrase.position)), height };
+  }
+
+  /**
+   * Tables bordered by stacks of horizontal rulings with the same left and right ends
+   */
+  findRuledTables(textRows, horizontal, vertical, used) {
+    const rulings = horizontal.filter(segment => segment.position.width >= this.options.minRulingLength);
+    const stacks = [];
+
+    rulings.forEach(segment => {
+      const tolerance = Math.max(this.options.alignmentTolerance, segment.position.width * 0.03);
+      const stack = stacks.find(lines => {
+        const reference = lines[0].position;
+        return Math.abs(reference.x - segment.position.x) <= tolerance &&
+          Math.abs(reference.x + reference.width - segment.position.x - segment.position.width) <= tolerance;
+      });
+      if (stack) stack.push(segment);
+      else stacks.push([segment]);
+    });
+
+    const tables = [];
+    stacks.filter(lines => lines.length >= 2).forEach(lines => {
+      const left = Math.min(...lines.map(line => line.position.x));
+      const right = Math.max(...lines.map(line => line.position.x + line.position.width));
+      const inside = box => box.x + box.width / 2 >= left && box.x + box.width / 2 <= right;
+      // Text rows span the page, so only their phrases within the table count
+      const clip = row => ({ ...row, phrases: row.phrases.filter(phrase => inside(phrase.position)) });
+      const candidates = textRows.filter(row => !used.has(row) && row.phrases.some(phrase => inside(phrase.position)));
+
+      // Row boundaries: the stack and any shorter rulings within it (which leave merged cells open)
+      const boundaries = this.clusterPositions(
+        horizontal
+          .filter(line => inside(line.position) && line.position.y >= lines[0].position.y - 1 &&
+            line.position.y <= lines[lines.length - 1].position.y + 1)
+          .map(line => line.position.y)
+      );
+
+      let rowIntervals = boundaries.slice(1).map((bottom, index) => ({ top: boundaries[index], bottom }));
+      const rowsIn = interval => candidates.filter(row =>
+        row.position.y + row.position.height / 2 > interval.top && row.position.y + row.position.height / 2 < interval.bottom);
+      rowIntervals = rowIntervals.filter(interval => rowsIn(interval).length > 0);
+      if (rowIntervals.length === 0) return;
+
+      // A header above the first ruling or a last row below the last one is often unruled
+      const pitch = median(rowIntervals.map(interval => interval.bottom - interval.top));
+      const above = candidates.filter(row =>
+        row.position.y + row.position.height <= rowIntervals[0].top && row.position.y >= rowIntervals[0].top - pitch);
+      if (above.length > 0) {
+        rowIntervals.unshift({ top: Math.min(...above.map(row => row.position.y)), bottom: rowIntervals[0].top });
+      }
+      const lastBottom = rowIntervals[rowIntervals.length - 1].bottom;
+      const below = candidates.filter(row =>
+        row.position.y >= lastBottom && row.position.y + row.position.height <= lastBottom + pitch);
+      if (below.length > 0 && !boundaries.some(y => y > lastBottom)) {
+        rowIntervals.push({ top: lastBottom, bottom: Math.max(...below.map(row => row.position.y + row.position.height)) });
+      }
+      if (rowIntervals.length < 2) return;
+
+      const top = rowIntervals[0].top;
+      const bottom = rowIntervals[rowIntervals.length - 1].bottom;
+      const rows = rowIntervals.map(rowsIn);
+
+      // Column boundaries from vertical rulings inside the table, else from the text
+      // Strokes of letters are not rulings: a ruling never crosses text
+      const tablePhrases = rows.flat().flatMap(row => clip(row).phrases);
+      const columnRulings = vertical.filter(line =>
+        line.position.x > left + this.options.alignmentTolerance &&
+        line.position.x < right - this.options.alignmentTolerance &&
+        line.position.y < bottom && line.position.y + line.position.height > top &&
+        !tablePhrases.some(phrase => this.crosses(line.position, phrase.position))
+      );
+      const rulingXs = this.clusterPositions(columnRulings.map(line => line.position.x));
+      const columns = rulingXs.length > 0
+        ? [left, ...rulingXs, right].slice(1).map((end, index, ends) => ({ left: index === 0 ? left : ends[index - 1], right: end }))
+        : this.inferColumns(rows.flat().map(clip));
+      if (columns.length < 2) return;
+
+      const grid = {
+        rows: rowIntervals,
+        columns,
+        phrases: rows.map(rowGroup => rowGroup.flatMap(row => clip(row).phrases)),
+        horizontal: horizontal.filter(line => inside(line.position)),
+        vertical: rulingXs.length > 0 ? columnRulings : null,
+        // Rows added above or below the rulings have no vertical rulings either
+        ruledRows: { top: boundaries[0], bottom: boundaries[boundaries.length - 1] }
+      };
+      rows.flat().forEach(row => used.add(row));
+      tables.push(this.createTable(grid, 'ruling'));
+    });
+
+    return tables;
+  }
+
+  /**
+   * Tables without rulings: consecutive text rows whose phrases line up in columns
+   */
+  findBorderlessTables(textRows) {
+    const rowHeight = median(textRows.map(row => row.height)) || 1;
+    const runs = [];
+    let run = [];
+
+    textRows.forEach((row, index) => {
+      const previous = run[run.length - 1];
+      const close = previous && row.position.y - (previous.position.y + previous.position.height) <= rowHeight * 2;
+      // A row with one cell can sit inside a table (other cells empty) but does not start or end one
+      const next = textRows[index + 1];
+      const continues = row.phrases.length >= 2 || (run.length > 0 && next?.phrases.length >= 2);
+
+      if (continues && (run.length === 0 || close)) {
+        run.push(row);
+      } else {
+        if (run.length > 0) runs.push(run);
+        run = row.phrases.length >= 2 ? [row] : [];
+      }
+    });
+    if (run.length > 0) runs.push(run);
+
+    return runs
+      .map(rows => {
+        while (rows.length > 0 && rows[rows.length - 1].phrases.length < 2) rows.pop();
+        return rows;
+      })
+      .filter(rows => rows.length >= this.options.minTableRows)
+      .map(rows => ({ rows, columns: this.inferColumns(rows) }))
+      .filter(({ rows, columns }) => columns.length >= 2 && this.isTabular(rows, columns))
+      .map(({ rows, columns }) => this.createTable({
+        rows: rows.map(row => ({ top: row.position.y, bottom: row.position.y + row.position.height })),
+        columns,
+        phrases: rows.map(row => row.phrases),
+        horizontal: [],
+        vertical: null
+      }, 'whitespace'));
+  }
+
+  /**
+   * Columns of text rows: the extents of the phrases of the rows with the most common
+   * number of phrases, merged where they overlap
+   */
+  inferColumns(rows) {
+    const counts = new Map();
+    rows.forEach(row => counts.set(row.phrases.length, (counts.get(row.phrases.length) || 0) + 1));
+    const typical = [...counts.entries()]
+      .filter(([count]) => count >= 2)
+      .sort((a, b) => b[1] - a[1] || b[0] - a[0])[0]?.[0];
+    if (!typical) return [];
+
+    const columns = [];
+    rows
+      .filter(row => row.phrases.length === typical)
+      .flatMap(row => row.phrases.map(phrase => ({ left: phrase.position.x, right: phrase.position.x + phrase.position.width })))
+      .sort((a, b) => a.left - b.left)
+      .forEach(extent => {
+        const previous = columns[columns.length - 1];
+        if (previous && extent.left < previous.right) {
+          previous.right = Math.max(previous.right, extent.right);
+        } else {
+          columns.push({ ...extent });
+        }
+      });
+
+    return columns;
+  }
+
+  /**
+   * Check that rows are table rows rather than columns of prose: most rows put at most
+   * one phrase in each column, and cells are short
+   */
+  isTabular(rows, columns) {
+    const consistent = rows.filter(row => {
+      const indices = row.phrases.map(phrase => this.getColumnIndex(phrase.position, columns));
+      return new Set(indices).size === indices.length;
+    });
+    const cellWords = rows.flatMap(row => row.phrases.map(phrase => phrase.words.length));
+
+    return consistent.length >= rows.length * 0.8 && median(cellWords) <= this.options.maxCellWords;
+  }
+
+  /**
+   * Build a table from its row and column intervals and the phrases of each row
+   */
+  createTable(grid, source) {
+    const { rows, columns } = grid;
+    const slots = rows.map(() => columns.map(() => []));
+    const parent = new Map();
+    const key = (row, column) => `${row}:${column}`;
+    const find = slot => {
+      let root = slot;
+      while (parent.has(root) && parent.get(root) !== root) root = parent.get(root);
+      return root;
+    };
+    const join = (a, b) => {
+      const rootA = find(a);
+      const rootB = find(b);
+      if (rootA !== rootB) parent.set(rootB, rootA);
+    };
+
+    // A phrase spanning several columns merges their cells
+    grid.phrases.forEach((phrases, row) => phrases.forEach(phrase => {
+      const span = this.getColumnSpan(phrase.position, columns);
+      slots[row][span.first].push(phrase);
+      for (let column = span.first + 1; column <= span.last; column++) join(key(row, span.first), key(row, column));
+    }));
+
+    // Missing rulings between cells of a ruled table merge them too
+    if (grid.vertical) {
+      rows.forEach((interval, row) => {
+        if (interval.top < grid.ruledRows.top || interval.bottom > grid.ruledRows.bottom) return;
+        columns.slice(1).forEach((column, index) => {
+          const crossed = grid.vertical.some(line => Math.abs(line.position.x - column.left) <= 2 &&
+            line.position.y <= interval.top + (interval.bottom - interval.top) * 0.3 &&
+            line.position.y + line.position.height >= interval.bottom - (interval.bottom - interval.top) * 0.3);
+          if (!crossed) join(key(row, index), key(row, index + 1));
+        });
+      });
+    }
+    if (grid.horizontal.length > 0) {
+      rows.slice(1).forEach((interval, index) => {
+        const lines = grid.horizontal.filter(line => Math.abs(line.position.y - interval.top) <= 2);
+        if (lines.length === 0) return;
+        columns.forEach((column, columnIndex) => {
+          const covered = lines.reduce((sum, line) => sum + Math.max(0,
+            Math.min(column.right, line.position.x + line.position.width) - Math.max(column.left, line.position.x)), 0);
+          if (covered < (column.right - column.left) * 0.5) join(key(index, columnIndex), key(index + 1, columnIndex));
+        });
+      });
+    }
+
+    // Each merged group becomes one cell covering its bounding rows and columns
+    const groups = new Map();
+    rows.forEach((_interval, row) => columns.forEach((_column, column) => {
+      const root = find(key(row, column));
+      if (!groups.has(root)) groups.set(root, { rows: [], columns: [], phrases: [] });
+      const group = groups.get(root);
+      group.rows.push(row);
+      group.columns.push(column);
+      group.phrases.push(...slots[row][column]);
+    }));
+
+    const owner = rows.map(() => columns.map(() => null));
+    const cells = [];
+    [...groups.values()]
+      .map(group => ({
+        row: Math.min(...group.rows),
+        column: Math.min(...group.columns),
+        row_span: Math.max(...group.rows) - Math.min(...group.rows) + 1,
+        column_span: Math.max(...group.columns) - Math.min(...group.columns) + 1,
+        phrases: group.phrases
+      }))
+      .sort((a, b) => a.row - b.row || a.column - b.column)
+      .forEach(group => {
+        const existing = owner[group.row][group.column];
+        if (existing) {
+          existing.phrases.push(...group.phrases);
+          return;
+        }
+        for (let row = group.row; row < group.row + group.row_span; row++) {
+          for (let column = group.column; column < group.column + group.column_span; column++) {
+            if (!owner[row][column]) owner[row][column] = group;
+          }
+        }
+        cells.push(group);
+      });
+
+    const tableCells = cells.map(({ phrases, ...cell }) => {
+      const ordered = [...phrases].sort((a, b) => a.position.y - b.position.y || a.position.x - b.position.x);
+      const bottom = rows[cell.row + cell.row_span - 1].bottom;
+      const right = columns[cell.column + cell.column_span - 1].right;
+      return {
+        ...cell,
+        text: ordered.map(phrase => phrase.text).join(' '),
+        confidence: ordered.length > 0
+          ? Math.round(ordered.reduce((sum, phrase) => sum + phrase.confidence, 0) / ordered.length * 100) / 100
+          : 0,
+        position: {
+          x: columns[cell.column].left,
+          y: rows[cell.row].top,
+          width: right - columns[cell.column].left,
+          height: bottom - rows[cell.row].top
+        },
+        words: ordered.flatMap(phrase => phrase.words)
+      };
+    });
+
+    const data = rows.map(() => columns.map(() => ''));
+    tableCells.forEach(cell => {
+      data[cell.row][cell.column] = cell.text;
+    });
+    const headerRows = this.detectHeaderRows(tableCells, rows.length, data);
+    const filled = tableCells.filter(cell => cell.text).length / tableCells.length;
+    const layoutGrid = this.layoutAnalyzer.analyzeGrid(tableCells.filter(cell => cell.text));
+
+    return {
+      position: unionBoxes(tableCells.map(cell => cell.position)),
+      confidence: Math.round(Math.min(0.95, (source === 'ruling' ? 0.7 : 0.5) + filled * 0.15 + (layoutGrid.detected ? 0.1 : 0)) * 100) / 100,
+      source,
+      rows: rows.length,
+      columns: columns.length,
+      header_rows: headerRows,
+      cells: tableCells
+        .filter(cell => cell.text)
+        .map(({ words: _words, ...cell }) => ({ ...cell, header: cell.row < headerRows })),
+      data,
+      csv: this.toCSV(data),
+      markdown: this.toMarkdown(data, headerRows)
+    };
+  }
+
+  /**
+   * Count the leading rows that are headers: set apart by a bolder weight or another
+   * background color (see TextStyleAnalyzer), or holding labels above numeric columns.
+   * A first row with cells spanning columns groups the header row below it.
+   */
+  detectHeaderRows(cells, rowCount, data) {
+    if (rowCount < 2) return 0;
+
+    const rowStyle = row => {
+      const styles = cells.filter(cell => cell.row === row).flatMap(cell => cell.words).map(word => word.style).filter(Boolean);
+      if (styles.length === 0) return null;
+      return {
+        bold: styles.filter(style => style.font_weight !== 'regular').length / styles.length >= 0.5,
+        background: mostCommon(styles.map(style => style.background_color))
+      };
+    };
+    const body = Array.from({ length: rowCount - 1 }, (_value, index) => rowStyle(index + 1)).filter(Boolean);
+    const bodyBold = body.filter(style => style.bold).length > body.length / 2;
+    const bodyBackground = mostCommon(body.map(style => style.background));
+
+    let headerRows = 0;
+    while (headerRows < Math.min(2, rowCount - 1)) {
+      const style = rowStyle(headerRows);
+      const distinct = style && body.length > 0 &&
+        ((style.bold && !bodyBold) || (style.background && style.background !== bodyBackground));
+      if (!distinct) break;
+      headerRows++;
+    }
+
+    if (headerRows === 0) {
+      const labels = data[0].every(text => !this.isNumeric(text));
+      const numericColumn = data[0].some((_text, column) => {
+        const values = data.slice(1).map(row => row[column]).filter(Boolean);
+        return values.length > 0 && values.filter(text => this.isNumeric(text)).length >= values.length * 0.6;
+      });
+      if (labels && numericColumn) headerRows = 1;
+    }
+
+    const grouped = cells.some(cell => cell.row === 0 && cell.column_span > 1);
+    if (headerRows === 1 && grouped && rowCount > 2 && data[1].every(text => !this.isNumeric(text))) {
+      headerRows = 2;
+    }
+    return headerRows;
+  }
+
+  /**
+   * Table as CSV (RFC 4180): fields with commas, quotes or line breaks are quoted
+   */
+  toCSV(data) {
+    const field = text => (/[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text);
+    return data.map(row => row.map(field).join(',')).join('\n');
+  }
+
+  /**
+   * Table as a GitHub Flavored Markdown table. Several header rows are joined into one;
+   * a table without a header row gets numbered column names.
+   */
+  toMarkdown(data, headerRows) {
+    const cell = text => text.replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+    const header = headerRows > 0
+      ? data[0].map((_text, column) => data.slice(0, headerRows).map(row => row[column]).filter(Boolean).join(' '))
+      : data[0].map((_text, column) => `Column ${column + 1}`);
+    const line = row => `| ${row.map(cell).join(' | ')} |`;
+
+    return [line(header), `|${header.map(() => ' --- ').join('|')}|`, ...data.slice(headerRows).map(line)].join('\n');
+  }
+
+  /**
+   * Index of the column a box's centre falls in (or the nearest one)
+   */
+  getColumnIndex(box, columns) {
+    const centre = box.x + box.width / 2;
+    let best = 0;
+    columns.forEach((column, index) => {
+      const distance = centre < column.left ? column.left - centre : Math.max(0, centre - column.right);
+      const bestColumn = columns[best];
+      const bestDistance = centre < bestColumn.left ? bestColumn.left - centre : Math.max(0, centre - bestColumn.right);
+      if (distance < bestDistance) best = index;
+    });
+    return best;
+  }
+
+  /**
+   * Columns a box covers: its centre column, extended over neighbours it covers at least half of
+   */
+  getColumnSpan(box, columns) {
+    const centre = this.getColumnIndex(box, columns);
+    const covers = column => {
+      const overlap = Math.min(box.x + box.width, column.right) - Math.max(box.x, column.left);
+      return overlap >= (column.right - column.left) * 0.5;
+    };
+
+    let first = centre;
+    let last = centre;
+    while (first > 0 && covers(columns[first - 1])) first--;
+    while (last < columns.length - 1 && covers(columns[last + 1])) last++;
+    return { first, last };
+  }
+
+  /**
+   * Join collinear pieces of a ruling line, e.g. split at tile borders
+   */
+  mergeSegments(segments, orientation) {
+    const along = orientation === 'horizontal' ? ['x', 'width', 'y'] : ['y', 'height', 'x'];
+    const [start, length, across] = along;
+    const merged = [];
+
+    [...segments]
+      .sort((a, b) => a.position[across] - b.position[across] || a.position[start] - b.position[start])
+      .forEach(segment => {
+        const previous = merged.find(candidate =>
+          Math.abs(candidate.position[across] - segment.position[across]) <= 2 &&
+          segment.position[start] <= candidate.position[start] + candidate.position[length] + 3
+        );
+        if (previous) {
+          const end = Math.max(previous.position[start] + previous.position[length], segment.position[start] + segment.position[length]);
+          previous.position = { ...previous.position, [length]: end - previous.position[start] };
+        } else {
+          merged.push({ ...segment, position: { ...segment.position } });
+        }
+      });
+
+    return merged;
+  }
+
+  /**
+   * Distinct positions, with positions within 3px of each other counted once
+   */
+  clusterPositions(values) {
+    return [...values]
+      .sort((a, b) => a - b)
+      .filter((value, index, sorted) => index === 0 || value - sorted[index - 1] > 3);
+  }
+
+  /**
+   * Check whether a vertical line passes through a box
+   */
+  crosses(line, box) {
+    return line.x > box.x && line.x < box.x + box.width &&
+      line.y < box.y + box.height && line.y + line.height > box.y;
+  }
+
+  isNumeric(text) {
+    return /^[-+]?[$€£¥]?\s*\(?[\d.,]+\)?\s*(%|[kKmMbB])?$/.test(text.trim());
+  }
+}
+
+module.exports = TableDetector;
@@ -0,0 +1,288 @@
+const { clampRegion } = require('../utils/geometry');
+const { otsuThreshold } = require('../utils/ocrPreprocessing');
+const { median } = require('../utils/statistics');
+
+// Typical proportions of UI sans-serif fonts (Arial, Helvetica, Roboto, Inter), relative to the font size
+const CAP_HEIGHT_RATIO = 0.71;
+const X_HEIGHT_RATIO = 0.52;
+// Vertical stem width relative to the font size, from regular to medium and medium to bold
+const WEIGHT_THRESHOLDS = { medium: 0.105, bold: 0.13 };
+
+/**
+ * Infers the typography of recognized text from the pixels under it.
+ *
+ * Each line and word is separated into ink and background with an Otsu threshold over its
+ * box (the minority side is the ink, so light-on-dark text works too). The row ink profile
+ * gives the cap height, x-height and baseline, from which the font size follows; the width
+ * of vertical stems gives the weight; the shear that best aligns the stems gives the slant;
+ * and the median ink and background pixels give the text and background colors.
+ */
+class TextStyleAnalyzer {
+  /**
+   * @param {ImageProcessor} imageProcessor - Decodes the image
+   * @param {Object} options - Options
+   * @param {number} options.minTextHeight - Items shorter than this (px) get no style (default: 6)
+   */
+  constructor(imageProcessor, options = {}) {
+    this.imageProcessor = imageProcessor;
+    this.options = {
+      minTextHeight: options.minTextHeight || 6,
+      italicSlant: 7, // Degrees of slant from which text counts as italic
+      maxShear: 0.4 // Largest slant tried (tan of about 22 degrees)
+    };
+  }
+
+  /**
+   * Attach a `style` to every line and word of a text extraction
+   * @param {Object} extraction - Normalized text extraction
+   * @param {Buffer} buffer - Image the extraction's positions refer to
+   * @returns {Promise<Object>} Extraction whose lines and words carry `style`
+   *   ({ font_size, cap_height, x_height, baseline, stroke_width, font_weight, italic, slant,
+   *   color, background_color, contrast_ratio }) where it could be measured
+   */
+  async analyze(extraction, buffer) {
+    if (extraction.lines.length === 0 && extraction.words.length === 0) return extraction;
+
+    const image = await this.imageProcessor.readRGB(buffer);
+    const withStyle = item => {
+      const style = this.measure(image, item.position, item.text);
+      return style ? { ...item, style } : item;
+    };
+
+    return { ...extraction, lines: extraction.lines.map(withStyle), words: extraction.words.map(withStyle) };
+  }
+
+  /**
+   * Measure the style of the text in one box
+   * @param {Object} image - RGB image ({ data, width, height })
+   * @param {Object} box - Text box in image pixels
+   * @param {string} text - Recognized text, used to tell which letters reach the cap height
+   * @returns {Object|null} Style, or null if the box is too small or has no visible text
+   */
+  measure(image, box, text) {
+    if (!box || box.height < this.options.minTextHeight) return null;
+
+    const padding = Math.max(1, Math.round(box.height * 0.1));
+    const region = clampRegion({
+      x: box.x - padding,
+      y: box.y - padding,
+      width: box.width + padding * 2,
+      height: box.height + padding * 2
+    }, image.width, image.height);
+    if (!region) return null;
+
+    const pixels = this.readRegion(image, region);
+    const colors = this.separateInk(pixels);
+    if (!colors) return null;
+
+    // Ink coverage of each pixel from 0 (background) to 1 (solid ink), which keeps anti-aliased edges
+    const span = colors.inkLuminance - colors.backgroundLuminance;
+    const coverage = new Float32Array(pixels.luminance.length);
+    for (let i = 0; i < coverage.length; i++) {
+      coverage[i] = Math.min(1, Math.max(0, (pixels.luminance[i] - colors.backgroundLuminance) / span));
+    }
+
+    const metrics = this.measureHeights(coverage, region, text);
+    if (!metrics) return null;
+
+    const fontSize = metrics.capHeight
+      ? metrics.capHeight / CAP_HEIGHT_RATIO
+      : metrics.xHeight / X_HEIGHT_RATIO;
+    const strokeWidth = this.measureStrokeWidth(coverage, region.width, metrics.bandTop, metrics.bandBottom);
+    const slant = this.measureSlant(coverage, region.width, metrics.top, metrics.bandBottom);
+
+    let fontWeight = 'regular';
+    if (strokeWidth / fontSize >= WEIGHT_THRESHOLDS.bold) fontWeight = 'bold';
+    else if (strokeWidth / fontSize >= WEIGHT_THRESHOLDS.medium) fontWeight = 'medium';
+
+    return {
+      font_size: Math.round(fontSize),
+      cap_height: metrics.capHeight,
+      x_height: metrics.xHeight,
+      baseline: region.y + metrics.bandBottom,
+      stroke_width: Math.round(strokeWidth * 10) / 10,
+      font_weight: fontWeight,
+      italic: slant >= this.options.italicSlant,
+      slant,
+      color: this.toHex(colors.ink),
+      background_color: this.toHex(colors.background),
+      contrast_ratio: this.contrastRatio(colors.ink, colors.background)
+    };
+  }
+
+  /**
+   * Copy a region's RGB values and luminance
+   */
+  readRegion(image, region) {
+    const count = region.width * region.height;
+    const rgb = new Uint8Array(count * 3);
+    const luminance = new Uint8Array(count);
+
+    for (let y = 0; y < region.height; y++) {
+      for (let x = 0; x < region.width; x++) {
+        const source = ((region.y + y) * image.width + region.x + x) * 3;
+        const target = y * region.width + x;
+        rgb[target * 3] = image.data[source];
+        rgb[target * 3 + 1] = image.data[source + 1];
+        rgb[target * 3 + 2] = image.data[source + 2];
+        luminance[target] = Math.round(0.299 * image.data[source] + 0.587 * image.data[source + 1] + 0.114 * image.data[source + 2]);
+      }
+    }
+    return { rgb, luminance };
+  }
+
+  /**
+   * Split a region into ink and background and take the median color of each.
+   * The ink color comes from the half of the ink pixels furthest from the background,
+   * so anti-aliased edges do not pull it towards the background.
+   * @returns {Object|null} { ink, background, inkLuminance, backgroundLuminance }, or null without contrast
+   */
+  separateInk({ rgb, luminance }) {
+    const threshold = otsuThreshold(luminance);
+    let dark = 0;
+    for (let i = 0; i < luminance.length; i++) {
+      if (luminance[i] < threshold) dark++;
+    }
+    // Text covers less of its box than the background does
+    const darkInk = dark <= luminance.length / 2;
+    const isInk = value => (darkInk ? value < threshold : value >= threshold);
+
+    const inkValues = [];
+    const backgroundIndices = [];
+    for (let i = 0; i < luminance.length; i++) {
+      if (isInk(luminance[i])) inkValues.push(i);
+      else backgroundIndices.push(i);
+    }
+    if (inkValues.length === 0 || backgroundIndices.length === 0) return null;
+
+    const inkMedian = median(inkValues.map(i => luminance[i]));
+    const coreInk = inkValues.filter(i => (darkInk ? luminance[i] <= inkMedian : luminance[i] >= inkMedian));
+    const ink = this.medianColor(rgb, coreInk);
+    const background = this.medianColor(rgb, backgroundIndices);
+    const inkLuminance = median(coreInk.map(i => luminance[i]));
+    const backgroundLuminance = median(backgroundIndices.map(i => luminance[i]));
+
+    if (Math.abs(inkLuminance - backgroundLuminance) < 20) return null;
+    return { ink, background, inkLuminance, backgroundLuminance };
+  }
+
+  /**
+   * Find the ink's top, x-height band and baseline from the row ink profile
+   * @returns {Object|null} { top, bandTop, bandBottom, capHeight, xHeight } in region rows;
+   *   capHeight is null when no letter reaches it, xHeight when the text has no lower case
+   */
+  measureHeights(coverage, region, text) {
+    const rows = new Float32Array(region.height);
+    let top = -1;
+    for (let y = 0; y < region.height; y++) {
+      for (let x = 0; x < region.width; x++) {
+        const value = coverage[y * region.width + x];
+        rows[y] += value;
+        // The first solid pixel, so that a single ascender counts but noise does not
+        if (top < 0 && value > 0.5) top = y;
+      }
+    }
+    const peak = Math.max(...rows);
+    if (top < 0 || peak === 0) return null;
+
+    // The x-height band is the longest run of rows with more than half the average ink:
+    // every letter has ink there, while only some reach above or below it
+    const inked = rows.filter(value => value >= peak * 0.1);
+    const dense = inked.reduce((sum, value) => sum + value, 0) / inked.length * 0.5;
+    let bandTop = 0;
+    let bandBottom = 0;
+    for (let y = 0; y < rows.length;) {
+      if (rows[y] < dense) {
+        y++;
+        continue;
+      }
+      const start = y;
+      while (y < rows.length && rows[y] >= dense) y++;
+      if (y - start > bandBottom - bandTop) {
+        bandTop = start;
+        bandBottom = y;
+      }
+    }
+
+    const hasTallLetters = /[\p{Lu}\p{N}bdfhklt]/u.test(text);
+    const hasLowerCase = /\p{Ll}/u.test(text);
+    const capHeight = hasTallLetters ? bandBottom - top : null;
+    const xHeight = hasLowerCase && (!capHeight || bandBottom - bandTop < capHeight * 0.9) ? bandBottom - bandTop : null;
+    if (!capHeight && !xHeight) return null;
+
+    return { top, bandTop, bandBottom, capHeight, xHeight };
+  }
+
+  /**
+   * Median ink across horizontal runs in the x-height band, which is mostly the width of vertical stems
+   */
+  measureStrokeWidth(coverage, width, bandTop, bandBottom) {
+    const runs = [];
+    for (let y = bandTop; y < bandBottom; y++) {
+      let run = 0;
+      for (let x = 0; x <= width; x++) {
+        const value = x < width ? coverage[y * width + x] : 0;
+        if (value > 0.2) {
+          run += value;
+        } else if (run > 0) {
+          runs.push(run);
+          run = 0;
+        }
+      }
+    }
+    return runs.length > 0 ? median(runs) : 0;
+  }
+
+  /**
+   * Slant in degrees (positive leans right): the shear under which the column ink
+   * profile is sharpest, i.e. vertical strokes line up
+   */
+  measureSlant(coverage, width, top, baseline) {
+    const sharpness = shear => {
+      const columns = new Float32Array(width + Math.ceil(Math.abs(shear) * baseline) * 2 + 1);
+      const offset = Math.ceil(Math.abs(shear) * baseline);
+      for (let y = top; y < baseline; y++) {
+        const shift = Math.round(shear * (baseline - y));
+        for (let x = 0; x < width; x++) {
+          const value = coverage[y * width + x];
+          if (value > 0.5) columns[x - shift + offset] += value;
+        }
+      }
+      return columns.reduce((sum, value) => sum + value * value, 0);
+    };
+
+    const upright = sharpness(0);
+    let best = { shear: 0, score: upright };
+    for (let shear = -0.2; shear <= this.options.maxShear + 1e-9; shear += 0.05) {
+      const score = sharpness(shear);
+      if (score > best.score) best = { shear, score };
+    }
+
+    // A marginal gain is noise, not slant
+    if (best.score < upright * 1.05) return 0;
+    return Math.round(Math.atan(best.shear) * 180 / Math.PI * 10) / 10;
+  }
+
+  /**
+   * WCAG contrast ratio between two colors
+   */
+  contrastRatio(first, second) {
+    const luminance = color => color
+      .map(channel => channel / 255)
+      .map(channel => (channel <= 0.03928 ? channel / 12.92 : ((channel + 0.055) / 1.055) ** 2.4))
+      .reduce((sum, channel, index) => sum + channel * [0.2126, 0.7152, 0.0722][index], 0);
+
+    const [lighter, darker] = [luminance(first), luminance(second)].sort((a, b) => b - a);
+    return Math.round((lighter + 0.05) / (darker + 0.05) * 100) / 100;
+  }
+
+  medianColor(rgb, indices) {
+    return [0, 1, 2].map(channel => median(indices.map(i => rgb[i * 3 + channel])));
+  }
+
+  toHex(color) {
+    return `#${color.map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('')}`;
+  }
+}
+
+module.exports = TextStyleAnalyzer;
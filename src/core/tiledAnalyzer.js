@@ -0,0 +1,235 @@
+const { createRegionTransform, mapGeometry, getBox, overlapRatio } = require('../utils/geometry');
+const { throwIfAborted } = require('../utils/abort');
+const { measure } = require('../utils/profiler');
+const { assignStableIds, getIdPrefix } = require('../utils/stableId');
+
+// Numeric fields that are counts or durations and add up across tiles; other numbers are averaged
+const SUMMED_FIELD_PATTERN = /(^total_|_count$|^count$|_lines$|_edges$|_contours$|_time$|_attempts$)/;
+
+/**
+ * Runs per-tile analysis over overlapping full-resolution tiles of a large image
+ * and merges the results back into a single result in original image coordinates.
+ */
+class TiledAnalyzer {
+  constructor(imageProcessor, options = {}) {
+    this.imageProcessor = imageProcessor;
+    this.options = {
+      duplicateThreshold: options.duplicateThreshold || 0.5, // Overlap ratio for seam duplicates
+      seamMargin: options.seamMargin || 2, // Pixels from a seam that count as touching it
+      ...options
+    };
+  }
+
+  /**
+   * Analyze every tile and merge the results
+   * @param {string|Buffer|Object} imageInput - Image source accepted by ImageProcessor.process()
+   * @param {Array} tiles - Tiles from ImageProcessor.planTiles()
+   * @param {Function} analyzeTile - async (buffer, metadata, tile, profiler) => result for one tile
+   * @param {Object} options - Options
+   * @param {AbortSignal} options.signal - Stops between tiles when aborted
+   * @param {Profiler} options.profiler - Span that receives one child span per tile
+   * @returns {Promise<Object>} Merged result with a `tiling` summary
+   */
+  async analyze(imageInput, tiles, analyzeTile, options = {}) {
+    const tileResults = await this.analyzeTiles(imageInput, tiles, analyzeTile, options);
+    return this.mergeResults(tileResults);
+  }
+
+  /**
+   * Analyze tiles one at a time so only a single tile buffer is held in memory
+   * @returns {Promise<Array>} Tile results ({ index, tile, imageSize, result }) in original coordinates
+   */
+  async analyzeTiles(imageInput, tiles, analyzeTile, options = {}) {
+    const tileResults = [];
+
+    for (let index = 0; index < tiles.length; index++) {
+      throwIfAborted(options.signal);
+
+      const { metadata, result } = await measure(options.profiler, `tile_${index}`, async profiler => {
+        const { buffer, metadata } = await this.imageProcessor.process(imageInput, { region: tiles[index] });
+        return { metadata, result: await analyzeTile(buffer, metadata, metadata.region, profiler) };
+      });
+      const transform = createRegionTransform(metadata.region, metadata.width, metadata.height);
+
+      tileResults.push({
+        index,
+        tile: metadata.region,
+        imageSize: { width: metadata.originalWidth, height: metadata.originalHeight },
+        result: mapGeometry(result, transform)
+      });
+    }
+
+    return tileResults;
+  }
+
+  /**
+   * Merge tile results: arrays of positioned items are deduplicated across tile seams,
+   * counts are summed, ratios averaged and other values taken from the most common tile value
+   * @param {Array} tileResults - Output of analyzeTiles()
+   * @returns {Object} Merged result
+   */
+  mergeResults(tileResults) {
+    const stats = { duplicates_removed: 0 };
+    const merged = this.mergeValues(
+      tileResults.map(tileResult => tileResult.result),
+      tileResults,
+      stats,
+      null
+    ) || {};
+
+    // Rebuild the plain text from the merged lines, top to bottom
+    const textLines = merged.lines || merged.structured_text;
+    if (Array.isArray(textLines) && typeof merged.raw_text === 'string') {
+      merged.raw_text = textLines.map(line => line.text).filter(Boolean).join('\n');
+      if (typeof merged.processed_text === 'string') {
+        merged.processed_text = merged.raw_text.replace(/\s+/g, ' ').trim();
+      }
+    }
+
+    merged.tiling = {
+      tiles: tileResults.length,
+      tile_positions: tileResults.map(tileResult => tileResult.tile),
+      duplicates_removed: stats.duplicates_removed
+    };
+
+    return merged;
+  }
+
+  /**
+   * Merge the values found at the same key in each tile's result
+   */
+  mergeValues(values, tileResults, stats, key) {
+    const present = values
+      .map((value, index) => ({ value, tileResult: tileResults[index] }))
+      .filter(entry => entry.value !== undefined && entry.value !== null);
+
+    if (present.length === 0) return values[0];
+
+    const first = present[0].value;
+
+    if (Array.isArray(first)) {
+      const items = [];
+      present.forEach(({ value, tileResult }) => {
+        if (Array.isArray(value)) {
+          value.forEach(item => items.push({ item, tileResult }));
+        }
+      });
+      return this.mergeItems(items, stats);
+    }
+
+    if (typeof first === 'number') {
+      const numbers = present.map(entry => entry.value).filter(value => typeof value === 'number');
+      const total = numbers.reduce((sum, value) => sum + value, 0);
+      return key && SUMMED_FIELD_PATTERN.test(key) ? total : total / numbers.length;
+    }
+
+    if (typeof first === 'object' && !Buffer.isBuffer(first)) {
+      const keys = new Set();
+      present.forEach(({ value }) => Object.keys(value).forEach(name => keys.add(name)));
+
+      const merged = {};
+      for (const name of keys) {
+        merged[name] = this.mergeValues(
+          present.map(({ value }) => value[name]),
+          present.map(({ tileResult }) => tileResult),
+          stats,
+          name
+        );
+      }
+      return merged;
+    }
+
+    // Strings and booleans: most common value across tiles
+    const counts = new Map();
+    present.forEach(({ value }) => counts.set(value, (counts.get(value) || 0) + 1));
+    return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  /**
+   * Deduplicate positioned items found in more than one tile.
+   * Items cut by a seam lose to complete copies from a neighbouring tile; otherwise the
+   * more confident, then larger, item wins. Items without a position are concatenated.
+   */
+  mergeItems(items, stats) {
+    const positioned = [];
+    const unpositioned = [];
+
+    items.forEach(entry => {
+      const box = getBox(entry.item);
+      if (box) {
+        positioned.push({ ...entry, box, cut: this.touchesSeam(box, entry.tileResult) });
+      } else {
+        unpositioned.push(entry.item);
+      }
+    });
+
+    positioned.sort((a, b) =>
+      (a.cut - b.cut) ||
+      ((b.item.confidence || 0) - (a.item.confidence || 0)) ||
+      (b.box.width * b.box.height - a.box.width * a.box.height)
+    );
+
+    const kept = [];
+    for (const candidate of positioned) {
+      const duplicate = kept.some(existing =>
+        existing.tileResult !== candidate.tileResult &&
+        overlapRatio(existing.box, candidate.box) >= this.options.duplicateThreshold &&
+        this.textMatches(existing.item, candidate.item)
+      );
+
+      if (duplicate) {
+        stats.duplicates_removed++;
+      } else {
+        kept.push(candidate);
+      }
+    }
+
+    kept.sort((a, b) => (a.box.y - b.box.y) || (a.box.x - b.box.x));
+
+    const imageSize = kept.length > 0 ? kept[0].tileResult.imageSize : {};
+    return [...this.reassignIds(kept.map(entry => entry.item), imageSize), ...unpositioned];
+  }
+
+  /**
+   * Check whether a box touches a tile edge that lies inside the image (a seam)
+   */
+  touchesSeam(box, tileResult) {
+    const { tile, imageSize } = tileResult;
+    const margin = this.options.seamMargin;
+
+    return (tile.x > 0 && box.x <= tile.x + margin) ||
+      (tile.y > 0 && box.y <= tile.y + margin) ||
+      (tile.x + tile.width < imageSize.width && box.x + box.width >= tile.x + tile.width - margin) ||
+      (tile.y + tile.height < imageSize.height && box.y + box.height >= tile.y + tile.height - margin);
+  }
+
+  /**
+   * Items without text always match; text items match when one text contains the other,
+   * which covers lines truncated at a seam
+   */
+  textMatches(a, b) {
+    if (typeof a.text !== 'string' || typeof b.text !== 'string') return true;
+
+    const normalize = text => text.toLowerCase().replace(/\s+/g, ' ').trim();
+    const textA = normalize(a.text);
+    const textB = normalize(b.text);
+
+    return textA.includes(textB) || textB.includes(textA);
+  }
+
+  /**
+   * Recompute stable IDs from positions in the original image, so an element gets
+   * the same ID whichever tile it was kept from
+   */
+  reassignIds(items, imageSize) {
+    const withIds = items.filter(item => typeof item.id === 'string');
+    if (withIds.length === 0) return items;
+
+    const relabeled = assignStableIds(withIds, item => getIdPrefix(item.id), imageSize);
+    const ids = new Map(withIds.map((item, index) => [item, relabeled[index].id]));
+
+    return items.map(item => (ids.has(item) ? { ...item, id: ids.get(item) } : item));
+  }
+}
+
+module.exports = TiledAnalyzer;
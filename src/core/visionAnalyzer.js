@@ -1,4 +1,8 @@
 const sharp = require('sharp');
+const { assignStableIds } = require('../utils/stableId');
+const { measure } = require('../utils/profiler');
+
+const SHAPE_ID_PREFIXES = { rectangle: 'rect', circle: 'circle', polygon: 'polygon' };
 
 class VisionAnalyzer {
   constructor(options = {}) {
@@ -13,6 +17,8 @@ class VisionAnalyzer {
       enableMultiScale: options.enableMultiScale !== false, // New feature
       enableEnsembleDetection: options.enableEnsembleDetection !== false, // New feature
       enableContextAwareness: options.enableContextAwareness !== false, // New feature
+      analysisScales: options.analysisScales || [0.5, 0.75, 1.0, 1.25], // Scales for multi-scale analysis
+      edgeDetectors: options.edgeDetectors || ['sobel', 'canny', 'laplacian'], // Ensemble edge detectors to run
       enhancementVersion: '2.0.5',
       ...options
     };
@@ -21,40 +27,53 @@ class VisionAnalyzer {
   /**
    * Analyze image for shapes, edges, and visual elements using advanced multi-scale analysis
    * @param {Buffer} imageBuffer - Image buffer
+   * @param {Object} options - Options
+   * @param {Profiler} options.profiler - Span that receives one child span per sub-step
    * @returns {Promise<Object>} Vision analysis results
    */
-  async analyze(imageBuffer) {
+  async analyze(imageBuffer, options = {}) {
+    const { profiler = null } = options;
+
     try {
-      // Get image metadata and stats
-      const metadata = await sharp(imageBuffer).metadata();
-      const stats = await sharp(imageBuffer).stats();
-      
-      // Get pixel data for real analysis
-      const { data: pixelData, info } = await sharp(imageBuffer)
-        .raw()
-        .toBuffer({ resolveWithObject: true });
+      // Get image metadata, stats and pixel data for real analysis
+      const { metadata, stats, pixelData, info } = await measure(profiler, 'decode', async () => {
+        const metadata = await sharp(imageBuffer).metadata();
+        const stats = await sharp(imageBuffer).stats();
+        const { data, info } = await sharp(imageBuffer)
+          .raw()
+          .toBuffer({ resolveWithObject: true });
+
+        return { metadata, stats, pixelData: data, info };
+      });
 
       // Multi-scale analysis for enhanced detection
-      const multiScaleAnalysis = this.options.enableMultiScale ? 
-        await this.performMultiScaleAnalysis(imageBuffer, metadata) : null;
+      const multiScaleAnalysis = this.options.enableMultiScale ?
+        await measure(profiler, 'multi_scale', () => this.performMultiScaleAnalysis(imageBuffer, metadata)) : null;
+
+      // Ensemble edge detection with the configured detectors
+      const edgeDetection = this.options.enableEnsembleDetection ?
+        await measure(profiler, 'edge_detection', edgeProfiler => this.performEnsembleEdgeDetection(imageBuffer, edgeProfiler)) : null;
 
       // Perform comprehensive analysis using actual image data
       const analysis = {
-        shapes: await this.detectShapes(imageBuffer, metadata, pixelData, info, multiScaleAnalysis),
-        edges: await this.detectEdges(imageBuffer, metadata, stats),
-        contours: await this.findContours(imageBuffer, metadata, pixelData, info),
-        lines: await this.detectLines(imageBuffer, metadata),
+        shapes: await measure(profiler, 'shapes', () =>
+          this.detectShapes(imageBuffer, metadata, pixelData, info, multiScaleAnalysis, edgeDetection)),
+        edges: await measure(profiler, 'edges', () => this.detectEdges(imageBuffer, metadata, stats)),
+        contours: await measure(profiler, 'contours', () => this.findContours(imageBuffer, metadata, pixelData, info)),
+        lines: await measure(profiler, 'lines', () => this.detectLines(imageBuffer, metadata, pixelData, info)),
         visual_elements: [],
-        regions: await this.detectRegions(imageBuffer, metadata, pixelData, info),
-        multi_scale_features: multiScaleAnalysis
+        regions: await measure(profiler, 'regions', () => this.detectRegions(imageBuffer, metadata, pixelData, info)),
+        multi_scale_features: multiScaleAnalysis,
+        edge_detection: edgeDetection
       };
 
       // Combine all detected elements with ensemble methods
-      analysis.visual_elements = await this.combineVisualElementsAdvanced(analysis, metadata);
+      analysis.visual_elements = await measure(profiler, 'combine_elements', () =>
+        this.combineVisualElementsAdvanced(analysis, metadata));
 
       // Apply context-aware confidence boosting
       if (this.options.enableContextAwareness) {
-        await this.applyContextAwareBoosts(analysis);
+        await measure(profiler, 'context_boosts', () => this.applyContextAwareBoosts(analysis));
       }
 
       return analysis;
@@ -67,7 +86,7 @@ class VisionAnalyzer {
    * Perform multi-scale analysis for enhanced detection
    */
   async performMultiScaleAnalysis(imageBuffer, metadata) {
-    const scales = [0.5, 0.75, 1.0, 1.25]; // Multiple scales for analysis
+    const scales = this.options.analysisScales; // Multiple scales for analysis
     const scaleResults = {};
 
     for (const scale of scales) {
@@ -97,9 +116,9 @@ class VisionAnalyzer {
   /**
    * Enhanced shape detection with ensemble methods
    */
-  async detectShapes(imageBuffer, metadata, pixelData, info, multiScaleAnalysis) {
+  async detectShapes(imageBuffer, metadata, pixelData, info, multiScaleAnalysis, edgeDetection) {
     return {
-      rectangles: await this.detectRectanglesAdvanced(imageBuffer, metadata, pixelData, info, multiScaleAnalysis),
+      rectangles: await this.detectRectanglesAdvanced(imageBuffer, metadata, pixelData, info, multiScaleAnalysis, edgeDetection),
       circles: await this.detectCirclesAdvanced(imageBuffer, metadata, pixelData, info, multiScaleAnalysis),
       polygons: await this.detectPolygonsAdvanced(imageBuffer, metadata, pixelData, info, multiScaleAnalysis)
     };
@@ -108,12 +127,12 @@ class VisionAnalyzer {
   /**
    * Advanced rectangle detection with ensemble methods and adaptive confidence
    */
-  async detectRectanglesAdvanced(imageBuffer, metadata, pixelData, info, multiScaleAnalysis) {
+  async detectRectanglesAdvanced(imageBuffer, metadata, pixelData, info, multiScaleAnalysis, edgeDetection) {
     const rectangles = [];
     const { width, height } = metadata;
     
     // Apply multiple edge detection methods for ensemble
-    const edgeDetectionResults = await this.performEnsembleEdgeDetection(imageBuffer);
+    const edgeDetectionResults = edgeDetection || await this.performEnsembleEdgeDetection(imageBuffer);
     
     // Analyze brightness variations to detect rectangular regions
     const regions = await this.analyzeRegionalBrightness(pixelData, info);
@@ -291,36 +310,21 @@ class VisionAnalyzer {
    * Advanced visual elements combination with ensemble methods
    */
   async combineVisualElementsAdvanced(analysis, metadata) {
-    const elements = [];
-    
-    // Add shapes with enhanced IDs and metadata
-    if (analysis.shapes.rectangles) {
-      analysis.shapes.rectangles.forEach((rect, index) => {
-        elements.push({ 
-          ...rect, 
-          id: `rect_${index}`,
-          ensemble_score: this.calculateEnsembleScore(rect, metadata)
-        });
-      });
-    }
-    if (analysis.shapes.circles) {
-      analysis.shapes.circles.forEach((circle, index) => {
-        elements.push({ 
-          ...circle, 
-          id: `circle_${index}`,
-          ensemble_score: this.calculateEnsembleScore(circle, metadata)
-        });
-      });
-    }
-    if (analysis.shapes.polygons) {
-      analysis.shapes.polygons.forEach((polygon, index) => {
-        elements.push({ 
-          ...polygon, 
-          id: `polygon_${index}`,
-          ensemble_score: this.calculateEnsembleScore(polygon, metadata)
-        });
-      });
-    }
+    const shapes = [
+      ...(analysis.shapes.rectangles || []),
+      ...(analysis.shapes.circles || []),
+      ...(analysis.shapes.polygons || [])
+    ];
+
+    // IDs are derived from shape type and position so they stay stable across runs
+    const elements = assignStableIds(
+      shapes,
+      shape => SHAPE_ID_PREFIXES[shape.type] || 'shape',
+      { width: metadata.width, height: metadata.height }
+    ).map(element => ({
+      ...element,
+      ensemble_score: this.calculateEnsembleScore(element, metadata)
+    }));
     
     // Sort by confidence (highest first) and apply final boosts
     const sortedElements = elements.sort((a, b) => (b.confidence || 0) - (a.confidence || 0));
@@ -438,8 +442,14 @@ class VisionAnalyzer {
 
   /**
    * Detect lines using Hough transform approximation
+   * @returns {Promise<Object>} Line counts. With pixel data, the positioned ruling lines are added as
+   *   `segments` when table detection is enabled, and outlined boxes as `boxes` when form extraction is
    */
-  async detectLines(imageBuffer, metadata) {
+  async detectLines(imageBuffer, metadata, pixelData = null, info = null) {
+    const found = {};
+    if (pixelData && info && this.options.enableTableDetection) found.segments = this.detectRulingLines(pixelData, info);
+    if (pixelData && info && this.options.enableFormExtraction) found.boxes = this.detectBoxes(pixelData, info);
+
     try {
       // Apply line detection filters
       const horizontalLines = await sharp(imageBuffer)
@@ -469,11 +479,206 @@ class VisionAnalyzer {
         diagonal_lines: Math.floor((hStats.channels[0].mean + vStats.channels[0].mean) / 40),
         total_lines: Math.floor((hStats.channels[0].mean + vStats.channels[0].mean) / 12),
         confidence: Math.min(0.83 + this.options.confidenceBoost, 0.94), // Boosted confidence
-        detection_method: 'convolution_analysis'
+        detection_method: 'convolution_analysis',
+        ...found
       };
     } catch (error) {
-      return this.detectBasicLines(metadata);
+      return { ...this.detectBasicLines(metadata), ...found };
+    }
+  }
+
+  /**
+   * Find thin straight horizontal and vertical lines, such as table rulings and dividers.
+   * A pixel is on a line when it is lighter or darker than the pixels two steps away on
+   * both sides across the line, which matches lines up to 3px thick but not the edges of
+   * filled areas. Runs of such pixels at least `minRulingLength` long become segments
+   * (half as long for vertical lines, which often only span one table row).
+   * @param {Buffer} pixelData - Raw pixels
+   * @param {Object} info - Raw pixel info ({ width, height, channels })
+   * @param {Object} options - Options
+   * @param {number} options.minLength - Shortest horizontal segment (default: `minRulingLength`)
+   * @param {number} options.minVerticalLength - Shortest vertical segment (default: half of minLength)
+   * @returns {Array<Object>} Segments ({ orientation, position, thickness })
+   */
+  detectRulingLines(pixelData, info, options = {}) {
+    const { width, height, channels } = info;
+    const minLength = options.minLength || this.options.minRulingLength || 40;
+    const minVerticalLength = options.minVerticalLength || Math.round(minLength / 2);
+    const contrast = 12;
+
+    const gray = new Uint8Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+      const offset = i * channels;
+      gray[i] = channels >= 3
+        ? Math.round(0.299 * pixelData[offset] + 0.587 * pixelData[offset + 1] + 0.114 * pixelData[offset + 2])
+        : pixelData[offset];
     }
+
+    // Scan rows for horizontal lines and columns for vertical ones with the same code
+    // Gaps this short are bridged: crossing lines interrupt each other for a pixel or two
+    const maxGap = 3;
+    const scan = (orientation, length, count, at, minRun) => {
+      const runs = [];
+      for (let line = 2; line < count - 2; line++) {
+        let start = -1;
+        let end = -1;
+        for (let i = 0; i <= length; i++) {
+          let onLine = false;
+          if (i < length) {
+            const value = at(i, line);
+            const before = value - at(i, line - 2);
+            const after = value - at(i, line + 2);
+            onLine = Math.abs(before) >= contrast && Math.abs(after) >= contrast && Math.sign(before) === Math.sign(after);
+          }
+          if (onLine) {
+            if (start < 0) start = i;
+            end = i + 1;
+          } else if (start >= 0 && (i - end >= maxGap || i === length)) {
+            if (end - start >= minRun) runs.push({ line, start, end });
+            start = -1;
+          }
+        }
+      }
+      return this.mergeRulingRuns(runs, orientation);
+    };
+
+    return [
+      ...scan('horizontal', width, height, (x, y) => gray[y * width + x], minLength),
+      ...scan('vertical', height, width, (y, x) => gray[y * width + x], minVerticalLength)
+    ];
+  }
+
+  /**
+   * Find outlined rectangles, such as text inputs, select boxes, text areas and checkboxes.
+   * Short ruling segments are paired into a top and bottom edge of the same extent with a
+   * side at each end; rounded corners shorten the edges, so sides may sit a few pixels
+   * outside them. Rectangles crossed by a ruling (table cells and rows) are left out.
+   * @param {Buffer} pixelData - Raw pixels
+   * @param {Object} info - Raw pixel info ({ width, height, channels })
+   * @returns {Array<Object>} Boxes ({ position, thickness }), top to bottom
+   */
+  detectBoxes(pixelData, info) {
+    const minSide = 6;
+    const maxHeight = 400;
+    const cornerRadius = 10;
+    const tolerance = 3;
+
+    const segments = this.detectRulingLines(pixelData, info, { minLength: minSide, minVerticalLength: minSide });
+    const horizontal = segments.filter(segment => segment.orientation === 'horizontal');
+    const vertical = segments.filter(segment => segment.orientation === 'vertical');
+    const right = box => box.x + box.width;
+    const bottom = box => box.y + box.height;
+
+    // Segments by the x of their start, so candidates are looked up near a position rather than scanned
+    const indexByX = list => {
+      const index = new Map();
+      list.forEach((segment, order) => {
+        const entry = { segment, order };
+        if (index.has(segment.position.x)) index.get(segment.position.x).push(entry);
+        else index.set(segment.position.x, [entry]);
+      });
+      return index;
+    };
+    const near = (index, x, from, to) => {
+      const entries = [];
+      for (let at = Math.round(x + from); at <= x + to; at++) entries.push(...(index.get(at) || []));
+      return entries.sort((a, b) => a.order - b.order).map(({ segment }) => segment);
+    };
+    const horizontalByX = indexByX(horizontal.sort((a, b) => a.position.y - b.position.y));
+    const verticalByX = indexByX(vertical);
+
+    // A side spans most of the edge between top and bottom, at or outside one end of them.
+    // Outside only at a rounded corner, which also keeps the side clear of the top edge.
+    const findSide = (top, bottomEdge, x, outward) => near(verticalByX, x,
+      outward > 0 ? -tolerance : -cornerRadius, outward > 0 ? cornerRadius : tolerance
+    ).find(side => {
+      const offset = (side.position.x - x) * outward;
+      const inset = side.position.y - top.position.y;
+      const covered = Math.min(bottom(side.position), bottomEdge.position.y) - Math.max(side.position.y, bottom(top.position));
+      return offset >= -tolerance && offset <= cornerRadius &&
+        (offset <= 1 || inset >= offset - 1) &&
+        covered >= (bottomEdge.position.y - bottom(top.position)) * 0.6;
+    });
+
+    const boxes = [];
+    horizontal.forEach(top => {
+      const candidates = near(horizontalByX, top.position.x, -tolerance, tolerance);
+      for (const bottomEdge of candidates) {
+        const height = bottomEdge.position.y - top.position.y;
+        if (height > maxHeight) break;
+        if (height < minSide ||
+          Math.abs(right(bottomEdge.position) - right(top.position)) > tolerance) continue;
+
+        const left = findSide(top, bottomEdge, top.position.x, -1);
+        const rightSide = left && findSide(top, bottomEdge, right(top.position), 1);
+        if (!rightSide) continue;
+
+        const x = Math.min(left.position.x, top.position.x);
+        const position = {
+          x,
+          y: top.position.y,
+          width: Math.max(right(rightSide.position), right(top.position)) - x,
+          height: bottom(bottomEdge.position) - top.position.y
+        };
+        boxes.push({ position, thickness: top.thickness });
+        // The nearest matching bottom edge closes the box
+        break;
+      }
+    });
+
+    // Drop boxes crossed by a ruling, and the inner outline of doubled borders
+    const crossed = box => vertical.some(side =>
+      side.position.x > box.x + cornerRadius && right(side.position) < right(box) - cornerRadius &&
+      side.position.height >= box.height * 0.6 && side.position.y < bottom(box) && bottom(side.position) > box.y
+    );
+    const contains = (outer, inner) => outer !== inner &&
+      inner.position.x >= outer.position.x && right(inner.position) <= right(outer.position) &&
+      inner.position.y >= outer.position.y && bottom(inner.position) <= bottom(outer.position) &&
+      inner.position.width * inner.position.height >= outer.position.width * outer.position.height * 0.8;
+
+    return boxes.filter(box => !crossed(box.position) && !boxes.some(other => contains(other, box)));
+  }
+
+  /**
+   * Merge runs on neighbouring rows (or columns) into segments as thick as the line
+   */
+  mergeRulingRuns(runs, orientation) {
+    const merged = [];
+    // Segments by the last line they reach; runs arrive line by line, so only the
+    // segments on this line and the one before can continue
+    const byLast = new Map();
+    const reaching = line => byLast.get(line) || [];
+
+    runs.forEach(run => {
+      const previous = [...reaching(run.line - 1), ...reaching(run.line)]
+        .sort((a, b) => a.order - b.order)
+        .find(segment => run.start < segment.end && run.end > segment.start);
+      if (previous) {
+        if (previous.last !== run.line) {
+          byLast.set(previous.last, reaching(previous.last).filter(segment => segment !== previous));
+          byLast.set(run.line, [...reaching(run.line), previous]);
+        }
+        previous.last = run.line;
+        previous.start = Math.min(previous.start, run.start);
+        previous.end = Math.max(previous.end, run.end);
+      } else {
+        const segment = { first: run.line, last: run.line, start: run.start, end: run.end, order: merged.length };
+        merged.push(segment);
+        byLast.set(run.line, [...reaching(run.line), segment]);
+      }
+      byLast.delete(run.line - 2);
+    });
+
+    return merged.map(segment => {
+      const thickness = segment.last - segment.first + 1;
+      return {
+        orientation,
+        position: orientation === 'horizontal'
+          ? { x: segment.start, y: segment.first, width: segment.end - segment.start, height: thickness }
+          : { x: segment.first, y: segment.start, width: thickness, height: segment.end - segment.start },
+        thickness
+      };
+    });
   }
 
   /**
@@ -607,18 +812,24 @@ class VisionAnalyzer {
   }
 
   // Enhanced helper methods
-  async performEnsembleEdgeDetection(imageBuffer) {
+  async performEnsembleEdgeDetection(imageBuffer, profiler = null) {
+    const detectors = {
+      sobel: buffer => this.applySobelOperator(buffer),
+      canny: buffer => this.applyCannyApproximation(buffer),
+      laplacian: buffer => this.applyLaplacianOperator(buffer)
+    };
+
     try {
-      // Combine multiple edge detection methods
-      const sobelResult = await this.applySobelOperator(imageBuffer);
-      const cannyResult = await this.applyCannyApproximation(imageBuffer);
-      const laplacianResult = await this.applyLaplacianOperator(imageBuffer);
-      
+      // Combine the configured edge detection methods
+      const results = {};
+      for (const name of this.options.edgeDetectors) {
+        results[name] = await measure(profiler, name, () => detectors[name](imageBuffer));
+      }
+
+      const qualities = Object.values(results).map(result => result.quality);
       return {
-        sobel: sobelResult,
-        canny: cannyResult,
-        laplacian: laplacianResult,
-        ensemble_score: (sobelResult.quality + cannyResult.quality + laplacianResult.quality) / 3
+        ...results,
+        ensemble_score: qualities.length > 0 ? qualities.reduce((sum, quality) => sum + quality, 0) / qualities.length : 0.5
       };
     } catch (error) {
       return { ensemble_score: 0.5 }; // Fallback
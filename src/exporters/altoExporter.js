@@ -0,0 +1,138 @@
+const { buildTextHierarchy, getPageBox, getTextPages } = require('../utils/textExtraction');
+const { escapeMarkup, languageTag, renderMarkupLines } = require('../utils/markup');
+const { version } = require('../../package.json');
+
+/**
+ * Exports OCR results as ALTO 4 XML. Each page is a `Page` with a `PrintSpace`; OCR blocks
+ * become `ComposedBlock`s, paragraphs `TextBlock`s, lines `TextLine`s and words `String`s
+ * separated by `SP`. Positions are in pixels, and word confidences are `WC` (0-1).
+ */
+class ALTOExporter {
+  constructor(options = {}) {
+    this.options = {
+      prettyPrint: options.prettyPrint !== false,
+      ...options
+    };
+  }
+
+  /**
+   * Export the text extraction of an analysis result to ALTO
+   * @param {Object} analysisResult - Analysis result with `text_extraction` (or `frames`)
+   * @param {Object} options - Export options
+   * @param {boolean} options.prettyPrint - Indent nested elements (default: true)
+   * @returns {Promise<string>} ALTO document
+   */
+  exportToALTO(analysisResult, options = {}) {
+    return Promise.resolve().then(() => this.createALTO(analysisResult, options));
+  }
+
+  /**
+   * Synchronous form of exportToALTO(), used by formatOutput()
+   * @returns {string} ALTO document
+   */
+  createALTO(analysisResult, options = {}) {
+    try {
+      const exportOptions = { ...this.options, ...options };
+      const metadata = analysisResult.image_metadata || {};
+      const image = metadata.file_path || metadata.file_name;
+
+      const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        [0, '<alto xmlns="http://www.loc.gov/standards/alto/ns-v4#" ' +
+          'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" ' +
+          'xsi:schemaLocation="http://www.loc.gov/standards/alto/ns-v4# http://www.loc.gov/alto/v4/alto-4-2.xsd">'],
+        [1, '<Description>'],
+        [2, '<MeasurementUnit>pixel</MeasurementUnit>'],
+        ...(image ? [
+          [2, '<sourceImageInformation>'],
+          [3, `<fileName>${escapeMarkup(image)}</fileName>`],
+          [2, '</sourceImageInformation>']
+        ] : []),
+        [2, '<Processing ID="OCR_1">'],
+        [3, '<processingSoftware>'],
+        [4, '<softwareName>img-to-text-computational</softwareName>'],
+        [4, `<softwareVersion>${version}</softwareVersion>`],
+        [3, '</processingSoftware>'],
+        [2, '</Processing>'],
+        [1, '</Description>'],
+        [1, '<Layout>'],
+        ...getTextPages(analysisResult).flatMap(({ page, extraction }) =>
+          this.createPage(page, extraction, metadata).map(([depth, line]) => [depth + 2, line])
+        ),
+        [1, '</Layout>'],
+        [0, '</alto>']
+      ];
+
+      return renderMarkupLines(lines, exportOptions.prettyPrint);
+    } catch (error) {
+      throw new Error(`ALTO export failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lines of one `Page`, as [depth, markup] pairs
+   */
+  createPage(page, extraction, metadata) {
+    const number = page + 1;
+    const blocks = buildTextHierarchy(extraction);
+    const pageBox = getPageBox(blocks, metadata);
+    const language = languageTag(extraction.language);
+
+    const lines = [
+      [0, `<Page ID="page_${number}" PHYSICAL_IMG_NR="${number}" WIDTH="${pageBox.width}" HEIGHT="${pageBox.height}">`],
+      [1, `<PrintSpace ${this.box(pageBox)}>`]
+    ];
+
+    blocks.forEach((block, blockIndex) => {
+      const blockId = `${number}_${blockIndex + 1}`;
+      lines.push([2, `<ComposedBlock ID="cblock_${blockId}" ${this.box(block.position)}>`]);
+
+      block.paragraphs.forEach((paragraph, paragraphIndex) => {
+        const paragraphId = `${blockId}_${paragraphIndex + 1}`;
+        lines.push([3, `<TextBlock ID="block_${paragraphId}" ${this.box(paragraph.position)} LANG="${language}">`]);
+
+        paragraph.lines.forEach((line, lineIndex) => {
+          const lineId = `${paragraphId}_${lineIndex + 1}`;
+          lines.push([4, `<TextLine ID="line_${lineId}" ${this.box(line.position)}>`]);
+
+          line.words.forEach((word, wordIndex) => {
+            const next = line.words[wordIndex + 1];
+            lines.push([5, `<String ID="string_${lineId}_${wordIndex + 1}" ${this.box(word.position)} ` +
+              `CONTENT="${escapeMarkup(word.text)}" WC="${this.confidence(word.confidence)}"/>`]);
+            if (next) lines.push([5, this.space(word.position, next.position)]);
+          });
+
+          lines.push([4, '</TextLine>']);
+        });
+
+        lines.push([3, '</TextBlock>']);
+      });
+
+      lines.push([2, '</ComposedBlock>']);
+    });
+
+    lines.push([1, '</PrintSpace>'], [0, '</Page>']);
+    return lines;
+  }
+
+  /**
+   * Position attributes of a box, rounded to whole pixels
+   */
+  box({ x, y, width, height }) {
+    return `HPOS="${Math.round(x)}" VPOS="${Math.round(y)}" WIDTH="${Math.round(width)}" HEIGHT="${Math.round(height)}"`;
+  }
+
+  /**
+   * `SP` element for the gap between two words on a line
+   */
+  space(before, after) {
+    const x = Math.round(before.x + before.width);
+    return `<SP WIDTH="${Math.max(0, Math.round(after.x) - x)}" HPOS="${x}" VPOS="${Math.round(before.y)}"/>`;
+  }
+
+  confidence(value) {
+    return (Math.round(Math.min(1, Math.max(0, value || 0)) * 100) / 100).toFixed(2);
+  }
+}
+
+module.exports = ALTOExporter;
@@ -0,0 +1,117 @@
+const { buildTextHierarchy, getPageBox, getTextPages } = require('../utils/textExtraction');
+const { escapeMarkup, languageTag, renderMarkupLines } = require('../utils/markup');
+const { version } = require('../../package.json');
+
+/**
+ * Exports OCR results as hOCR 1.2: an XHTML document with one `ocr_page` per page and
+ * nested `ocr_carea` (block), `ocr_par`, `ocr_line` and `ocrx_word` elements. Every
+ * element carries its `bbox` in image pixels and its confidence as `x_wconf` (0-100).
+ */
+class HOCRExporter {
+  constructor(options = {}) {
+    this.options = {
+      prettyPrint: options.prettyPrint !== false,
+      ...options
+    };
+  }
+
+  /**
+   * Export the text extraction of an analysis result to hOCR
+   * @param {Object} analysisResult - Analysis result with `text_extraction` (or `frames`)
+   * @param {Object} options - Export options
+   * @param {boolean} options.prettyPrint - Indent nested elements (default: true)
+   * @returns {Promise<string>} hOCR document
+   */
+  exportToHOCR(analysisResult, options = {}) {
+    return Promise.resolve().then(() => this.createHOCR(analysisResult, options));
+  }
+
+  /**
+   * Synchronous form of exportToHOCR(), used by formatOutput()
+   * @returns {string} hOCR document
+   */
+  createHOCR(analysisResult, options = {}) {
+    try {
+      const exportOptions = { ...this.options, ...options };
+      const metadata = analysisResult.image_metadata || {};
+      const pages = getTextPages(analysisResult);
+      const language = languageTag(pages[0].extraction.language);
+
+      const body = pages.map(({ page, extraction }) => this.createPage(page, extraction, metadata));
+      const lines = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<!DOCTYPE html PUBLIC "-//W3C//DTD XHTML 1.0 Transitional//EN" "http://www.w3.org/TR/xhtml1/DTD/xhtml1-transitional.dtd">',
+        `<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="${language}" lang="${language}">`,
+        [1, '<head>'],
+        [2, `<title>${escapeMarkup(metadata.file_name || '')}</title>`],
+        [2, '<meta http-equiv="Content-Type" content="text/html;charset=utf-8"/>'],
+        [2, `<meta name="ocr-system" content="img-to-text-computational ${version}"/>`],
+        [2, '<meta name="ocr-capabilities" content="ocr_page ocr_carea ocr_par ocr_line ocrx_word ocrp_wconf"/>'],
+        [2, `<meta name="ocr-number-of-pages" content="${pages.length}"/>`],
+        [1, '</head>'],
+        [1, '<body>'],
+        ...body.flat().map(([depth, line]) => [depth + 2, line]),
+        [1, '</body>'],
+        '</html>'
+      ];
+
+      return renderMarkupLines(lines, exportOptions.prettyPrint);
+    } catch (error) {
+      throw new Error(`hOCR export failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lines of one `ocr_page`, as [depth, markup] pairs
+   */
+  createPage(page, extraction, metadata) {
+    const number = page + 1;
+    const blocks = buildTextHierarchy(extraction);
+    const image = metadata.file_path || metadata.file_name;
+    const title = [image ? `image "${image}"` : null, this.bbox(getPageBox(blocks, metadata)), `ppageno ${page}`]
+      .filter(Boolean)
+      .join('; ');
+
+    const lines = [[0, `<div class="ocr_page" id="page_${number}" title="${escapeMarkup(title)}">`]];
+    const language = languageTag(extraction.language);
+
+    blocks.forEach((block, blockIndex) => {
+      const blockId = `${number}_${blockIndex + 1}`;
+      lines.push([1, `<div class="ocr_carea" id="block_${blockId}" title="${this.properties(block)}">`]);
+
+      block.paragraphs.forEach((paragraph, paragraphIndex) => {
+        const paragraphId = `${blockId}_${paragraphIndex + 1}`;
+        lines.push([2, `<p class="ocr_par" id="par_${paragraphId}" lang="${language}" title="${this.properties(paragraph)}">`]);
+
+        paragraph.lines.forEach((line, lineIndex) => {
+          const lineId = `${paragraphId}_${lineIndex + 1}`;
+          lines.push([3, `<span class="ocr_line" id="line_${lineId}" title="${this.properties(line)}">`]);
+          line.words.forEach((word, wordIndex) => {
+            lines.push([4, `<span class="ocrx_word" id="word_${lineId}_${wordIndex + 1}" title="${this.properties(word)}">${escapeMarkup(word.text)}</span>`]);
+          });
+          lines.push([3, '</span>']);
+        });
+
+        lines.push([2, '</p>']);
+      });
+
+      lines.push([1, '</div>']);
+    });
+
+    lines.push([0, '</div>']);
+    return lines;
+  }
+
+  /**
+   * `title` properties of an element: its box and confidence
+   */
+  properties(item) {
+    return `${this.bbox(item.position)}; x_wconf ${Math.round((item.confidence || 0) * 100)}`;
+  }
+
+  bbox({ x, y, width, height }) {
+    return `bbox ${Math.round(x)} ${Math.round(y)} ${Math.round(x + width)} ${Math.round(y + height)}`;
+  }
+}
+
+module.exports = HOCRExporter;
@@ -107,9 +107,9 @@ class SVGExporter {
   /**
    * Add background image
    */
-  addBackgroundImage(imagePath, width, height) {
+  addBackgroundImage(imagePath, width, height, opacity = 0.3) {
     return `  <image x="0" y="0" width="${width}" height="${height}" 
-           xlink:href="${imagePath}" opacity="0.3" />
+           xlink:href="${imagePath}" opacity="${opacity}" />
 `;
   }
 
@@ -123,7 +123,7 @@ class SVGExporter {
       const pos = component.position;
       const color = this.colors[component.type] || this.colors.default;
 
-      svg += `  <rect x="${pos.x}" y="${pos.y}" width="${pos.width}" height="${pos.height}"
+      svg += `  <rect id="${component.id}" x="${pos.x}" y="${pos.y}" width="${pos.width}" height="${pos.height}"
            class="component-box" stroke="${color}" 
            data-component-id="${component.id}" data-component-type="${component.type}">
     <title>${component.type} - ${component.text_content || 'No text'}</title>
@@ -152,7 +152,7 @@ class SVGExporter {
         const pos = textElement.position;
         const fontSize = textElement.font_info?.estimated_size || this.options.fontSize;
 
-        svg += `  <text x="${pos.x}" y="${pos.y + fontSize}" 
+        svg += `  <text id="${textElement.id}" x="${pos.x}" y="${pos.y + fontSize}" 
              class="text-element" font-size="${fontSize}px" 
              fill="#333" opacity="0.8"
              data-text-id="${textElement.id}" data-text-type="${textElement.type}">
@@ -326,6 +326,140 @@ class SVGExporter {
     return '</svg>';
   }
 
+  /**
+   * Export a comparison of two analyses as an overlay on the second image
+   * @param {Object} diff - Result of ImageToText.compare()
+   * @param {Object} options - Export options
+   * @param {string} options.backgroundImage - Background image href (defaults to the second image's path)
+   * @returns {Promise<string>} SVG content
+   */
+  exportDiff(diff, options = {}) {
+    return Promise.resolve().then(() => this.createDiffSVG(diff, options));
+  }
+
+  /**
+   * Synchronous form of exportDiff()
+   * @returns {string} SVG content
+   */
+  createDiffSVG(diff, options = {}) {
+    try {
+      const exportOptions = { ...this.options, ...options };
+      const changeColors = {
+        added: '#2ECC71',
+        removed: '#E74C3C',
+        moved: '#3498DB',
+        resized: '#E67E22',
+        recolored: '#9B59B6',
+        text_changed: '#F1C40F'
+      };
+
+      const imageMetadata = diff.after || {};
+      const width = imageMetadata.width || 1000;
+      const height = imageMetadata.height || 800;
+
+      let svg = this.createSVGHeader(width, height);
+
+      const background = exportOptions.backgroundImage || imageMetadata.file_path;
+      if (exportOptions.includeOriginalImage && background) {
+        svg += this.addBackgroundImage(background, width, height, 1);
+      }
+
+      svg += '  <!-- Changes -->\n';
+      const outlines = new Map();
+      (diff.changes || []).forEach(change => {
+        const pos = change.type === 'removed' ? change.position : change.after?.position;
+        if (!pos) return;
+
+        const color = changeColors[change.type] || this.colors.default;
+        const dash = change.type === 'removed' ? ' stroke-dasharray="6,4"' : '';
+
+        // Several changes of one component are drawn as nested outlines
+        const key = `${change.type === 'removed' ? 'before' : 'after'}:${change.component_id}`;
+        const inset = (outlines.get(key) || 0) * 3;
+        outlines.set(key, (outlines.get(key) || 0) + 1);
+
+        svg += `  <rect x="${pos.x - inset}" y="${pos.y - inset}" width="${pos.width + inset * 2}" height="${pos.height + inset * 2}"
+           class="component-box" stroke="${color}"${dash}
+           data-change-type="${change.type}" data-component-id="${change.component_id}">
+    <title>${change.type}: ${change.component_type} ${this.escapeXML(this.describeChange(change))}</title>
+  </rect>
+`;
+
+        if (change.type === 'moved' && change.details) {
+          const toX = pos.x + pos.width / 2;
+          const toY = pos.y + pos.height / 2;
+          svg += `  <line x1="${toX - change.details.dx}" y1="${toY - change.details.dy}" x2="${toX}" y2="${toY}"
+           stroke="${color}" stroke-width="1" stroke-dasharray="4,3" />
+`;
+        }
+      });
+
+      svg += this.addDiffLegend(diff, changeColors, width, height);
+      svg += this.createSVGFooter();
+
+      return svg;
+    } catch (error) {
+      throw new Error(`Diff SVG export failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Short description of a change for tooltips
+   */
+  describeChange(change) {
+    const details = change.details || {};
+    switch (change.type) {
+      case 'moved':
+        return `(${details.dx}, ${details.dy})`;
+      case 'resized':
+        return `(${details.dw}, ${details.dh})`;
+      case 'recolored':
+        return `${details.before_color} -> ${details.after_color}`;
+      case 'text_changed':
+        return `"${details.before_text}" -> "${details.after_text}"`;
+      default:
+        return change.after?.text || change.before?.text || '';
+    }
+  }
+
+  /**
+   * Add the change legend and layout changes below the image
+   */
+  addDiffLegend(diff, changeColors, width, height) {
+    const legendY = height + 20;
+    const summary = diff.summary || {};
+
+    let svg = `  <!-- Legend -->
+  <text x="10" y="${legendY}" class="legend-text" font-weight="bold">
+    Changes
+  </text>
+`;
+
+    Object.entries(changeColors).forEach(([type, color], index) => {
+      const x = 10 + (index * 120);
+      const y = legendY + 20;
+
+      svg += `  <rect x="${x}" y="${y - 10}" width="15" height="10" 
+           fill="none" stroke="${color}" stroke-width="2" />
+  <text x="${x + 20}" y="${y}" class="legend-text">
+    ${type} (${summary[type] || 0})
+  </text>
+`;
+    });
+
+    (diff.layout_changes || []).forEach((change, index) => {
+      const before = typeof change.before === 'object' ? `${change.before.rows}x${change.before.columns}` : change.before;
+      const after = typeof change.after === 'object' ? `${change.after.rows}x${change.after.columns}` : change.after;
+
+      svg += `  <text x="10" y="${legendY + 45 + index * 15}" class="pattern-annotation">
+    ${change.type}${change.axis ? ` (${change.axis})` : ''}: ${this.escapeXML(String(before))} -> ${this.escapeXML(String(after))}
+  </text>
+`;
+    });
+
+    return svg;
+  }
+
   /**
    * Export component hierarchy as nested SVG groups
    */
@@ -1,41 +1,122 @@
 const ImageProcessor = require('./core/imageProcessor');
 const OCREngine = require('./core/ocrEngine');
+const OCRScheduler = require('./core/ocrScheduler');
 const VisionAnalyzer = require('./core/visionAnalyzer');
 const ColorAnalyzer = require('./algorithms/colorAnalysis');
 const LayoutAnalyzer = require('./core/layoutAnalyzer');
+const StageRegistry = require('./core/stageRegistry');
+const TiledAnalyzer = require('./core/tiledAnalyzer');
+const ComponentOCR = require('./core/componentOCR');
+const OCRRefiner = require('./core/ocrRefiner');
+const OCRCorrector = require('./core/ocrCorrector');
+const TextStyleAnalyzer = require('./core/textStyleAnalyzer');
+const EntityExtractor = require('./core/entityExtractor');
+const ReadingOrderAnalyzer = require('./core/readingOrder');
+const TableDetector = require('./core/tableDetector');
+const FormExtractor = require('./core/formExtractor');
+const { createBuiltinStages } = require('./core/builtinStages');
 const ComponentClassifier = require('./rules/componentClassifier');
 
 // Advanced pattern recognition and analysis
 const PatternRecognitionEngine = require('./algorithms/patternRecognition');
 const DesignSystemAnalyzer = require('./algorithms/designSystemAnalyzer');
 const ComponentRelationshipMapper = require('./algorithms/componentRelationshipMapper');
+const AnalysisComparator = require('./algorithms/analysisComparator');
 const MultiLanguageOCR = require('./algorithms/multiLanguageOCR');
 const PerformanceOptimizer = require('./algorithms/performanceOptimizer');
 
 // Export modules
 const SVGExporter = require('./exporters/svgExporter');
 const XMLExporter = require('./exporters/xmlExporter');
+const HOCRExporter = require('./exporters/hocrExporter');
+const ALTOExporter = require('./exporters/altoExporter');
 
 const { formatOutput, saveResult, displayResult } = require('./utils/formatters');
 const { validateImage, validateOptions } = require('./utils/validators');
+const { loadImageInput, describeImageInput, detectImageFormat } = require('./utils/imageInput');
+const { isAbortError, runAbortable, throwIfAborted } = require('./utils/abort');
+const { createRegionTransform, mapGeometry } = require('./utils/geometry');
+const { normalizeTextExtraction } = require('./utils/textExtraction');
+const { assignStableIds } = require('./utils/stableId');
+const { Profiler } = require('./utils/profiler');
+const { checkLanguagePacks, isLocalLangPath, splitLanguages } = require('./utils/languagePacks');
+const { loadVocabulary } = require('./utils/vocabulary');
+const { SCHEMA_VERSION, resultSchema, validateResult } = require('./schema');
+const { resolveConfig, findConfigFile, loadConfigFile } = require('./config/configLoader');
+const { PRESETS, listPresets, getPreset } = require('./config/presets');
+const {
+  PRECISION_PROFILES,
+  DETAIL_LEVELS,
+  getPrecisionProfile,
+  getDetailLevel,
+  pruneVisionAnalysis
+} = require('./config/precision');
+const { EventEmitter } = require('events');
 const chalk = require('chalk');
 const fs = require('fs-extra');
+const os = require('os');
 const path = require('path');
 
-class ImageToText {
-  constructor(options = {}) {
+/**
+ * Computational image analyzer.
+ *
+ * Emits progress events (also delivered to the `onProgress` option as `{ type, ...payload }`):
+ * - `stage:start` ({ stage, input })
+ * - `stage:end` ({ stage, input, status, duration, error })
+ * - `ocr:progress` ({ status, progress, language })
+ * - `batch:item` ({ index, total, input, status, duration, error })
+ */
+class ImageToText extends EventEmitter {
+  /**
+   * @param {Object} initialOptions - Analyzer options. Merged over the nearest `.imgtotextrc` /
+   *   `img-to-text.config.{json,yaml,js}` and the selected preset (see resolveConfig())
+   * @param {string} initialOptions.preset - Named preset (e.g. 'fast-ocr', 'full-ui-audit', 'design-tokens')
+   * @param {boolean|string} initialOptions.config - false skips config files; a path loads that file
+   * @param {string} initialOptions.cwd - Directory to start the config file search from
+   */
+  constructor(initialOptions = {}) {
+    super();
+
+    const { options, configFile } = resolveConfig(initialOptions);
+    this.configFile = configFile;
+
+    // Precision sets the defaults for scales, edge detectors, OCR passes and optional stages
+    const profile = getPrecisionProfile(options.precision || 'standard');
+    getDetailLevel(options.detail || 'standard');
+
     this.config = {
       outputFormat: options.outputFormat || 'json',
       maxFileSize: options.maxFileSize || 10 * 1024 * 1024, // 10MB
       ocrLanguage: options.ocrLanguage || 'eng',
+      ocrWorkers: options.ocrWorkers || Math.min(os.cpus().length, 4), // Pooled Tesseract workers per language
+      // ms before an idle OCR worker is terminated; kept short because idle workers keep the process alive until cleanup()
+      ocrIdleTimeout: options.ocrIdleTimeout ?? 5000,
       precision: options.precision || 'standard', // fast, standard, high
+      detail: options.detail || 'standard', // basic, standard, comprehensive
+      analysisScales: profile.analysisScales,
+      edgeDetectors: profile.edgeDetectors,
+      ocrPageSegModes: profile.ocrPageSegModes,
+      // false, 'auto' or { invert, deskew, upscale, binarize } each true, false or 'auto'
+      ocrPreprocessing: options.ocrPreprocessing ?? profile.ocrPreprocessing,
+      tiling: options.tiling || false, // false, true, 'auto' or { tileWidth, tileHeight, overlap }
+      errorMode: options.errorMode || 'tolerant', // tolerant, strict
       enableOCR: options.enableOCR !== false,
       enableShapeDetection: options.enableShapeDetection !== false,
       enableColorAnalysis: options.enableColorAnalysis !== false,
       enableLayoutAnalysis: options.enableLayoutAnalysis !== false,
       enableAdvancedPatterns: options.enableAdvancedPatterns !== false,
-      enableDesignSystemAnalysis: options.enableDesignSystemAnalysis !== false,
-      enableComponentRelationships: options.enableComponentRelationships !== false,
+      enableDesignSystemAnalysis: options.enableDesignSystemAnalysis ?? profile.enableDesignSystemAnalysis,
+      enableComponentRelationships: options.enableComponentRelationships ?? profile.enableComponentRelationships,
+      enableComponentOCR: options.enableComponentOCR ?? profile.enableComponentOCR, // Re-read button, input and nav labels
+      enableOCRRefinement: options.enableOCRRefinement ?? profile.enableOCRRefinement, // Re-read low-confidence lines
+      enableTextStyleAnalysis: options.enableTextStyleAnalysis !== false, // Font size, weight and colors per line
+      enableEntityExtraction: options.enableEntityExtraction !== false, // Emails, URLs, dates, prices, ...
+      locale: options.locale || null, // Locale for entity dates and numbers (default: from the OCR language)
+      enableReadingOrder: options.enableReadingOrder !== false,
+      readingDirection: options.readingDirection || 'auto', // ltr, rtl or auto (from the OCR language)
+      readingFlow: options.readingFlow || 'columns', // columns (read each column through) or rows
+      enableTableDetection: options.enableTableDetection || false, // Tables as cells, CSV and Markdown
+      enableFormExtraction: options.enableFormExtraction || false, // Forms as fields, JSON Schema and UI schema
       enableMultiLanguageOCR: options.enableMultiLanguageOCR !== false,
       enablePerformanceOptimization: options.enablePerformanceOptimization !== false,
       verbose: options.verbose || false,
@@ -44,10 +125,34 @@ class ImageToText {
 
     // Initialize core components
     this.imageProcessor = new ImageProcessor(this.config);
+    this.tiledAnalyzer = new TiledAnalyzer(this.imageProcessor, this.config);
+    const ocrLogger = m => this.emitProgress('ocr:progress', {
+      status: m.status,
+      progress: m.progress,
+      language: m.language
+    });
+
+    // Vocabulary words are given to Tesseract as user words and used to correct its output
+    this.vocabulary = loadVocabulary(this.config.vocabulary);
+
+    // One Tesseract worker pool serves both OCR engines
+    this.ocrScheduler = new OCRScheduler({
+      workersPerLanguage: this.config.ocrWorkers,
+      idleTimeout: this.config.ocrIdleTimeout,
+      workerOptions: {
+        ...this.config.tesseractConfig,
+        langPath: this.config.langPath,
+        cachePath: this.config.cachePath
+      },
+      vocabulary: this.vocabulary
+    });
     this.ocrEngine = new OCREngine({
       language: this.config.ocrLanguage,
-      verbose: this.config.verbose
+      verbose: this.config.verbose,
+      ocrLogger,
+      scheduler: this.ocrScheduler
     });
+    this.componentOCR = new ComponentOCR(this.ocrEngine, this.imageProcessor, this.config);
     this.visionAnalyzer = new VisionAnalyzer(this.config);
     this.colorAnalyzer = new ColorAnalyzer(this.config);
     this.layoutAnalyzer = new LayoutAnalyzer(this.config);
@@ -57,30 +162,133 @@ class ImageToText {
     this.patternRecognition = new PatternRecognitionEngine(this.config);
     this.designSystemAnalyzer = new DesignSystemAnalyzer(this.config);
     this.componentRelationshipMapper = new ComponentRelationshipMapper(this.config);
-    this.multiLanguageOCR = new MultiLanguageOCR(this.config);
+    this.analysisComparator = new AnalysisComparator(this.config);
+    this.multiLanguageOCR = new MultiLanguageOCR({ ...this.config, ocrLogger, scheduler: this.ocrScheduler });
+    // Low-confidence lines are retried in the multi-language fallbacks unless languages are given
+    this.ocrRefiner = new OCRRefiner(this.ocrScheduler, this.imageProcessor, {
+      ...this.config,
+      ocrRefinementLanguages: this.getRefinementLanguages()
+    });
+    // A local langPath makes OCR fully offline, so a pack missing for any language OCR may load
+    // (multi-language fallbacks and refinement languages included) fails here rather than mid-analysis
+    if (this.config.enableOCR && isLocalLangPath(this.config.langPath)) {
+      checkLanguagePacks(this.config.langPath, this.getRequiredLanguages());
+    }
+    this.ocrCorrector = new OCRCorrector(this.vocabulary, this.config);
+    this.textStyleAnalyzer = new TextStyleAnalyzer(this.imageProcessor, this.config);
+    this.entityExtractor = new EntityExtractor(this.config);
+    this.readingOrderAnalyzer = new ReadingOrderAnalyzer(this.layoutAnalyzer, this.config);
+    this.tableDetector = new TableDetector(this.layoutAnalyzer, this.config);
+    this.formExtractor = new FormExtractor(this.layoutAnalyzer, this.config);
     this.performanceOptimizer = new PerformanceOptimizer(this.config);
 
     // Initialize exporters
     this.svgExporter = new SVGExporter(this.config);
     this.xmlExporter = new XMLExporter(this.config);
+    this.hocrExporter = new HOCRExporter(this.config);
+    this.altoExporter = new ALTOExporter(this.config);
+
+    // Initialize analysis pipeline
+    this.stageRegistry = new StageRegistry(createBuiltinStages());
+    if (options.stages) {
+      this.stageRegistry.configure(options.stages);
+    }
+  }
+
+  /**
+   * Emit a progress event and forward it to the onProgress callback
+   * @param {string} type - Event name
+   * @param {Object} payload - Event payload
+   */
+  emitProgress(type, payload = {}) {
+    this.emit(type, payload);
+
+    if (typeof this.config.onProgress === 'function') {
+      this.config.onProgress({ type, ...payload });
+    }
+  }
+
+  /**
+   * Register a pipeline stage, replacing any stage with the same name
+   * @param {Object} stage - Stage definition ({ name, inputs, outputs, run, ... })
+   * @returns {ImageToText} This analyzer, for chaining
+   */
+  use(stage) {
+    this.stageRegistry.use(stage);
+    return this;
+  }
+
+  /**
+   * Disable a pipeline stage by name
+   * @param {string} name - Stage name
+   * @returns {ImageToText} This analyzer, for chaining
+   */
+  disableStage(name) {
+    this.stageRegistry.disable(name);
+    return this;
+  }
+
+  /**
+   * Re-enable a pipeline stage by name
+   * @param {string} name - Stage name
+   * @returns {ImageToText} This analyzer, for chaining
+   */
+  enableStage(name) {
+    this.stageRegistry.enable(name);
+    return this;
+  }
+
+  /**
+   * List pipeline stages in execution order
+   * @returns {Array<Object>} Stage summaries ({ name, inputs, outputs, enabled })
+   */
+  getStages() {
+    return this.stageRegistry.list();
   }
 
   /**
    * Analyze a single image using computational methods
-   * @param {string} imagePath - Path to the image file
+   * @param {string|Buffer|Readable|Object} imageInput - Image file path, Buffer, Readable stream,
+   *   data URI / base64 string, or raw pixel object ({ data, width, height, channels })
    * @param {Object} options - Analysis options
+   * @param {string} options.fileName - Display name for inputs that have no file name
+   * @param {string} options.errorMode - 'tolerant' records stage failures in `stage_errors`
+   *   and keeps going; 'strict' fails the analysis on the first stage error
+   * @param {AbortSignal} options.signal - Cancels the analysis; rejects with an AbortError
+   * @param {number} options.stageTimeout - Timeout in milliseconds applied to every stage
+   * @param {Object} options.stageTimeouts - Per-stage timeouts in milliseconds (e.g. { ocr: 30000 })
+   * @param {boolean|string|Object} options.tiling - Run OCR and vision on overlapping full-resolution
+   *   tiles: true, 'auto' (only when the image exceeds maxWidth/maxHeight) or { tileWidth, tileHeight, overlap }
+   * @param {string} options.detail - Raw vision data to keep: 'basic', 'standard' or 'comprehensive'
+   * @param {Array<Object>} options.regions - Analyze only these regions ({ x, y, width, height }
+   *   in original image pixels); results go to `region_analyses` in original image coordinates
    * @returns {Promise<Object>} Complete analysis result
    */
-  async analyze(imagePath, options = {}) {
-    try {
-      if (this.config.verbose) {
-        console.log(chalk.blue(`Starting computational analysis of: ${path.basename(imagePath)}`));
-      }
+  async analyze(imageInput, options = {}) {
+    const profiler = new Profiler('analysis');
 
+    try {
       // Validate inputs
-      await validateImage(imagePath);
       validateOptions(options);
 
+      // Materialize streams and base64 strings; stream content can only be sniffed once read
+      const image = await profiler.measure('input', async () => {
+        await validateImage(imageInput, { maxFileSize: this.config.maxFileSize });
+
+        const loaded = await loadImageInput(imageInput, {
+          maxFileSize: this.config.maxFileSize,
+          fileName: options.fileName
+        });
+        if (loaded.type === 'stream') {
+          await validateImage(loaded.source, { maxFileSize: this.config.maxFileSize });
+        }
+        return loaded;
+      });
+
+      if (this.config.verbose) {
+        console.log(chalk.blue(`Starting computational analysis of: ${image.fileName || `${image.type} input`}`));
+      }
+
       const analysisOptions = {
         extractText: options.extractText !== false,
         detectShapes: options.detectShapes !== false,
@@ -90,109 +298,521 @@ class ImageToText {
         ...options
       };
 
+      // Frame mode runs the pipeline once per GIF frame or TIFF page
+      if (options.frames) {
+        const result = await this.analyzeFrames(image, analysisOptions, profiler);
+        this.attachProfile(result, profiler);
+
+        if (this.config.verbose) {
+          console.log(chalk.green(`✓ Analysis of ${result.frames.length} frame(s) completed successfully`));
+          this.displaySummary(result);
+        }
+
+        return result;
+      }
+
+      // Region-of-interest mode runs the pipeline once per crop
+      if (options.regions) {
+        const result = await this.analyzeRegions(image, analysisOptions, profiler);
+        this.attachProfile(result, profiler);
+
+        if (this.config.verbose) {
+          console.log(chalk.green(`✓ Analysis of ${result.region_analyses.length} region(s) completed successfully`));
+          this.displaySummary(result);
+        }
+
+        return result;
+      }
+
       // Step 1: Process and prepare image
       if (this.config.verbose) console.log(chalk.yellow('1. Processing image...'));
-      const { buffer, metadata } = await this.imageProcessor.process(imagePath);
+      const processed = await profiler.measure('image_processing', () => this.imageProcessor.process(image.source));
+      throwIfAborted(options.signal);
+
+      // In tiling mode coordinates are reported at full resolution
+      const tiles = this.planTiling(processed.metadata, analysisOptions);
+      const metadata = tiles
+        ? { ...processed.metadata, width: processed.metadata.originalWidth, height: processed.metadata.originalHeight }
+        : processed.metadata;
 
       const result = {
-        image_metadata: {
-          file_path: imagePath,
-          file_name: path.basename(imagePath),
-          dimensions: `${metadata.width}x${metadata.height}`,
-          format: metadata.format?.toUpperCase(),
-          file_size: this.formatFileSize(metadata.size),
-          width: metadata.width,
-          height: metadata.height,
-          channels: metadata.channels,
-          density: metadata.density || null,
-          analyzed_at: new Date().toISOString()
-        }
+        schema_version: SCHEMA_VERSION,
+        image_metadata: this.buildImageMetadata(image, metadata)
       };
-
-      // Step 2: OCR Text Extraction (with multi-language support)
-      if (analysisOptions.extractText && this.config.enableOCR) {
-        if (this.config.verbose) console.log(chalk.yellow('2. Extracting text with OCR...'));
-
-        if (this.config.enableMultiLanguageOCR) {
-          result.text_extraction = await this.multiLanguageOCR.processImage(buffer, {
-            language: this.config.ocrLanguage,
-            autoDetectLanguage: true
-          });
-        } else {
-          result.text_extraction = await this.ocrEngine.extractText(buffer);
-        }
+      if (tiles) {
+        if (this.config.verbose) console.log(chalk.yellow(`Tiling image into ${tiles.length} tiles for OCR and vision...`));
+        result.image_metadata.tiles = tiles.length;
       }
 
-      // Step 3: Computer Vision Analysis
-      if (analysisOptions.detectShapes && this.config.enableShapeDetection) {
-        if (this.config.verbose) console.log(chalk.yellow('3. Detecting shapes and visual elements...'));
-        result.vision_analysis = await this.visionAnalyzer.analyze(buffer);
+      // Steps 2+: Run the registered pipeline stages
+      await this.runStages({
+        analyzer: this,
+        image,
+        buffer: processed.buffer,
+        metadata,
+        result,
+        config: this.config,
+        options: analysisOptions,
+        signal: options.signal,
+        profiler,
+        tiles
+      });
+      this.attachProfile(result, profiler);
+
+      if (this.config.verbose) {
+        console.log(chalk.green('✓ Analysis completed successfully'));
+        this.displaySummary(result);
       }
 
-      // Step 4: Color Analysis
-      if (analysisOptions.analyzeColors && this.config.enableColorAnalysis) {
-        if (this.config.verbose) console.log(chalk.yellow('4. Analyzing colors...'));
-        result.color_analysis = await this.colorAnalyzer.analyze(buffer);
+      return result;
+
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      throw new Error(`Computational analysis failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Decide whether to tile an image and plan the tiles
+   * @param {Object} metadata - Processed image metadata (with original dimensions)
+   * @param {Object} options - Analysis options
+   * @returns {Array|null} Tiles, or null when the image is analyzed whole
+   */
+  planTiling(metadata, options) {
+    const tiling = options.tiling !== undefined ? options.tiling : this.config.tiling;
+    if (!tiling) return null;
+
+    const width = metadata.originalWidth || metadata.width;
+    const height = metadata.originalHeight || metadata.height;
+    const { maxWidth, maxHeight } = this.imageProcessor.options;
+
+    if (tiling === 'auto' && width <= maxWidth && height <= maxHeight) {
+      return null;
+    }
+
+    const tiles = this.imageProcessor.planTiles(width, height, typeof tiling === 'object' ? tiling : {});
+    return tiles.length > 1 ? tiles : null;
+  }
+
+  /**
+   * Build the image_metadata section of a result
+   * @param {Object} image - Normalized image input
+   * @param {Object} metadata - Processed image metadata
+   * @returns {Object} Image metadata
+   */
+  buildImageMetadata(image, metadata) {
+    return {
+      file_path: image.filePath,
+      file_name: image.fileName || `${image.type}.${metadata.format}`,
+      input_type: image.type,
+      dimensions: `${metadata.width}x${metadata.height}`,
+      format: metadata.format?.toUpperCase(),
+      file_size: this.formatFileSize(metadata.size),
+      width: metadata.width,
+      height: metadata.height,
+      channels: metadata.channels,
+      density: metadata.density || null,
+      analyzed_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Run the full pipeline on each region of interest.
+   * Each crop is taken from the full-resolution image and every coordinate in its
+   * analysis is mapped back to the original image's coordinate space.
+   * @param {Object} image - Normalized image input
+   * @param {Object} options - Analysis options including `regions`
+   * @param {Profiler} profiler - Span that receives one child span per region
+   * @returns {Promise<Object>} Result with `region_analyses`
+   */
+  async analyzeRegions(image, options, profiler = new Profiler('regions')) {
+    const regionAnalyses = [];
+    const stageErrors = [];
+    let imageMetadata = null;
+
+    for (let index = 0; index < options.regions.length; index++) {
+      throwIfAborted(options.signal);
+
+      const requested = options.regions[index];
+      if (this.config.verbose) {
+        console.log(chalk.yellow(`Region ${index + 1}/${options.regions.length}: ${requested.x},${requested.y} ${requested.width}x${requested.height}`));
       }
 
-      // Step 5: Layout Analysis
-      if (analysisOptions.analyzeLayout && this.config.enableLayoutAnalysis) {
-        if (this.config.verbose) console.log(chalk.yellow('5. Analyzing layout...'));
-        const components = result.vision_analysis?.visual_elements || [];
-        result.layout_analysis = await this.layoutAnalyzer.analyze(components, metadata);
+      const { metadata, regionResult } = await profiler.measure(`region_${index}`, async regionProfiler => {
+        const { buffer, metadata } = await regionProfiler.measure('image_processing', () =>
+          this.imageProcessor.process(image.source, { region: requested }));
+        const regionResult = { image_metadata: this.buildImageMetadata(image, metadata) };
+
+        await this.runStages({
+          analyzer: this,
+          image,
+          buffer,
+          metadata,
+          result: regionResult,
+          config: this.config,
+          options,
+          signal: options.signal,
+          profiler: regionProfiler
+        });
+
+        return { metadata, regionResult };
+      });
+
+      const transform = createRegionTransform(metadata.region, metadata.width, metadata.height);
+      const { image_metadata: _cropMetadata, ...analysis } = regionResult;
+
+      regionAnalyses.push({
+        region: metadata.region,
+        scale: { x: transform.scaleX, y: transform.scaleY },
+        ...mapGeometry(analysis, transform)
+      });
+      stageErrors.push(...regionResult.stage_errors.map(stageError => ({ ...stageError, region: index })));
+
+      if (!imageMetadata) {
+        imageMetadata = {
+          ...this.buildImageMetadata(image, metadata),
+          dimensions: `${metadata.originalWidth}x${metadata.originalHeight}`,
+          width: metadata.originalWidth,
+          height: metadata.originalHeight
+        };
       }
+    }
 
-      // Step 6: Component Classification
-      if (analysisOptions.classifyComponents) {
-        if (this.config.verbose) console.log(chalk.yellow('6. Classifying UI components...'));
-        result.components = await this.classifyComponents(result);
+    return {
+      schema_version: SCHEMA_VERSION,
+      image_metadata: imageMetadata,
+      region_analyses: regionAnalyses,
+      stage_errors: stageErrors,
+      analysis_statistics: this.aggregateRegionStatistics(regionAnalyses)
+    };
+  }
+
+  /**
+   * Sum the per-region statistics into image-level statistics
+   * @param {Array<Object>} regionAnalyses - Region analyses
+   * @returns {Object} Aggregated statistics
+   */
+  aggregateRegionStatistics(regionAnalyses) {
+    return {
+      regions_analyzed: regionAnalyses.length,
+      ...this.sumStatistics(regionAnalyses)
+    };
+  }
+
+  /**
+   * Sum the counters of several analyses' statistics
+   * @param {Array<Object>} analyses - Analyses with `analysis_statistics`
+   * @returns {Object} Summed statistics
+   */
+  sumStatistics(analyses) {
+    const sum = key => analyses.reduce((total, analysis) =>
+      total + (analysis.analysis_statistics?.[key] || 0), 0);
+
+    return {
+      processing_time: sum('processing_time'),
+      components_detected: sum('components_detected'),
+      text_elements: sum('text_elements'),
+      visual_elements: sum('visual_elements'),
+      colors_extracted: sum('colors_extracted')
+    };
+  }
+
+  /**
+   * Add the finished profile to a result's statistics
+   * @param {Object} result - Analysis result
+   * @param {Profiler} profiler - Root span of the analysis
+   */
+  attachProfile(result, profiler) {
+    result.analysis_statistics = {
+      ...result.analysis_statistics,
+      profile: profiler.toJSON()
+    };
+  }
+
+  /**
+   * Run the full pipeline on each frame of an animated GIF or page of a multi-page TIFF
+   * and build a timeline of the components that appear, disappear or change between frames
+   * @param {Object} image - Normalized image input
+   * @param {Object} options - Analysis options including `frames`
+   * @param {Profiler} profiler - Span that receives one child span per frame
+   * @returns {Promise<Object>} Result with `frames` and `timeline`
+   */
+  async analyzeFrames(image, options, profiler = new Profiler('frames')) {
+    const frameInfo = await profiler.measure('frame_detection', () => this.imageProcessor.getFrameInfo(image.source));
+    const indices = this.selectFrames(frameInfo.count, options.frames);
+    const timestamps = this.getFrameTimestamps(frameInfo);
+    const frames = [];
+    const stageErrors = [];
+    let imageMetadata = null;
+
+    for (let position = 0; position < indices.length; position++) {
+      throwIfAborted(options.signal);
+
+      const index = indices[position];
+      const startTime = Date.now();
+      if (this.config.verbose) {
+        console.log(chalk.yellow(`Frame ${index + 1}/${frameInfo.count}`));
       }
 
-      // Step 7: Advanced Pattern Recognition
-      if (this.config.enableAdvancedPatterns) {
-        if (this.config.verbose) console.log(chalk.yellow('7. Analyzing advanced patterns...'));
-        result.advanced_patterns = await this.patternRecognition.analyzePatterns(result);
+      const frameResult = await profiler.measure(`frame_${index}`, async frameProfiler => {
+        const { buffer, metadata } = await frameProfiler.measure('image_processing', () =>
+          this.imageProcessor.process(image.source, { page: index }));
+        return this.runStages({
+          analyzer: this,
+          image,
+          buffer,
+          metadata,
+          result: { image_metadata: this.buildImageMetadata(image, metadata) },
+          config: this.config,
+          options,
+          signal: options.signal,
+          profiler: frameProfiler
+        });
+      });
+
+      const { image_metadata: frameMetadata, ...analysis } = frameResult;
+      frames.push({
+        frame: index,
+        timestamp: timestamps ? timestamps[index] : null,
+        delay: frameInfo.delays ? frameInfo.delays[index] : null,
+        ...analysis
+      });
+      stageErrors.push(...frameResult.stage_errors.map(stageError => ({ ...stageError, frame: index })));
+
+      if (!imageMetadata) {
+        imageMetadata = { ...frameMetadata, frames: frameInfo.count };
       }
 
-      // Step 8: Component Relationship Mapping
-      if (this.config.enableComponentRelationships && result.components) {
-        if (this.config.verbose) console.log(chalk.yellow('8. Mapping component relationships...'));
-        result.component_relationships = await this.componentRelationshipMapper.mapComponentRelationships(
-          result.components,
-          result.layout_analysis,
-          result.text_extraction
-        );
+      this.emitProgress('frame:end', {
+        frame: index,
+        index: position,
+        total: indices.length,
+        duration: Date.now() - startTime
+      });
+    }
+
+    return {
+      schema_version: SCHEMA_VERSION,
+      image_metadata: imageMetadata,
+      frames,
+      timeline: this.buildFrameTimeline(frames, imageMetadata),
+      stage_errors: stageErrors,
+      analysis_statistics: {
+        frames_analyzed: frames.length,
+        ...this.sumStatistics(frames)
       }
+    };
+  }
 
-      // Step 9: Design System Compliance Analysis
-      if (this.config.enableDesignSystemAnalysis) {
-        if (this.config.verbose) console.log(chalk.yellow('9. Analyzing design system compliance...'));
-        result.design_system_compliance = await this.designSystemAnalyzer.analyzeDesignSystemCompliance(result);
+  /**
+   * Resolve the `frames` option into frame indices
+   * @param {number} frameCount - Number of frames in the image
+   * @param {boolean|Array<number>|Object} selection - true, a list of indices or { start, end, step }
+   * @returns {Array<number>} Frame indices in ascending order
+   */
+  selectFrames(frameCount, selection) {
+    let indices;
+
+    if (Array.isArray(selection)) {
+      indices = [...new Set(selection)].filter(index => index < frameCount).sort((a, b) => a - b);
+    } else {
+      const { start = 0, end = frameCount - 1, step = 1 } = typeof selection === 'object' ? selection : {};
+      indices = [];
+      for (let index = start; index <= Math.min(end, frameCount - 1); index += step) {
+        indices.push(index);
       }
+    }
 
-      // Step 10: Generate Computational Recommendations
-      if (this.config.verbose) console.log(chalk.yellow('10. Generating recommendations...'));
-      result.computed_recommendations = await this.generateRecommendations(result);
+    if (indices.length === 0) {
+      throw new Error(`No frames selected: the image has ${frameCount} frame(s)`);
+    }
+    return indices;
+  }
 
-      // Step 11: Calculate Analysis Statistics
-      result.analysis_statistics = this.calculateStatistics(result);
+  /**
+   * Start time of each frame in milliseconds, from GIF frame delays
+   * @param {Object} frameInfo - Output of ImageProcessor.getFrameInfo()
+   * @returns {Array<number>|null} Timestamps, or null when the image has no frame delays
+   */
+  getFrameTimestamps(frameInfo) {
+    if (!frameInfo.delays) return null;
+
+    const timestamps = [];
+    let elapsed = 0;
+    for (let index = 0; index < frameInfo.count; index++) {
+      timestamps.push(elapsed);
+      elapsed += frameInfo.delays[index] || 0;
+    }
+    return timestamps;
+  }
+
+  /**
+   * Compare consecutive analyzed frames and list what changed between them
+   * @param {Array<Object>} frames - Frame analyses
+   * @param {Object} imageMetadata - Metadata shared by all frames
+   * @returns {Array<Object>} Timeline entries { from_frame, to_frame, timestamp, events }
+   */
+  buildFrameTimeline(frames, imageMetadata) {
+    const events = { added: 'appeared', removed: 'disappeared' };
+    const timeline = [];
+
+    for (let index = 1; index < frames.length; index++) {
+      const previous = frames[index - 1];
+      const current = frames[index];
+      const diff = this.analysisComparator.compare(
+        { ...previous, image_metadata: imageMetadata },
+        { ...current, image_metadata: imageMetadata }
+      );
+
+      if (diff.changes.length === 0) continue;
+
+      timeline.push({
+        from_frame: previous.frame,
+        to_frame: current.frame,
+        timestamp: current.timestamp,
+        events: diff.changes.map(change => {
+          const event = {
+            type: events[change.type] || change.type,
+            component_id: change.component_id,
+            component_type: change.component_type,
+            text: (change.after || change.before).text || ''
+          };
+          // Moved or resized components get a new stable ID; keep the link to the earlier one
+          if (change.before_id && change.before_id !== change.after_id) event.previous_id = change.before_id;
+          if (change.details) event.details = change.details;
+          return event;
+        })
+      });
+    }
+
+    return timeline;
+  }
+
+  /**
+   * Run the enabled pipeline stages in dependency order.
+   * In tolerant mode a failing or timed-out stage is recorded in `result.stage_errors` and later
+   * stages run with whatever inputs are available; in strict mode the first failure is rethrown.
+   * Cancellation through `context.signal` always stops the pipeline.
+   * Each stage runs in its own span of `context.profiler`.
+   * @param {Object} context - Pipeline context ({ analyzer, image, buffer, metadata, result, config, options, signal, profiler })
+   * @returns {Promise<Object>} The populated result
+   */
+  async runStages(context) {
+    const stages = this.stageRegistry.resolve();
+    const profiler = context.profiler || new Profiler('stages');
+    const errorMode = context.options.errorMode || this.config.errorMode;
+    const input = context.result.image_metadata?.file_name;
+    const stageErrors = [];
+    let step = 2;
+
+    for (const stage of stages) {
+      throwIfAborted(context.signal);
+      if (stage.enabled && !stage.enabled(context)) continue;
+
+      const startTime = Date.now();
+      const timeout = this.getStageTimeout(stage.name, context.options);
 
       if (this.config.verbose) {
-        console.log(chalk.green('✓ Analysis completed successfully'));
-        this.displaySummary(result);
+        console.log(chalk.yellow(`${step++}. ${stage.description || `Running stage ${stage.name}`}...`));
       }
+      this.emitProgress('stage:start', { stage: stage.name, input });
 
-      return result;
+      try {
+        // Stages receive a signal that aborts on cancellation or when their timeout expires,
+        // and a profiler span for their sub-steps
+        const value = await profiler.measure(stage.name, stageProfiler => runAbortable(
+          signal => stage.run({ ...context, signal, profiler: stageProfiler }),
+          {
+            signal: context.signal,
+            timeout,
+            timeoutMessage: `Stage '${stage.name}' timed out after ${timeout}ms`
+          }
+        ));
+        this.applyStageOutput(stage, value, context.result);
+
+        this.emitProgress('stage:end', {
+          stage: stage.name,
+          input,
+          status: 'success',
+          duration: Date.now() - startTime
+        });
+      } catch (error) {
+        const duration = Date.now() - startTime;
+        this.emitProgress('stage:end', {
+          stage: stage.name,
+          input,
+          status: isAbortError(error) ? 'aborted' : 'failed',
+          duration,
+          error: error.message
+        });
 
-    } catch (error) {
-      throw new Error(`Computational analysis failed: ${error.message}`);
+        if (isAbortError(error) || errorMode === 'strict') {
+          throw error;
+        }
+
+        stageErrors.push({
+          stage: stage.name,
+          error: error.message,
+          duration
+        });
+
+        if (this.config.verbose) {
+          console.log(chalk.red(`✗ Stage ${stage.name} failed: ${error.message}`));
+        }
+      }
+    }
+
+    // Raw vision data is only needed by the stages; drop what the detail level does not keep
+    if (context.result.vision_analysis) {
+      context.result.vision_analysis = pruneVisionAnalysis(
+        context.result.vision_analysis,
+        context.options.detail || this.config.detail
+      );
+    }
+
+    context.result.stage_errors = stageErrors;
+    return context.result;
+  }
+
+  /**
+   * Resolve the timeout for a stage; per-stage values win over the global one
+   * @param {string} name - Stage name
+   * @param {Object} options - Analysis options
+   * @returns {number} Timeout in milliseconds (0 for none)
+   */
+  getStageTimeout(name, options = {}) {
+    return options.stageTimeouts?.[name] ??
+      this.config.stageTimeouts?.[name] ??
+      options.stageTimeout ??
+      this.config.stageTimeout ??
+      0;
+  }
+
+  /**
+   * Store a stage's return value under its declared output keys.
+   * Single-output stages return the value itself; multi-output stages return an object keyed by output.
+   */
+  applyStageOutput(stage, value, result) {
+    if (value === undefined) return;
+
+    if (stage.outputs.length === 1) {
+      result[stage.outputs[0]] = value;
+      return;
+    }
+
+    for (const key of stage.outputs) {
+      if (value && value[key] !== undefined) {
+        result[key] = value[key];
+      }
     }
   }
 
   /**
    * Analyze multiple images in batch
-   * @param {Array|string} input - Array of image paths or directory path
+   * @param {Array|string} input - Array of image inputs (paths, Buffers, streams, base64
+   *   strings or raw pixel objects) or directory path
    * @param {Object} options - Batch analysis options
+   * @param {AbortSignal} options.signal - Cancels the batch; rejects with an AbortError
    * @returns {Promise<Array>} Array of analysis results
    */
   async batchAnalyze(input, options = {}) {
@@ -211,7 +831,7 @@ class ImageToText {
     } else if (Array.isArray(input)) {
       imagePaths = input;
     } else {
-      throw new Error('Input must be an array of image paths or a directory path');
+      throw new Error('Input must be an array of image inputs or a directory path');
     }
 
     if (imagePaths.length === 0) {
@@ -230,13 +850,21 @@ class ImageToText {
 
     // Process images sequentially for memory management
     for (let i = 0; i < imagePaths.length; i++) {
+      throwIfAborted(options.signal);
+
       const imagePath = imagePaths[i];
-      const fileName = path.basename(imagePath, path.extname(imagePath));
+      const displayName = describeImageInput(imagePath, i);
+      const fileName = path.basename(displayName, path.extname(displayName));
+      const inputFile = typeof imagePath === 'string' ? imagePath : displayName;
+      const itemStartTime = Date.now();
 
       try {
-        console.log(chalk.blue(`[${i + 1}/${imagePaths.length}] Processing: ${path.basename(imagePath)}`));
+        console.log(chalk.blue(`[${i + 1}/${imagePaths.length}] Processing: ${displayName}`));
 
-        const result = await this.analyze(imagePath, options);
+        const result = await this.analyze(imagePath, {
+          ...options,
+          fileName: typeof imagePath === 'string' ? undefined : displayName
+        });
 
         // Save individual result if output directory is specified
         if (outputDir) {
@@ -245,21 +873,40 @@ class ImageToText {
         }
 
         results.push({
-          inputFile: imagePath,
+          inputFile,
           outputFile: outputDir ? path.join(outputDir, `${fileName}.${options.format || 'json'}`) : null,
           status: 'success',
           result,
           processing_time: result.analysis_statistics?.processing_time
         });
 
-        console.log(chalk.green(`✓ ${path.basename(imagePath)} completed`));
+        console.log(chalk.green(`✓ ${displayName} completed`));
+
+        this.emitProgress('batch:item', {
+          index: i,
+          total: imagePaths.length,
+          input: inputFile,
+          status: 'success',
+          duration: Date.now() - itemStartTime
+        });
 
       } catch (error) {
-        console.log(chalk.red(`✗ ${path.basename(imagePath)} failed: ${error.message}`));
+        if (isAbortError(error)) throw error;
+
+        console.log(chalk.red(`✗ ${displayName} failed: ${error.message}`));
 
         results.push({
-          inputFile: imagePath,
+          inputFile,
+          status: 'error',
+          error: error.message
+        });
+
+        this.emitProgress('batch:item', {
+          index: i,
+          total: imagePaths.length,
+          input: inputFile,
           status: 'error',
+          duration: Date.now() - itemStartTime,
           error: error.message
         });
       }
@@ -277,6 +924,31 @@ class ImageToText {
     return results;
   }
 
+  /**
+   * Compare two images (or two existing analysis results) and report what changed
+   * @param {string|Buffer|Object} imageA - First ("before") image or its analysis result
+   * @param {string|Buffer|Object} imageB - Second ("after") image or its analysis result
+   * @param {Object} options - Analysis options for both images
+   * @returns {Promise<Object>} Diff { before, after, summary, changes, layout_changes, matches }
+   */
+  async compare(imageA, imageB, options = {}) {
+    try {
+      const isResult = input => !!input && typeof input === 'object' && !Buffer.isBuffer(input) && !!input.image_metadata;
+
+      const before = isResult(imageA) ? imageA : await this.analyze(imageA, options);
+      const after = isResult(imageB) ? imageB : await this.analyze(imageB, options);
+
+      return {
+        before: before.image_metadata,
+        after: after.image_metadata,
+        ...this.analysisComparator.compare(before, after)
+      };
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      throw new Error(`Comparison failed: ${error.message}`);
+    }
+  }
+
   /**
    * Classify UI components using advanced rule-based analysis v2.0.5
    */
@@ -301,8 +973,7 @@ class ImageToText {
     const classifiedComponents = this.componentClassifier.classify(enrichedElements, imageMetadata);
 
     // Transform to expected format with enhanced data
-    const components = classifiedComponents.map((element, index) => ({
-      id: `component_${index}`,
+    const components = classifiedComponents.map(element => ({
       type: element.classification?.type || 'component',
       confidence: element.final_confidence || element.classification?.confidence || 0.5,
       position: element.position,
@@ -319,10 +990,46 @@ class ImageToText {
         ensemble_score: element.ensemble_score || 0,
         position_boost: element.position_boost || 0,
         classification_version: '2.0.5'
-      }
+      },
+      source_element_id: element.id
     }));
 
-    return components.sort((a, b) => b.confidence - a.confidence);
+    // IDs are derived from type, position and text so they stay stable across runs
+    const frame = {
+      width: analysisResult.image_metadata?.width,
+      height: analysisResult.image_metadata?.height,
+      getText: component => component.text_content
+    };
+
+    return assignStableIds(components, 'component', frame)
+      .map(({ id, ...component }) => ({ id, ...component }))
+      .sort((a, b) => b.confidence - a.confidence);
+  }
+
+  /**
+   * Record each component's fill color in `visual_properties.fill_color`
+   * @param {Array<Object>} components - Classified components
+   * @param {Buffer} buffer - Processed image buffer
+   * @param {Object} metadata - Image metadata; its width and height are the components' coordinate space
+   * @returns {Promise<Array<Object>>} Components with fill colors
+   */
+  async sampleComponentColors(components, buffer, metadata) {
+    if (components.length === 0) return components;
+
+    try {
+      const colors = await this.colorAnalyzer.sampleRegionColors(
+        buffer,
+        components.map(component => component.position),
+        metadata
+      );
+
+      return components.map((component, index) => (colors[index]
+        ? { ...component, visual_properties: { ...component.visual_properties, fill_color: colors[index] } }
+        : component));
+    } catch (error) {
+      // Fill colors are supplementary; keep the classification without them
+      return components;
+    }
   }
 
   /**
@@ -518,12 +1225,17 @@ class ImageToText {
    */
   displaySummary(result) {
     const stats = result.analysis_statistics;
+    if (!stats) return;
+
     console.log(chalk.gray('Analysis Summary:'));
     console.log(chalk.gray(`- Components detected: ${stats.components_detected}`));
     console.log(chalk.gray(`- Text elements: ${stats.text_elements}`));
     console.log(chalk.gray(`- Visual elements: ${stats.visual_elements}`));
     console.log(chalk.gray(`- Colors extracted: ${stats.colors_extracted}`));
     console.log(chalk.gray(`- Processing time: ${stats.processing_time}ms`));
+    if (result.stage_errors?.length > 0) {
+      console.log(chalk.red(`- Failed stages: ${result.stage_errors.map(e => e.stage).join(', ')}`));
+    }
   }
 
   /**
@@ -577,6 +1289,16 @@ class ImageToText {
     return await this.svgExporter.exportToSVG(analysisResult, options);
   }
 
+  /**
+   * Export a comparison as an SVG overlay on the second image
+   * @param {Object} diff - Result of compare()
+   * @param {Object} options - Export options
+   * @returns {Promise<string>} SVG content
+   */
+  async exportDiffToSVG(diff, options = {}) {
+    return await this.svgExporter.exportDiff(diff, options);
+  }
+
   /**
    * Export analysis results to XML format
    * @param {Object} analysisResult - Analysis result
@@ -587,6 +1309,26 @@ class ImageToText {
     return await this.xmlExporter.exportToXML(analysisResult, options);
   }
 
+  /**
+   * Export the OCR results as hOCR
+   * @param {Object} analysisResult - Analysis result
+   * @param {Object} options - Export options
+   * @returns {Promise<string>} hOCR content
+   */
+  async exportToHOCR(analysisResult, options = {}) {
+    return await this.hocrExporter.exportToHOCR(analysisResult, options);
+  }
+
+  /**
+   * Export the OCR results as ALTO XML
+   * @param {Object} analysisResult - Analysis result
+   * @param {Object} options - Export options
+   * @returns {Promise<string>} ALTO content
+   */
+  async exportToALTO(analysisResult, options = {}) {
+    return await this.altoExporter.exportToALTO(analysisResult, options);
+  }
+
   /**
    * Export to specific design tool format
    * @param {Object} analysisResult - Analysis result
@@ -639,7 +1381,7 @@ class ImageToText {
   /**
    * Batch analyze with performance optimization
    * @param {Array} imageInputs - Array of image inputs
-   * @param {Object} options - Processing options
+   * @param {Object} options - Processing options (accepts `signal` to cancel the batch)
    * @param {Function} progressCallback - Progress callback
    * @returns {Promise<Object>} Batch processing results
    */
@@ -655,7 +1397,11 @@ class ImageToText {
 
     return await this.performanceOptimizer.optimizeBatchProcessing(
       imageInputs,
-      { ...options, analyzer: this },
+      {
+        ...options,
+        analyzer: this,
+        onItem: item => this.emitProgress('batch:item', item)
+      },
       progressCallback
     );
   }
@@ -689,9 +1435,49 @@ class ImageToText {
     if (this.config.enablePerformanceOptimization) {
       await this.performanceOptimizer.cleanup();
     }
+    await this.ocrScheduler.cleanup();
+  }
+
+  /**
+   * Languages whose packs OCR may load with the current configuration: the OCR language,
+   * the multi-language fallbacks tried after it and the refinement languages. The OCR stage
+   * always passes the OCR language, so multi-language OCR never detects the language
+   * @returns {Array<string>} Tesseract languages
+   */
+  getRequiredLanguages() {
+    const languages = splitLanguages(this.config.ocrLanguage);
     if (this.config.enableMultiLanguageOCR) {
-      await this.multiLanguageOCR.cleanup();
+      languages.push(...this.multiLanguageOCR.getRequiredLanguages(this.config.ocrLanguage).flatMap(splitLanguages));
     }
+    if (this.config.enableOCRRefinement) {
+      languages.push(...this.getRefinementLanguages());
+    }
+    return [...new Set(languages)];
+  }
+
+  /**
+   * Alternate languages low-confidence lines are retried in: `ocrRefinementLanguages`, or with
+   * multi-language OCR the first two fallback languages other than the OCR language
+   * @returns {Array<string>} Languages
+   */
+  getRefinementLanguages() {
+    if (this.config.ocrRefinementLanguages) return this.config.ocrRefinementLanguages;
+    if (!this.config.enableMultiLanguageOCR) return [];
+
+    const primary = splitLanguages(this.config.ocrLanguage);
+    return this.multiLanguageOCR.options.fallbackLanguages
+      .filter(language => !primary.includes(language))
+      .slice(0, 2);
+  }
+
+  /**
+   * Start pooled OCR workers ahead of the first analysis, e.g. before a batch
+   * @param {Array<string>} languages - Tesseract languages (default: ocrLanguage)
+   * @param {number} count - Workers per language (default: ocrWorkers)
+   * @returns {Promise<void>}
+   */
+  async warmUpOCR(languages = [this.config.ocrLanguage], count) {
+    await Promise.all(languages.map(language => this.ocrScheduler.warmUp(language, count)));
   }
 
   /**
@@ -710,5 +1496,24 @@ module.exports = {
   saveResult,
   displayResult,
   validateImage,
-  validateOptions
+  validateOptions,
+  loadImageInput,
+  detectImageFormat,
+  StageRegistry,
+  OCRScheduler,
+  AnalysisComparator,
+  createBuiltinStages,
+  SCHEMA_VERSION,
+  resultSchema,
+  validateResult,
+  normalizeTextExtraction,
+  resolveConfig,
+  findConfigFile,
+  loadConfigFile,
+  PRESETS,
+  listPresets,
+  getPreset,
+  PRECISION_PROFILES,
+  DETAIL_LEVELS,
+  Profiler
 };
\ No newline at end of file
@@ -0,0 +1,137 @@
+const resultSchema = require('./analysis-result.schema.json');
+
+// Version of the result format; bump the major version on breaking changes
+const SCHEMA_VERSION = resultSchema.properties.schema_version.const;
+
+const typeOf = value => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return typeOf(value) === 'object';
+    default:
+      return typeOf(value) === type;
+  }
+};
+
+/**
+ * Resolve a local `#/definitions/...` reference
+ */
+function resolveRef(ref, rootSchema) {
+  const path = ref.replace(/^#\//, '').split('/');
+  const target = path.reduce((node, key) => (node ? node[key] : undefined), rootSchema);
+
+  if (!target) {
+    throw new Error(`Unresolvable schema reference: ${ref}`);
+  }
+  return target;
+}
+
+/**
+ * Validate a value against a JSON Schema node.
+ * Supports the draft-07 subset used by the result schema: $ref, type, const, enum,
+ * required, properties, additionalProperties, items, pattern, minimum, maximum
+ * and exclusiveMinimum.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema node
+ * @param {Object} rootSchema - Schema that `$ref`s resolve against
+ * @param {string} path - JSON path of the value, used in error messages
+ * @param {Array} errors - Collected errors ({ path, message })
+ * @returns {Array} The errors array
+ */
+function validateAgainstSchema(value, schema, rootSchema = schema, path = '$', errors = []) {
+  if (schema.$ref) {
+    return validateAgainstSchema(value, resolveRef(schema.$ref, rootSchema), rootSchema, path, errors);
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}, got ${typeOf(value)}` });
+      return errors;
+    }
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    errors.push({ path, message: `must equal ${JSON.stringify(schema.const)}` });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path, message: `must match pattern ${schema.pattern}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path, message: `must be > ${schema.exclusiveMinimum}` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      validateAgainstSchema(item, schema.items, rootSchema, `${path}[${index}]`, errors);
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) {
+        errors.push({ path, message: `missing required property '${key}'` });
+      }
+    });
+
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([key, item]) => {
+      if (item === undefined) return;
+
+      if (properties[key]) {
+        validateAgainstSchema(item, properties[key], rootSchema, `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path, message: `unexpected property '${key}'` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateAgainstSchema(item, schema.additionalProperties, rootSchema, `${path}.${key}`, errors);
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Validate an analysis result against the published result schema
+ * @param {Object} result - Result returned by ImageToText.analyze()
+ * @returns {Object} { valid, schema_version, errors: [{ path, message }] }
+ */
+function validateResult(result) {
+  const errors = validateAgainstSchema(result, resultSchema);
+
+  return {
+    valid: errors.length === 0,
+    schema_version: SCHEMA_VERSION,
+    errors
+  };
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  resultSchema,
+  validateResult,
+  validateAgainstSchema
+};
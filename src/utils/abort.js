@@ -0,0 +1,118 @@
+/**
+ * Create an error representing a cancelled operation
+ * @param {string} message - Error message
+ * @returns {Error} Error with name 'AbortError'
+ */
+function createAbortError(message = 'The operation was aborted') {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  error.code = 'ABORT_ERR';
+  return error;
+}
+
+/**
+ * Convert an AbortSignal reason into an AbortError
+ * @param {*} reason - Abort reason
+ * @returns {Error} AbortError
+ */
+function toAbortError(reason) {
+  if (reason instanceof Error && reason.name === 'AbortError') {
+    return reason;
+  }
+  if (reason instanceof Error) {
+    return createAbortError(reason.message);
+  }
+  return createAbortError(reason ? String(reason) : undefined);
+}
+
+/**
+ * Check whether an error represents a cancelled operation
+ * @param {*} error - Error to check
+ * @returns {boolean} Whether the error is an AbortError
+ */
+function isAbortError(error) {
+  return !!error && error.name === 'AbortError';
+}
+
+/**
+ * Throw an AbortError if the signal has been aborted
+ * @param {AbortSignal} signal - Optional abort signal
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) {
+    throw toAbortError(signal.reason);
+  }
+}
+
+/**
+ * Check whether a value looks like an AbortSignal
+ * @param {*} signal - Candidate signal
+ * @returns {boolean} Whether the value is an AbortSignal
+ */
+function isAbortSignal(signal) {
+  return !!signal &&
+    typeof signal === 'object' &&
+    typeof signal.aborted === 'boolean' &&
+    typeof signal.addEventListener === 'function';
+}
+
+/**
+ * Run a task that settles early when the signal aborts or the timeout expires.
+ * The task receives its own signal, aborted in either case, so it can release
+ * resources (e.g. terminate an OCR worker) instead of running on in the background.
+ * @param {Function} task - Function (signal) => Promise
+ * @param {Object} options - Run options
+ * @param {AbortSignal} options.signal - Parent abort signal
+ * @param {number} options.timeout - Timeout in milliseconds (0 or undefined for none)
+ * @param {string} options.timeoutMessage - Message of the error thrown on timeout
+ * @returns {Promise<*>} Task result
+ */
+async function runAbortable(task, options = {}) {
+  const { signal, timeout, timeoutMessage } = options;
+  throwIfAborted(signal);
+
+  const controller = new AbortController();
+  let timer = null;
+  let onAbort = null;
+
+  const cancelled = new Promise((resolve, reject) => {
+    if (signal) {
+      onAbort = () => {
+        const error = toAbortError(signal.reason);
+        controller.abort(error);
+        reject(error);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        const error = new Error(timeoutMessage || `Operation timed out after ${timeout}ms`);
+        error.code = 'ETIMEDOUT';
+        controller.abort(error);
+        reject(error);
+      }, timeout);
+    }
+  });
+
+  try {
+    return await Promise.race([
+      Promise.resolve().then(() => task(controller.signal)),
+      cancelled
+    ]);
+  } finally {
+    clearTimeout(timer);
+    if (signal && onAbort) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+}
+
+module.exports = {
+  createAbortError,
+  toAbortError,
+  isAbortError,
+  isAbortSignal,
+  throwIfAborted,
+  runAbortable
+};
@@ -1,11 +1,13 @@
 const fs = require('fs-extra');
 const path = require('path');
 const chalk = require('chalk');
+const HOCRExporter = require('../exporters/hocrExporter');
+const ALTOExporter = require('../exporters/altoExporter');
 
 /**
  * Format analysis output in various formats
  * @param {Object} result - Analysis result
- * @param {string} format - Output format (json, yaml, xml, text)
+ * @param {string} format - Output format (json, yaml, xml, text, hocr, alto)
  * @returns {string} Formatted output
  */
 function formatOutput(result, format = 'json') {
@@ -22,6 +24,12 @@ function formatOutput(result, format = 'json') {
     
     case 'text':
       return formatAsText(result);
+
+    case 'hocr':
+      return new HOCRExporter().createHOCR(result);
+
+    case 'alto':
+      return new ALTOExporter().createALTO(result);
     
     default:
       return JSON.stringify(result, null, 2);
@@ -62,7 +70,7 @@ function displayResult(result) {
   
   if (result.text_extraction) {
     console.log(chalk.yellow('\nText Extraction:'));
-    console.log(`  Text Found: ${result.text_extraction.text_blocks?.length || 0} blocks`);
+    console.log(`  Text Found: ${result.text_extraction.structured_text?.length || 0} elements`);
     console.log(`  Confidence: ${result.text_extraction.confidence || 'N/A'}`);
   }
   
@@ -168,10 +176,10 @@ function formatAsText(result) {
     text += 'TEXT EXTRACTION\n';
     text += '---------------\n';
     text += `Confidence: ${result.text_extraction.confidence || 'N/A'}\n`;
-    if (result.text_extraction.text_blocks) {
-      text += `Text Blocks Found: ${result.text_extraction.text_blocks.length}\n`;
-      result.text_extraction.text_blocks.forEach((block, index) => {
-        text += `  Block ${index + 1}: "${block.text}"\n`;
+    if (result.text_extraction.structured_text) {
+      text += `Text Elements Found: ${result.text_extraction.structured_text.length}\n`;
+      result.text_extraction.structured_text.forEach((element, index) => {
+        text += `  Element ${index + 1}: "${element.text}"\n`;
       });
     }
     text += '\n';
@@ -189,6 +197,28 @@ function formatAsText(result) {
     text += '\n';
   }
   
+  if (result.tables && result.tables.length > 0) {
+    text += 'TABLES\n';
+    text += '------\n';
+    result.tables.forEach((table, index) => {
+      text += `Table ${index + 1} (${table.rows} rows x ${table.columns} columns)\n`;
+      text += `${table.markdown}\n\n`;
+    });
+  }
+
+  if (result.forms && result.forms.length > 0) {
+    text += 'FORMS\n';
+    text += '-----\n';
+    result.forms.forEach((form, index) => {
+      text += `Form ${index + 1}${form.title ? `: ${form.title}` : ''} (${form.fields.length} fields)\n`;
+      form.fields.forEach(field => {
+        text += `  ${field.name}: ${field.type}${field.required ? ' (required)' : ''}${field.label ? ` - ${field.label}` : ''}\n`;
+      });
+      if (form.submit) text += `  Submit: ${form.submit.text}\n`;
+      text += '\n';
+    });
+  }
+
   if (result.components) {
     text += 'UI COMPONENTS\n';
     text += '-------------\n';
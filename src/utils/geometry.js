@@ -0,0 +1,243 @@
+/**
+ * Clamp a region to the image bounds and round it to whole pixels
+ * @param {Object} region - Region {x, y, width, height}
+ * @param {number} imageWidth - Image width
+ * @param {number} imageHeight - Image height
+ * @returns {Object|null} Clamped region, or null if it does not overlap the image
+ */
+function clampRegion(region, imageWidth, imageHeight) {
+  const left = Math.max(0, Math.round(region.x));
+  const top = Math.max(0, Math.round(region.y));
+  const right = Math.min(imageWidth, Math.round(region.x + region.width));
+  const bottom = Math.min(imageHeight, Math.round(region.y + region.height));
+
+  if (right <= left || bottom <= top) {
+    return null;
+  }
+
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Build the transform from a processed crop's coordinate space back to the original image
+ * @param {Object} region - Crop region in original image coordinates
+ * @param {number} processedWidth - Width of the crop after preprocessing
+ * @param {number} processedHeight - Height of the crop after preprocessing
+ * @returns {Object} Transform {offsetX, offsetY, scaleX, scaleY}
+ */
+function createRegionTransform(region, processedWidth, processedHeight) {
+  return {
+    offsetX: region.x,
+    offsetY: region.y,
+    scaleX: processedWidth ? region.width / processedWidth : 1,
+    scaleY: processedHeight ? region.height / processedHeight : 1
+  };
+}
+
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Build the transform from a deskewed (rotated, then scaled) image back to the original.
+ * Deskewing rotates the image by -angle around its centre onto a larger canvas.
+ * @param {number} angle - Skew corrected, in degrees (clockwise)
+ * @param {Object} original - Original size {width, height}
+ * @param {Object} rotated - Size of the rotated canvas before scaling {width, height}
+ * @param {number} scale - Scale applied after rotating (default: 1)
+ * @returns {Object} Transform {offsetX, offsetY, scaleX, scaleY, rotation}
+ */
+function createDeskewTransform(angle, original, rotated, scale = 1) {
+  return {
+    offsetX: 0,
+    offsetY: 0,
+    scaleX: 1 / scale,
+    scaleY: 1 / scale,
+    rotation: {
+      angle,
+      from: { x: rotated.width / 2, y: rotated.height / 2 },
+      to: { x: original.width / 2, y: original.height / 2 }
+    }
+  };
+}
+
+/**
+ * Map a box through a transform; rotated boxes become the bounding box of their corners
+ */
+function mapBox(x, y, width, height, transform) {
+  const { offsetX, offsetY, scaleX, scaleY, rotation } = transform;
+  const left = x * scaleX + offsetX;
+  const top = y * scaleY + offsetY;
+  if (!rotation) {
+    return { x: left, y: top, width: width * scaleX, height: height * scaleY };
+  }
+
+  const corners = [[left, top], [left + width * scaleX, top], [left, top + height * scaleY], [left + width * scaleX, top + height * scaleY]]
+    .map(([cornerX, cornerY]) => rotatePoint(cornerX, cornerY, rotation));
+  const xs = corners.map(corner => corner.x);
+  const ys = corners.map(corner => corner.y);
+  return {
+    x: Math.min(...xs),
+    y: Math.min(...ys),
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys)
+  };
+}
+
+/**
+ * Rotate a point clockwise (in image coordinates) around `from` and move it to `to`
+ */
+function rotatePoint(x, y, rotation) {
+  const radians = rotation.angle * Math.PI / 180;
+  const dx = x - rotation.from.x;
+  const dy = y - rotation.from.y;
+  return {
+    x: dx * Math.cos(radians) - dy * Math.sin(radians) + rotation.to.x,
+    y: dx * Math.sin(radians) + dy * Math.cos(radians) + rotation.to.y
+  };
+}
+
+/**
+ * Map every coordinate in an analysis result through a transform.
+ * Objects with numeric `x`/`y` are treated as points or boxes (their `width`, `height`
+ * and `radius` are scaled); objects with `x0`/`y0`/`x1`/`y1` are treated as bounding boxes.
+ * @param {*} value - Analysis result or any part of it
+ * @param {Object} transform - Transform {offsetX, offsetY, scaleX, scaleY, rotation?}; the optional
+ *   rotation {angle, from: {x, y}, to: {x, y}} is applied after scaling and offsetting
+ * @returns {*} Copy of value with mapped coordinates
+ */
+function mapGeometry(value, transform) {
+  if (Array.isArray(value)) {
+    return value.map(item => mapGeometry(item, transform));
+  }
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value) || ArrayBuffer.isView(value)) {
+    return value;
+  }
+
+  const { scaleX, scaleY } = transform;
+  const mapped = {};
+
+  for (const [key, item] of Object.entries(value)) {
+    mapped[key] = mapGeometry(item, transform);
+  }
+
+  if (isNumber(value.x) && isNumber(value.y)) {
+    const hasSize = isNumber(value.width) && isNumber(value.height);
+    const box = mapBox(value.x, value.y, hasSize ? value.width : 0, hasSize ? value.height : 0, transform);
+    mapped.x = Math.round(box.x);
+    mapped.y = Math.round(box.y);
+    if (isNumber(value.width)) mapped.width = Math.round(hasSize ? box.width : value.width * scaleX);
+    if (isNumber(value.height)) mapped.height = Math.round(hasSize ? box.height : value.height * scaleY);
+    if (isNumber(value.radius)) mapped.radius = Math.round(value.radius * (scaleX + scaleY) / 2);
+  }
+
+  if (isNumber(value.x0) && isNumber(value.y0) && isNumber(value.x1) && isNumber(value.y1)) {
+    const box = mapBox(value.x0, value.y0, value.x1 - value.x0, value.y1 - value.y0, transform);
+    mapped.x0 = Math.round(box.x);
+    mapped.y0 = Math.round(box.y);
+    mapped.x1 = Math.round(box.x + box.width);
+    mapped.y1 = Math.round(box.y + box.height);
+  }
+
+  return mapped;
+}
+
+/**
+ * Read the bounding box of an analysis item
+ * @param {Object} item - Item with `position`, `bbox` ({x0, y0, x1, y1}) or its own x/y/width/height
+ * @returns {Object|null} Box {x, y, width, height}
+ */
+function getBox(item) {
+  if (!item || typeof item !== 'object') return null;
+
+  const box = item.position || item;
+  if (isNumber(box.x) && isNumber(box.y) && isNumber(box.width) && isNumber(box.height)) {
+    return { x: box.x, y: box.y, width: box.width, height: box.height };
+  }
+
+  const bbox = item.bbox;
+  if (bbox && isNumber(bbox.x0) && isNumber(bbox.y0) && isNumber(bbox.x1) && isNumber(bbox.y1)) {
+    return { x: bbox.x0, y: bbox.y0, width: bbox.x1 - bbox.x0, height: bbox.y1 - bbox.y0 };
+  }
+
+  return null;
+}
+
+/**
+ * Area of the intersection of two boxes
+ * @param {Object} a - Box {x, y, width, height}
+ * @param {Object} b - Box {x, y, width, height}
+ * @returns {number} Intersection area
+ */
+function intersectionArea(a, b) {
+  const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+  const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+  return width > 0 && height > 0 ? width * height : 0;
+}
+
+/**
+ * Smallest box containing all the given boxes
+ * @param {Array<Object>} boxes - Boxes {x, y, width, height}
+ * @returns {Object} Box {x, y, width, height}
+ */
+function unionBoxes(boxes) {
+  const left = Math.min(...boxes.map(box => box.x));
+  const top = Math.min(...boxes.map(box => box.y));
+  const right = Math.max(...boxes.map(box => box.x + box.width));
+  const bottom = Math.max(...boxes.map(box => box.y + box.height));
+  return { x: left, y: top, width: right - left, height: bottom - top };
+}
+
+/**
+ * Intersection over union of two boxes
+ * @param {Object} a - Box {x, y, width, height}
+ * @param {Object} b - Box {x, y, width, height}
+ * @returns {number} IoU between 0 and 1
+ */
+function boxIoU(a, b) {
+  const intersection = intersectionArea(a, b);
+  const union = a.width * a.height + b.width * b.height - intersection;
+  return union > 0 ? intersection / union : 0;
+}
+
+/**
+ * Intersection over the smaller box's area; 1 when one box contains the other
+ * @param {Object} a - Box {x, y, width, height}
+ * @param {Object} b - Box {x, y, width, height}
+ * @returns {number} Overlap ratio between 0 and 1
+ */
+function overlapRatio(a, b) {
+  const smaller = Math.min(a.width * a.height, b.width * b.height);
+  return smaller > 0 ? intersectionArea(a, b) / smaller : 0;
+}
+
+/**
+ * Parse a region string of the form "x,y,width,height"
+ * @param {string} value - Region string
+ * @returns {Object} Region {x, y, width, height}
+ */
+function parseRegion(value) {
+  const parts = String(value).split(',').map(part => Number(part.trim()));
+
+  if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) {
+    throw new Error(`Invalid region '${value}': expected x,y,width,height`);
+  }
+
+  const [x, y, width, height] = parts;
+  if (x < 0 || y < 0 || width <= 0 || height <= 0) {
+    throw new Error(`Invalid region '${value}': x and y must be >= 0, width and height > 0`);
+  }
+
+  return { x, y, width, height };
+}
+
+module.exports = {
+  clampRegion,
+  createRegionTransform,
+  createDeskewTransform,
+  mapGeometry,
+  getBox,
+  intersectionArea,
+  unionBoxes,
+  boxIoU,
+  overlapRatio,
+  parseRegion
+};
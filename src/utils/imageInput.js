@@ -0,0 +1,231 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+/**
+ * Magic-byte signatures of the supported image formats
+ */
+const IMAGE_SIGNATURES = [
+  { format: 'png', mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { format: 'jpeg', mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { format: 'gif', mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { format: 'bmp', mimeType: 'image/bmp', bytes: [0x42, 0x4d] },
+  { format: 'tiff', mimeType: 'image/tiff', bytes: [0x49, 0x49, 0x2a, 0x00] },
+  { format: 'tiff', mimeType: 'image/tiff', bytes: [0x4d, 0x4d, 0x00, 0x2a] },
+  { format: 'webp', mimeType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46], extra: { offset: 8, bytes: [0x57, 0x45, 0x42, 0x50] } }
+];
+
+const DATA_URI_PATTERN = /^data:(image\/[a-z0-9.+-]+);base64,/i;
+const BASE64_PATTERN = /^[A-Za-z0-9+/\s]+={0,2}$/;
+
+/**
+ * Detect image format from the leading bytes of a buffer
+ * @param {Buffer} buffer - Image data
+ * @returns {Object|null} Format descriptor ({ format, mimeType }) or null if unrecognised
+ */
+function detectImageFormat(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 2) {
+    return null;
+  }
+
+  const matches = (bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+
+  const signature = IMAGE_SIGNATURES.find(sig =>
+    matches(sig.bytes) && (!sig.extra || matches(sig.extra.bytes, sig.extra.offset))
+  );
+
+  return signature ? { format: signature.format, mimeType: signature.mimeType } : null;
+}
+
+/**
+ * Check whether input is a readable stream
+ * @param {*} input - Candidate input
+ * @returns {boolean} Whether input is a readable stream
+ */
+function isReadableStream(input) {
+  return !!input &&
+    typeof input === 'object' &&
+    typeof input.pipe === 'function' &&
+    typeof input.on === 'function' &&
+    input.readable !== false;
+}
+
+/**
+ * Check whether input is a raw pixel object ({ data, width, height, channels })
+ * @param {*} input - Candidate input
+ * @returns {boolean} Whether input is raw pixel data
+ */
+function isRawPixelInput(input) {
+  return !!input &&
+    typeof input === 'object' &&
+    !Buffer.isBuffer(input) &&
+    (Buffer.isBuffer(input.data) || ArrayBuffer.isView(input.data)) &&
+    input.width !== undefined &&
+    input.height !== undefined;
+}
+
+/**
+ * Decode a data URI or bare base64 string into an image buffer
+ * @param {string} input - Data URI or base64 string
+ * @returns {Buffer|null} Decoded buffer, or null if the string is not a base64 image
+ */
+function decodeBase64Image(input) {
+  if (typeof input !== 'string') return null;
+
+  const dataUriMatch = input.match(DATA_URI_PATTERN);
+  if (dataUriMatch) {
+    return Buffer.from(input.slice(dataUriMatch[0].length), 'base64');
+  }
+
+  // Bare base64 is only accepted when it decodes to a known image signature,
+  // so ordinary file paths are never mistaken for encoded data
+  if (input.length < 16 || !BASE64_PATTERN.test(input)) return null;
+
+  const head = Buffer.from(input.slice(0, 24), 'base64');
+  if (!detectImageFormat(head)) return null;
+
+  return Buffer.from(input, 'base64');
+}
+
+/**
+ * Determine the kind of image input
+ * @param {*} input - Image input
+ * @returns {string} One of 'file', 'base64', 'buffer', 'stream', 'raw' or 'unknown'
+ */
+function getImageInputType(input) {
+  if (typeof input === 'string') {
+    return decodeBase64Image(input) ? 'base64' : 'file';
+  }
+  if (Buffer.isBuffer(input)) return 'buffer';
+  if (isRawPixelInput(input)) return 'raw';
+  if (isReadableStream(input)) return 'stream';
+  return 'unknown';
+}
+
+/**
+ * Read a readable stream into a buffer, enforcing a size limit while reading
+ * @param {Readable} stream - Readable stream
+ * @param {number} maxSize - Maximum number of bytes to accept
+ * @returns {Promise<Buffer>} Stream contents
+ */
+function readStreamToBuffer(stream, maxSize = Infinity) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const cleanup = () => {
+      stream.removeListener('data', onData);
+      stream.removeListener('end', onEnd);
+      stream.removeListener('error', onError);
+    };
+
+    const onData = chunk => {
+      const data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk);
+      size += data.length;
+
+      if (size > maxSize) {
+        cleanup();
+        if (typeof stream.destroy === 'function') stream.destroy();
+        reject(new Error(`Image stream too large: exceeds ${maxSize} bytes`));
+        return;
+      }
+
+      chunks.push(data);
+    };
+
+    const onEnd = () => {
+      cleanup();
+      resolve(Buffer.concat(chunks, size));
+    };
+
+    const onError = error => {
+      cleanup();
+      reject(new Error(`Failed to read image stream: ${error.message}`));
+    };
+
+    stream.on('data', onData);
+    stream.on('end', onEnd);
+    stream.on('error', onError);
+  });
+}
+
+/**
+ * Build a human-readable name for an image input (used for logging and batch output files)
+ * @param {*} input - Image input
+ * @param {number} index - Position of the input in a batch
+ * @returns {string} Display name
+ */
+function describeImageInput(input, index = 0) {
+  const type = getImageInputType(input);
+
+  if (type === 'file') return path.basename(input);
+  if (type === 'stream' && typeof input.path === 'string') return path.basename(input.path);
+
+  return `${type}_${index + 1}`;
+}
+
+/**
+ * Normalize any supported image input into a form the image processor accepts.
+ * Streams and base64 strings are materialized into buffers; file paths and raw
+ * pixel objects are passed through untouched.
+ * @param {string|Buffer|Readable|Object} input - File path, Buffer, Readable stream,
+ *   data URI / base64 string, or raw pixel object ({ data, width, height, channels })
+ * @param {Object} options - Loader options
+ * @param {number} options.maxFileSize - Maximum accepted size in bytes for streamed input
+ * @param {string} options.fileName - Display name to use when the input has no file name
+ * @returns {Promise<Object>} Normalized input ({ type, source, filePath, fileName, size })
+ */
+async function loadImageInput(input, options = {}) {
+  const type = getImageInputType(input);
+  const maxFileSize = options.maxFileSize || Infinity;
+
+  switch (type) {
+    case 'file': {
+      const stats = await fs.stat(input).catch(() => null);
+      return {
+        type,
+        source: input,
+        filePath: input,
+        fileName: options.fileName || path.basename(input),
+        size: stats ? stats.size : null
+      };
+    }
+
+    case 'base64': {
+      const buffer = decodeBase64Image(input);
+      return { type, source: buffer, filePath: null, fileName: options.fileName || null, size: buffer.length };
+    }
+
+    case 'buffer':
+      return { type, source: input, filePath: null, fileName: options.fileName || null, size: input.length };
+
+    case 'stream': {
+      const buffer = await readStreamToBuffer(input, maxFileSize);
+      const streamPath = typeof input.path === 'string' ? input.path : null;
+      return {
+        type,
+        source: buffer,
+        filePath: streamPath,
+        fileName: options.fileName || (streamPath ? path.basename(streamPath) : null),
+        size: buffer.length
+      };
+    }
+
+    case 'raw':
+      return { type, source: input, filePath: null, fileName: options.fileName || null, size: input.data.byteLength };
+
+    default:
+      throw new Error('Unsupported image input: expected a file path, Buffer, Readable stream, base64 string or { data, width, height, channels } object');
+  }
+}
+
+module.exports = {
+  detectImageFormat,
+  decodeBase64Image,
+  isReadableStream,
+  isRawPixelInput,
+  getImageInputType,
+  readStreamToBuffer,
+  describeImageInput,
+  loadImageInput
+};
@@ -0,0 +1,185 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+
+// Checked in this order, so an uncompressed pack wins over a gzipped one
+const PACK_EXTENSIONS = ['.traineddata', '.traineddata.gz'];
+
+/**
+ * Check whether a langPath is a local directory rather than a URL Tesseract downloads from
+ * @param {string} langPath - Tesseract langPath
+ * @returns {boolean} Whether langPath is a local directory
+ */
+function isLocalLangPath(langPath) {
+  return typeof langPath === 'string' && langPath.length > 0 && !/^[a-z][a-z0-9+.-]*:\/\//i.test(langPath);
+}
+
+/**
+ * Split a Tesseract language string into its languages
+ * @param {string} language - Language string (e.g. 'eng' or 'eng+fra')
+ * @returns {Array<string>} Languages
+ */
+function splitLanguages(language) {
+  return String(language).split('+').filter(Boolean);
+}
+
+/**
+ * Find the pack of a language in a directory
+ * @param {string} langPath - Directory with .traineddata files
+ * @param {string} language - Tesseract language (e.g. 'eng')
+ * @returns {Object|null} { language, file, gzip, size }, or null if the pack is missing
+ */
+function findLanguagePack(langPath, language) {
+  for (const extension of PACK_EXTENSIONS) {
+    const file = path.resolve(langPath, `${language}${extension}`);
+    if (fs.existsSync(file) && fs.statSync(file).isFile()) {
+      return { language, file, gzip: extension.endsWith('.gz'), size: fs.statSync(file).size };
+    }
+  }
+  return null;
+}
+
+/**
+ * List the packs in a directory
+ * @param {string} langPath - Directory with .traineddata files
+ * @returns {Array<Object>} Packs ({ language, file, gzip, size }), one per language
+ */
+function listLanguagePacks(langPath) {
+  if (!fs.existsSync(langPath)) return [];
+
+  const languages = fs.readdirSync(langPath)
+    .map(name => name.match(/^(.+)\.traineddata(\.gz)?$/))
+    .filter(Boolean)
+    .map(match => match[1]);
+
+  return [...new Set(languages)].sort().map(language => findLanguagePack(langPath, language)).filter(Boolean);
+}
+
+/**
+ * Throw if any language is missing from a pack directory
+ * @param {string} langPath - Directory with .traineddata files
+ * @param {Array<string>} languages - Tesseract languages ('eng+fra' entries are split)
+ * @returns {Array<Object>} The packs found
+ * @throws {Error} If the directory or a pack is missing
+ */
+function checkLanguagePacks(langPath, languages) {
+  const resolved = path.resolve(langPath);
+  if (!fs.existsSync(resolved) || !fs.statSync(resolved).isDirectory()) {
+    throw new Error(`Language pack directory not found: ${resolved}`);
+  }
+
+  const required = [...new Set(languages.flatMap(splitLanguages))];
+  const missing = required.filter(language => !findLanguagePack(resolved, language));
+  if (missing.length > 0) {
+    throw new Error(
+      `Missing OCR language pack(s) in ${resolved}: ${missing.map(language => `${language}.traineddata`).join(', ')}. ` +
+      'Install them with: img-to-text lang install --from <dir>'
+    );
+  }
+
+  return required.map(language => findLanguagePack(resolved, language));
+}
+
+/**
+ * Check that a pack file is readable and looks like Tesseract traineddata
+ * @param {string} file - Path to a .traineddata or .traineddata.gz file
+ * @returns {Object} { language, file, size, valid, error? }
+ */
+function verifyLanguagePack(file) {
+  const language = path.basename(file).replace(/\.traineddata(\.gz)?$/, '');
+
+  try {
+    let data = fs.readFileSync(file);
+    const size = data.length;
+    if (file.endsWith('.gz')) {
+      data = zlib.gunzipSync(data);
+    }
+
+    // Traineddata starts with its component count (int32), followed by one int64 offset per component
+    const isComponentCount = count => count > 0 && count <= 64 && data.length >= 4 + count * 8;
+    if (data.length < 4 || !(isComponentCount(data.readInt32LE(0)) || isComponentCount(data.readInt32BE(0)))) {
+      throw new Error('not a Tesseract traineddata file');
+    }
+
+    return { language, file, size, valid: true };
+  } catch (error) {
+    return { language, file, size: fs.existsSync(file) ? fs.statSync(file).size : 0, valid: false, error: error.message };
+  }
+}
+
+/**
+ * Copy packs from a directory (e.g. an unpacked tessdata download) into langPath
+ * @param {string} fromDir - Directory to copy packs from
+ * @param {string} langPath - Directory to install packs into
+ * @param {Array<string>} languages - Languages to install
+ * @returns {Promise<Object>} { installed: Array<pack>, missing: Array<string> }
+ */
+async function installLanguagePacks(fromDir, langPath, languages) {
+  if (!await fs.pathExists(fromDir)) {
+    throw new Error(`Language pack source directory not found: ${path.resolve(fromDir)}`);
+  }
+  await fs.ensureDir(langPath);
+
+  const sources = languages.map(language => ({ language, pack: findLanguagePack(fromDir, language) }));
+  const installed = await Promise.all(sources.filter(({ pack }) => pack).map(async ({ pack }) => {
+    const file = path.resolve(langPath, path.basename(pack.file));
+
+    // A leftover pack in the other format would shadow (or be shadowed by) the new one
+    const other = pack.gzip ? file.replace(/\.gz$/, '') : `${file}.gz`;
+    await fs.remove(other);
+    await fs.copy(pack.file, file);
+    return { ...pack, file };
+  }));
+
+  return {
+    installed,
+    missing: sources.filter(({ pack }) => !pack).map(({ language }) => language)
+  };
+}
+
+/**
+ * Tesseract worker options for a language. With a local langPath, the packs must exist
+ * there and are loaded from disk; nothing is downloaded. A caller's cachePath and
+ * cacheMethod are kept.
+ * @param {string} language - Tesseract language (e.g. 'eng' or 'eng+fra')
+ * @param {Object} workerOptions - Worker options (langPath, cachePath, ...)
+ * @returns {Object} Options for Tesseract.createWorker()
+ * @throws {Error} If a pack is missing from the local langPath, or its packs mix formats
+ *   while a cachePath or cacheMethod is set
+ */
+function resolveWorkerOptions(language, workerOptions = {}) {
+  const options = Object.fromEntries(Object.entries(workerOptions).filter(([, value]) => value !== undefined));
+  if (!isLocalLangPath(options.langPath)) return options;
+
+  const packs = checkLanguagePacks(options.langPath, [language]);
+  const langPath = path.resolve(options.langPath);
+
+  // Tesseract reads <cachePath>/<lang>.traineddata first, and <langPath>/<lang>.traineddata.gz
+  // (.traineddata with gzip: false) otherwise, so by default a read-only cache on the pack
+  // directory itself loads both formats in place
+  if (options.cachePath === undefined && options.cacheMethod === undefined) {
+    return { ...options, langPath, cachePath: langPath, cacheMethod: 'readOnly', gzip: true };
+  }
+
+  // With the caller's cache, packs not cached yet are read from langPath in a single format
+  const gzip = packs.every(pack => pack.gzip);
+  if (!gzip && packs.some(pack => pack.gzip)) {
+    throw new Error(
+      `OCR language packs for ${language} in ${langPath} mix .traineddata and .traineddata.gz files, ` +
+      'which cannot be loaded with a cachePath or cacheMethod set'
+    );
+  }
+  return { ...options, langPath, gzip };
+}
+
+module.exports = {
+  PACK_EXTENSIONS,
+  isLocalLangPath,
+  splitLanguages,
+  findLanguagePack,
+  listLanguagePacks,
+  checkLanguagePacks,
+  verifyLanguagePack,
+  installLanguagePacks,
+  resolveWorkerOptions
+};
@@ -0,0 +1,42 @@
+/**
+ * Escape text for XML and XHTML element content and attribute values. The apostrophe is
+ * written as a numeric reference, which (unlike &apos;) HTML parsers read too.
+ * @param {*} text - Text (converted to a string)
+ * @returns {string} Escaped text
+ */
+function escapeMarkup(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Language tag for `lang` and `LANG` attributes from a Tesseract language: the first of
+ * 'eng+fra', with underscores turned into hyphens ('chi_sim' -> 'chi-sim') as tags require
+ * @param {string} language - Tesseract language (default: 'eng')
+ * @returns {string} Escaped language tag
+ */
+function languageTag(language) {
+  return escapeMarkup(String(language || 'eng').split('+')[0].replace(/_/g, '-'));
+}
+
+/**
+ * Join the lines of a markup document, indenting [depth, markup] pairs by two spaces
+ * per level when pretty-printing; plain string lines are never indented
+ * @param {Array<string|Array>} lines - Lines: strings or [depth, markup] pairs
+ * @param {boolean} prettyPrint - Indent nested lines
+ * @returns {string} Document, ending with a newline
+ */
+function renderMarkupLines(lines, prettyPrint = true) {
+  const render = line => (Array.isArray(line) ? `${prettyPrint ? '  '.repeat(line[0]) : ''}${line[1]}` : line);
+  return `${lines.map(render).join('\n')}\n`;
+}
+
+module.exports = {
+  escapeMarkup,
+  languageTag,
+  renderMarkupLines
+};
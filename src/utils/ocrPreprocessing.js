@@ -0,0 +1,396 @@
+/**
+ * Pixel measurements and transforms for adaptive OCR preprocessing.
+ * Images are single-channel 8-bit grayscale: { data: Uint8Array, width, height }.
+ */
+
+// When each preprocessing step is applied in 'auto' mode
+const OCR_PREPROCESSING_THRESHOLDS = {
+  // Share of the image covered by dark-background areas before they are inverted
+  minDarkCoverage: 0.02,
+  // Skew (degrees) worth correcting, and the largest skew searched for
+  minSkewAngle: 0.3,
+  maxSkewAngle: 15,
+  // Spread of the local background brightness (0-1) that counts as uneven lighting
+  maxLightingVariation: 0.2,
+  // Global standard deviation below which the image counts as low contrast
+  minContrast: 30,
+  // Text line height (px) below which the image is upscaled, and the height it is scaled to
+  minTextHeight: 20,
+  targetTextHeight: 32,
+  maxUpscale: 4
+};
+
+const CELL_SIZE = 32;
+
+/**
+ * Percentiles of each cell of a grid laid over the image
+ * @param {Object} image - Grayscale image
+ * @param {number} cellSize - Cell edge in pixels
+ * @returns {Object} { columns, rows, cellSize, cells: [{ p10, p50, p75, p90 }] } in row-major order
+ */
+function measureCells(image, cellSize = CELL_SIZE) {
+  const { data, width, height } = image;
+  const columns = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const cells = [];
+
+  for (let row = 0; row < rows; row++) {
+    for (let column = 0; column < columns; column++) {
+      const histogram = new Uint32Array(256);
+      const x1 = Math.min(width, (column + 1) * cellSize);
+      const y1 = Math.min(height, (row + 1) * cellSize);
+      for (let y = row * cellSize; y < y1; y++) {
+        for (let x = column * cellSize; x < x1; x++) {
+          histogram[data[y * width + x]]++;
+        }
+      }
+      const count = (x1 - column * cellSize) * (y1 - row * cellSize);
+      cells.push({
+        p10: histogramPercentile(histogram, count, 0.1),
+        p50: histogramPercentile(histogram, count, 0.5),
+        p75: histogramPercentile(histogram, count, 0.75),
+        p90: histogramPercentile(histogram, count, 0.9)
+      });
+    }
+  }
+
+  return { columns, rows, cellSize, cells };
+}
+
+function histogramPercentile(histogram, count, fraction) {
+  const target = count * fraction;
+  let seen = 0;
+  for (let value = 0; value < 256; value++) {
+    seen += histogram[value];
+    if (seen >= target) return value;
+  }
+  return 255;
+}
+
+/**
+ * Mark the cells of light-on-dark areas: cells that are mostly dark with some light text,
+ * grown into neighbouring solid dark cells so whole panels are inverted. Dark text under
+ * dim lighting has no light pixels and dense dark text is not mostly dark, so both are left alone.
+ * @param {Object} grid - Output of measureCells()
+ * @returns {Array<boolean>} Dark cells, row-major
+ */
+function findDarkCells(grid) {
+  const { columns, rows, cells } = grid;
+  const mask = cells.map(cell => cell.p75 < 100 && cell.p90 - cell.p75 > 60);
+  const queue = mask.flatMap((dark, index) => (dark ? [index] : []));
+
+  while (queue.length > 0) {
+    const index = queue.pop();
+    const column = index % columns;
+    const row = Math.floor(index / columns);
+    [[column - 1, row], [column + 1, row], [column, row - 1], [column, row + 1]].forEach(([x, y]) => {
+      const neighbour = y * columns + x;
+      if (x >= 0 && x < columns && y >= 0 && y < rows && !mask[neighbour] && cells[neighbour].p90 < 100) {
+        mask[neighbour] = true;
+        queue.push(neighbour);
+      }
+    });
+  }
+
+  return mask;
+}
+
+/**
+ * Otsu's global threshold
+ * @param {Uint8Array} data - Grayscale pixels
+ * @returns {number} Threshold; pixels below it are ink on a light background
+ */
+function otsuThreshold(data) {
+  const histogram = new Uint32Array(256);
+  for (let i = 0; i < data.length; i++) histogram[data[i]]++;
+
+  let total = 0;
+  for (let value = 0; value < 256; value++) total += value * histogram[value];
+
+  let background = 0;
+  let backgroundSum = 0;
+  let best = 0;
+  let threshold = 128;
+  for (let value = 0; value < 256; value++) {
+    background += histogram[value];
+    if (background === 0) continue;
+    const foreground = data.length - background;
+    if (foreground === 0) break;
+
+    backgroundSum += value * histogram[value];
+    const meanBackground = backgroundSum / background;
+    const meanForeground = (total - backgroundSum) / foreground;
+    const variance = background * foreground * (meanBackground - meanForeground) ** 2;
+    if (variance > best) {
+      best = variance;
+      threshold = value + 1;
+    }
+  }
+
+  return threshold;
+}
+
+/**
+ * Median height of text lines, from ink row runs in vertical strips
+ * (strips keep side-by-side columns of text from merging into one tall band)
+ * @param {Object} image - Grayscale image with dark text on a light background
+ * @param {number} threshold - Ink threshold
+ * @returns {number|null} Line height in pixels, or null if no text lines were found
+ */
+function estimateTextHeight(image, threshold) {
+  const { data, width, height } = image;
+  const stripWidth = Math.max(64, Math.ceil(width / 4));
+  const heights = [];
+
+  for (let x0 = 0; x0 < width; x0 += stripWidth) {
+    const x1 = Math.min(width, x0 + stripWidth);
+    const minInk = Math.max(2, Math.round((x1 - x0) * 0.01));
+    let runStart = -1;
+
+    for (let y = 0; y <= height; y++) {
+      let ink = 0;
+      if (y < height) {
+        for (let x = x0; x < x1; x++) {
+          if (data[y * width + x] < threshold) ink++;
+        }
+      }
+      if (ink >= minInk && runStart === -1) {
+        runStart = y;
+      } else if (ink < minInk && runStart !== -1) {
+        const runHeight = y - runStart;
+        // Runs of 1-2 rows are rules and borders; very tall ones are images or filled boxes
+        if (runHeight >= 3 && runHeight <= height / 3) heights.push(runHeight);
+        runStart = -1;
+      }
+    }
+  }
+
+  if (heights.length === 0) return null;
+  heights.sort((a, b) => a - b);
+  return heights[Math.floor(heights.length / 2)];
+}
+
+/**
+ * Estimate text skew with projection profiles: ink is projected onto rows at candidate
+ * angles, and the angle where rows are most sharply separated wins
+ * @param {Object} image - Grayscale image with dark text on a light background
+ * @param {number} threshold - Ink threshold
+ * @param {number} maxAngle - Largest skew searched, in degrees
+ * @returns {number} Skew in degrees; positive when lines fall to the right (rotated clockwise)
+ */
+function estimateSkewAngle(image, threshold, maxAngle = OCR_PREPROCESSING_THRESHOLDS.maxSkewAngle) {
+  const { data, width, height } = image;
+
+  // Sample at most ~50k ink pixels
+  let inkCount = 0;
+  for (let i = 0; i < data.length; i++) {
+    if (data[i] < threshold) inkCount++;
+  }
+  if (inkCount < 50) return 0;
+
+  const stride = Math.max(1, Math.floor(inkCount / 50000));
+  const xs = [];
+  const ys = [];
+  let seen = 0;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] < threshold && seen++ % stride === 0) {
+        xs.push(x);
+        ys.push(y);
+      }
+    }
+  }
+
+  const diagonal = Math.ceil(Math.hypot(width, height));
+  const bins = new Float64Array(diagonal * 2 + 1);
+  const score = angle => {
+    const radians = angle * Math.PI / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    bins.fill(0);
+    for (let i = 0; i < xs.length; i++) {
+      bins[Math.round(ys[i] * cos - xs[i] * sin) + diagonal]++;
+    }
+    // The sum of squared row counts peaks when lines fall into as few rows as possible
+    let sum = 0;
+    for (let i = 0; i < bins.length; i++) sum += bins[i] * bins[i];
+    return sum;
+  };
+
+  const search = (from, to, step, best) => {
+    for (let angle = from; angle <= to + 1e-9; angle += step) {
+      const value = score(angle);
+      if (value > best.score) {
+        best.score = value;
+        best.angle = angle;
+      }
+    }
+    return best;
+  };
+
+  const coarse = search(-maxAngle, maxAngle, 0.5, { angle: 0, score: score(0) });
+  const fine = search(coarse.angle - 0.5, coarse.angle + 0.5, 0.1, coarse);
+  return Math.round(fine.angle * 10) / 10;
+}
+
+/**
+ * OCR-relevant measurements of an image, reported by ImageProcessor.assessQuality() under `ocr`
+ * @param {Object} image - Grayscale image
+ * @returns {Object} { dark_coverage, lighting_variation, contrast, text_height, skew_angle }
+ */
+function measureOCRQuality(image) {
+  const grid = measureCells(image);
+
+  const darkCells = findDarkCells(grid);
+  const darkCoverage = darkCells.filter(Boolean).length / Math.max(grid.cells.length, 1);
+
+  // Background brightness per cell, with dark areas counted as if inverted
+  const backgrounds = grid.cells.map((cell, index) => (darkCells[index] ? 255 - cell.p10 : cell.p90)).sort((a, b) => a - b);
+  const lightingVariation = backgrounds.length > 0
+    ? (backgrounds[Math.floor(backgrounds.length * 0.9)] - backgrounds[Math.floor(backgrounds.length * 0.1)]) / 255
+    : 0;
+
+  let sum = 0;
+  let sumSquares = 0;
+  for (let i = 0; i < image.data.length; i++) {
+    sum += image.data[i];
+    sumSquares += image.data[i] * image.data[i];
+  }
+  const mean = sum / Math.max(image.data.length, 1);
+  const contrast = Math.sqrt(Math.max(0, sumSquares / Math.max(image.data.length, 1) - mean * mean));
+
+  // Text measurements need dark text on light, so dark areas are inverted first
+  const normalized = darkCoverage > 0 ? invertCells(image, grid, darkCells) : image;
+  const threshold = otsuThreshold(normalized.data);
+
+  return {
+    dark_coverage: Math.round(darkCoverage * 1000) / 1000,
+    lighting_variation: Math.round(lightingVariation * 1000) / 1000,
+    contrast: Math.round(contrast * 10) / 10,
+    text_height: estimateTextHeight(normalized, threshold),
+    skew_angle: estimateSkewAngle(normalized, threshold)
+  };
+}
+
+/**
+ * Invert the pixels of the marked grid cells
+ * @param {Object} image - Grayscale image
+ * @param {Object} grid - { columns, cellSize } (cell_size is accepted too)
+ * @param {Array<boolean>} mask - Cells to invert, row-major
+ * @returns {Object} New grayscale image
+ */
+function invertCells(image, grid, mask) {
+  const { data, width, height } = image;
+  const cellSize = grid.cellSize || grid.cell_size;
+  const output = Uint8Array.from(data);
+
+  for (let y = 0; y < height; y++) {
+    const rowOffset = Math.floor(y / cellSize) * grid.columns;
+    for (let x = 0; x < width; x++) {
+      if (mask[rowOffset + Math.floor(x / cellSize)]) {
+        output[y * width + x] = 255 - data[y * width + x];
+      }
+    }
+  }
+
+  return { data: output, width, height };
+}
+
+/**
+ * Sauvola local adaptive thresholding: T = mean * (1 + k * (stdev / r - 1)) over a
+ * window around each pixel, which keeps text under uneven lighting. Window sums are
+ * kept per column and slid along rows, so memory stays proportional to the width.
+ * @param {Object} image - Grayscale image
+ * @param {Object} options - { windowSize (odd, px), k, r }
+ * @returns {Object} Binary grayscale image (0 ink, 255 background)
+ */
+function sauvolaBinarize(image, options = {}) {
+  const { data, width, height } = image;
+  const { windowSize = 25, k = 0.34, r = 128 } = options;
+  const radius = Math.floor(windowSize / 2);
+  const output = new Uint8Array(data.length);
+
+  const columnSums = new Float64Array(width);
+  const columnSquares = new Float64Array(width);
+  const prefixSums = new Float64Array(width + 1);
+  const prefixSquares = new Float64Array(width + 1);
+
+  const addRow = (y, sign) => {
+    if (y < 0 || y >= height) return;
+    const offset = y * width;
+    for (let x = 0; x < width; x++) {
+      const value = data[offset + x];
+      columnSums[x] += sign * value;
+      columnSquares[x] += sign * value * value;
+    }
+  };
+
+  for (let y = 0; y < radius; y++) addRow(y, 1);
+
+  for (let y = 0; y < height; y++) {
+    addRow(y + radius, 1);
+    addRow(y - radius - 1, -1);
+    const rowCount = Math.min(height - 1, y + radius) - Math.max(0, y - radius) + 1;
+
+    for (let x = 0; x < width; x++) {
+      prefixSums[x + 1] = prefixSums[x] + columnSums[x];
+      prefixSquares[x + 1] = prefixSquares[x] + columnSquares[x];
+    }
+
+    for (let x = 0; x < width; x++) {
+      const left = Math.max(0, x - radius);
+      const right = Math.min(width - 1, x + radius);
+      const count = (right - left + 1) * rowCount;
+      const mean = (prefixSums[right + 1] - prefixSums[left]) / count;
+      const variance = (prefixSquares[right + 1] - prefixSquares[left]) / count - mean * mean;
+      const threshold = mean * (1 + k * (Math.sqrt(Math.max(variance, 0)) / r - 1));
+      output[y * width + x] = data[y * width + x] <= threshold ? 0 : 255;
+    }
+  }
+
+  return { data: output, width, height };
+}
+
+/**
+ * Choose preprocessing steps from a quality assessment
+ * @param {Object} quality - Output of ImageProcessor.assessQuality()
+ * @param {Object|string|boolean} steps - 'auto' (true is the same), false, or { invert, deskew, upscale, binarize }
+ *   each true, false or 'auto'
+ * @returns {Object} { invert, deskew: angle|null, upscale: scale|null, binarize }
+ */
+function planOCRPreprocessing(quality, steps = 'auto') {
+  const metrics = quality.ocr;
+  const thresholds = OCR_PREPROCESSING_THRESHOLDS;
+  const mode = step => {
+    if (steps && typeof steps === 'object') return steps[step] ?? 'auto';
+    return steps === false ? false : 'auto';
+  };
+  const decide = (step, auto) => (mode(step) === 'auto' ? auto : mode(step) === true);
+
+  const skew = Math.abs(metrics.skew_angle) <= thresholds.maxSkewAngle ? metrics.skew_angle : 0;
+  const textHeight = metrics.text_height;
+  const upscale = textHeight
+    ? Math.min(thresholds.maxUpscale, Math.round(thresholds.targetTextHeight / textHeight * 2) / 2)
+    : 2;
+
+  return {
+    invert: decide('invert', metrics.dark_coverage >= thresholds.minDarkCoverage) && metrics.dark_coverage > 0,
+    deskew: decide('deskew', Math.abs(skew) >= thresholds.minSkewAngle) && skew !== 0 ? skew : null,
+    upscale: decide('upscale', textHeight !== null && textHeight < thresholds.minTextHeight) && upscale > 1 ? upscale : null,
+    binarize: decide('binarize',
+      metrics.lighting_variation > thresholds.maxLightingVariation || metrics.contrast < thresholds.minContrast)
+  };
+}
+
+module.exports = {
+  OCR_PREPROCESSING_THRESHOLDS,
+  measureCells,
+  findDarkCells,
+  otsuThreshold,
+  estimateTextHeight,
+  estimateSkewAngle,
+  measureOCRQuality,
+  invertCells,
+  sauvolaBinarize,
+  planOCRPreprocessing
+};
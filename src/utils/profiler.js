@@ -0,0 +1,113 @@
+const { performance } = require('perf_hooks');
+const { isAbortError } = require('./abort');
+
+const round = value => Math.round(value * 100) / 100;
+
+/**
+ * Records wall time, CPU time and heap growth for a span of work and its nested sub-steps.
+ * Spans are passed down explicitly (like `signal`), so concurrent work never shares a span.
+ *
+ * CPU time is process-wide and includes worker threads (e.g. Tesseract) running in the span.
+ * Heap is sampled when spans start and finish, so the peak is the highest of those samples.
+ * Both therefore also count the work of sibling spans running at the same time (e.g. component
+ * crops read in parallel); such spans and their sub-steps are marked `concurrent`, and only
+ * their wall time is their own.
+ */
+class Profiler {
+  constructor(name = 'analysis') {
+    this.name = name;
+    this.children = [];
+    this.status = null;
+    this.startTime = performance.now();
+    this.startCpu = process.cpuUsage();
+    this.startHeap = process.memoryUsage().heapUsed;
+    this.peakHeap = this.startHeap;
+    this.endTime = null;
+    this.concurrent = false;
+    // Child spans still running
+    this.active = new Set();
+  }
+
+  /**
+   * Run a sub-step in a child span
+   * @param {string} name - Sub-step name
+   * @param {Function} fn - (childProfiler) => value or promise
+   * @returns {Promise<*>} The sub-step's result
+   */
+  async measure(name, fn) {
+    const child = new Profiler(name);
+    this.children.push(child);
+    if (this.active.size > 0) {
+      child.concurrent = true;
+      this.active.forEach(sibling => { sibling.concurrent = true; });
+    }
+    this.active.add(child);
+
+    try {
+      return await fn(child);
+    } catch (error) {
+      child.status = isAbortError(error) ? 'aborted' : 'failed';
+      throw error;
+    } finally {
+      this.active.delete(child);
+      child.finish();
+      this.peakHeap = Math.max(this.peakHeap, child.peakHeap);
+    }
+  }
+
+  /**
+   * Stop the span; later calls keep the first measurement
+   * @returns {Profiler} This span
+   */
+  finish() {
+    if (this.endTime !== null) return this;
+
+    this.endTime = performance.now();
+    const cpu = process.cpuUsage(this.startCpu);
+    this.cpuTime = (cpu.user + cpu.system) / 1000;
+    this.endHeap = process.memoryUsage().heapUsed;
+    this.peakHeap = Math.max(this.peakHeap, this.endHeap);
+    return this;
+  }
+
+  /**
+   * Serialize the span tree for `analysis_statistics.profile`
+   * @returns {Object} { name, wall_ms, cpu_ms, heap_delta_bytes, peak_heap_delta_bytes, status?, concurrent?, children }
+   */
+  toJSON() {
+    return this.serialize(false);
+  }
+
+  serialize(insideConcurrent) {
+    this.finish();
+    const concurrent = insideConcurrent || this.concurrent;
+
+    const span = {
+      name: this.name,
+      wall_ms: round(this.endTime - this.startTime),
+      cpu_ms: round(this.cpuTime),
+      heap_delta_bytes: this.endHeap - this.startHeap,
+      peak_heap_delta_bytes: this.peakHeap - this.startHeap
+    };
+    if (this.status) span.status = this.status;
+    if (concurrent) span.concurrent = true;
+    span.children = this.children.map(child => child.serialize(concurrent));
+    return span;
+  }
+}
+
+/**
+ * Run a sub-step in a child span of `profiler`, or directly when there is no profiler
+ * @param {Profiler|null} profiler - Parent span
+ * @param {string} name - Sub-step name
+ * @param {Function} fn - (childProfiler|null) => value or promise
+ * @returns {Promise<*>} The sub-step's result
+ */
+function measure(profiler, name, fn) {
+  return profiler ? profiler.measure(name, fn) : Promise.resolve().then(() => fn(null));
+}
+
+module.exports = {
+  Profiler,
+  measure
+};
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const { getBox } = require('./geometry');
+
+// Positions are quantized to 1% of the image size, so small shifts keep the same ID
+const DEFAULT_PRECISION = 0.01;
+// Cell size in pixels when the image size is unknown
+const DEFAULT_PIXEL_GRID = 8;
+
+const normalizeText = text => (typeof text === 'string' ? text.toLowerCase().replace(/\s+/g, ' ').trim() : '');
+
+/**
+ * Quantize a coordinate relative to an image dimension
+ */
+function quantize(value, dimension, options) {
+  if (dimension > 0) {
+    return Math.round(value / dimension / (options.precision || DEFAULT_PRECISION));
+  }
+  return Math.round(value / (options.pixelGrid || DEFAULT_PIXEL_GRID));
+}
+
+/**
+ * Create an ID derived from an element's type, normalized position and text,
+ * so an unchanged element gets the same ID on every run regardless of detection order
+ * @param {string} prefix - ID prefix (e.g. 'component', 'rect')
+ * @param {Object} element - Element with `type`, a position (see getBox) and optional text
+ * @param {Object} options - Options
+ * @param {number} options.width - Image width used to normalize positions
+ * @param {number} options.height - Image height used to normalize positions
+ * @param {number} options.precision - Quantization step as a fraction of the image size
+ * @param {Function} options.getText - (element) => text to include in the hash
+ * @returns {string} ID of the form `<prefix>_<8 hex chars>`
+ */
+function createStableId(prefix, element, options = {}) {
+  const box = getBox(element) || { x: 0, y: 0, width: 0, height: 0 };
+  const text = options.getText ? options.getText(element) : element.text;
+
+  const key = [
+    element.type || '',
+    quantize(box.x, options.width, options),
+    quantize(box.y, options.height, options),
+    quantize(box.width, options.width, options),
+    quantize(box.height, options.height, options),
+    normalizeText(text)
+  ].join('|');
+
+  const hash = crypto.createHash('sha1').update(key).digest('hex').slice(0, 8);
+  return `${prefix}_${hash}`;
+}
+
+/**
+ * Assign stable IDs to a list of elements. Elements that hash to the same ID are
+ * ordered by exact position and get `-2`, `-3`, ... suffixes, so the suffixes do
+ * not depend on detection order either.
+ * @param {Array<Object>} elements - Elements to label
+ * @param {string|Function} prefix - ID prefix, or (element) => prefix
+ * @param {Object} options - Options for createStableId()
+ * @returns {Array<Object>} Copies of the elements with an `id`
+ */
+function assignStableIds(elements, prefix, options = {}) {
+  const ids = elements.map(element =>
+    createStableId(typeof prefix === 'function' ? prefix(element) : prefix, element, options)
+  );
+
+  const groups = new Map();
+  ids.forEach((id, index) => {
+    if (!groups.has(id)) groups.set(id, []);
+    groups.get(id).push(index);
+  });
+
+  const position = index => getBox(elements[index]) || { x: 0, y: 0, width: 0, height: 0 };
+  const text = index => normalizeText(options.getText ? options.getText(elements[index]) : elements[index].text);
+
+  groups.forEach((indices, id) => {
+    if (indices.length < 2) return;
+
+    indices
+      .sort((a, b) => {
+        const boxA = position(a);
+        const boxB = position(b);
+        return (boxA.y - boxB.y) || (boxA.x - boxB.x) ||
+          (boxA.width - boxB.width) || (boxA.height - boxB.height) ||
+          text(a).localeCompare(text(b));
+      })
+      .forEach((index, rank) => {
+        if (rank > 0) ids[index] = `${id}-${rank + 1}`;
+      });
+  });
+
+  return elements.map((element, index) => ({ ...element, id: ids[index] }));
+}
+
+/**
+ * Read the prefix of an ID created by createStableId()
+ * @param {string} id - Element ID
+ * @returns {string} Prefix
+ */
+function getIdPrefix(id) {
+  return String(id).replace(/_[^_]*$/, '');
+}
+
+module.exports = {
+  createStableId,
+  assignStableIds,
+  getIdPrefix
+};
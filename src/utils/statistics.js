@@ -0,0 +1,36 @@
+/**
+ * Arithmetic mean of a list of numbers
+ * @param {Array<number>} values - Numbers
+ * @returns {number} Mean, or 0 for an empty list
+ */
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+/**
+ * Median of a list of numbers (the upper median for an even count)
+ * @param {Array<number>} values - Numbers
+ * @returns {number} Median, or 0 for an empty list
+ */
+function median(values) {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Most frequent value, ignoring empty ones
+ * @param {Array} values - Values
+ * @returns {*} Most frequent value (the first seen on a tie), or null if there is none
+ */
+function mostCommon(values) {
+  const counts = new Map();
+  values.filter(Boolean).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+module.exports = {
+  mean,
+  median,
+  mostCommon
+};
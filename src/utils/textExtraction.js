@@ -0,0 +1,217 @@
+const { getBox } = require('./geometry');
+const { assignStableIds, getIdPrefix } = require('./stableId');
+
+/**
+ * Convert a confidence to the 0-1 range.
+ * Tesseract reports percentages; values above 1 are treated as percentages.
+ * @param {number} confidence - Confidence as a fraction or percentage
+ * @returns {number} Confidence between 0 and 1
+ */
+function toUnitConfidence(confidence) {
+  if (typeof confidence !== 'number' || !Number.isFinite(confidence)) return 0;
+
+  const value = confidence > 1 ? confidence / 100 : confidence;
+  return Math.round(Math.min(1, Math.max(0, value)) * 10000) / 10000;
+}
+
+/**
+ * Normalize a recognized word, line, paragraph or block to { text, confidence, position }
+ * @param {Object} item - OCR item with `position` or a Tesseract `bbox`
+ * @returns {Object|null} Normalized item, or null if it has no text or position
+ */
+function normalizeTextItem(item) {
+  const text = typeof item?.text === 'string' ? item.text.trim() : '';
+  const position = getBox(item);
+  if (!text || !position) return null;
+
+  const normalized = { text, confidence: toUnitConfidence(item.confidence), position };
+  if (typeof item.language === 'string') normalized.language = item.language;
+  return normalized;
+}
+
+const normalizeTextItems = items => (Array.isArray(items) ? items : [])
+  .map(normalizeTextItem)
+  .filter(Boolean);
+
+/**
+ * Normalize a classified text element (an entry of `structured_text`)
+ */
+function normalizeTextElement(element) {
+  const item = normalizeTextItem(element);
+  if (!item) return null;
+
+  const normalized = {
+    id: typeof element.id === 'string' ? element.id : 'text',
+    type: element.type || 'text',
+    ...item
+  };
+  if (element.font_info) normalized.font_info = element.font_info;
+  if (Array.isArray(element.words)) normalized.words = normalizeTextItems(element.words);
+  return normalized;
+}
+
+/**
+ * Bring the output of either OCR back end into the `text_extraction` shape of the
+ * result schema: confidences between 0 and 1, and words, lines, paragraphs and
+ * blocks as { text, confidence, position } items in image pixels.
+ * `structured_text` elements get stable IDs derived from their type, position and text.
+ * @param {Object} extraction - Output of OCREngine.extractText() or MultiLanguageOCR.processImage()
+ * @param {Object} options - Options
+ * @param {string} options.engine - 'tesseract' or 'multi_language'
+ * @param {string} options.language - Language used when the back end does not report one
+ * @param {number} options.width - Width of the recognized image, used for stable IDs
+ * @param {number} options.height - Height of the recognized image, used for stable IDs
+ * @returns {Object} Normalized text extraction
+ */
+function normalizeTextExtraction(extraction, options = {}) {
+  const { raw_text: rawText, processed_text: processedText, ...rest } = extraction || {};
+
+  const normalized = {
+    engine: options.engine || 'tesseract',
+    language: rest.language || options.language || 'eng',
+    raw_text: typeof rawText === 'string' ? rawText.trim() : '',
+    confidence: toUnitConfidence(rest.confidence),
+    structured_text: assignStableIds(
+      (rest.structured_text || []).map(normalizeTextElement).filter(Boolean),
+      element => getIdPrefix(element.id),
+      { width: options.width, height: options.height }
+    ),
+    words: normalizeTextItems(rest.words),
+    lines: normalizeTextItems(rest.lines),
+    paragraphs: normalizeTextItems(rest.paragraphs),
+    blocks: normalizeTextItems(rest.blocks)
+  };
+
+  if (typeof processedText === 'string') normalized.processed_text = processedText.trim();
+
+  ['language_detection', 'language_specific_analysis', 'processing_stats'].forEach(key => {
+    if (rest[key] !== undefined) normalized[key] = rest[key];
+  });
+
+  return normalized;
+}
+
+/**
+ * Nest the words, lines, paragraphs and blocks of a normalized extraction by position,
+ * for formats that keep the OCR hierarchy (hOCR, ALTO).
+ *
+ * An item belongs to the first item of the level above whose box holds its centre.
+ * An item without one gets a parent of its own, a container without children gets a
+ * child copied from itself, and a line without words is split into words whose boxes
+ * are estimated from their share of the line's characters (`estimated: true`).
+ * @param {Object} extraction - Normalized text extraction (see normalizeTextExtraction())
+ * @returns {Array<Object>} Blocks as { text, confidence, position, paragraphs: [{ ..., lines: [{ ..., words }] }] }
+ */
+function buildTextHierarchy(extraction) {
+  // Structured text stands in for lines when the back end reported neither lines nor words
+  const lines = extraction.lines.length > 0 || extraction.words.length > 0
+    ? extraction.lines
+    : extraction.structured_text;
+
+  const nestedLines = nestTextItems(lines, extraction.words, 'words');
+  const paragraphs = nestTextItems(extraction.paragraphs, nestedLines, 'lines');
+  return nestTextItems(extraction.blocks, paragraphs, 'paragraphs');
+}
+
+/**
+ * Put each child into the first parent holding its centre; parents keep their order
+ */
+function nestTextItems(parents, children, key) {
+  const nested = parents.map(({ text, confidence, position }) => ({ text, confidence, position, [key]: [] }));
+
+  children.forEach(child => {
+    const parent = nested.find(candidate => containsCentre(candidate.position, child.position));
+    if (parent) {
+      parent[key].push(child);
+    } else {
+      nested.push({ text: child.text, confidence: child.confidence, position: child.position, [key]: [child] });
+    }
+  });
+
+  return nested.map(parent => (parent[key].length > 0 ? parent : { ...parent, [key]: fillChildren(parent, key) }));
+}
+
+/**
+ * Children standing in for the missing content of a container
+ */
+function fillChildren(parent, key) {
+  if (key === 'words') return estimateWords(parent);
+
+  const child = { text: parent.text, confidence: parent.confidence, position: parent.position };
+  return key === 'lines'
+    ? [{ ...child, words: estimateWords(child) }]
+    : [{ ...child, lines: [{ ...child, words: estimateWords(child) }] }];
+}
+
+/**
+ * Split a line into words, giving each a share of the line width proportional to its characters
+ */
+function estimateWords(line) {
+  const { x, y, width, height } = line.position;
+  const characterWidth = width / Math.max(line.text.length, 1);
+  const words = [];
+
+  line.text.replace(/\S+/g, (text, offset) => {
+    words.push({
+      text,
+      confidence: line.confidence,
+      position: { x: x + offset * characterWidth, y, width: text.length * characterWidth, height },
+      estimated: true
+    });
+    return text;
+  });
+  return words;
+}
+
+/**
+ * Check whether a box's centre lies inside another box
+ * @param {Object} outer - Box {x, y, width, height}
+ * @param {Object} inner - Box {x, y, width, height}
+ * @returns {boolean} True if the centre of `inner` is within `outer`
+ */
+function containsCentre(outer, inner) {
+  const x = inner.x + inner.width / 2;
+  const y = inner.y + inner.height / 2;
+  return x >= outer.x && x <= outer.x + outer.width && y >= outer.y && y <= outer.y + outer.height;
+}
+
+/**
+ * The text extractions of a result, one per page: each analyzed frame of an animated
+ * image or multi-page document, or the result itself. A result without OCR output has
+ * one page with no text.
+ * @param {Object} analysisResult - Analysis result
+ * @returns {Array<Object>} { page, extraction } where page is the 0-based frame number
+ */
+function getTextPages(analysisResult) {
+  const frames = (analysisResult.frames || []).filter(frame => frame.text_extraction);
+  if (frames.length > 0) {
+    return frames.map(frame => ({ page: frame.frame, extraction: frame.text_extraction }));
+  }
+  return [{ page: 0, extraction: analysisResult.text_extraction || normalizeTextExtraction({}) }];
+}
+
+/**
+ * Box of a page: the image size, or the extent of its text when the size is unknown
+ * @param {Array<Object>} blocks - Text blocks on the page (see buildTextHierarchy())
+ * @param {Object} metadata - Image metadata with `width` and `height`
+ * @returns {Object} { x: 0, y: 0, width, height }
+ */
+function getPageBox(blocks, metadata = {}) {
+  const extent = (key, size) => Math.max(0, ...blocks.map(block => block.position[key] + block.position[size]));
+  return {
+    x: 0,
+    y: 0,
+    width: metadata.width || Math.ceil(extent('x', 'width')),
+    height: metadata.height || Math.ceil(extent('y', 'height'))
+  };
+}
+
+module.exports = {
+  toUnitConfidence,
+  normalizeTextItem,
+  normalizeTextExtraction,
+  buildTextHierarchy,
+  containsCentre,
+  getPageBox,
+  getTextPages
+};
@@ -1,21 +1,53 @@
 const fs = require('fs-extra');
 const path = require('path');
 const mime = require('mime-types');
+const { detectImageFormat, decodeBase64Image, getImageInputType } = require('./imageInput');
+const { isAbortSignal } = require('./abort');
+
+const DEFAULT_MAX_IMAGE_SIZE = 50 * 1024 * 1024; // 50MB
 
 /**
- * Validate image file
- * @param {string} imagePath - Path to image file
+ * Validate image input
+ * @param {string|Buffer|Readable|Object} imageInput - File path, Buffer, Readable stream,
+ *   data URI / base64 string, or raw pixel object ({ data, width, height, channels })
+ * @param {Object} options - Validation options
+ * @param {number} options.maxFileSize - Maximum image size in bytes (default: 50MB)
  * @throws {Error} If validation fails
  */
-async function validateImage(imagePath) {
-  if (!imagePath) {
-    throw new Error('Image path is required');
+async function validateImage(imageInput, options = {}) {
+  if (!imageInput) {
+    throw new Error('Image input is required');
   }
 
-  if (typeof imagePath !== 'string') {
-    throw new Error('Image path must be a string');
+  const maxSize = options.maxFileSize || DEFAULT_MAX_IMAGE_SIZE;
+
+  switch (getImageInputType(imageInput)) {
+    case 'file':
+      return await validateImageFile(imageInput, maxSize);
+    case 'base64':
+      return validateImageBuffer(decodeBase64Image(imageInput), maxSize);
+    case 'buffer':
+      return validateImageBuffer(imageInput, maxSize);
+    case 'raw':
+      return validateRawPixels(imageInput, maxSize);
+    case 'stream':
+      // Content is sniffed once the stream has been read into a buffer
+      if (imageInput.destroyed || imageInput.readableEnded) {
+        throw new Error('Image stream has already been consumed');
+      }
+      return;
+    default:
+      throw new Error('Unsupported image input: expected a file path, Buffer, Readable stream, base64 string or { data, width, height, channels } object');
   }
+}
 
+/**
+ * Validate image file on disk
+ * @param {string} imagePath - Path to image file
+ * @param {number} maxSize - Maximum file size in bytes
+ * @throws {Error} If validation fails
+ */
+async function validateImageFile(imagePath, maxSize) {
   // Check if file exists
   const exists = await fs.pathExists(imagePath);
   if (!exists) {
@@ -28,8 +60,7 @@ async function validateImage(imagePath) {
     throw new Error(`Path is not a file: ${imagePath}`);
   }
 
-  // Check file size (max 50MB)
-  const maxSize = 50 * 1024 * 1024; // 50MB
+  // Check file size
   if (stats.size > maxSize) {
     throw new Error(`Image file too large: ${formatFileSize(stats.size)} (max: ${formatFileSize(maxSize)})`);
   }
@@ -51,10 +82,72 @@ async function validateImage(imagePath) {
     'image/tiff',
     'image/webp'
   ];
-  
+
   if (!mimeType || !supportedMimeTypes.includes(mimeType)) {
     throw new Error(`Invalid image MIME type: ${mimeType}`);
   }
+
+  // Check file content matches a known image signature
+  const header = Buffer.alloc(16);
+  const fd = await fs.open(imagePath, 'r');
+  try {
+    await fs.read(fd, header, 0, header.length, 0);
+  } finally {
+    await fs.close(fd);
+  }
+
+  if (!detectImageFormat(header)) {
+    throw new Error(`File content is not a recognized image: ${imagePath}`);
+  }
+}
+
+/**
+ * Validate in-memory image data
+ * @param {Buffer} buffer - Encoded image data
+ * @param {number} maxSize - Maximum size in bytes
+ * @throws {Error} If validation fails
+ */
+function validateImageBuffer(buffer, maxSize) {
+  if (!buffer || buffer.length === 0) {
+    throw new Error('Image buffer is empty');
+  }
+
+  if (buffer.length > maxSize) {
+    throw new Error(`Image data too large: ${formatFileSize(buffer.length)} (max: ${formatFileSize(maxSize)})`);
+  }
+
+  if (!detectImageFormat(buffer)) {
+    throw new Error('Image data is not a recognized format. Supported: PNG, JPEG, GIF, BMP, TIFF, WebP');
+  }
+}
+
+/**
+ * Validate raw pixel input
+ * @param {Object} raw - Raw pixel object ({ data, width, height, channels })
+ * @param {number} maxSize - Maximum size in bytes
+ * @throws {Error} If validation fails
+ */
+function validateRawPixels(raw, maxSize) {
+  const { data, width, height } = raw;
+  const channels = raw.channels || 4;
+
+  if (!Number.isInteger(width) || width <= 0 || !Number.isInteger(height) || height <= 0) {
+    throw new Error('Raw pixel input requires positive integer width and height');
+  }
+
+  if (![1, 2, 3, 4].includes(channels)) {
+    throw new Error(`Raw pixel input has invalid channel count: ${channels} (expected 1-4)`);
+  }
+
+  const expectedLength = width * height * channels;
+  if (data.length !== expectedLength) {
+    throw new Error(`Raw pixel data length ${data.length} does not match ${width}x${height}x${channels} (${expectedLength})`);
+  }
+
+  // Typed arrays wider than a byte hold more than one byte per sample
+  if (data.byteLength > maxSize) {
+    throw new Error(`Raw pixel data too large: ${formatFileSize(data.byteLength)} (max: ${formatFileSize(maxSize)})`);
+  }
 }
 
 /**
@@ -69,7 +162,8 @@ function validateOptions(options) {
 
   // Validate outputFormat
   if (options.outputFormat) {
-    const validFormats = ['json', 'yaml', 'xml', 'text'];
+    // formatOutput() formats, plus markdown, which the CLI renders itself
+    const validFormats = ['json', 'yaml', 'xml', 'text', 'markdown', 'hocr', 'alto'];
     if (!validFormats.includes(options.outputFormat.toLowerCase())) {
       throw new Error(`Invalid output format: ${options.outputFormat}. Valid formats: ${validFormats.join(', ')}`);
     }
@@ -83,6 +177,75 @@ function validateOptions(options) {
     }
   }
 
+  // Validate detail level
+  if (options.detail !== undefined) {
+    const validDetails = ['basic', 'standard', 'comprehensive'];
+    if (!validDetails.includes(options.detail)) {
+      throw new Error(`Invalid detail: ${options.detail}. Valid levels: ${validDetails.join(', ')}`);
+    }
+  }
+
+  // Validate precision overrides
+  if (options.analysisScales !== undefined) {
+    const valid = Array.isArray(options.analysisScales) && options.analysisScales.length > 0 &&
+      options.analysisScales.every(scale => typeof scale === 'number' && scale > 0 && scale <= 4);
+    if (!valid) {
+      throw new Error('analysisScales must be a non-empty array of scale factors between 0 and 4');
+    }
+  }
+
+  if (options.edgeDetectors !== undefined) {
+    const validDetectors = ['sobel', 'canny', 'laplacian'];
+    if (!Array.isArray(options.edgeDetectors) || !options.edgeDetectors.every(name => validDetectors.includes(name))) {
+      throw new Error(`edgeDetectors must be an array of: ${validDetectors.join(', ')}`);
+    }
+  }
+
+  if (options.ocrPageSegModes !== undefined) {
+    const valid = Array.isArray(options.ocrPageSegModes) && options.ocrPageSegModes.length > 0 &&
+      options.ocrPageSegModes.every(mode => /^(\d|1[0-3])$/.test(String(mode)));
+    if (!valid) {
+      throw new Error('ocrPageSegModes must be a non-empty array of Tesseract page segmentation modes (0-13)');
+    }
+  }
+
+  // Validate error mode
+  if (options.errorMode !== undefined) {
+    const validErrorModes = ['tolerant', 'strict'];
+    if (!validErrorModes.includes(options.errorMode)) {
+      throw new Error(`Invalid errorMode: ${options.errorMode}. Valid modes: ${validErrorModes.join(', ')}`);
+    }
+  }
+
+  // Validate reading order
+  if (options.readingDirection !== undefined) {
+    const validDirections = ['auto', 'ltr', 'rtl'];
+    if (!validDirections.includes(options.readingDirection)) {
+      throw new Error(`Invalid readingDirection: ${options.readingDirection}. Valid directions: ${validDirections.join(', ')}`);
+    }
+  }
+
+  if (options.readingFlow !== undefined) {
+    const validFlows = ['columns', 'rows'];
+    if (!validFlows.includes(options.readingFlow)) {
+      throw new Error(`Invalid readingFlow: ${options.readingFlow}. Valid flows: ${validFlows.join(', ')}`);
+    }
+  }
+
+  // Validate entity locale
+  if (options.locale !== undefined && options.locale !== null) {
+    const isSupported = locale => {
+      try {
+        return Intl.DateTimeFormat.supportedLocalesOf(locale).length > 0;
+      } catch (error) {
+        return false;
+      }
+    };
+    if (typeof options.locale !== 'string' || !isSupported(options.locale)) {
+      throw new Error(`Invalid locale: ${options.locale}. Use a BCP 47 language tag such as en-US or de-DE`);
+    }
+  }
+
   // Validate OCR language
   if (options.ocrLanguage) {
     if (typeof options.ocrLanguage !== 'string') {
@@ -103,6 +266,14 @@ function validateOptions(options) {
     'enableAdvancedPatterns',
     'enableDesignSystemAnalysis',
     'enableComponentRelationships',
+    'enableComponentOCR',
+    'enableOCRRefinement',
+    'enableTextStyleAnalysis',
+    'enableEntityExtraction',
+    'enableReadingOrder',
+    'enableTableDetection',
+    'enableFormExtraction',
+    'ocrCaseCorrection',
     'enableMultiLanguageOCR',
     'enablePerformanceOptimization',
     'verbose',
@@ -126,6 +297,226 @@ function validateOptions(options) {
     }
   }
 
+  // Validate thresholds passed through to the analysis components
+  const positiveNumberOptions = [
+    'maxWidth',
+    'maxHeight',
+    'minContourArea',
+    'maxContourArea',
+    'maxColors',
+    'contrastThreshold',
+    'gridTolerance',
+    'alignmentTolerance',
+    'proximityThreshold',
+    'minimumOccurrences',
+    'spacingTolerance',
+    'moveTolerance',
+    'resizeTolerance',
+    'colorTolerance',
+    'maxComponentOCR',
+    'maxRefinedLines'
+  ];
+
+  for (const option of positiveNumberOptions) {
+    const value = options[option];
+    if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)) {
+      throw new Error(`Option '${option}' must be a positive number`);
+    }
+  }
+
+  if (options.componentOCRPadding !== undefined &&
+      (typeof options.componentOCRPadding !== 'number' || options.componentOCRPadding < 0)) {
+    throw new Error('componentOCRPadding must be a number of pixels');
+  }
+  if (options.componentOCRTypes !== undefined &&
+      (!Array.isArray(options.componentOCRTypes) || options.componentOCRTypes.some(type => typeof type !== 'string'))) {
+    throw new Error('componentOCRTypes must be an array of component types');
+  }
+
+  if (options.ocrRefinementThreshold !== undefined &&
+      (typeof options.ocrRefinementThreshold !== 'number' || options.ocrRefinementThreshold < 0 || options.ocrRefinementThreshold > 1)) {
+    throw new Error('ocrRefinementThreshold must be a confidence between 0 and 1');
+  }
+  if (options.ocrRefinementLanguages !== undefined &&
+      (!Array.isArray(options.ocrRefinementLanguages) || options.ocrRefinementLanguages.some(language => typeof language !== 'string' || !language))) {
+    throw new Error('ocrRefinementLanguages must be an array of Tesseract languages');
+  }
+
+  // Validate the custom vocabulary
+  if (options.vocabulary !== undefined) {
+    const isList = list => (typeof list === 'string' && list.length > 0) ||
+      (Array.isArray(list) && list.every(term => typeof term === 'string'));
+    const value = options.vocabulary;
+    const valid = isList(value) || (value !== null && typeof value === 'object' && !Array.isArray(value) &&
+      (value.terms === undefined || isList(value.terms)) &&
+      (value.languages === undefined || (value.languages !== null && typeof value.languages === 'object' &&
+        Object.values(value.languages).every(isList))));
+    if (!valid) {
+      throw new Error('vocabulary must be a word list (an array of terms or a file path) or { terms, languages: { [language]: word list } }');
+    }
+  }
+
+  if (options.maxCorrectionDistance !== undefined &&
+      (typeof options.maxCorrectionDistance !== 'number' || options.maxCorrectionDistance < 0)) {
+    throw new Error('maxCorrectionDistance must be a non-negative number');
+  }
+  if (options.ocrCorrectionThreshold !== undefined &&
+      (typeof options.ocrCorrectionThreshold !== 'number' || options.ocrCorrectionThreshold < 0 || options.ocrCorrectionThreshold > 1)) {
+    throw new Error('ocrCorrectionThreshold must be a confidence between 0 and 1');
+  }
+
+  // Validate config file and preset selection
+  if (options.preset !== undefined && (typeof options.preset !== 'string' || !options.preset)) {
+    throw new Error('preset must be a preset name');
+  }
+
+  if (options.config !== undefined && options.config !== false && typeof options.config !== 'string') {
+    throw new Error('config must be false or the path of a config file');
+  }
+
+  if (options.cwd !== undefined && typeof options.cwd !== 'string') {
+    throw new Error('cwd must be a directory path');
+  }
+
+  // Validate pipeline stage entries
+  if (options.stages !== undefined) {
+    if (!Array.isArray(options.stages)) {
+      throw new Error('stages must be an array of stage entries ({ name, enabled, ... })');
+    }
+    options.stages.forEach((stage, index) => {
+      if (!stage || typeof stage.name !== 'string') {
+        throw new Error(`stages[${index}] requires a name`);
+      }
+      if (stage.enabled !== undefined && !['boolean', 'function'].includes(typeof stage.enabled)) {
+        throw new Error(`stages[${index}].enabled must be a boolean or a function`);
+      }
+    });
+  }
+
+  // Validate offline language data locations
+  for (const option of ['langPath', 'cachePath']) {
+    if (options[option] !== undefined && (typeof options[option] !== 'string' || !options[option])) {
+      throw new Error(`${option} must be a directory path`);
+    }
+  }
+
+  // Validate the OCR worker pool
+  if (options.ocrWorkers !== undefined && (!Number.isInteger(options.ocrWorkers) || options.ocrWorkers < 1)) {
+    throw new Error('ocrWorkers must be a positive integer');
+  }
+
+  if (options.ocrIdleTimeout !== undefined && (typeof options.ocrIdleTimeout !== 'number' || options.ocrIdleTimeout < 0)) {
+    throw new Error('ocrIdleTimeout must be a number of milliseconds (0 keeps idle workers)');
+  }
+
+  // Validate OCR preprocessing
+  if (options.ocrPreprocessing !== undefined) {
+    const steps = ['invert', 'deskew', 'upscale', 'binarize'];
+    const isMode = value => value === true || value === false || value === 'auto';
+    const value = options.ocrPreprocessing;
+    const valid = isMode(value) || (value !== null && typeof value === 'object' && !Array.isArray(value) &&
+      Object.entries(value).every(([step, mode]) => steps.includes(step) && isMode(mode)));
+    if (!valid) {
+      throw new Error(`ocrPreprocessing must be false, 'auto' or an object of ${steps.join(', ')} set to true, false or 'auto'`);
+    }
+  }
+
+  // Validate cancellation and timeout options
+  if (options.signal !== undefined && !isAbortSignal(options.signal)) {
+    throw new Error('signal must be an AbortSignal');
+  }
+
+  if (options.stageTimeout !== undefined) {
+    if (typeof options.stageTimeout !== 'number' || options.stageTimeout <= 0) {
+      throw new Error('stageTimeout must be a positive number of milliseconds');
+    }
+  }
+
+  if (options.stageTimeouts !== undefined) {
+    if (!options.stageTimeouts || typeof options.stageTimeouts !== 'object' || Array.isArray(options.stageTimeouts)) {
+      throw new Error('stageTimeouts must be an object mapping stage names to milliseconds');
+    }
+    for (const [stage, timeout] of Object.entries(options.stageTimeouts)) {
+      if (typeof timeout !== 'number' || timeout <= 0) {
+        throw new Error(`stageTimeouts.${stage} must be a positive number of milliseconds`);
+      }
+    }
+  }
+
+  if (options.onProgress !== undefined && typeof options.onProgress !== 'function') {
+    throw new Error('onProgress must be a function');
+  }
+
+  // Validate tiling
+  if (options.tiling !== undefined && typeof options.tiling !== 'boolean' && options.tiling !== 'auto') {
+    if (!options.tiling || typeof options.tiling !== 'object') {
+      throw new Error("tiling must be a boolean, 'auto' or { tileWidth, tileHeight, overlap }");
+    }
+    for (const key of ['tileWidth', 'tileHeight']) {
+      const value = options.tiling[key];
+      if (value !== undefined && (!Number.isInteger(value) || value <= 0)) {
+        throw new Error(`tiling.${key} must be a positive integer`);
+      }
+    }
+    const { overlap, tileWidth, tileHeight } = options.tiling;
+    if (overlap !== undefined && (!Number.isInteger(overlap) || overlap < 0)) {
+      throw new Error('tiling.overlap must be a non-negative integer');
+    }
+    if (overlap !== undefined && overlap >= Math.min(tileWidth || Infinity, tileHeight || Infinity)) {
+      throw new Error('tiling.overlap must be smaller than the tile size');
+    }
+  }
+
+  // Validate regions of interest
+  if (options.regions !== undefined) {
+    if (!Array.isArray(options.regions) || options.regions.length === 0) {
+      throw new Error('regions must be a non-empty array of { x, y, width, height } objects');
+    }
+    options.regions.forEach((region, index) => {
+      const valid = region &&
+        ['x', 'y', 'width', 'height'].every(key => typeof region[key] === 'number' && Number.isFinite(region[key]));
+      if (!valid) {
+        throw new Error(`regions[${index}] must have numeric x, y, width and height`);
+      }
+      if (region.x < 0 || region.y < 0 || region.width <= 0 || region.height <= 0) {
+        throw new Error(`regions[${index}] must have x and y >= 0 and a positive width and height`);
+      }
+    });
+  }
+
+  // Validate frame selection for animated GIFs and multi-page TIFFs
+  if (options.frames !== undefined && typeof options.frames !== 'boolean') {
+    const isIndex = value => Number.isInteger(value) && value >= 0;
+
+    if (Array.isArray(options.frames)) {
+      if (options.frames.length === 0 || !options.frames.every(isIndex)) {
+        throw new Error('frames must be a non-empty array of frame indices (integers >= 0)');
+      }
+    } else if (options.frames && typeof options.frames === 'object') {
+      const { start, end, step } = options.frames;
+      if ((start !== undefined && !isIndex(start)) || (end !== undefined && !isIndex(end))) {
+        throw new Error('frames.start and frames.end must be integers >= 0');
+      }
+      if (start !== undefined && end !== undefined && end < start) {
+        throw new Error('frames.end must not be before frames.start');
+      }
+      if (step !== undefined && (!Number.isInteger(step) || step < 1)) {
+        throw new Error('frames.step must be a positive integer');
+      }
+    } else {
+      throw new Error('frames must be a boolean, an array of frame indices or { start, end, step }');
+    }
+  }
+
+  if (options.frames && options.regions !== undefined) {
+    throw new Error('frames cannot be combined with regions');
+  }
+
+  // Validate display name for inputs without a file name
+  if (options.fileName !== undefined && typeof options.fileName !== 'string') {
+    throw new Error('fileName must be a string');
+  }
+
   // Validate confidence threshold
   if (options.confidenceThreshold !== undefined) {
     if (typeof options.confidenceThreshold !== 'number' || 
@@ -0,0 +1,127 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { splitLanguages } = require('./languagePacks');
+
+/**
+ * Load a custom vocabulary
+ *
+ * A source is an array of terms, the path of a word list, or
+ * `{ terms, languages: { [language]: terms } }` where each list is an array or a path.
+ * Word lists are `.json` files (an array, or the object form) or text files with one
+ * term per line; blank lines and lines starting with `#` are skipped.
+ * @param {Array<string>|string|Object} source - Vocabulary source
+ * @param {string} baseDir - Directory relative paths are resolved from (default: working directory)
+ * @returns {Object} { terms, languages } with trimmed, de-duplicated terms
+ * @throws {Error} If a word list is missing or malformed
+ */
+function loadVocabulary(source, baseDir = process.cwd()) {
+  const vocabulary = { terms: [], languages: {} };
+  if (source === undefined || source === null) return vocabulary;
+
+  let content = source;
+  let directory = baseDir;
+  if (typeof source === 'string') {
+    // Word lists named in a vocabulary file are relative to that file
+    const file = path.resolve(baseDir, source);
+    content = readWordList(file);
+    directory = path.dirname(file);
+  }
+
+  if (Array.isArray(content)) {
+    vocabulary.terms = cleanTerms(content);
+    return vocabulary;
+  }
+  if (!content || typeof content !== 'object') {
+    throw new Error('A vocabulary must be an array of terms, a word list path or { terms, languages }');
+  }
+
+  vocabulary.terms = cleanTerms(loadTerms(content.terms, directory));
+  for (const [language, terms] of Object.entries(content.languages || {})) {
+    vocabulary.languages[language] = cleanTerms(loadTerms(terms, directory));
+  }
+  return vocabulary;
+}
+
+/**
+ * Resolve the word list paths of a vocabulary source against a directory
+ * @param {Array<string>|string|Object} source - Vocabulary source (see loadVocabulary())
+ * @param {string} baseDir - Directory the paths are relative to
+ * @returns {Array<string>|string|Object} Source with absolute paths
+ */
+function resolveVocabularyPaths(source, baseDir) {
+  const resolve = list => (typeof list === 'string' ? path.resolve(baseDir, list) : list);
+  if (!source || typeof source !== 'object' || Array.isArray(source)) return resolve(source);
+
+  return {
+    ...source,
+    terms: resolve(source.terms),
+    languages: source.languages && Object.fromEntries(
+      Object.entries(source.languages).map(([language, terms]) => [language, resolve(terms)])
+    )
+  };
+}
+
+/**
+ * Terms that apply to a language: the shared terms and those of each of its languages
+ * @param {Object} vocabulary - Loaded vocabulary (see loadVocabulary())
+ * @param {string} language - Tesseract language (e.g. 'eng' or 'eng+fra')
+ * @returns {Array<string>} Terms
+ */
+function getVocabularyTerms(vocabulary, language) {
+  if (!vocabulary) return [];
+
+  const terms = [...vocabulary.terms];
+  splitLanguages(language || '').forEach(name => terms.push(...(vocabulary.languages[name] || [])));
+  return [...new Set(terms)];
+}
+
+/**
+ * Words to give Tesseract as user words; multi-word terms contribute each of their words
+ * @param {Object} vocabulary - Loaded vocabulary (see loadVocabulary())
+ * @param {string} language - Tesseract language
+ * @returns {Array<string>} Words
+ */
+function getUserWords(vocabulary, language) {
+  const words = getVocabularyTerms(vocabulary, language).flatMap(term => term.split(/\s+/));
+  return [...new Set(words.filter(Boolean))];
+}
+
+function loadTerms(list, baseDir) {
+  if (list === undefined || list === null) return [];
+  const terms = typeof list === 'string' ? readWordList(path.resolve(baseDir, list)) : list;
+  if (!Array.isArray(terms)) {
+    throw new Error('Vocabulary word lists must be arrays of terms');
+  }
+  return terms;
+}
+
+function readWordList(file) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Vocabulary file not found: ${file}`);
+  }
+
+  const text = fs.readFileSync(file, 'utf8');
+  if (path.extname(file).toLowerCase() !== '.json') {
+    return text.split(/\r?\n/).filter(line => !line.trim().startsWith('#'));
+  }
+
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Failed to parse vocabulary file ${file}: ${error.message}`);
+  }
+}
+
+function cleanTerms(terms) {
+  return [...new Set(terms
+    .filter(term => typeof term === 'string')
+    .map(term => term.trim().replace(/\s+/g, ' '))
+    .filter(Boolean))];
+}
+
+module.exports = {
+  loadVocabulary,
+  resolveVocabularyPaths,
+  getVocabularyTerms,
+  getUserWords
+};
@@ -0,0 +1,31 @@
+const { normalizeTextExtraction } = require('../../src/utils/textExtraction');
+
+/**
+ * An OCR item (block, paragraph, line or word) with its box as Tesseract reports it
+ */
+const item = (text, x0, y0, x1, y1, confidence = 90) => ({ text, confidence, bbox: { x0, y0, x1, y1 } });
+
+/**
+ * One block and paragraph with two lines, including characters that must be escaped
+ * @param {string} language - OCR language
+ * @returns {Object} Normalized text extraction of a 400x300 image
+ */
+function createExtraction(language = 'eng') {
+  const text = 'Hello "world"\nTom\'s & <co>';
+  return normalizeTextExtraction({
+    text,
+    confidence: 90,
+    blocks: [item(text, 10, 10, 210, 60)],
+    paragraphs: [item(text, 10, 10, 210, 60)],
+    lines: [item('Hello "world"', 10, 10, 150, 30, 92), item('Tom\'s & <co>', 10, 40, 210, 60, 81)],
+    words: [
+      item('Hello', 10, 10, 60, 30, 95), item('"world"', 70, 10, 150, 30, 89),
+      item('Tom\'s', 10, 40, 70, 60, 80), item('&', 80, 40, 90, 60, 85), item('<co>', 100, 40, 210, 60, 78)
+    ]
+  }, { engine: 'tesseract', language, width: 400, height: 300 });
+}
+
+module.exports = {
+  item,
+  createExtraction
+};
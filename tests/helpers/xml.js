@@ -0,0 +1,16 @@
+const { validateXML } = require('xmllint-wasm');
+
+/**
+ * Parse a document with xmllint and list its well-formedness errors. Nothing is validated
+ * against a schema or DTD: the ALTO XSD and the XHTML DTD are not available offline
+ * @param {string} xml - XML document
+ * @returns {Promise<Array<string>>} Parser error messages, empty for a well-formed document
+ */
+async function parseErrors(xml) {
+  const { errors } = await validateXML({ xml: [{ fileName: 'document.xml', contents: xml }], normalization: 'format' });
+  return errors.map(error => error.message);
+}
+
+module.exports = {
+  parseErrors
+};
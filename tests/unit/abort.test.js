@@ -0,0 +1,183 @@
+const StageRegistry = require('../../src/core/stageRegistry');
+const {
+  createAbortError,
+  toAbortError,
+  isAbortError,
+  isAbortSignal,
+  throwIfAborted,
+  runAbortable
+} = require('../../src/utils/abort');
+
+// The analyzer's modules load sharp, which none of these tests use
+jest.mock('sharp', () => jest.fn());
+const { ImageToText } = require('../../src');
+
+const never = () => new Promise(() => {});
+
+describe('abort', () => {
+  test('creates and recognizes AbortErrors', () => {
+    const error = createAbortError();
+
+    expect(error).toMatchObject({ name: 'AbortError', code: 'ABORT_ERR', message: 'The operation was aborted' });
+    expect(isAbortError(error)).toBe(true);
+    expect(isAbortError(new Error('boom'))).toBe(false);
+    expect(isAbortError(null)).toBe(false);
+  });
+
+  test('converts abort reasons into AbortErrors', () => {
+    const error = createAbortError('stopped');
+
+    expect(toAbortError(error)).toBe(error);
+    expect(toAbortError(new Error('user cancelled'))).toMatchObject({ name: 'AbortError', message: 'user cancelled' });
+    expect(toAbortError('shutdown')).toMatchObject({ name: 'AbortError', message: 'shutdown' });
+    expect(toAbortError()).toMatchObject({ message: 'The operation was aborted' });
+  });
+
+  test('tells AbortSignals from other values and throws once aborted', () => {
+    const controller = new AbortController();
+
+    expect(isAbortSignal(controller.signal)).toBe(true);
+    expect(isAbortSignal({ aborted: false })).toBe(false);
+    expect(() => throwIfAborted(controller.signal)).not.toThrow();
+    expect(() => throwIfAborted(undefined)).not.toThrow();
+
+    controller.abort('stop');
+    expect(() => throwIfAborted(controller.signal)).toThrow('stop');
+  });
+
+  describe('runAbortable', () => {
+    test('resolves with the task result and rejects with its error', async () => {
+      await expect(runAbortable(() => 42)).resolves.toBe(42);
+      await expect(runAbortable(async () => { throw new Error('task failed'); })).rejects.toThrow('task failed');
+    });
+
+    test('rejects before starting when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const task = jest.fn();
+
+      await expect(runAbortable(task, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+      expect(task).not.toHaveBeenCalled();
+    });
+
+    test('settles when the parent signal aborts and aborts the task\'s signal', async () => {
+      const controller = new AbortController();
+      let taskSignal;
+      const running = runAbortable(signal => { taskSignal = signal; return never(); }, { signal: controller.signal });
+
+      controller.abort(new Error('user cancelled'));
+
+      await expect(running).rejects.toMatchObject({ name: 'AbortError', message: 'user cancelled' });
+      expect(taskSignal.aborted).toBe(true);
+    });
+
+    test('times out with the given message', async () => {
+      let taskSignal;
+      const running = runAbortable(signal => { taskSignal = signal; return never(); }, {
+        timeout: 10,
+        timeoutMessage: 'OCR timed out'
+      });
+
+      await expect(running).rejects.toMatchObject({ message: 'OCR timed out', code: 'ETIMEDOUT' });
+      expect(taskSignal.reason).toMatchObject({ code: 'ETIMEDOUT' });
+      await expect(runAbortable(never, { timeout: 10 })).rejects.toThrow('Operation timed out after 10ms');
+    });
+
+    test('stops listening to the parent signal once settled', async () => {
+      const controller = new AbortController();
+      const removeEventListener = jest.spyOn(controller.signal, 'removeEventListener');
+
+      await runAbortable(() => 'done', { signal: controller.signal, timeout: 1000 });
+
+      expect(removeEventListener).toHaveBeenCalledWith('abort', expect.any(Function));
+    });
+  });
+});
+
+describe('ImageToText cancellation and progress', () => {
+  const createAnalyzer = (stages, options) => {
+    const analyzer = new ImageToText({ config: false, enablePerformanceOptimization: false, ...options });
+    analyzer.stageRegistry = new StageRegistry(stages);
+    return analyzer;
+  };
+
+  const runStages = (analyzer, options = {}, signal) => analyzer.runStages({
+    analyzer,
+    result: { image_metadata: { file_name: 'shot.png' } },
+    config: analyzer.config,
+    options,
+    signal
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('resolves stage timeouts, per-stage values first', () => {
+    const analyzer = createAnalyzer([], { stageTimeout: 500, stageTimeouts: { ocr: 2000 } });
+
+    expect(analyzer.getStageTimeout('ocr')).toBe(2000);
+    expect(analyzer.getStageTimeout('layout')).toBe(500);
+    expect(analyzer.getStageTimeout('ocr', { stageTimeouts: { ocr: 100 } })).toBe(100);
+    expect(analyzer.getStageTimeout('ocr', { stageTimeout: 50 })).toBe(2000);
+    expect(analyzer.getStageTimeout('layout', { stageTimeout: 50 })).toBe(50);
+    expect(createAnalyzer([]).getStageTimeout('layout')).toBe(0);
+  });
+
+  test('records a stage that times out and runs the next one', async () => {
+    const stageSignals = [];
+    const analyzer = createAnalyzer([
+      { name: 'ocr', run: ({ signal }) => { stageSignals.push(signal); return never(); } },
+      { name: 'layout', outputs: ['layout_analysis'], run: () => ({ columns: 1 }) }
+    ], { stageTimeouts: { ocr: 10 } });
+
+    const result = await runStages(analyzer);
+
+    expect(result.stage_errors).toEqual([
+      { stage: 'ocr', error: "Stage 'ocr' timed out after 10ms", duration: expect.any(Number) }
+    ]);
+    expect(result.layout_analysis).toEqual({ columns: 1 });
+    expect(stageSignals[0].aborted).toBe(true);
+  });
+
+  test('rethrows cancellation even in tolerant mode, reporting the stage as aborted', async () => {
+    const controller = new AbortController();
+    const events = [];
+    const later = jest.fn();
+    const analyzer = createAnalyzer([
+      { name: 'ocr', run: () => { controller.abort(); return never(); } },
+      { name: 'layout', run: later }
+    ]);
+    analyzer.on('stage:end', event => events.push(event));
+
+    await expect(runStages(analyzer, {}, controller.signal)).rejects.toMatchObject({ name: 'AbortError' });
+    expect(events).toEqual([expect.objectContaining({ stage: 'ocr', status: 'aborted' })]);
+    expect(later).not.toHaveBeenCalled();
+  });
+
+  test('emits batch:item for each image and stops the batch when aborted', async () => {
+    const controller = new AbortController();
+    const items = [];
+    const analyzer = createAnalyzer([]);
+    analyzer.on('batch:item', item => items.push(item));
+    jest.spyOn(analyzer, 'analyze')
+      .mockResolvedValueOnce({ analysis_statistics: {} })
+      .mockRejectedValueOnce(new Error('unreadable'))
+      .mockImplementationOnce(async () => { controller.abort(); return {}; });
+
+    await expect(analyzer.batchAnalyze(['a.png', 'b.png', 'c.png', 'd.png'], { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+
+    expect(items.map(({ index, total, input, status }) => [index, total, input, status])).toEqual([
+      [0, 4, 'a.png', 'success'],
+      [1, 4, 'b.png', 'error'],
+      [2, 4, 'c.png', 'success']
+    ]);
+    expect(items[1]).toMatchObject({ error: 'unreadable', duration: expect.any(Number) });
+    expect(analyzer.analyze).toHaveBeenCalledTimes(3);
+  });
+});
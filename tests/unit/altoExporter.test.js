@@ -0,0 +1,85 @@
+const ALTOExporter = require('../../src/exporters/altoExporter');
+const { createExtraction } = require('../helpers/ocrFixtures');
+const { parseErrors } = require('../helpers/xml');
+
+const metadata = { file_path: '/scans/a&b.png', width: 400, height: 300 };
+
+/**
+ * The elements of a document with a tag name, as attribute maps in document order
+ */
+function elementsOf(markup, tag) {
+  return [...markup.matchAll(new RegExp(`<${tag}( [^>]*?)?/?>`, 'g'))].map(([, attributes = '']) =>
+    Object.fromEntries([...attributes.matchAll(/(\w+)="([^"]*)"/g)].map(([, name, value]) => [name, value])));
+}
+
+describe('ALTOExporter', () => {
+  const exporter = new ALTOExporter();
+
+  test('nests pages, print spaces, blocks, lines and strings', () => {
+    const alto = exporter.createALTO({ text_extraction: createExtraction(), image_metadata: metadata });
+    const tags = [...alto.matchAll(/<(Page|PrintSpace|ComposedBlock|TextBlock|TextLine|String|SP)\b/g)].map(match => match[1]);
+
+    expect(tags).toEqual([
+      'Page', 'PrintSpace', 'ComposedBlock', 'TextBlock',
+      'TextLine', 'String', 'SP', 'String',
+      'TextLine', 'String', 'SP', 'String', 'SP', 'String'
+    ]);
+    expect(alto).toContain('<MeasurementUnit>pixel</MeasurementUnit>');
+    expect(alto).toContain('<fileName>/scans/a&amp;b.png</fileName>');
+  });
+
+  test('gives every element its position, and strings their content and confidence', () => {
+    const alto = exporter.createALTO({ text_extraction: createExtraction('chi_sim+eng'), image_metadata: metadata });
+
+    expect(elementsOf(alto, 'Page')).toEqual([{ ID: 'page_1', PHYSICAL_IMG_NR: '1', WIDTH: '400', HEIGHT: '300' }]);
+    expect(elementsOf(alto, 'PrintSpace')).toEqual([{ HPOS: '0', VPOS: '0', WIDTH: '400', HEIGHT: '300' }]);
+    expect(elementsOf(alto, 'TextBlock')).toEqual([
+      { ID: 'block_1_1_1', HPOS: '10', VPOS: '10', WIDTH: '200', HEIGHT: '50', LANG: 'chi-sim' }
+    ]);
+    expect(elementsOf(alto, 'TextLine')).toEqual([
+      { ID: 'line_1_1_1_1', HPOS: '10', VPOS: '10', WIDTH: '140', HEIGHT: '20' },
+      { ID: 'line_1_1_1_2', HPOS: '10', VPOS: '40', WIDTH: '200', HEIGHT: '20' }
+    ]);
+    expect(elementsOf(alto, 'String')).toEqual([
+      { ID: 'string_1_1_1_1_1', HPOS: '10', VPOS: '10', WIDTH: '50', HEIGHT: '20', CONTENT: 'Hello', WC: '0.95' },
+      { ID: 'string_1_1_1_1_2', HPOS: '70', VPOS: '10', WIDTH: '80', HEIGHT: '20', CONTENT: '&quot;world&quot;', WC: '0.89' },
+      { ID: 'string_1_1_1_2_1', HPOS: '10', VPOS: '40', WIDTH: '60', HEIGHT: '20', CONTENT: 'Tom&#39;s', WC: '0.80' },
+      { ID: 'string_1_1_1_2_2', HPOS: '80', VPOS: '40', WIDTH: '10', HEIGHT: '20', CONTENT: '&amp;', WC: '0.85' },
+      { ID: 'string_1_1_1_2_3', HPOS: '100', VPOS: '40', WIDTH: '110', HEIGHT: '20', CONTENT: '&lt;co&gt;', WC: '0.78' }
+    ]);
+    expect(elementsOf(alto, 'SP')[0]).toEqual({ WIDTH: '10', HPOS: '60', VPOS: '10' });
+  });
+
+  test('writes one page per analyzed frame', () => {
+    const alto = exporter.createALTO({
+      frames: [{ frame: 0, text_extraction: createExtraction() }, { frame: 1, text_extraction: createExtraction() }],
+      image_metadata: metadata
+    });
+
+    expect(elementsOf(alto, 'Page').map(page => page.ID)).toEqual(['page_1', 'page_2']);
+  });
+
+  test('exports an empty page for a result without OCR output', async () => {
+    const alto = await exporter.exportToALTO({});
+
+    expect(elementsOf(alto, 'Page')).toEqual([{ ID: 'page_1', PHYSICAL_IMG_NR: '1', WIDTH: '0', HEIGHT: '0' }]);
+    expect(elementsOf(alto, 'String')).toEqual([]);
+    expect(alto).not.toContain('<sourceImageInformation>');
+    expect(() => exporter.createALTO(null)).toThrow(/^ALTO export failed: /);
+  });
+
+  test('writes well-formed XML', async () => {
+    const frames = [{ frame: 0, text_extraction: createExtraction('chi_sim') }, { frame: 1, text_extraction: createExtraction() }];
+
+    expect(await parseErrors(exporter.createALTO({ text_extraction: createExtraction(), image_metadata: metadata }))).toEqual([]);
+    expect(await parseErrors(exporter.createALTO({ frames, image_metadata: metadata }, { prettyPrint: false }))).toEqual([]);
+    expect(await parseErrors(exporter.createALTO({}))).toEqual([]);
+  });
+
+  test('indents nested elements only when pretty-printing', () => {
+    const result = { text_extraction: createExtraction(), image_metadata: metadata };
+
+    expect(exporter.createALTO(result)).toContain('\n    <Page ID="page_1"');
+    expect(exporter.createALTO(result, { prettyPrint: false }).split('\n').filter(line => line.startsWith(' '))).toEqual([]);
+  });
+});
@@ -0,0 +1,168 @@
+const AnalysisComparator = require('../../src/algorithms/analysisComparator');
+const SVGExporter = require('../../src/exporters/svgExporter');
+const { parseErrors } = require('../helpers/xml');
+
+const component = (id, type, x, y, width, height, text, fillColor) => ({
+  id,
+  type,
+  confidence: 0.9,
+  position: { x, y, width, height },
+  text_content: text,
+  visual_properties: fillColor ? { fill_color: fillColor } : {}
+});
+
+const analysis = (components, layout, size = { width: 1000, height: 800 }) => ({
+  image_metadata: { file_name: 'shot.png', file_path: null, ...size },
+  components,
+  layout_analysis: layout
+});
+
+const BEFORE = analysis([
+  component('component_a', 'button', 100, 100, 120, 40, 'Save', '#3366ff'),
+  component('component_b', 'input', 100, 200, 300, 40, 'Email'),
+  component('component_c', 'image', 600, 100, 200, 200),
+  component('component_d', 'text', 100, 500, 200, 20, 'Old footer')
+]);
+
+// The button's text changed, so its stable ID changed too; the image moved down
+const AFTER = analysis([
+  component('component_a2', 'button', 110, 100, 160, 40, 'Save changes', '#ff3300'),
+  component('component_b', 'input', 100, 200, 300, 40, 'Email'),
+  component('component_c', 'image', 600, 300, 200, 200),
+  component('component_e', 'button', 100, 600, 100, 30, 'Sign up')
+]);
+
+const changeTypes = diff => diff.changes.map(change => [change.type, change.component_id]);
+
+describe('AnalysisComparator', () => {
+  const comparator = new AnalysisComparator();
+
+  test('reports no changes between identical analyses', () => {
+    const diff = comparator.compare(BEFORE, BEFORE);
+
+    expect(diff.changes).toEqual([]);
+    expect(diff.summary).toMatchObject({ components_before: 4, matched: 4, unchanged: 4, added: 0, removed: 0 });
+    expect(diff.matches.every(match => match.score === 1 && match.before_id === match.after_id)).toBe(true);
+  });
+
+  test('matches components and reports what changed about each', () => {
+    const diff = comparator.compare(BEFORE, AFTER);
+
+    expect(changeTypes(diff)).toEqual([
+      ['moved', 'component_c'],
+      ['moved', 'component_a2'],
+      ['resized', 'component_a2'],
+      ['recolored', 'component_a2'],
+      ['text_changed', 'component_a2'],
+      ['added', 'component_e'],
+      ['removed', 'component_d']
+    ]);
+    expect(diff.summary).toEqual({
+      components_before: 4,
+      components_after: 4,
+      matched: 3,
+      unchanged: 1,
+      added: 1,
+      removed: 1,
+      moved: 2,
+      resized: 1,
+      recolored: 1,
+      text_changed: 1,
+      layout_changes: 0
+    });
+  });
+
+  test('describes each change with its details', () => {
+    const { changes } = comparator.compare(BEFORE, AFTER);
+    const find = (type, id) => changes.find(change => change.type === type && change.component_id === id);
+
+    expect(find('moved', 'component_c').details).toEqual({ dx: 0, dy: 200 });
+    expect(find('resized', 'component_a2')).toMatchObject({ before_id: 'component_a', after_id: 'component_a2', details: { dw: 40, dh: 0 } });
+    expect(find('recolored', 'component_a2').details).toEqual({ before_color: '#3366ff', after_color: '#ff3300', distance: 331 });
+    expect(find('text_changed', 'component_a2').details).toEqual({ before_text: 'Save', after_text: 'Save changes' });
+    expect(find('added', 'component_e').after).toEqual({ position: { x: 100, y: 600, width: 100, height: 30 }, text: 'Sign up' });
+    expect(find('removed', 'component_d')).toMatchObject({ before: { text: 'Old footer' }, position: { x: 100, y: 500, width: 200, height: 20 } });
+  });
+
+  test('compares images of different sizes in the second image\'s coordinates', () => {
+    const half = analysis([
+      component('component_x', 'button', 50, 50, 60, 20, 'Save'),
+      component('component_y', 'text', 300, 300, 50, 10, 'Gone')
+    ], undefined, { width: 500, height: 400 });
+    const full = analysis([component('component_z', 'button', 100, 100, 120, 40, 'Save')]);
+
+    const diff = comparator.compare(half, full);
+
+    expect(changeTypes(diff)).toEqual([['removed', 'component_y']]);
+    expect(diff.changes[0].position).toEqual({ x: 600, y: 600, width: 100, height: 20 });
+  });
+
+  test('does not match components of different types, even with the same ID', () => {
+    const diff = comparator.compare(
+      analysis([component('component_a', 'button', 100, 100, 120, 40, 'Save')]),
+      analysis([component('component_a', 'link', 100, 100, 120, 40, 'Save')])
+    );
+
+    expect(changeTypes(diff)).toEqual([['added', 'component_a'], ['removed', 'component_a']]);
+  });
+
+  test('falls back to visual elements and tolerates small shifts', () => {
+    const element = (x, width) => ({ id: `rect_${x}`, type: 'rectangle', position: { x, y: 10, width, height: 40 } });
+
+    const diff = comparator.compare(
+      { image_metadata: {}, vision_analysis: { visual_elements: [element(100, 100), null] } },
+      { image_metadata: {}, vision_analysis: { visual_elements: [element(103, 97)] } }
+    );
+
+    expect(diff.changes).toEqual([]);
+    expect(diff.summary.matched).toBe(1);
+  });
+
+  test('reports layout type, grid and spacing changes', () => {
+    const layout = (type, grid, spacing) => ({
+      layout_type: type,
+      grid_analysis: grid,
+      spacing_analysis: { horizontal_spacing: { average: spacing }, vertical_spacing: { average: 16 } }
+    });
+
+    const diff = comparator.compare(
+      analysis([], layout('grid', { detected: true, rows: 2, columns: 3 }, 12)),
+      analysis([], layout('flex', { detected: true, rows: 2, columns: 4 }, 24.44))
+    );
+
+    expect(diff.layout_changes).toEqual([
+      { type: 'layout_type_changed', before: 'grid', after: 'flex' },
+      { type: 'grid_changed', before: { detected: true, rows: 2, columns: 3 }, after: { detected: true, rows: 2, columns: 4 } },
+      { type: 'spacing_changed', axis: 'horizontal', before: 12, after: 24.4 }
+    ]);
+    expect(comparator.compare(analysis([], layout('grid')), analysis([])).layout_changes).toEqual([]);
+  });
+
+  test('wraps errors', () => {
+    expect(() => comparator.compare(null, AFTER)).toThrow('Analysis comparison failed');
+  });
+
+  describe('SVG overlay', () => {
+    const exporter = new SVGExporter();
+    const diff = { before: BEFORE.image_metadata, after: AFTER.image_metadata, ...comparator.compare(BEFORE, AFTER) };
+
+    test('outlines each change on the second image and lists the counts', async () => {
+      const svg = await exporter.exportDiff(diff);
+
+      expect(svg.match(/data-change-type="(\w+)" data-component-id="(\w+)"/g)).toHaveLength(7);
+      expect(svg).toContain('data-change-type="removed" data-component-id="component_d"');
+      expect(svg).toContain('stroke-dasharray="6,4"');
+      expect(svg).toContain('text_changed: button &quot;Save&quot; -&gt; &quot;Save changes&quot;');
+      expect(svg).toMatch(/moved \(2\)/);
+      await expect(parseErrors(svg)).resolves.toEqual([]);
+    });
+
+    test('nests the outlines of several changes to one component', () => {
+      const svg = exporter.createDiffSVG(diff);
+
+      ['x="110" y="100"', 'x="107" y="97"', 'x="104" y="94"', 'x="101" y="91"'].forEach(position => {
+        expect(svg).toContain(position);
+      });
+    });
+  });
+});
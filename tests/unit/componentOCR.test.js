@@ -0,0 +1,157 @@
+const ComponentOCR = require('../../src/core/componentOCR');
+const { assignStableIds } = require('../../src/utils/stableId');
+
+const FRAME = { width: 200, height: 100 };
+
+// A light 200x100 grayscale image with a dark bottom half
+const createImage = () => {
+  const data = new Uint8Array(FRAME.width * FRAME.height).fill(230);
+  data.fill(20, FRAME.width * 50);
+  return { data, width: FRAME.width, height: FRAME.height, channels: 1 };
+};
+
+// Records the operations applied to each crop; the crop buffer holds the extracted region
+const createImageProcessor = () => {
+  const pipelines = [];
+  return {
+    pipelines,
+    readGrayscale: jest.fn(async () => createImage()),
+    fromRawGrayscale: () => {
+      const operations = [];
+      pipelines.push(operations);
+      const pipeline = {
+        extract: region => { operations.push(['extract', region]); return pipeline; },
+        resize: (width, height) => { operations.push(['resize', width, height]); return pipeline; },
+        normalise: () => pipeline,
+        negate: () => { operations.push(['negate']); return pipeline; },
+        png: () => pipeline,
+        toBuffer: async () => Buffer.from(JSON.stringify(operations[0][1]))
+      };
+      return pipeline;
+    }
+  };
+};
+
+// read(region) returns the { text, confidence } OCR gives the crop of that region
+const createOCREngine = read => ({
+  extractText: jest.fn(async crop => {
+    const { text, confidence } = read(JSON.parse(crop.toString()));
+    return { raw_text: text, confidence };
+  })
+});
+
+const component = (type, x, y, width, height, text = '') => ({
+  type, position: { x, y, width, height }, text_content: text, confidence: 0.8
+});
+const labelled = components => assignStableIds(components, 'component', {
+  ...FRAME, getText: element => element.text_content
+});
+
+describe('ComponentOCR', () => {
+  test('replaces component text with a more confident crop reading', async () => {
+    const components = labelled([
+      component('button', 10, 10, 60, 20, 'Subrnit'),
+      component('input', 100, 10, 80, 20, 'Search'),
+      component('image', 10, 60, 60, 30)
+    ]);
+    const textElements = [
+      { text: 'Subrnit', confidence: 40, bbox: { x0: 12, y0: 12, x1: 60, y1: 28 } },
+      { text: 'Search', confidence: 95, bbox: { x0: 102, y0: 12, x1: 170, y1: 28 } }
+    ];
+    const ocrEngine = createOCREngine(() => ({ text: ' Submit\n', confidence: 92 }));
+    const componentOCR = new ComponentOCR(ocrEngine, createImageProcessor(), { componentOCRTypes: ['button'] });
+
+    const [button, input, image] = await componentOCR.recognize(components, Buffer.alloc(0), FRAME, { textElements });
+
+    expect(button).toMatchObject({ text_content: 'Submit', text_confidence: 0.92, text_source: 'component_ocr' });
+    expect(input).toEqual(components[1]);
+    expect(image).toEqual(components[2]);
+    expect(ocrEngine.extractText).toHaveBeenCalledTimes(1);
+  });
+
+  test('keeps the page text when the crop is less confident, empty or unreadable', async () => {
+    const components = labelled([
+      component('button', 10, 10, 60, 20, 'Cancel'),
+      component('button', 100, 10, 60, 20, 'Save'),
+      component('navigation', 10, 60, 100, 20, 'Home')
+    ]);
+    const textElements = [{ text: 'Cancel', confidence: 88, bbox: { x0: 12, y0: 12, x1: 60, y1: 28 } }];
+    const ocrEngine = createOCREngine(region => {
+      if (region.top > 50) throw new Error('crop failed');
+      return region.left < 50 ? { text: 'Cance1', confidence: 60 } : { text: '  ', confidence: 99 };
+    });
+    const componentOCR = new ComponentOCR(ocrEngine, createImageProcessor());
+
+    const result = await componentOCR.recognize(components, Buffer.alloc(0), FRAME, { textElements });
+
+    expect(result.slice(0, 2).map(({ text_content, text_source, text_confidence }) => [text_content, text_source, text_confidence])).toEqual([
+      ['Cancel', 'page', 0.88],
+      ['Save', 'page', 0]
+    ]);
+    expect(result[2]).toEqual(components[2]);
+    expect(result.map(element => element.id)).toEqual(components.map(element => element.id));
+  });
+
+  test('re-derives the IDs of components whose text changed', async () => {
+    const components = labelled([
+      component('button', 10, 10, 60, 20, 'Subrnit'),
+      component('button', 100, 10, 60, 20, 'Submit')
+    ]);
+    const ocrEngine = createOCREngine(() => ({ text: 'Submit', confidence: 90 }));
+    const componentOCR = new ComponentOCR(ocrEngine, createImageProcessor());
+
+    const result = await componentOCR.recognize(components, Buffer.alloc(0), FRAME);
+
+    const expected = labelled([
+      component('button', 10, 10, 60, 20, 'Submit'),
+      component('button', 100, 10, 60, 20, 'Submit')
+    ]);
+    expect(result.map(element => element.id)).toEqual(expected.map(element => element.id));
+    expect(result[0].id).not.toBe(components[0].id);
+    expect(result[1].id).toBe(components[1].id);
+  });
+
+  test('crops with padding in image pixels, upscales short crops and inverts dark ones', async () => {
+    const components = labelled([
+      component('button', 10, 5, 60, 10, 'Light'),
+      component('button', 10, 35, 60, 10, 'Dark')
+    ]);
+    const imageProcessor = createImageProcessor();
+    const componentOCR = new ComponentOCR(createOCREngine(() => ({ text: '', confidence: 0 })), imageProcessor);
+
+    // Components are in a half-size coordinate space
+    await componentOCR.recognize(components, Buffer.alloc(0), { width: 100, height: 50 });
+
+    expect(imageProcessor.pipelines).toEqual([
+      [['extract', { left: 8, top: 0, width: 144, height: 42 }], ['resize', 219, 64]],
+      [['extract', { left: 8, top: 58, width: 144, height: 42 }], ['resize', 219, 64], ['negate']]
+    ]);
+  });
+
+  test('skips components that are too small and caps how many are re-read', async () => {
+    const components = labelled([
+      component('button', 0, 0, 6, 20),
+      ...[10, 40, 70].map(x => component('button', x, 10, 20, 20))
+    ]);
+    const imageProcessor = createImageProcessor();
+    const componentOCR = new ComponentOCR(createOCREngine(() => ({ text: 'OK', confidence: 80 })), imageProcessor, {
+      maxComponentOCR: 2
+    });
+
+    const result = await componentOCR.recognize(components, Buffer.alloc(0), FRAME);
+
+    expect(result.map(element => element.text_content)).toEqual(['', 'OK', 'OK', '']);
+    expect(await componentOCR.recognize([components[0]], Buffer.alloc(0), FRAME)).toEqual([components[0]]);
+    expect(imageProcessor.readGrayscale).toHaveBeenCalledTimes(1);
+  });
+
+  test('stops when the analysis is aborted', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const componentOCR = new ComponentOCR(createOCREngine(() => ({ text: 'OK', confidence: 80 })), createImageProcessor());
+
+    await expect(componentOCR.recognize(labelled([component('button', 10, 10, 60, 20)]), Buffer.alloc(0), FRAME, {
+      signal: controller.signal
+    })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+});
@@ -0,0 +1,177 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { findConfigFile, loadConfigFile, validateConfig, resolveConfig } = require('../../src/config/configLoader');
+const { PRESETS, listPresets, getPreset, mergeOptions } = require('../../src/config/presets');
+
+describe('configLoader', () => {
+  let directory;
+  let nested;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'config-loader-'));
+    nested = path.join(directory, 'app', 'screens');
+    await fs.ensureDir(nested);
+  });
+
+  afterEach(() => fs.remove(directory));
+
+  describe('findConfigFile', () => {
+    test('finds the nearest config file up the directory tree', async () => {
+      await fs.writeFile(path.join(directory, 'img-to-text.config.yaml'), 'precision: high\n');
+      await fs.writeFile(path.join(directory, 'app', 'img-to-text.config.json'), '{}');
+
+      expect(findConfigFile(nested)).toBe(path.join(directory, 'app', 'img-to-text.config.json'));
+      expect(findConfigFile(directory)).toBe(path.join(directory, 'img-to-text.config.yaml'));
+    });
+
+    test('prefers .imgtotextrc and skips directories with a config file name', async () => {
+      await fs.writeFile(path.join(nested, 'img-to-text.config.json'), '{}');
+      await fs.writeFile(path.join(nested, '.imgtotextrc'), '{}');
+      await fs.ensureDir(path.join(directory, 'app', '.imgtotextrc'));
+
+      expect(findConfigFile(nested)).toBe(path.join(nested, '.imgtotextrc'));
+      expect(findConfigFile(path.join(directory, 'app'))).toBeNull();
+    });
+  });
+
+  describe('loadConfigFile', () => {
+    test('reads JSON or YAML from .imgtotextrc, and JavaScript modules', async () => {
+      await fs.writeFile(path.join(directory, '.imgtotextrc'), 'precision: fast\noutputFormat: hocr\n');
+      await fs.writeFile(path.join(directory, 'rc.json'), '{ "detail": "basic" }');
+      await fs.writeFile(path.join(directory, 'img-to-text.config.js'), "module.exports = { outputFormat: 'alto' };");
+
+      expect(loadConfigFile(path.join(directory, '.imgtotextrc'))).toEqual({ precision: 'fast', outputFormat: 'hocr' });
+      expect(loadConfigFile(path.join(directory, 'rc.json'))).toEqual({ detail: 'basic' });
+      expect(loadConfigFile(path.join(directory, 'img-to-text.config.js'))).toEqual({ outputFormat: 'alto' });
+    });
+
+    test('reads an empty file as an empty config', async () => {
+      await fs.writeFile(path.join(directory, '.imgtotextrc'), '');
+
+      expect(loadConfigFile(path.join(directory, '.imgtotextrc'))).toEqual({});
+    });
+
+    test('names the file in parse and validation errors', async () => {
+      const broken = path.join(directory, 'broken.json');
+      const invalid = path.join(directory, 'invalid.yaml');
+      await fs.writeFile(broken, '{ "precision": ');
+      await fs.writeFile(invalid, 'precision: extreme\n');
+
+      expect(() => loadConfigFile(broken)).toThrow(`Config file could not be loaded: ${broken}`);
+      expect(() => loadConfigFile(invalid)).toThrow(`Invalid config file ${invalid}: Invalid precision: extreme`);
+    });
+  });
+
+  describe('validateConfig', () => {
+    test('accepts every output format the CLI writes', () => {
+      ['json', 'yaml', 'xml', 'text', 'markdown', 'hocr', 'alto'].forEach(outputFormat => {
+        expect(() => validateConfig({ outputFormat, presets: { ocr: { outputFormat } } })).not.toThrow();
+      });
+      expect(() => validateConfig({ outputFormat: 'pdf' })).toThrow('Invalid output format: pdf');
+    });
+
+    test('accepts a boolean or a function for a stage entry\'s enabled', () => {
+      expect(() => validateConfig({ stages: [{ name: 'ocr', enabled: false }, { name: 'tables', enabled: () => true }] })).not.toThrow();
+      expect(() => validateConfig({ stages: [{ name: 'ocr', enabled: 'no' }] })).toThrow('stages[0].enabled must be a boolean or a function');
+    });
+
+    test('validates custom presets', () => {
+      expect(() => validateConfig([])).toThrow('config must be an object of analyzer options');
+      expect(() => validateConfig({ presets: [] })).toThrow('presets must be an object mapping preset names to options');
+      expect(() => validateConfig({ presets: { quick: true } })).toThrow('presets.quick must be an object of analyzer options');
+      expect(() => validateConfig({ presets: { quick: { extends: 42 } } })).toThrow('presets.quick.extends must be a preset name');
+      expect(() => validateConfig({ presets: { quick: { detail: 'all' } } })).toThrow('presets.quick: Invalid detail');
+    });
+  });
+
+  describe('resolveConfig', () => {
+    test('layers the preset, the config file and explicit options', async () => {
+      await fs.writeJson(path.join(directory, '.imgtotextrc.json'), {
+        preset: 'fast-ocr',
+        detail: 'standard',
+        stages: [{ name: 'patterns', enabled: false }]
+      });
+
+      const { options, configFile, preset } = resolveConfig({ cwd: nested, precision: 'high' });
+
+      expect(configFile).toBe(path.join(directory, '.imgtotextrc.json'));
+      expect(preset).toBe('fast-ocr');
+      expect(options).toMatchObject({ precision: 'high', detail: 'standard', enableColorAnalysis: false });
+      expect(options.stages.map(stage => stage.name)).toEqual(['classification', 'recommendations', 'patterns']);
+    });
+
+    test('resolves language pack directories and word lists against the config file', async () => {
+      const configFile = path.join(directory, 'app', 'img-to-text.config.json');
+      await fs.writeJson(configFile, {
+        langPath: 'tessdata',
+        cachePath: 'https://cdn.example.com/cache',
+        vocabulary: { terms: 'terms.txt' }
+      });
+
+      const { options } = resolveConfig({ config: configFile });
+
+      expect(options).toMatchObject({
+        langPath: path.join(directory, 'app', 'tessdata'),
+        cachePath: 'https://cdn.example.com/cache',
+        vocabulary: { terms: path.join(directory, 'app', 'terms.txt') }
+      });
+    });
+
+    test('uses custom presets from the config file', async () => {
+      await fs.writeJson(path.join(nested, '.imgtotextrc'), {
+        presets: { screens: { extends: 'design-tokens', maxColors: 8 } }
+      });
+
+      const { options, preset } = resolveConfig({ cwd: nested, preset: 'screens' });
+
+      expect(preset).toBe('screens');
+      expect(options).toMatchObject({ enableDesignSystemAnalysis: true, maxColors: 8 });
+      expect(options.presets).toBeUndefined();
+    });
+
+    test('skips config files with config: false and reports a missing config path', async () => {
+      await fs.writeJson(path.join(nested, '.imgtotextrc'), { precision: 'high' });
+
+      expect(resolveConfig({ cwd: nested, config: false })).toEqual({ options: {}, configFile: null, preset: null });
+      expect(() => resolveConfig({ cwd: nested, config: 'missing.json' })).toThrow(
+        `Config file not found: ${path.join(nested, 'missing.json')}`
+      );
+    });
+  });
+});
+
+describe('presets', () => {
+  const custom = {
+    'fast-ocr': { extends: 'fast-ocr', detail: 'standard' },
+    base: { precision: 'high', stages: [{ name: 'tables', enabled: true }] },
+    child: { extends: 'base', stages: [{ name: 'forms', enabled: true }] },
+    loop: { extends: 'loop-back' },
+    'loop-back': { extends: 'loop' }
+  };
+
+  test('lists built-in and custom presets', () => {
+    expect(listPresets()).toEqual(Object.keys(PRESETS));
+    expect(listPresets({ child: {}, 'fast-ocr': {} })).toEqual([...Object.keys(PRESETS), 'child']);
+  });
+
+  test('resolves extends chains, concatenating stage entries', () => {
+    expect(getPreset('child', custom)).toEqual({
+      precision: 'high',
+      stages: [{ name: 'tables', enabled: true }, { name: 'forms', enabled: true }]
+    });
+  });
+
+  test('lets a custom preset extend the built-in preset it shadows', () => {
+    expect(getPreset('fast-ocr', custom)).toEqual({ ...PRESETS['fast-ocr'], detail: 'standard' });
+  });
+
+  test('reports unknown presets and circular extends', () => {
+    expect(() => getPreset('missing')).toThrow('Unknown preset: missing. Available presets: fast-ocr, full-ui-audit, design-tokens');
+    expect(() => getPreset('loop', custom)).toThrow("Preset 'loop' extends itself: loop -> loop-back -> loop");
+  });
+
+  test('merges option layers, ignoring undefined values and missing layers', () => {
+    expect(mergeOptions({ a: 1, b: 2 }, null, { b: undefined, c: 3 }, { a: 4 })).toEqual({ a: 4, b: 2, c: 3 });
+  });
+});
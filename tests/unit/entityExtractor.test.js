@@ -0,0 +1,106 @@
+const EntityExtractor = require('../../src/core/entityExtractor');
+
+/**
+ * Build a normalized extraction with one line per string, its words 7px per character apart
+ */
+function createExtraction(lines, language = 'eng') {
+  const words = [];
+  const lineItems = lines.map((text, index) => {
+    const y = 20 + index * 30;
+    let x = 10;
+    text.split(' ').forEach(word => {
+      words.push({ text: word, confidence: 0.9, position: { x, y, width: word.length * 7, height: 14 } });
+      x += word.length * 7 + 7;
+    });
+    return { text, confidence: 0.9, position: { x: 10, y, width: x - 17, height: 14 } };
+  });
+
+  return { language, lines: lineItems, words, structured_text: [] };
+}
+
+const extract = (lines, options = {}) =>
+  new EntityExtractor(options).extract(createExtraction(lines, options.language));
+const summarize = entities => entities.map(({ type, text, value }) => [type, text, value]);
+
+describe('EntityExtractor', () => {
+  test('normalizes emails, URLs, phone numbers and hex colors', () => {
+    const entities = extract([
+      'Contact Info@Example.com or www.example.com/help',
+      'Call +1 (555) 123-4567 today',
+      'Brand #FFF and issue #123'
+    ]);
+
+    expect(summarize(entities)).toEqual([
+      ['email', 'Info@Example.com', 'info@example.com'],
+      ['url', 'www.example.com/help', 'https://www.example.com/help'],
+      ['phone', '+1 (555) 123-4567', '+15551234567'],
+      ['hex_color', '#FFF', '#ffffff']
+    ]);
+  });
+
+  test('boxes an entity as the union of the words it was read from', () => {
+    const [phone] = extract(['Call +1 (555) 123-4567']);
+
+    expect(phone.position).toEqual({ x: 45, y: 20, width: 119, height: 14 });
+    expect(phone.confidence).toBe(0.9);
+  });
+
+  test('parses prices, percentages, times and versions', () => {
+    const entities = extract(['Pro $1,299.99 or 20 EUR, 15% off until 5:30 pm in v2.1.0 or 9am']);
+
+    expect(summarize(entities)).toEqual([
+      ['price', '$1,299.99', { amount: 1299.99, currency: 'USD' }],
+      ['price', '20 EUR', { amount: 20, currency: 'EUR' }],
+      ['percentage', '15%', 15],
+      ['time', '5:30 pm', '17:30'],
+      ['version', 'v2.1.0', '2.1.0'],
+      ['time', '9am', '09:00']
+    ]);
+  });
+
+  test('reads dates in the order of the locale', () => {
+    expect(extract(['Due 03/04/2024'])[0].value).toBe('2024-03-04');
+    expect(extract(['Due 03/04/2024'], { locale: 'en-GB' })[0].value).toBe('2024-04-03');
+    expect(summarize(extract(['From March 5, 2024 to 5 Mar']))).toEqual([
+      ['date', 'March 5, 2024', '2024-03-05'],
+      ['date', '5 Mar', '--03-05']
+    ]);
+  });
+
+  test('uses the number and date formats of the OCR language', () => {
+    const entities = extract(['Preis 1.299,50 € am 03.04.2024 oder 5. März 2024 um 14h30'], { language: 'deu' });
+
+    expect(summarize(entities)).toEqual([
+      ['price', '1.299,50 €', { amount: 1299.5, currency: 'EUR' }],
+      ['date', '03.04.2024', '2024-04-03'],
+      ['date', '5. März 2024', '2024-03-05'],
+      ['time', '14h30', '14:30']
+    ]);
+  });
+
+  test('keeps text shaped like an invalid date from other types', () => {
+    expect(extract(['Meeting on 2024-02-30'])).toEqual([]);
+    expect(extract(['Meeting on 31/02/2024'], { locale: 'en-GB' })).toEqual([]);
+  });
+
+  test('groups thousands with spaces only in locales that do', () => {
+    expect(summarize(extract(['$5 100 items']))).toEqual([
+      ['price', '$5', { amount: 5, currency: 'USD' }]
+    ]);
+    expect(summarize(extract(['Total 1 250 €'], { language: 'fra' }))).toEqual([
+      ['price', '1 250 €', { amount: 1250, currency: 'EUR' }]
+    ]);
+  });
+
+  test('takes a single mark before three digits as the locale writes it', () => {
+    expect(extract(['Total $1.250'])[0].value.amount).toBe(1.25);
+    expect(extract(['Summe 1.250 €'], { language: 'deu' })[0].value.amount).toBe(1250);
+  });
+
+  test('tags entities with the type of the element they were read from', () => {
+    const extraction = createExtraction(['Visit www.example.com']);
+    extraction.structured_text = [{ type: 'link', text: 'Visit www.example.com', position: extraction.lines[0].position }];
+
+    expect(new EntityExtractor().extract(extraction)[0].text_type).toBe('link');
+  });
+});
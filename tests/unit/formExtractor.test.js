@@ -0,0 +1,172 @@
+const FormExtractor = require('../../src/core/formExtractor');
+const LayoutAnalyzer = require('../../src/core/layoutAnalyzer');
+const EntityExtractor = require('../../src/core/entityExtractor');
+
+/**
+ * A sign-up form and a separate search form as OCR words (7px per character, 5px gaps)
+ * and outlined boxes
+ */
+function createSignUpPage() {
+  const words = [];
+  const boxes = [];
+  const text = (value, x, y, height = 14) => {
+    value.split(' ').forEach(word => {
+      words.push({ text: word, confidence: 0.9, position: { x, y, width: word.length * 7, height } });
+      x += word.length * 7 + 5;
+    });
+  };
+  const box = (x, y, width, height) => boxes.push({ position: { x, y, width, height }, thickness: 1 });
+
+  text('Create account', 40, 10, 22);
+  text('Email *', 40, 50); box(40, 68, 300, 36); text('name@example.com', 50, 79);
+  text('Password *', 40, 115); box(40, 133, 300, 36);
+  text('At least 8 characters', 40, 173, 11);
+  text('Shipping address', 40, 210, 18);
+  text('Street', 40, 245); box(120, 238, 220, 36);
+  text('Country', 40, 290); box(120, 283, 220, 36); text('Select a country ▾', 130, 294);
+  text('Phone (optional)', 40, 335); box(160, 328, 180, 36); text('(555) 123-4567', 170, 339);
+  text('Plan', 40, 380); text('○ Free', 40, 400); text('◉ Pro', 40, 425);
+  box(40, 455, 14, 14); text('Remember me', 62, 455);
+  text('[x]Subscribe to newsletter', 40, 480);
+  box(40, 510, 120, 40); text('Sign up', 75, 523);
+  // A second form far from the first
+  text('Search', 600, 700); box(660, 693, 200, 36);
+  text('Go', 880, 700);
+
+  const extraction = { words, lines: [], structured_text: [], language: 'eng' };
+  extraction.entities = new EntityExtractor().extract(extraction);
+  return {
+    text_extraction: extraction,
+    vision_analysis: { lines: { boxes } },
+    image_metadata: { width: 1000, height: 800 }
+  };
+}
+
+const fieldsByName = form => Object.fromEntries(form.fields.map(field => [field.name, field]));
+
+describe('FormExtractor', () => {
+  let forms;
+
+  beforeAll(() => {
+    forms = new FormExtractor(new LayoutAnalyzer({})).detect(createSignUpPage());
+  });
+
+  test('separates forms far apart, each with its submit button', () => {
+    expect(forms).toHaveLength(2);
+    expect(forms[0].title).toBe('Create account');
+    expect(forms[0].submit.text).toBe('Sign up');
+    expect(forms[1].fields.map(field => field.name)).toEqual(['search']);
+    expect(forms[1].submit.text).toBe('Go');
+  });
+
+  test('pairs controls with labels and infers their types', () => {
+    const fields = fieldsByName(forms[0]);
+
+    expect(forms[0].fields.map(field => field.name)).toEqual([
+      'email', 'password', 'street', 'country', 'phone', 'plan', 'remember_me', 'subscribe_to_newsletter'
+    ]);
+    expect(fields.email).toMatchObject({ control: 'text', type: 'email', required: true, placeholder: 'name@example.com' });
+    expect(fields.password).toMatchObject({ type: 'password', required: true, description: 'At least 8 characters' });
+    expect(fields.street).toMatchObject({ label: 'Street', type: 'text', required: false });
+    expect(fields.country).toMatchObject({ control: 'select', type: 'choice', placeholder: 'Select a country' });
+    expect(fields.phone).toMatchObject({ label: 'Phone', type: 'phone', required: false });
+  });
+
+  test('groups radio buttons and reads checked states', () => {
+    const fields = fieldsByName(forms[0]);
+
+    expect(fields.plan).toMatchObject({ control: 'radio', type: 'choice', options: ['Free', 'Pro'], default: 'Pro' });
+    expect(fields.remember_me).toMatchObject({ control: 'checkbox', type: 'boolean', default: false });
+    expect(fields.subscribe_to_newsletter).toMatchObject({ type: 'boolean', default: true });
+  });
+
+  test('starts a fieldset at a heading between fields', () => {
+    expect(forms[0].fieldsets.map(({ name, title, fields }) => [name, title, fields])).toEqual([
+      ['shipping_address', 'Shipping address', ['street', 'country', 'phone', 'plan', 'remember_me', 'subscribe_to_newsletter']]
+    ]);
+  });
+
+  test('builds a JSON Schema with nested fieldsets', () => {
+    const schema = forms[0].json_schema;
+
+    expect(schema.title).toBe('Create account');
+    expect(schema.required).toEqual(['email', 'password']);
+    expect(Object.keys(schema.properties)).toEqual(['email', 'password', 'shipping_address']);
+    expect(schema.properties.email).toEqual({ type: 'string', format: 'email', title: 'Email' });
+    expect(schema.properties.shipping_address.properties.plan).toEqual({ type: 'string', title: 'Plan', enum: ['Free', 'Pro'], default: 'Pro' });
+    expect(schema.properties.shipping_address.properties.remember_me).toEqual({ type: 'boolean', title: 'Remember me', default: false });
+  });
+
+  test('builds a react-jsonschema-form UI schema', () => {
+    const uiSchema = forms[0].ui_schema;
+
+    expect(uiSchema['ui:order']).toEqual(['email', 'password', 'shipping_address']);
+    expect(uiSchema.password).toEqual({ 'ui:widget': 'password' });
+    expect(uiSchema.shipping_address.phone).toEqual({ 'ui:options': { inputType: 'tel' }, 'ui:placeholder': '(555) 123-4567' });
+    expect(uiSchema.shipping_address.plan).toEqual({ 'ui:widget': 'radio' });
+  });
+
+  test('uses classified components and text areas, and skips boxes in tables', () => {
+    const word = (text, x, y) => ({ text, confidence: 0.9, position: { x, y, width: text.length * 7, height: 14 } });
+    const [form] = new FormExtractor(new LayoutAnalyzer({})).detect({
+      text_extraction: {
+        words: [word('Name', 40, 20), word('Message', 40, 80), word('Order', 400, 20)],
+        lines: [],
+        structured_text: [],
+        language: 'eng',
+        entities: []
+      },
+      vision_analysis: { lines: { boxes: [
+        { position: { x: 40, y: 98, width: 300, height: 120 }, thickness: 1 },
+        { position: { x: 400, y: 40, width: 200, height: 30 }, thickness: 1 }
+      ] } },
+      components: [
+        { id: 'input_1', type: 'input', position: { x: 40, y: 38, width: 300, height: 30 }, confidence: 0.7 },
+        { id: 'button_1', type: 'button', text_content: 'Send', position: { x: 40, y: 230, width: 80, height: 32 }, confidence: 0.8 }
+      ],
+      tables: [{ position: { x: 390, y: 10, width: 300, height: 100 } }],
+      image_metadata: { width: 800, height: 400 }
+    });
+
+    expect(form.fields.map(({ name, control, component_id }) => [name, control, component_id])).toEqual([
+      ['name', 'text', 'input_1'],
+      ['message', 'textarea', undefined]
+    ]);
+    expect(form.submit.text).toBe('Send');
+    expect(form.ui_schema.message).toEqual({ 'ui:widget': 'textarea' });
+  });
+
+  describe('parseLabel', () => {
+    const extractor = new FormExtractor(new LayoutAnalyzer({}));
+
+    test.each([
+      ['Email *', 'Email', true],
+      ['Email (required)', 'Email', true],
+      ['Company (optional)', 'Company', false],
+      ['Name:', 'Name', false],
+      ['Not required', 'Not required', false]
+    ])('reads %j as %j, required %s', (text, label, required) => {
+      expect(extractor.parseLabel(text)).toEqual({ text: label, required });
+    });
+  });
+
+  describe('field types', () => {
+    const extractor = new FormExtractor(new LayoutAnalyzer({}));
+    const typeOf = label => extractor.inferType({ control: 'text' }, label, []);
+
+    test('types codes and identifying numbers as strings', () => {
+      ['ZIP code', 'Postal code', 'Card number', 'Account no.', 'Customer ID'].forEach(label => {
+        expect(typeOf(label)).toBe('identifier');
+      });
+      expect(extractor.toFieldSchema({ type: 'identifier', placeholder: '01234' })).toEqual({ type: 'string', pattern: '^[0-9 -]+$' });
+      expect(extractor.toFieldSchema({ type: 'identifier', placeholder: 'SW1A 1AA' })).toEqual({ type: 'string' });
+    });
+
+    test('keeps quantities, amounts, prices and ages numbers', () => {
+      ['Quantity', 'Amount', 'Price', 'Age', 'Number of guests'].forEach(label => {
+        expect(typeOf(label)).toBe('number');
+      });
+      expect(typeOf('Phone number')).toBe('phone');
+    });
+  });
+});
@@ -0,0 +1,134 @@
+const StageRegistry = require('../../src/core/stageRegistry');
+const { validateOptions } = require('../../src/utils/validators');
+
+// The analyzer's modules load sharp, which none of these tests use
+jest.mock('sharp', () => jest.fn());
+const { ImageToText } = require('../../src');
+
+const component = (id, y, text) => ({
+  id, type: 'button', confidence: 0.9, position: { x: 100, y, width: 120, height: 40 }, text_content: text
+});
+
+// The components visible on each page of a three-frame animation
+const FRAME_COMPONENTS = [
+  [component('component_a', 100, 'Play'), component('component_b', 300, 'Menu')],
+  [component('component_a', 100, 'Play'), component('component_b', 300, 'Menu')],
+  [component('component_c', 100, 'Pause'), component('component_b', 300, 'Menu'), component('component_d', 500, 'Skip')]
+];
+
+const createAnalyzer = (frameComponents = FRAME_COMPONENTS) => {
+  const analyzer = new ImageToText({ config: false, enablePerformanceOptimization: false });
+  analyzer.stageRegistry = new StageRegistry([
+    {
+      name: 'components',
+      outputs: ['components'],
+      run: ({ metadata }) => frameComponents[metadata.page]
+    },
+    {
+      name: 'broken',
+      run: ({ metadata }) => {
+        if (metadata.page === 1) throw new Error('layout failed');
+        return null;
+      }
+    }
+  ]);
+  analyzer.imageProcessor.getFrameInfo = jest.fn(async () => ({ count: 3, delays: [100, 50, 200], loop: 0 }));
+  analyzer.imageProcessor.process = jest.fn(async (source, { page }) => ({
+    buffer: source,
+    metadata: { width: 1000, height: 800, format: 'gif', page }
+  }));
+  return analyzer;
+};
+
+const IMAGE = { type: 'buffer', source: Buffer.alloc(0), fileName: 'clip.gif', filePath: null };
+
+describe('ImageToText frames', () => {
+  const analyzer = new ImageToText({ config: false, enablePerformanceOptimization: false });
+
+  test('selects every frame, a list of frames or a range', () => {
+    expect(analyzer.selectFrames(3, true)).toEqual([0, 1, 2]);
+    expect(analyzer.selectFrames(5, [4, 1, 1, 9])).toEqual([1, 4]);
+    expect(analyzer.selectFrames(10, { start: 2, step: 3 })).toEqual([2, 5, 8]);
+    expect(analyzer.selectFrames(4, { start: 1, end: 20 })).toEqual([1, 2, 3]);
+    expect(() => analyzer.selectFrames(2, [5])).toThrow('No frames selected: the image has 2 frame(s)');
+  });
+
+  test('computes frame start times from their delays', () => {
+    expect(analyzer.getFrameTimestamps({ count: 3, delays: [100, 50, 200] })).toEqual([0, 100, 150]);
+    expect(analyzer.getFrameTimestamps({ count: 3, delays: [100] })).toEqual([0, 100, 100]);
+    expect(analyzer.getFrameTimestamps({ count: 2, delays: null })).toBeNull();
+  });
+
+  test('validates the frames option', () => {
+    [true, false, [0, 2], { start: 0, end: 4, step: 2 }, { start: 3 }].forEach(frames => {
+      expect(() => validateOptions({ frames })).not.toThrow();
+    });
+    expect(() => validateOptions({ frames: [] })).toThrow('frames must be a non-empty array of frame indices (integers >= 0)');
+    expect(() => validateOptions({ frames: [0, -1] })).toThrow('frames must be a non-empty array of frame indices');
+    expect(() => validateOptions({ frames: { start: 1.5 } })).toThrow('frames.start and frames.end must be integers >= 0');
+    expect(() => validateOptions({ frames: { start: 4, end: 2 } })).toThrow('frames.end must not be before frames.start');
+    expect(() => validateOptions({ frames: { step: 0 } })).toThrow('frames.step must be a positive integer');
+    expect(() => validateOptions({ frames: 'all' })).toThrow('frames must be a boolean, an array of frame indices or { start, end, step }');
+  });
+
+  test('analyzes each frame and lists what changed between them', async () => {
+    const frameAnalyzer = createAnalyzer();
+    const events = [];
+    frameAnalyzer.on('frame:end', event => events.push([event.frame, event.index, event.total]));
+
+    const result = await frameAnalyzer.analyzeFrames(IMAGE, { frames: true });
+
+    expect(frameAnalyzer.imageProcessor.process.mock.calls.map(([, options]) => options)).toEqual([{ page: 0 }, { page: 1 }, { page: 2 }]);
+    expect(result.image_metadata).toMatchObject({ file_name: 'clip.gif', width: 1000, frames: 3 });
+    expect(result.frames.map(({ frame, timestamp, delay, components }) => [frame, timestamp, delay, components.length])).toEqual([
+      [0, 0, 100, 2],
+      [1, 100, 50, 2],
+      [2, 150, 200, 3]
+    ]);
+    expect(result.frames[0].image_metadata).toBeUndefined();
+    expect(result.timeline).toEqual([{
+      from_frame: 1,
+      to_frame: 2,
+      timestamp: 150,
+      events: [
+        {
+          type: 'text_changed',
+          component_id: 'component_c',
+          component_type: 'button',
+          text: 'Pause',
+          previous_id: 'component_a',
+          details: { before_text: 'Play', after_text: 'Pause' }
+        },
+        { type: 'appeared', component_id: 'component_d', component_type: 'button', text: 'Skip' }
+      ]
+    }]);
+    expect(result.stage_errors.map(({ stage, frame }) => [stage, frame])).toEqual([['broken', 1]]);
+    expect(result.analysis_statistics.frames_analyzed).toBe(3);
+    expect(events).toEqual([[0, 0, 3], [1, 1, 3], [2, 2, 3]]);
+  });
+
+  test('analyzes only the selected frames and reports disappearing components', async () => {
+    const frameAnalyzer = createAnalyzer([...FRAME_COMPONENTS, [component('component_b', 300, 'Menu')]]);
+    frameAnalyzer.imageProcessor.getFrameInfo.mockResolvedValue({ count: 4, delays: null, loop: null });
+
+    const result = await frameAnalyzer.analyzeFrames(IMAGE, { frames: [0, 3] });
+
+    expect(result.frames.map(({ frame, timestamp, delay }) => [frame, timestamp, delay])).toEqual([[0, null, null], [3, null, null]]);
+    expect(result.timeline).toEqual([{
+      from_frame: 0,
+      to_frame: 3,
+      timestamp: null,
+      events: [{ type: 'disappeared', component_id: 'component_a', component_type: 'button', text: 'Play' }]
+    }]);
+  });
+
+  test('stops between frames when aborted', async () => {
+    const frameAnalyzer = createAnalyzer();
+    const controller = new AbortController();
+    frameAnalyzer.on('frame:end', () => controller.abort());
+
+    await expect(frameAnalyzer.analyzeFrames(IMAGE, { frames: true, signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(frameAnalyzer.imageProcessor.process).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,150 @@
+const StageRegistry = require('../../src/core/stageRegistry');
+const {
+  clampRegion,
+  createRegionTransform,
+  createDeskewTransform,
+  mapGeometry,
+  getBox,
+  intersectionArea,
+  unionBoxes,
+  boxIoU,
+  overlapRatio,
+  parseRegion
+} = require('../../src/utils/geometry');
+const { validateOptions } = require('../../src/utils/validators');
+
+// The analyzer's modules load sharp, which none of these tests use
+jest.mock('sharp', () => jest.fn());
+const { ImageToText } = require('../../src');
+
+describe('geometry', () => {
+  test('clamps regions to the image and rounds them to whole pixels', () => {
+    expect(clampRegion({ x: -5, y: 10.4, width: 30, height: 200 }, 100, 100)).toEqual({ x: 0, y: 10, width: 25, height: 90 });
+    expect(clampRegion({ x: 120, y: 0, width: 10, height: 10 }, 100, 100)).toBeNull();
+  });
+
+  test('builds the transform from a processed crop back to the image', () => {
+    expect(createRegionTransform({ x: 10, y: 20, width: 200, height: 100 }, 100, 50)).toEqual({
+      offsetX: 10, offsetY: 20, scaleX: 2, scaleY: 2
+    });
+    expect(createRegionTransform({ x: 0, y: 0, width: 200, height: 100 }, 0, 0)).toMatchObject({ scaleX: 1, scaleY: 1 });
+  });
+
+  describe('mapGeometry', () => {
+    const transform = { offsetX: 100, offsetY: 50, scaleX: 2, scaleY: 2 };
+
+    test('maps boxes, bounding boxes and points through the transform', () => {
+      expect(mapGeometry({
+        position: { x: 10, y: 5, width: 20, height: 10 },
+        bbox: { x0: 1, y0: 2, x1: 11, y1: 12 },
+        center: { x: 3, y: 4 },
+        circle: { x: 0, y: 0, radius: 5 },
+        line: { x: 1, y: 1, width: 4 }
+      }, transform)).toEqual({
+        position: { x: 120, y: 60, width: 40, height: 20 },
+        bbox: { x0: 102, y0: 54, x1: 122, y1: 74 },
+        center: { x: 106, y: 58 },
+        circle: { x: 100, y: 50, radius: 10 },
+        line: { x: 102, y: 52, width: 8 }
+      });
+    });
+
+    test('walks arrays and copies everything that is not geometry', () => {
+      const pixels = Buffer.from([1, 2, 3]);
+      const value = { words: [{ text: 'Sign in', confidence: 90, x: 0, y: 0 }], label: { x: '1', y: '2' }, pixels, empty: null };
+
+      const mapped = mapGeometry(value, transform);
+
+      expect(mapped).toEqual({ words: [{ text: 'Sign in', confidence: 90, x: 100, y: 50 }], label: { x: '1', y: '2' }, pixels, empty: null });
+      expect(mapped.pixels).toBe(pixels);
+      expect(value.words[0].x).toBe(0);
+    });
+
+    test('maps boxes from a deskewed image to the bounding box of their rotated corners', () => {
+      const original = { width: 100, height: 50 };
+      const rotated = { width: 50, height: 100 };
+
+      expect(mapGeometry({ x: 10, y: 20, width: 10, height: 10 }, createDeskewTransform(90, original, rotated))).toEqual({
+        x: 70, y: 10, width: 10, height: 10
+      });
+      expect(mapGeometry({ x: 5, y: 10, width: 5, height: 5 }, createDeskewTransform(90, original, rotated, 0.5))).toEqual({
+        x: 70, y: 10, width: 10, height: 10
+      });
+    });
+  });
+
+  test('reads boxes from positions, bounding boxes and plain boxes', () => {
+    expect(getBox({ position: { x: 1, y: 2, width: 3, height: 4 } })).toEqual({ x: 1, y: 2, width: 3, height: 4 });
+    expect(getBox({ x: 1, y: 2, width: 3, height: 4, text: 'a' })).toEqual({ x: 1, y: 2, width: 3, height: 4 });
+    expect(getBox({ bbox: { x0: 1, y0: 2, x1: 4, y1: 6 } })).toEqual({ x: 1, y: 2, width: 3, height: 4 });
+    expect(getBox({ text: 'a' })).toBeNull();
+    expect(getBox(null)).toBeNull();
+  });
+
+  test('measures box overlap', () => {
+    const a = { x: 0, y: 0, width: 10, height: 10 };
+    const b = { x: 5, y: 5, width: 10, height: 10 };
+    const inside = { x: 2, y: 2, width: 4, height: 4 };
+
+    expect(intersectionArea(a, b)).toBe(25);
+    expect(intersectionArea(a, { x: 10, y: 0, width: 5, height: 5 })).toBe(0);
+    expect(unionBoxes([a, b])).toEqual({ x: 0, y: 0, width: 15, height: 15 });
+    expect(boxIoU(a, b)).toBeCloseTo(25 / 175);
+    expect(overlapRatio(a, inside)).toBe(1);
+    expect(overlapRatio(a, { x: 0, y: 0, width: 0, height: 0 })).toBe(0);
+    expect(boxIoU({ x: 0, y: 0, width: 0, height: 0 }, { x: 0, y: 0, width: 0, height: 0 })).toBe(0);
+  });
+
+  test('parses x,y,width,height region strings', () => {
+    expect(parseRegion('10, 20,300,400')).toEqual({ x: 10, y: 20, width: 300, height: 400 });
+    expect(() => parseRegion('1,2,3')).toThrow("Invalid region '1,2,3': expected x,y,width,height");
+    expect(() => parseRegion('0,0,wide,10')).toThrow('expected x,y,width,height');
+    expect(() => parseRegion('-1,0,5,5')).toThrow('x and y must be >= 0, width and height > 0');
+  });
+});
+
+describe('ImageToText regions of interest', () => {
+  test('validates the regions option', () => {
+    expect(() => validateOptions({ regions: [{ x: 0, y: 0, width: 10, height: 10 }] })).not.toThrow();
+    expect(() => validateOptions({ regions: [] })).toThrow('regions must be a non-empty array');
+    expect(() => validateOptions({ regions: [{ x: 0, y: 0, width: 10 }] })).toThrow('regions[0] must have numeric x, y, width and height');
+    expect(() => validateOptions({ regions: [{ x: 0, y: 0, width: 0, height: 10 }] })).toThrow('regions[0] must have x and y >= 0');
+    expect(() => validateOptions({ regions: [{ x: 0, y: 0, width: 1, height: 1 }], frames: true })).toThrow(
+      'frames cannot be combined with regions'
+    );
+  });
+
+  test('analyzes each crop and reports its coordinates in the original image', async () => {
+    const analyzer = new ImageToText({ config: false, enablePerformanceOptimization: false });
+    analyzer.stageRegistry = new StageRegistry([
+      {
+        name: 'ocr',
+        outputs: ['text_extraction'],
+        run: ({ metadata }) => ({ structured_text: [{ text: `crop ${metadata.width}`, bbox: { x0: 0, y0: 0, x1: 10, y1: 5 } }] })
+      },
+      {
+        name: 'broken',
+        run: () => { throw new Error('layout failed'); }
+      }
+    ]);
+    // Each crop is processed at half size
+    analyzer.imageProcessor.process = jest.fn(async (source, { region }) => ({
+      buffer: source,
+      metadata: {
+        width: region.width / 2, height: region.height / 2, format: 'png', region, originalWidth: 1000, originalHeight: 800
+      }
+    }));
+    const image = { type: 'buffer', source: Buffer.alloc(0), fileName: 'shot.png', filePath: null };
+    const regions = [{ x: 100, y: 200, width: 400, height: 100 }, { x: 0, y: 0, width: 40, height: 40 }];
+
+    const result = await analyzer.analyzeRegions(image, { regions });
+
+    expect(result.image_metadata).toMatchObject({ width: 1000, height: 800, dimensions: '1000x800' });
+    expect(result.region_analyses.map(({ region, scale, text_extraction }) => [region, scale, text_extraction.structured_text[0]])).toEqual([
+      [regions[0], { x: 2, y: 2 }, { text: 'crop 200', bbox: { x0: 100, y0: 200, x1: 120, y1: 210 } }],
+      [regions[1], { x: 2, y: 2 }, { text: 'crop 20', bbox: { x0: 0, y0: 0, x1: 20, y1: 10 } }]
+    ]);
+    expect(result.stage_errors.map(({ stage, region }) => [stage, region])).toEqual([['broken', 0], ['broken', 1]]);
+    expect(result.analysis_statistics.regions_analyzed).toBe(2);
+  });
+});
@@ -0,0 +1,94 @@
+const HOCRExporter = require('../../src/exporters/hocrExporter');
+const { createExtraction } = require('../helpers/ocrFixtures');
+const { parseErrors } = require('../helpers/xml');
+
+const metadata = { file_name: 'a&b.png', width: 400, height: 300 };
+
+/**
+ * The elements of a document with a class, as { attributes, text } in document order
+ */
+function elementsOf(markup, className) {
+  const pattern = new RegExp(`<(\\w+) class="${className}"([^>]*)>([^<]*)`, 'g');
+  return [...markup.matchAll(pattern)].map(([, , attributes, text]) => ({
+    attributes: Object.fromEntries([...attributes.matchAll(/(\w+)="([^"]*)"/g)].map(([, name, value]) => [name, value])),
+    text
+  }));
+}
+
+describe('HOCRExporter', () => {
+  const exporter = new HOCRExporter();
+
+  test('nests pages, areas, paragraphs, lines and words', () => {
+    const hocr = exporter.createHOCR({ text_extraction: createExtraction(), image_metadata: metadata });
+    const classes = [...hocr.matchAll(/class="(ocr\w*)"/g)].map(match => match[1]);
+
+    expect(classes).toEqual([
+      'ocr_page', 'ocr_carea', 'ocr_par',
+      'ocr_line', 'ocrx_word', 'ocrx_word',
+      'ocr_line', 'ocrx_word', 'ocrx_word', 'ocrx_word'
+    ]);
+    expect(hocr).toContain('<meta name="ocr-capabilities" content="ocr_page ocr_carea ocr_par ocr_line ocrx_word ocrp_wconf"/>');
+    expect(hocr).toContain('<meta name="ocr-number-of-pages" content="1"/>');
+  });
+
+  test('gives pages, lines and words their title properties', () => {
+    const hocr = exporter.createHOCR({ text_extraction: createExtraction(), image_metadata: metadata });
+
+    expect(elementsOf(hocr, 'ocr_page')[0].attributes).toEqual({
+      id: 'page_1',
+      title: 'image &quot;a&amp;b.png&quot;; bbox 0 0 400 300; ppageno 0'
+    });
+    expect(elementsOf(hocr, 'ocr_line').map(line => line.attributes)).toEqual([
+      { id: 'line_1_1_1_1', title: 'bbox 10 10 150 30; x_wconf 92' },
+      { id: 'line_1_1_1_2', title: 'bbox 10 40 210 60; x_wconf 81' }
+    ]);
+    expect(elementsOf(hocr, 'ocrx_word')).toEqual([
+      { attributes: { id: 'word_1_1_1_1_1', title: 'bbox 10 10 60 30; x_wconf 95' }, text: 'Hello' },
+      { attributes: { id: 'word_1_1_1_1_2', title: 'bbox 70 10 150 30; x_wconf 89' }, text: '&quot;world&quot;' },
+      { attributes: { id: 'word_1_1_1_2_1', title: 'bbox 10 40 70 60; x_wconf 80' }, text: 'Tom&#39;s' },
+      { attributes: { id: 'word_1_1_1_2_2', title: 'bbox 80 40 90 60; x_wconf 85' }, text: '&amp;' },
+      { attributes: { id: 'word_1_1_1_2_3', title: 'bbox 100 40 210 60; x_wconf 78' }, text: '&lt;co&gt;' }
+    ]);
+  });
+
+  test('tags the document and paragraphs with the first OCR language', () => {
+    const hocr = exporter.createHOCR({ text_extraction: createExtraction('chi_sim+eng'), image_metadata: metadata });
+
+    expect(hocr).toContain('<html xmlns="http://www.w3.org/1999/xhtml" xml:lang="chi-sim" lang="chi-sim">');
+    expect(elementsOf(hocr, 'ocr_par')[0].attributes.lang).toBe('chi-sim');
+  });
+
+  test('writes one page per analyzed frame', () => {
+    const hocr = exporter.createHOCR({
+      frames: [{ frame: 0, text_extraction: createExtraction() }, { frame: 3, text_extraction: createExtraction() }],
+      image_metadata: metadata
+    });
+
+    expect(elementsOf(hocr, 'ocr_page').map(page => page.attributes.title.split('; ').pop())).toEqual(['ppageno 0', 'ppageno 3']);
+    expect(hocr).toContain('<meta name="ocr-number-of-pages" content="2"/>');
+  });
+
+  test('exports an empty page for a result without OCR output', async () => {
+    const hocr = await exporter.exportToHOCR({});
+
+    expect(elementsOf(hocr, 'ocr_page').map(page => page.attributes)).toEqual([{ id: 'page_1', title: 'bbox 0 0 0 0; ppageno 0' }]);
+    expect(elementsOf(hocr, 'ocrx_word')).toEqual([]);
+    expect(hocr).toContain('<title></title>');
+    expect(() => exporter.createHOCR(null)).toThrow(/^hOCR export failed: /);
+  });
+
+  test('writes well-formed XHTML', async () => {
+    const frames = [{ frame: 0, text_extraction: createExtraction('chi_sim') }, { frame: 1, text_extraction: createExtraction() }];
+
+    expect(await parseErrors(exporter.createHOCR({ text_extraction: createExtraction(), image_metadata: metadata }))).toEqual([]);
+    expect(await parseErrors(exporter.createHOCR({ frames, image_metadata: metadata }, { prettyPrint: false }))).toEqual([]);
+    expect(await parseErrors(exporter.createHOCR({}))).toEqual([]);
+  });
+
+  test('indents nested elements only when pretty-printing', () => {
+    const result = { text_extraction: createExtraction(), image_metadata: metadata };
+
+    expect(exporter.createHOCR(result)).toContain('\n    <div class="ocr_page"');
+    expect(exporter.createHOCR(result, { prettyPrint: false }).split('\n').filter(line => line.startsWith(' '))).toEqual([]);
+  });
+});
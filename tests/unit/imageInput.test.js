@@ -0,0 +1,175 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { Readable } = require('stream');
+const {
+  detectImageFormat,
+  decodeBase64Image,
+  isReadableStream,
+  getImageInputType,
+  readStreamToBuffer,
+  describeImageInput,
+  loadImageInput
+} = require('../../src/utils/imageInput');
+const { validateImage } = require('../../src/utils/validators');
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0x0d, 0x49, 0x48, 0x44, 0x52, 0, 0, 0, 0]);
+const WEBP = Buffer.from('RIFF\x24\x00\x00\x00WEBPVP8 ', 'latin1');
+
+const raw = (data, width = 2, height = 2, channels = 1) => ({ data, width, height, channels });
+
+describe('imageInput', () => {
+  test('detects formats from their magic bytes', () => {
+    expect(detectImageFormat(PNG)).toEqual({ format: 'png', mimeType: 'image/png' });
+    expect(detectImageFormat(Buffer.from([0xff, 0xd8, 0xff, 0xe0]))).toEqual({ format: 'jpeg', mimeType: 'image/jpeg' });
+    expect(detectImageFormat(Buffer.from('GIF89a'))).toMatchObject({ format: 'gif' });
+    expect(detectImageFormat(Buffer.from([0x4d, 0x4d, 0x00, 0x2a]))).toMatchObject({ format: 'tiff' });
+    expect(detectImageFormat(WEBP)).toMatchObject({ format: 'webp' });
+  });
+
+  test('rejects unknown signatures, RIFF files that are not WebP and non-buffers', () => {
+    expect(detectImageFormat(Buffer.from('not an image'))).toBeNull();
+    expect(detectImageFormat(Buffer.from('RIFF\x24\x00\x00\x00WAVEfmt ', 'latin1'))).toBeNull();
+    expect(detectImageFormat(Buffer.from([0x89]))).toBeNull();
+    expect(detectImageFormat('PNG')).toBeNull();
+  });
+
+  test('decodes data URIs and bare base64 that holds an image', () => {
+    const base64 = PNG.toString('base64');
+
+    expect(decodeBase64Image(`data:image/png;base64,${base64}`)).toEqual(PNG);
+    expect(decodeBase64Image(base64)).toEqual(PNG);
+    expect(decodeBase64Image(Buffer.from('plain text, not an image').toString('base64'))).toBeNull();
+    expect(decodeBase64Image('images/screenshot.png')).toBeNull();
+    expect(decodeBase64Image(PNG)).toBeNull();
+  });
+
+  test('tells the kinds of input apart', () => {
+    expect(getImageInputType('screenshot.png')).toBe('file');
+    expect(getImageInputType(PNG.toString('base64'))).toBe('base64');
+    expect(getImageInputType(PNG)).toBe('buffer');
+    expect(getImageInputType(raw(new Uint8Array(4)))).toBe('raw');
+    expect(getImageInputType(Readable.from([PNG]))).toBe('stream');
+    expect(getImageInputType(42)).toBe('unknown');
+    expect(isReadableStream({ pipe() {}, on() {}, readable: false })).toBe(false);
+  });
+
+  test('names inputs after their file, or their kind and batch position', () => {
+    const stream = Object.assign(Readable.from([PNG]), { path: '/shots/home.png' });
+
+    expect(describeImageInput('/shots/login.png')).toBe('login.png');
+    expect(describeImageInput(stream)).toBe('home.png');
+    expect(describeImageInput(PNG, 2)).toBe('buffer_3');
+  });
+
+  test('reads a stream into a buffer', async () => {
+    await expect(readStreamToBuffer(Readable.from([PNG.subarray(0, 8), 'rest']))).resolves.toEqual(
+      Buffer.concat([PNG.subarray(0, 8), Buffer.from('rest')])
+    );
+  });
+
+  test('stops reading a stream once it exceeds the size limit', async () => {
+    const stream = Readable.from([PNG, PNG]);
+
+    await expect(readStreamToBuffer(stream, PNG.length + 1)).rejects.toThrow(`exceeds ${PNG.length + 1} bytes`);
+    expect(stream.destroyed).toBe(true);
+  });
+
+  test('reports stream errors', async () => {
+    const stream = new Readable({ read() { this.destroy(new Error('disk gone')); } });
+
+    await expect(readStreamToBuffer(stream)).rejects.toThrow('Failed to read image stream: disk gone');
+  });
+
+  describe('loadImageInput', () => {
+    let directory;
+
+    beforeAll(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'image-input-'));
+      await fs.writeFile(path.join(directory, 'shot.png'), PNG);
+    });
+
+    afterAll(() => fs.remove(directory));
+
+    test('passes file paths through with their size', async () => {
+      const filePath = path.join(directory, 'shot.png');
+
+      await expect(loadImageInput(filePath)).resolves.toEqual({
+        type: 'file', source: filePath, filePath, fileName: 'shot.png', size: PNG.length
+      });
+      await expect(loadImageInput(path.join(directory, 'missing.png'))).resolves.toMatchObject({ size: null });
+    });
+
+    test('materializes base64 strings and streams into buffers', async () => {
+      const stream = Object.assign(Readable.from([PNG]), { path: '/shots/home.png' });
+
+      await expect(loadImageInput(PNG.toString('base64'), { fileName: 'upload' })).resolves.toEqual({
+        type: 'base64', source: PNG, filePath: null, fileName: 'upload', size: PNG.length
+      });
+      await expect(loadImageInput(stream)).resolves.toEqual({
+        type: 'stream', source: PNG, filePath: '/shots/home.png', fileName: 'home.png', size: PNG.length
+      });
+      await expect(loadImageInput(Readable.from([PNG]))).resolves.toMatchObject({ filePath: null, fileName: null });
+      await expect(loadImageInput(Readable.from([PNG]), { maxFileSize: 4 })).rejects.toThrow('Image stream too large');
+    });
+
+    test('passes buffers and raw pixels through, sizing raw pixels in bytes', async () => {
+      const pixels = raw(new Float32Array(4));
+
+      await expect(loadImageInput(PNG)).resolves.toMatchObject({ type: 'buffer', source: PNG, size: PNG.length });
+      await expect(loadImageInput(pixels)).resolves.toEqual({
+        type: 'raw', source: pixels, filePath: null, fileName: null, size: 16
+      });
+      await expect(loadImageInput({})).rejects.toThrow('Unsupported image input');
+    });
+  });
+
+  describe('validateImage', () => {
+    let directory;
+
+    beforeAll(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'validate-image-'));
+      await fs.writeFile(path.join(directory, 'shot.png'), PNG);
+      await fs.writeFile(path.join(directory, 'fake.png'), 'not an image');
+      await fs.writeFile(path.join(directory, 'notes.txt'), 'not an image');
+    });
+
+    afterAll(() => fs.remove(directory));
+
+    test('accepts image files whose content matches a signature', async () => {
+      await expect(validateImage(path.join(directory, 'shot.png'))).resolves.toBeUndefined();
+      await expect(validateImage(path.join(directory, 'fake.png'))).rejects.toThrow('File content is not a recognized image');
+      await expect(validateImage(path.join(directory, 'notes.txt'))).rejects.toThrow('Unsupported image format: .txt');
+      await expect(validateImage(path.join(directory, 'missing.png'))).rejects.toThrow('Image file not found');
+    });
+
+    test('sniffs buffers and base64 strings and applies the size limit', async () => {
+      await expect(validateImage(PNG)).resolves.toBeUndefined();
+      await expect(validateImage(`data:image/png;base64,${PNG.toString('base64')}`)).resolves.toBeUndefined();
+      await expect(validateImage(Buffer.from('not an image'))).rejects.toThrow('Image data is not a recognized format');
+      await expect(validateImage(PNG, { maxFileSize: 8 })).rejects.toThrow('Image data too large');
+      await expect(validateImage(path.join(directory, 'shot.png'), { maxFileSize: 8 })).rejects.toThrow('Image file too large');
+    });
+
+    test('checks raw pixel dimensions, channels and length', async () => {
+      await expect(validateImage(raw(new Uint8Array(4)))).resolves.toBeUndefined();
+      await expect(validateImage(raw(new Uint8Array(4), 2.5))).rejects.toThrow('positive integer width and height');
+      await expect(validateImage(raw(new Uint8Array(20), 2, 2, 5))).rejects.toThrow('invalid channel count: 5');
+      await expect(validateImage(raw(new Uint8Array(3)))).rejects.toThrow('length 3 does not match 2x2x1 (4)');
+    });
+
+    test('measures raw pixel size in bytes, not samples', async () => {
+      await expect(validateImage(raw(new Uint8Array(4)), { maxFileSize: 8 })).resolves.toBeUndefined();
+      await expect(validateImage(raw(new Float32Array(4)), { maxFileSize: 8 })).rejects.toThrow('Raw pixel data too large: 16');
+    });
+
+    test('rejects streams that were already read and unsupported input', async () => {
+      const stream = { pipe() {}, on() {}, readable: true, readableEnded: true };
+
+      await expect(validateImage(Readable.from([PNG]))).resolves.toBeUndefined();
+      await expect(validateImage(stream)).rejects.toThrow('Image stream has already been consumed');
+      await expect(validateImage(null)).rejects.toThrow('Image input is required');
+      await expect(validateImage(42)).rejects.toThrow('Unsupported image input');
+    });
+  });
+});
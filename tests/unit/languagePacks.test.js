@@ -0,0 +1,168 @@
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const fs = require('fs-extra');
+const {
+  isLocalLangPath,
+  splitLanguages,
+  findLanguagePack,
+  listLanguagePacks,
+  checkLanguagePacks,
+  verifyLanguagePack,
+  installLanguagePacks,
+  resolveWorkerOptions
+} = require('../../src/utils/languagePacks');
+
+// The analyzer's modules load sharp, which none of these tests use
+jest.mock('sharp', () => jest.fn());
+const { ImageToText } = require('../../src');
+
+// Smallest valid traineddata: a component count of 1 and one 8-byte offset
+const TRAINEDDATA = Buffer.from([1, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]);
+
+describe('languagePacks', () => {
+  let directory;
+  let tessdata;
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'language-packs-'));
+    tessdata = path.join(directory, 'tessdata');
+    await fs.ensureDir(tessdata);
+    await fs.writeFile(path.join(tessdata, 'eng.traineddata'), TRAINEDDATA);
+    await fs.writeFile(path.join(tessdata, 'fra.traineddata.gz'), zlib.gzipSync(TRAINEDDATA));
+  });
+
+  afterEach(() => fs.remove(directory));
+
+  test('tells local directories from URLs and splits language strings', () => {
+    expect(isLocalLangPath('./tessdata')).toBe(true);
+    expect(isLocalLangPath('https://cdn.example.com/tessdata')).toBe(false);
+    expect(isLocalLangPath('')).toBe(false);
+    expect(splitLanguages('eng+chi_sim+')).toEqual(['eng', 'chi_sim']);
+  });
+
+  test('finds packs, preferring uncompressed ones', async () => {
+    await fs.writeFile(path.join(tessdata, 'eng.traineddata.gz'), zlib.gzipSync(TRAINEDDATA));
+
+    expect(findLanguagePack(tessdata, 'eng')).toEqual({
+      language: 'eng', file: path.join(tessdata, 'eng.traineddata'), gzip: false, size: TRAINEDDATA.length
+    });
+    expect(findLanguagePack(tessdata, 'fra')).toMatchObject({ gzip: true });
+    expect(findLanguagePack(tessdata, 'deu')).toBeNull();
+    expect(listLanguagePacks(tessdata).map(pack => [pack.language, pack.gzip])).toEqual([['eng', false], ['fra', true]]);
+    expect(listLanguagePacks(path.join(directory, 'missing'))).toEqual([]);
+  });
+
+  test('checks that every language has a pack', () => {
+    expect(checkLanguagePacks(tessdata, ['eng+fra', 'eng']).map(pack => pack.language)).toEqual(['eng', 'fra']);
+    expect(() => checkLanguagePacks(tessdata, ['eng', 'deu', 'osd'])).toThrow(
+      `Missing OCR language pack(s) in ${tessdata}: deu.traineddata, osd.traineddata`
+    );
+    expect(() => checkLanguagePacks(path.join(directory, 'missing'), ['eng'])).toThrow('Language pack directory not found');
+  });
+
+  test('verifies that packs are traineddata', async () => {
+    await fs.writeFile(path.join(tessdata, 'bad.traineddata'), 'not traineddata');
+
+    expect(verifyLanguagePack(path.join(tessdata, 'eng.traineddata'))).toMatchObject({ language: 'eng', valid: true });
+    expect(verifyLanguagePack(path.join(tessdata, 'fra.traineddata.gz'))).toMatchObject({ language: 'fra', valid: true });
+    expect(verifyLanguagePack(path.join(tessdata, 'bad.traineddata'))).toMatchObject({
+      language: 'bad', valid: false, error: 'not a Tesseract traineddata file'
+    });
+    expect(verifyLanguagePack(path.join(tessdata, 'deu.traineddata'))).toMatchObject({ valid: false, size: 0 });
+  });
+
+  test('installs packs, replacing a pack in the other format', async () => {
+    const target = path.join(directory, 'installed');
+    await fs.ensureDir(target);
+    await fs.writeFile(path.join(target, 'eng.traineddata.gz'), 'stale');
+
+    const { installed, missing } = await installLanguagePacks(tessdata, target, ['eng', 'fra', 'deu']);
+
+    expect(installed.map(pack => path.basename(pack.file))).toEqual(['eng.traineddata', 'fra.traineddata.gz']);
+    expect(missing).toEqual(['deu']);
+    expect(listLanguagePacks(target).map(pack => [pack.language, pack.gzip])).toEqual([['eng', false], ['fra', true]]);
+    await expect(installLanguagePacks(path.join(directory, 'missing'), target, ['eng'])).rejects.toThrow(
+      'Language pack source directory not found'
+    );
+  });
+
+  describe('resolveWorkerOptions', () => {
+    test('leaves remote langPaths to Tesseract', () => {
+      expect(resolveWorkerOptions('deu', { langPath: 'https://cdn.example.com', cachePath: undefined })).toEqual({
+        langPath: 'https://cdn.example.com'
+      });
+    });
+
+    test('reads local packs in place by default', () => {
+      expect(resolveWorkerOptions('eng+fra', { langPath: tessdata })).toEqual({
+        langPath: tessdata, cachePath: tessdata, cacheMethod: 'readOnly', gzip: true
+      });
+      expect(() => resolveWorkerOptions('deu', { langPath: tessdata })).toThrow('Missing OCR language pack(s)');
+    });
+
+    test('keeps the caller\'s cache, reading packs in their one format', () => {
+      const cachePath = path.join(directory, 'cache');
+
+      expect(resolveWorkerOptions('fra', { langPath: tessdata, cachePath })).toEqual({ langPath: tessdata, cachePath, gzip: true });
+      expect(resolveWorkerOptions('eng', { langPath: tessdata, cacheMethod: 'none' })).toEqual({
+        langPath: tessdata, cacheMethod: 'none', gzip: false
+      });
+      expect(() => resolveWorkerOptions('eng+fra', { langPath: tessdata, cachePath })).toThrow(
+        'mix .traineddata and .traineddata.gz files'
+      );
+    });
+  });
+
+  describe('ImageToText required languages', () => {
+    const createAnalyzer = options => new ImageToText({ config: false, enablePerformanceOptimization: false, ...options });
+
+    test('needs only the OCR language when no fallback pack is installed', async () => {
+      await fs.remove(path.join(tessdata, 'fra.traineddata.gz'));
+      const analyzer = createAnalyzer({ langPath: tessdata });
+
+      expect(analyzer.getRequiredLanguages()).toEqual(['eng']);
+      expect(analyzer.multiLanguageOCR.options.fallbackLanguages).toEqual(['eng']);
+    });
+
+    test('needs the installed fallbacks tried after the OCR language, without osd', () => {
+      const analyzer = createAnalyzer({ langPath: tessdata, enableOCRRefinement: true });
+
+      expect(analyzer.getRequiredLanguages()).toEqual(['eng', 'fra']);
+      expect(analyzer.getRefinementLanguages()).toEqual(['fra']);
+    });
+
+    test('needs the configured fallbacks up to maxRetries, and the refinement languages', () => {
+      const analyzer = createAnalyzer({
+        ocrLanguage: 'eng+fra',
+        fallbackLanguages: ['spa', 'deu', 'ita', 'por'],
+        maxRetries: 2,
+        enableOCRRefinement: true,
+        ocrRefinementLanguages: ['jpn']
+      });
+
+      expect(analyzer.getRequiredLanguages()).toEqual(['eng', 'fra', 'spa', 'deu', 'jpn']);
+      expect(() => createAnalyzer({ langPath: tessdata, fallbackLanguages: ['deu'] })).toThrow(
+        `Missing OCR language pack(s) in ${tessdata}: deu.traineddata`
+      );
+    });
+
+    test('needs only the OCR and refinement languages without multi-language OCR', () => {
+      const analyzer = createAnalyzer({
+        ocrLanguage: 'deu',
+        enableMultiLanguageOCR: false,
+        enableOCRRefinement: true,
+        ocrRefinementLanguages: ['fra']
+      });
+
+      expect(analyzer.getRequiredLanguages()).toEqual(['deu', 'fra']);
+    });
+
+    test('lists osd and every configured language only when the language is detected', () => {
+      const { multiLanguageOCR } = createAnalyzer({});
+
+      expect(multiLanguageOCR.getRequiredLanguages('eng')).toEqual(['eng', 'spa', 'fra', 'deu']);
+      expect(multiLanguageOCR.getRequiredLanguages()).toEqual(expect.arrayContaining(['osd', 'eng', 'jpn', 'hin']));
+    });
+  });
+});
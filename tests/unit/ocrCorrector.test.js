@@ -0,0 +1,105 @@
+const OCRCorrector = require('../../src/core/ocrCorrector');
+const { loadVocabulary } = require('../../src/utils/vocabulary');
+
+const item = (text, confidence, x, y = 0) =>
+  ({ text, confidence, position: { x, y, width: text.length * 8, height: 12 } });
+
+/**
+ * A normalized extraction of one line of [text, confidence] words
+ */
+function createExtraction(words, language = 'eng') {
+  let x = 0;
+  const wordItems = words.map(([text, confidence]) => {
+    const word = item(text, confidence, x);
+    x += word.position.width + 8;
+    return word;
+  });
+  const text = words.map(([word]) => word).join(' ');
+  const line = { text, confidence: Math.min(...words.map(([, confidence]) => confidence)), position: { x: 0, y: 0, width: x - 8, height: 12 } };
+
+  return {
+    language,
+    raw_text: text,
+    structured_text: [{ id: 'text_1', type: 'text', ...line }],
+    words: wordItems,
+    lines: [line],
+    paragraphs: [line],
+    blocks: [line]
+  };
+}
+
+describe('OCRCorrector', () => {
+  const corrector = new OCRCorrector(loadVocabulary(['Acme Cloud', 'DataSync', 'checkout']));
+
+  describe('distance', () => {
+    test.each([
+      ['acrne', 'acme', 0.25, 0],
+      ['l0gin', 'login', 0.25, 0],
+      ['vvidget', 'widget', 0.25, 0],
+      ['datasvnc', 'datasync', 1, 1],
+      ['chekcout', 'checkout', 1, 1],
+      ['checkout', 'checkout', 0, 0]
+    ])('%s -> %s costs %d with %d full edits', (source, target, distance, edits) => {
+      expect(corrector.distance(source, target)).toEqual({ distance, edits });
+    });
+
+    test('stops once every path costs more than the limit', () => {
+      expect(corrector.distance('banana', 'checkout', 1).distance).toBe(Infinity);
+    });
+  });
+
+  describe('correctWord', () => {
+    const dictionary = corrector.getDictionary('eng');
+    const uncertain = new Set(['Acrne', 'DataSvnc', 'Checkovt', 'chec']);
+
+    test('replaces an uncertain word with the closest vocabulary word in its case', () => {
+      expect(corrector.correctWord('Acrne', dictionary, uncertain)).toEqual({ original: 'Acrne', corrected: 'Acme', distance: 0.25, reason: 'confusion' });
+      expect(corrector.correctWord('DataSvnc', dictionary, uncertain)).toMatchObject({ corrected: 'DataSync', reason: 'edit' });
+      expect(corrector.correctWord('Checkovt', dictionary, uncertain)).toMatchObject({ corrected: 'Checkout' });
+    });
+
+    test('keeps words that were read confidently, short words and words too far off', () => {
+      expect(corrector.correctWord('Acrne', dictionary, new Set())).toBeNull();
+      expect(corrector.correctWord('chec', dictionary, uncertain)).toBeNull();
+      expect(corrector.correctWord('Clock', dictionary, new Set(['Clock']))).toBeNull();
+    });
+
+    test('changes the case of vocabulary words only when asked to', () => {
+      expect(corrector.correctWord('datasync', dictionary, uncertain)).toBeNull();
+
+      const caseCorrector = new OCRCorrector(loadVocabulary(['DataSync']), { ocrCaseCorrection: true });
+      expect(caseCorrector.correctWord('datasync', caseCorrector.getDictionary('eng'), new Set()))
+        .toEqual({ original: 'datasync', corrected: 'DataSync', distance: 0, reason: 'case' });
+    });
+  });
+
+  describe('correct', () => {
+    test('corrects low-confidence words throughout the extraction', () => {
+      const result = corrector.correct(createExtraction([['Try', 0.95], ['Acrne', 0.5], ['Cloud', 0.92]]), { frame: { width: 200, height: 50 } });
+
+      expect(result.raw_text).toBe('Try Acme Cloud');
+      expect(result.words[1]).toMatchObject({ text: 'Acme', original_text: 'Acrne' });
+      expect(result.lines[0]).toMatchObject({ text: 'Try Acme Cloud', original_text: 'Try Acrne Cloud' });
+      expect(result.structured_text[0].text).toBe('Try Acme Cloud');
+      expect(result.corrections).toEqual([{
+        original: 'Acrne', corrected: 'Acme', distance: 0.25, reason: 'confusion', confidence: 0.5, position: result.words[1].position
+      }]);
+    });
+
+    test('keeps words read above the threshold, and words also read above it elsewhere', () => {
+      const confident = createExtraction([['Acrne', 0.95]]);
+      expect(corrector.correct(confident).corrections).toEqual([]);
+
+      const repeated = createExtraction([['Acrne', 0.5], ['Acrne', 0.95]]);
+      expect(corrector.correct(repeated).raw_text).toBe('Acrne Acrne');
+    });
+
+    test('uses the line confidence for words OCR dropped from the word list', () => {
+      const extraction = createExtraction([['Try', 0.95], ['Acrne', 0.25]]);
+      extraction.words = extraction.words.slice(0, 1);
+      extraction.lines[0].confidence = 0.6;
+
+      expect(corrector.correct(extraction).raw_text).toBe('Try Acme');
+    });
+  });
+});
@@ -0,0 +1,144 @@
+const {
+  OCR_PREPROCESSING_THRESHOLDS,
+  measureCells,
+  findDarkCells,
+  otsuThreshold,
+  estimateTextHeight,
+  estimateSkewAngle,
+  measureOCRQuality,
+  invertCells,
+  sauvolaBinarize,
+  planOCRPreprocessing
+} = require('../../src/utils/ocrPreprocessing');
+
+const createImage = (width, height, background = 255) =>
+  ({ data: new Uint8Array(width * height).fill(background), width, height });
+
+function fillRect(image, x0, y0, width, height, value) {
+  for (let y = y0; y < y0 + height; y++) {
+    for (let x = x0; x < x0 + width; x++) image.data[y * image.width + x] = value;
+  }
+}
+
+/**
+ * Lines of 6px-wide "glyphs" 3px apart, each line `lineHeight` tall and sloping by `angle` degrees
+ */
+function drawLines(image, { top = 20, lineHeight = 12, spacing = 30, count = 5, angle = 0, ink = 0 } = {}) {
+  const slope = Math.tan(angle * Math.PI / 180);
+  for (let line = 0; line < count; line++) {
+    for (let x = 20; x < image.width - 20; x++) {
+      if ((x - 20) % 9 >= 6) continue;
+      const y0 = Math.round(top + line * spacing + (x - 20) * slope);
+      for (let y = y0; y < y0 + lineHeight; y++) image.data[y * image.width + x] = ink;
+    }
+  }
+  return image;
+}
+
+const quality = ocr => ({
+  ocr: { dark_coverage: 0, lighting_variation: 0.05, contrast: 80, text_height: 28, skew_angle: 0, ...ocr }
+});
+
+describe('ocrPreprocessing', () => {
+  test('otsuThreshold separates two pixel populations', () => {
+    const data = Uint8Array.from([...Array(300).fill(40), ...Array(700).fill(200)]);
+    const threshold = otsuThreshold(data);
+
+    expect(threshold).toBeGreaterThan(40);
+    expect(threshold).toBeLessThanOrEqual(200);
+  });
+
+  test('sauvolaBinarize keeps text under uneven lighting that a global threshold loses', () => {
+    // Background fades from 110 on the left to 250 on the right; ink is 80 levels darker
+    const image = createImage(240, 80);
+    for (let y = 0; y < image.height; y++) {
+      for (let x = 0; x < image.width; x++) image.data[y * image.width + x] = Math.round(110 + x * 140 / image.width);
+    }
+    const inkPixels = [];
+    for (let x = 10; x < 230; x += 20) {
+      for (let y = 30; y < 40; y++) {
+        for (let dx = 0; dx < 4; dx++) {
+          const index = y * image.width + x + dx;
+          image.data[index] -= 80;
+          inkPixels.push(index);
+        }
+      }
+    }
+    const isInk = new Set(inkPixels);
+    const mistakes = binary => binary.reduce((count, value, index) => count + ((value === 0) !== isInk.has(index) ? 1 : 0), 0);
+
+    const threshold = otsuThreshold(image.data);
+    const global = image.data.map(value => (value < threshold ? 0 : 255));
+    const local = sauvolaBinarize(image, { windowSize: 21 });
+
+    expect(local).toMatchObject({ width: 240, height: 80 });
+    expect(mistakes(local.data)).toBe(0);
+    expect(mistakes(global)).toBeGreaterThan(1000);
+  });
+
+  test('estimateTextHeight measures the height of text lines', () => {
+    const image = drawLines(createImage(300, 200), { lineHeight: 12 });
+
+    expect(estimateTextHeight(image, otsuThreshold(image.data))).toBe(12);
+    expect(estimateTextHeight(createImage(100, 100), 128)).toBeNull();
+  });
+
+  test.each([3, -5])('estimateSkewAngle finds lines skewed by %d°', angle => {
+    const image = drawLines(createImage(400, 300), { top: 60, lineHeight: 4, spacing: 30, count: 6, angle });
+
+    expect(estimateSkewAngle(image, 128)).toBeCloseTo(angle, 0);
+    expect(estimateSkewAngle(createImage(100, 100), 128)).toBe(0);
+  });
+
+  test('finds and inverts a dark panel with light text', () => {
+    const image = createImage(256, 128);
+    fillRect(image, 0, 0, 128, 128, 20);
+    drawLines(image, { top: 10, lineHeight: 8, count: 4, ink: 240 });
+    fillRect(image, 128, 0, 128, 128, 255);
+
+    const grid = measureCells(image);
+    const mask = findDarkCells(grid);
+    expect(grid).toMatchObject({ columns: 8, rows: 4, cellSize: 32 });
+    expect(mask.filter((dark, index) => dark && index % grid.columns >= 4)).toEqual([]);
+    expect(mask.filter(Boolean).length).toBe(16);
+
+    const inverted = invertCells(image, grid, mask);
+    expect(inverted.data[0]).toBe(235);
+    expect(inverted.data[200]).toBe(255);
+    expect(image.data[0]).toBe(20);
+  });
+
+  test('measureOCRQuality reports the text metrics of a clean page', () => {
+    const metrics = measureOCRQuality(drawLines(createImage(300, 200), { lineHeight: 12 }));
+
+    expect(metrics).toMatchObject({ dark_coverage: 0, lighting_variation: 0, text_height: 12, skew_angle: 0 });
+    expect(metrics.contrast).toBeGreaterThan(OCR_PREPROCESSING_THRESHOLDS.minContrast);
+  });
+
+  describe('planOCRPreprocessing', () => {
+    test('leaves a clean image alone', () => {
+      expect(planOCRPreprocessing(quality({}))).toEqual({ invert: false, deskew: null, upscale: null, binarize: false });
+    });
+
+    test.each([
+      ['dark panels', { dark_coverage: 0.1 }, { invert: true }],
+      ['skewed lines', { skew_angle: 4.2 }, { deskew: 4.2 }],
+      ['skew past the search range', { skew_angle: 20 }, { deskew: null }],
+      ['small text', { text_height: 10 }, { upscale: 3 }],
+      ['tiny text', { text_height: 4 }, { upscale: 4 }],
+      ['uneven lighting', { lighting_variation: 0.3 }, { binarize: true }],
+      ['low contrast', { contrast: 20 }, { binarize: true }]
+    ])('plans for %s', (name, ocr, plan) => {
+      expect(planOCRPreprocessing(quality(ocr))).toMatchObject(plan);
+    });
+
+    test('follows steps forced on or off', () => {
+      const skewed = quality({ skew_angle: 4.2, lighting_variation: 0.3 });
+
+      expect(planOCRPreprocessing(skewed, false)).toEqual({ invert: false, deskew: null, upscale: null, binarize: false });
+      expect(planOCRPreprocessing(skewed, { deskew: false })).toMatchObject({ deskew: null, binarize: true });
+      expect(planOCRPreprocessing(quality({}), { binarize: true, upscale: true })).toMatchObject({ binarize: true, upscale: null });
+      expect(planOCRPreprocessing(quality({ text_height: null }), { upscale: true })).toMatchObject({ upscale: 2 });
+    });
+  });
+});
@@ -0,0 +1,218 @@
+const Tesseract = require('tesseract.js');
+const OCRRefiner = require('../../src/core/ocrRefiner');
+const { createAbortError } = require('../../src/utils/abort');
+const { normalizeTextExtraction } = require('../../src/utils/textExtraction');
+const { item } = require('../helpers/ocrFixtures');
+
+const FRAME = { width: 400, height: 300 };
+
+// Two identical lines, of which only the second was read with low confidence
+const createExtraction = () => normalizeTextExtraction({
+  raw_text: 'Welcome back\nSign ln\nSign ln',
+  processed_text: 'Welcome back Sign ln Sign ln',
+  confidence: 70,
+  structured_text: [
+    { ...item('Welcome back', 10, 0, 200, 20, 95), id: 'text_1', type: 'heading' },
+    { ...item('Sign ln', 10, 40, 110, 60, 88), id: 'text_2', type: 'body' },
+    { ...item('Sign ln', 10, 80, 110, 100, 30), id: 'text_3', type: 'body' }
+  ],
+  lines: [item('Welcome back', 10, 0, 200, 20, 95), item('Sign ln', 10, 40, 110, 60, 88), item('Sign ln', 10, 80, 110, 100, 30)],
+  words: [
+    item('Welcome', 10, 0, 100, 20, 95), item('back', 110, 0, 200, 20, 95),
+    item('Sign', 10, 40, 50, 60, 90), item('ln', 60, 40, 110, 60, 86),
+    item('Sign', 10, 80, 50, 100, 40), item('ln', 60, 80, 110, 100, 30)
+  ],
+  paragraphs: [item('Welcome back\nSign ln\nSign ln', 10, 0, 200, 100)],
+  blocks: [item('Welcome back\nSign ln\nSign ln', 10, 0, 200, 100)]
+}, { language: 'eng', ...FRAME });
+
+// The crop buffer describes how it was made, so the fake worker can answer for it
+const createImageProcessor = () => ({
+  readGrayscale: jest.fn(async () => ({ data: new Uint8Array(FRAME.width * FRAME.height), ...FRAME, channels: 1 })),
+  fromRawGrayscale: () => {
+    const crop = {};
+    const pipeline = {
+      extract: region => { crop.region = region; return pipeline; },
+      resize: (width, height) => { crop.size = [width, height]; return pipeline; },
+      negate: () => { crop.invert = true; return pipeline; },
+      png: () => pipeline,
+      toBuffer: async () => Buffer.from(JSON.stringify(crop))
+    };
+    return pipeline;
+  }
+});
+
+// read({ crop, psm, language }) returns the Tesseract data for one attempt
+const createScheduler = read => ({
+  attempts: [],
+  run: jest.fn(async function (language, job, { signal }) {
+    const worker = {
+      setParameters: async ({ tessedit_pageseg_mode: psm }) => { worker.psm = psm; },
+      recognize: async buffer => {
+        const attempt = { crop: JSON.parse(buffer.toString()), psm: worker.psm, language, signal };
+        this.attempts.push(attempt);
+        return { data: await read(attempt) };
+      }
+    };
+    return job(worker);
+  })
+});
+
+describe('OCRRefiner', () => {
+  test('re-reads low-confidence lines until one reading is confident enough', async () => {
+    const scheduler = createScheduler(({ psm }) => (psm === String(Tesseract.PSM.SINGLE_LINE)
+      ? { text: 'Sign in\n', confidence: 70 }
+      // Words are in the coordinates of the crop, which is scaled 2x
+      : { text: 'Sign in\n', confidence: 92, words: [item('Sign', 10, 10, 90, 50, 93), item('in', 110, 10, 150, 50, 91)] }));
+    const refiner = new OCRRefiner(scheduler, createImageProcessor());
+
+    const result = await refiner.refine(createExtraction(), Buffer.alloc(0), { frame: FRAME });
+
+    expect(scheduler.attempts.map(({ crop, psm }) => [crop.region, crop.size, psm])).toEqual([
+      [{ left: 5, top: 75, width: 110, height: 30 }, [220, 60], String(Tesseract.PSM.SINGLE_LINE)],
+      [{ left: 5, top: 75, width: 110, height: 30 }, [220, 60], String(Tesseract.PSM.RAW_LINE)]
+    ]);
+    expect(result.lines[2]).toMatchObject({
+      text: 'Sign in',
+      confidence: 0.92,
+      strategy: 'raw_line',
+      alternatives: [
+        { text: 'Sign in', confidence: 0.7, strategy: 'single_line' },
+        { text: 'Sign ln', confidence: 0.3, strategy: 'page' }
+      ]
+    });
+    expect(result.lines[1]).toEqual(createExtraction().lines[1]);
+    expect(result.refinement).toEqual({ threshold: 0.6, refined_count: 1, improved_count: 1, attempt_count: 2 });
+  });
+
+  test('puts the refined text in place of the line it was read from only', async () => {
+    const scheduler = createScheduler(() => ({ text: 'Sign in', confidence: 90, words: [item('Sign', 10, 10, 90, 50), item('in', 110, 10, 150, 50)] }));
+    const refiner = new OCRRefiner(scheduler, createImageProcessor());
+    const extraction = createExtraction();
+
+    const result = await refiner.refine(extraction, Buffer.alloc(0), { frame: FRAME });
+
+    expect(result.raw_text).toBe('Welcome back\nSign ln\nSign in');
+    expect(result.processed_text).toBe('Welcome back Sign ln Sign in');
+    expect(result.paragraphs[0].text).toBe('Welcome back\nSign ln\nSign in');
+    expect(result.blocks[0].text).toBe('Welcome back\nSign ln\nSign in');
+    expect(result.structured_text.map(element => element.text)).toEqual(['Welcome back', 'Sign ln', 'Sign in']);
+    expect(result.structured_text[2].id).not.toBe(extraction.structured_text[2].id);
+    expect(result.structured_text[1].id).toBe(extraction.structured_text[1].id);
+    expect(result.words.map(word => [word.text, word.position])).toEqual([
+      ['Welcome', { x: 10, y: 0, width: 90, height: 20 }],
+      ['back', { x: 110, y: 0, width: 90, height: 20 }],
+      ['Sign', { x: 10, y: 40, width: 40, height: 20 }],
+      ['ln', { x: 60, y: 40, width: 50, height: 20 }],
+      ['Sign', { x: 10, y: 80, width: 40, height: 20 }],
+      ['in', { x: 60, y: 80, width: 20, height: 20 }]
+    ]);
+  });
+
+  test('refines lines with a low-confidence word, least confident first, up to the limit', async () => {
+    const scheduler = createScheduler(() => ({ text: '', confidence: 0 }));
+    const refiner = new OCRRefiner(scheduler, createImageProcessor(), { ocrRefinementThreshold: 0.89, maxRefinedLines: 1 });
+    const extraction = createExtraction();
+    extraction.lines[2].confidence = 0.95;
+
+    const result = await refiner.refine(extraction, Buffer.alloc(0));
+
+    // The second line has a word at 0.86, the third one at 0.3
+    expect(new Set(scheduler.attempts.map(({ crop }) => crop.region.top))).toEqual(new Set([75]));
+    expect(result.lines[2]).toMatchObject({ text: 'Sign ln', strategy: 'page' });
+    expect(result.lines[1].strategy).toBeUndefined();
+    // The line itself is above the target confidence, so one attempt is enough
+    expect(result.refinement).toEqual({ threshold: 0.89, refined_count: 1, improved_count: 0, attempt_count: 1 });
+    expect(result.raw_text).toBe(extraction.raw_text);
+  });
+
+  test('does not read the image when every line is confident', async () => {
+    const imageProcessor = createImageProcessor();
+    const refiner = new OCRRefiner(createScheduler(), imageProcessor, { ocrRefinementThreshold: 0.2 });
+
+    const result = await refiner.refine(createExtraction(), Buffer.alloc(0));
+
+    expect(result.refinement).toEqual({ threshold: 0.2, refined_count: 0, improved_count: 0, attempt_count: 0 });
+    expect(imageProcessor.readGrayscale).not.toHaveBeenCalled();
+  });
+
+  test('tries other segmentation modes, a larger scale, inverted and alternate languages', () => {
+    const refiner = new OCRRefiner(null, null, { ocrRefinementLanguages: ['eng', 'deu'] });
+
+    expect(refiner.getStrategies({ text: 'Anmelden', position: { height: 8 } }, 'eng')).toEqual([
+      { name: 'single_word', psm: Tesseract.PSM.SINGLE_WORD, scale: 4, language: 'eng' },
+      { name: 'raw_line', psm: Tesseract.PSM.RAW_LINE, scale: 4, language: 'eng' },
+      { name: 'upscaled', psm: Tesseract.PSM.SINGLE_WORD, scale: 6, language: 'eng' },
+      { name: 'inverted', psm: Tesseract.PSM.SINGLE_WORD, scale: 4, language: 'eng', invert: true },
+      { name: 'language_deu', psm: Tesseract.PSM.SINGLE_WORD, scale: 4, language: 'deu', alternateLanguage: true }
+    ]);
+    expect(refiner.getStrategies({ text: 'Sign in', position: { height: 80 } }, 'eng')[0]).toMatchObject({ name: 'single_line', scale: 1 });
+  });
+
+  test('records failed attempts and marks alternate-language readings', async () => {
+    const scheduler = createScheduler(({ crop, language }) => {
+      if (crop.invert) throw new Error('worker crashed');
+      return language === 'deu' ? { text: 'Sign in', confidence: 80 } : { text: 'Sign ln', confidence: 20 };
+    });
+    const refiner = new OCRRefiner(scheduler, createImageProcessor(), { ocrRefinementLanguages: ['deu'] });
+
+    const { lines } = await refiner.refine(createExtraction(), Buffer.alloc(0));
+
+    expect(lines[2]).toMatchObject({ text: 'Sign in', confidence: 0.8, strategy: 'language_deu' });
+    expect(lines[2].alternatives.map(({ strategy, error }) => [strategy, error])).toEqual([
+      ['page', undefined], ['single_line', undefined], ['raw_line', undefined], ['upscaled', undefined], ['inverted', 'worker crashed']
+    ]);
+    expect(lines[2].alternatives[1]).not.toHaveProperty('words');
+    expect(scheduler.attempts[4]).toMatchObject({ language: 'deu' });
+  });
+
+  test('stops when aborted', async () => {
+    const controller = new AbortController();
+    const scheduler = createScheduler(() => {
+      controller.abort();
+      throw createAbortError();
+    });
+    const refiner = new OCRRefiner(scheduler, createImageProcessor());
+
+    await expect(refiner.refine(createExtraction(), Buffer.alloc(0), { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(scheduler.attempts).toHaveLength(1);
+    expect(scheduler.attempts[0].signal).toBe(controller.signal);
+  });
+
+  describe('replaceLineText', () => {
+    const refiner = new OCRRefiner(null, null);
+
+    test('leaves an identical line elsewhere and the words unchanged when the reading has none', () => {
+      const extraction = createExtraction();
+
+      const result = refiner.replaceLineText(extraction, 1, extraction.lines[1], { text: 'Sign up', words: [] }, []);
+
+      expect(result.raw_text).toBe('Welcome back\nSign up\nSign ln');
+      expect(result.structured_text.map(element => element.text)).toEqual(['Welcome back', 'Sign up', 'Sign ln']);
+      expect(result.words).toBe(extraction.words);
+    });
+
+    test('only replaces the words of a line without text', () => {
+      const extraction = createExtraction();
+      const line = { ...extraction.lines[0], text: '' };
+      const words = [{ text: 'Hi', confidence: 0.9, position: { x: 10, y: 0, width: 30, height: 20 } }];
+
+      const result = refiner.replaceLineText(extraction, 0, line, { text: 'Hi', words }, extraction.words.slice(0, 2));
+
+      expect(result.raw_text).toBe(extraction.raw_text);
+      expect(result.words.map(word => word.text)).toEqual(['Hi', 'Sign', 'ln', 'Sign', 'ln']);
+    });
+
+    test('leaves texts without the line and extractions without processed text alone', () => {
+      const extraction = createExtraction();
+      delete extraction.processed_text;
+      extraction.raw_text = 'Welcome back';
+
+      const result = refiner.replaceLineText(extraction, 2, extraction.lines[2], { text: 'Sign in', words: [] }, []);
+
+      expect(result.raw_text).toBe('Welcome back');
+      expect(result).not.toHaveProperty('processed_text');
+    });
+  });
+});
@@ -0,0 +1,232 @@
+const Tesseract = require('tesseract.js');
+const OCRScheduler = require('../../src/core/ocrScheduler');
+const { Profiler } = require('../../src/utils/profiler');
+const { loadVocabulary } = require('../../src/utils/vocabulary');
+
+// Workers are fakes that record their calls; none of these tests run Tesseract
+jest.mock('tesseract.js', () => ({ createWorker: jest.fn() }));
+
+const createWorker = (language, options) => ({
+  language,
+  options,
+  recognize: jest.fn(async () => ({ data: { text: language } })),
+  writeText: jest.fn(async () => {}),
+  reinitialize: jest.fn(async () => {}),
+  terminate: jest.fn(async () => {})
+});
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Lets queued jobs and starting workers move on
+const flush = () => wait(0);
+
+describe('OCRScheduler', () => {
+  let scheduler;
+  let workers;
+
+  beforeEach(() => {
+    workers = [];
+    Tesseract.createWorker.mockReset();
+    Tesseract.createWorker.mockImplementation(async (language, oem, options) => {
+      const worker = createWorker(language, options);
+      workers.push(worker);
+      return worker;
+    });
+  });
+
+  afterEach(() => scheduler.cleanup());
+
+  test('starts a worker on demand and reuses it for later jobs', async () => {
+    scheduler = new OCRScheduler({ workersPerLanguage: 2, idleTimeout: 0 });
+
+    const first = await scheduler.run('eng', worker => worker.recognize('a.png'));
+    const second = await scheduler.run('eng', worker => worker.recognize('b.png'));
+
+    expect([first, second]).toEqual([{ data: { text: 'eng' } }, { data: { text: 'eng' } }]);
+    expect(Tesseract.createWorker).toHaveBeenCalledTimes(1);
+    expect(workers[0].recognize).toHaveBeenCalledTimes(2);
+    expect(scheduler.getStats()).toEqual({ eng: { workers: 1, busy: 0, starting: 0, queued: 0 } });
+  });
+
+  test('queues jobs beyond the pool size and runs them in order', async () => {
+    scheduler = new OCRScheduler({ workersPerLanguage: 2, idleTimeout: 0 });
+    const gates = [deferred(), deferred(), deferred()];
+    const order = [];
+    const jobs = gates.map((gate, index) => scheduler.run('eng', async worker => {
+      order.push([index, workers.indexOf(worker)]);
+      await gate.promise;
+      return index;
+    }));
+
+    await flush();
+    expect(scheduler.getStats().eng).toEqual({ workers: 2, busy: 2, starting: 0, queued: 1 });
+
+    gates[1].resolve();
+    await flush();
+    gates[0].resolve();
+    gates[2].resolve();
+
+    await expect(Promise.all(jobs)).resolves.toEqual([0, 1, 2]);
+    expect(order).toEqual([[0, 0], [1, 1], [2, 1]]);
+    expect(Tesseract.createWorker).toHaveBeenCalledTimes(2);
+  });
+
+  test('keeps a separate pool per language', async () => {
+    scheduler = new OCRScheduler({ workersPerLanguage: 1, idleTimeout: 0, workerOptions: { langPath: undefined, gzip: false } });
+
+    await Promise.all(['eng', 'deu', 'eng'].map(language => scheduler.run(language, worker => worker.recognize())));
+
+    expect(workers.map(worker => worker.language)).toEqual(['eng', 'deu']);
+    expect(workers[0].options).toEqual({ gzip: false, logger: expect.any(Function) });
+    expect(Object.keys(scheduler.getStats())).toEqual(['eng', 'deu']);
+  });
+
+  test('sends Tesseract progress to the logger of the job using the worker', async () => {
+    scheduler = new OCRScheduler({ idleTimeout: 0 });
+    const logger = jest.fn();
+
+    await scheduler.run('eng', async worker => worker.options.logger({ status: 'recognizing text', progress: 0.5 }), { logger });
+    await scheduler.run('eng', async worker => worker.options.logger({ status: 'recognizing text', progress: 1 }));
+
+    expect(logger.mock.calls).toEqual([[{ status: 'recognizing text', progress: 0.5 }]]);
+  });
+
+  test('records the wait for a worker in the profile', async () => {
+    scheduler = new OCRScheduler({ idleTimeout: 0 });
+    const profiler = new Profiler('ocr');
+
+    await scheduler.run('eng', worker => worker.recognize(), { profiler });
+
+    expect(profiler.toJSON().children.map(span => span.name)).toEqual(['worker_acquire']);
+  });
+
+  test('warms up workers ahead of the first job, up to the pool size', async () => {
+    scheduler = new OCRScheduler({ workersPerLanguage: 2, idleTimeout: 0 });
+
+    await scheduler.warmUp('eng', 5);
+    await scheduler.warmUp('eng');
+
+    expect(scheduler.getStats().eng).toEqual({ workers: 2, busy: 0, starting: 0, queued: 0 });
+    expect(Tesseract.createWorker).toHaveBeenCalledTimes(2);
+  });
+
+  test('terminates workers left idle', async () => {
+    scheduler = new OCRScheduler({ idleTimeout: 20 });
+
+    await scheduler.run('eng', worker => worker.recognize());
+    await wait(50);
+
+    expect(workers[0].terminate).toHaveBeenCalled();
+    expect(scheduler.getStats().eng.workers).toBe(0);
+
+    await scheduler.run('eng', worker => worker.recognize());
+    expect(Tesseract.createWorker).toHaveBeenCalledTimes(2);
+  });
+
+  test('removes aborted jobs from the queue', async () => {
+    scheduler = new OCRScheduler({ workersPerLanguage: 1, idleTimeout: 0 });
+    const gate = deferred();
+    const controller = new AbortController();
+
+    const running = scheduler.run('eng', () => gate.promise);
+    const queued = scheduler.run('eng', () => 'never', { signal: controller.signal });
+    await flush();
+    controller.abort();
+
+    await expect(queued).rejects.toMatchObject({ name: 'AbortError' });
+    expect(scheduler.getStats().eng.queued).toBe(0);
+    gate.resolve('done');
+    await expect(running).resolves.toBe('done');
+    await expect(scheduler.run('eng', () => 'next', { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  test('replaces the worker of an aborted job, which cannot be reused', async () => {
+    scheduler = new OCRScheduler({ workersPerLanguage: 1, idleTimeout: 0 });
+    const controller = new AbortController();
+
+    const aborted = scheduler.run('eng', () => new Promise(() => {}), { signal: controller.signal });
+    const queued = scheduler.run('eng', worker => workers.indexOf(worker));
+    await flush();
+    controller.abort();
+
+    await expect(aborted).rejects.toMatchObject({ name: 'AbortError' });
+    await expect(queued).resolves.toBe(1);
+    expect(workers[0].terminate).toHaveBeenCalled();
+  });
+
+  test('releases the worker after a job fails', async () => {
+    scheduler = new OCRScheduler({ workersPerLanguage: 1, idleTimeout: 0 });
+
+    await expect(scheduler.run('eng', () => { throw new Error('bad image'); })).rejects.toThrow('bad image');
+    await expect(scheduler.run('eng', worker => workers.indexOf(worker))).resolves.toBe(0);
+  });
+
+  test('fails the job when its worker cannot start', async () => {
+    scheduler = new OCRScheduler({ workersPerLanguage: 1, idleTimeout: 0 });
+    Tesseract.createWorker.mockRejectedValueOnce(new Error('network error'));
+
+    await expect(scheduler.run('eng', () => 'never')).rejects.toThrow('OCR worker could not be started: network error');
+    await expect(scheduler.run('eng', () => 'retried')).resolves.toBe('retried');
+  });
+
+  test('gives workers the vocabulary as user words', async () => {
+    scheduler = new OCRScheduler({ idleTimeout: 0, vocabulary: loadVocabulary(['Acme Cloud', 'DataSync']) });
+
+    await scheduler.warmUp('eng', 1);
+
+    expect(workers[0].writeText).toHaveBeenCalledWith('/user-words', 'Acme\nCloud\nDataSync');
+    expect(workers[0].reinitialize).toHaveBeenCalledWith('eng', 1, { user_words_file: '/user-words' });
+
+    Tesseract.createWorker.mockImplementationOnce(async language => {
+      const worker = createWorker(language);
+      worker.reinitialize.mockRejectedValue(new Error('bad words file'));
+      workers.push(worker);
+      return worker;
+    });
+    await expect(scheduler.run('deu', () => 'never')).rejects.toThrow(
+      'OCR worker could not be started: Loading user words failed: bad words file'
+    );
+    expect(workers[1].terminate).toHaveBeenCalled();
+  });
+
+  test('cleanup terminates workers, aborts running and queued jobs and stays usable', async () => {
+    scheduler = new OCRScheduler({ workersPerLanguage: 1, idleTimeout: 0 });
+
+    const running = scheduler.run('eng', () => new Promise(() => {}));
+    const queued = scheduler.run('eng', () => 'never');
+    await flush();
+    await scheduler.cleanup();
+
+    await expect(running).rejects.toThrow('OCR scheduler was cleaned up');
+    await expect(queued).rejects.toThrow('OCR scheduler was cleaned up');
+    expect(workers[0].terminate).toHaveBeenCalledTimes(1);
+    expect(scheduler.getStats()).toEqual({});
+    await expect(scheduler.run('eng', () => 'again')).resolves.toBe('again');
+  });
+
+  test('cleanup terminates workers that were still starting', async () => {
+    scheduler = new OCRScheduler({ idleTimeout: 0 });
+    const started = deferred();
+    Tesseract.createWorker.mockImplementationOnce(async language => {
+      await started.promise;
+      const worker = createWorker(language);
+      workers.push(worker);
+      return worker;
+    });
+
+    const job = scheduler.run('eng', () => 'never');
+    await flush();
+    const cleanup = scheduler.cleanup();
+    started.resolve();
+    await cleanup;
+
+    await expect(job).rejects.toThrow('OCR scheduler was cleaned up');
+    expect(workers[0].terminate).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,97 @@
+const StageRegistry = require('../../src/core/stageRegistry');
+
+// The analyzer's modules load sharp, which none of these tests use
+jest.mock('sharp', () => jest.fn());
+const { ImageToText } = require('../../src');
+
+const createAnalyzer = (stages, options) => {
+  const analyzer = new ImageToText({ config: false, enablePerformanceOptimization: false, ...options });
+  analyzer.stageRegistry = new StageRegistry(stages);
+  return analyzer;
+};
+
+const runStages = (analyzer, options = {}) => analyzer.runStages({
+  analyzer,
+  result: { image_metadata: { file_name: 'shot.png' } },
+  config: analyzer.config,
+  options
+});
+
+const failing = (name, definition = {}) => ({
+  name,
+  run: () => { throw new Error(`${name} broke`); },
+  ...definition
+});
+
+describe('ImageToText pipeline', () => {
+  test('records a failing stage and runs the rest with the inputs that are available', async () => {
+    const analyzer = createAnalyzer([
+      { name: 'color', outputs: ['color_analysis'], run: () => ({ palette: ['#fff'] }) },
+      failing('ocr', { outputs: ['text_extraction'] }),
+      {
+        name: 'summary',
+        inputs: ['text_extraction', 'color_analysis'],
+        outputs: ['summary'],
+        run: ({ result }) => ({ text: !!result.text_extraction, colors: result.color_analysis.palette.length })
+      }
+    ]);
+
+    const result = await runStages(analyzer);
+
+    expect(result).toMatchObject({ color_analysis: { palette: ['#fff'] }, summary: { text: false, colors: 1 } });
+    expect(result.text_extraction).toBeUndefined();
+    expect(result.stage_errors).toEqual([{ stage: 'ocr', error: 'ocr broke', duration: expect.any(Number) }]);
+  });
+
+  test('reports stage failures as progress events', async () => {
+    const onProgress = jest.fn();
+    const analyzer = createAnalyzer([failing('ocr'), { name: 'layout', run: () => undefined }], { onProgress });
+
+    await runStages(analyzer);
+
+    expect(onProgress.mock.calls.map(([event]) => [event.type, event.stage, event.status])).toEqual([
+      ['stage:start', 'ocr', undefined],
+      ['stage:end', 'ocr', 'failed'],
+      ['stage:start', 'layout', undefined],
+      ['stage:end', 'layout', 'success']
+    ]);
+    expect(onProgress).toHaveBeenCalledWith(expect.objectContaining({ type: 'stage:end', input: 'shot.png', error: 'ocr broke' }));
+  });
+
+  test('returns an empty stage_errors list when every stage succeeds', async () => {
+    const analyzer = createAnalyzer([{ name: 'layout', outputs: ['layout_analysis'], run: () => ({ columns: 2 }) }]);
+
+    await expect(runStages(analyzer)).resolves.toMatchObject({ layout_analysis: { columns: 2 }, stage_errors: [] });
+  });
+
+  test('fails on the first stage error in strict mode', async () => {
+    const after = jest.fn();
+    const stages = [failing('ocr'), { name: 'layout', run: after }];
+
+    await expect(runStages(createAnalyzer(stages, { errorMode: 'strict' }))).rejects.toThrow('ocr broke');
+    await expect(runStages(createAnalyzer(stages), { errorMode: 'strict' })).rejects.toThrow('ocr broke');
+    expect(after).not.toHaveBeenCalled();
+  });
+
+  test('lets the analysis options override a strict analyzer', async () => {
+    const analyzer = createAnalyzer([failing('ocr')], { errorMode: 'strict' });
+
+    await expect(runStages(analyzer, { errorMode: 'tolerant' })).resolves.toMatchObject({
+      stage_errors: [{ stage: 'ocr', error: 'ocr broke' }]
+    });
+  });
+
+  test('writes each output key of a multi-output stage that it returns', async () => {
+    const analyzer = createAnalyzer([{
+      name: 'vision',
+      outputs: ['vision_analysis', 'layout_analysis'],
+      run: () => ({ layout_analysis: { columns: 3 }, ignored: true })
+    }]);
+
+    const result = await runStages(analyzer);
+
+    expect(result).toMatchObject({ layout_analysis: { columns: 3 } });
+    expect(result).not.toHaveProperty('vision_analysis');
+    expect(result).not.toHaveProperty('ignored');
+  });
+});
@@ -0,0 +1,115 @@
+const sharp = require('sharp');
+const { PSM } = require('tesseract.js');
+const StageRegistry = require('../../src/core/stageRegistry');
+const {
+  PRECISION_PROFILES,
+  DETAIL_LEVELS,
+  getPrecisionProfile,
+  getDetailLevel,
+  pruneVisionAnalysis
+} = require('../../src/config/precision');
+
+// Only the multi-scale test reads images, through a fake sharp pipeline
+jest.mock('sharp', () => jest.fn());
+const { ImageToText } = require('../../src');
+
+const VISION_KEYS = ['visual_elements', 'edges', 'contours', 'lines', 'regions', 'multi_scale_features', 'edge_detection'];
+const visionAnalysis = () => Object.fromEntries(VISION_KEYS.map(key => [key, []]));
+
+const createAnalyzer = options => new ImageToText({ config: false, enablePerformanceOptimization: false, ...options });
+
+describe('precision', () => {
+  test('does more work at each precision level', () => {
+    const { fast, standard, high } = PRECISION_PROFILES;
+
+    expect([fast, standard, high].map(profile => profile.analysisScales.length)).toEqual([1, 2, 4]);
+    expect([fast, standard, high].map(profile => profile.edgeDetectors.length)).toEqual([1, 2, 3]);
+    expect([fast, standard, high].map(profile => profile.ocrPageSegModes)).toEqual([
+      [PSM.SINGLE_BLOCK], [PSM.AUTO], [PSM.AUTO, PSM.SPARSE_TEXT]
+    ]);
+    expect(fast).toMatchObject({ ocrPreprocessing: false, enableComponentRelationships: false, enableDesignSystemAnalysis: false });
+  });
+
+  test('looks up profiles case-insensitively and rejects unknown ones', () => {
+    expect(getPrecisionProfile()).toBe(PRECISION_PROFILES.standard);
+    expect(getPrecisionProfile('HIGH')).toBe(PRECISION_PROFILES.high);
+    expect(() => getPrecisionProfile('ultra')).toThrow('Invalid precision: ultra. Valid precisions: fast, standard, high');
+  });
+
+  test('keeps less raw vision data at lower detail levels', () => {
+    expect(getDetailLevel()).toBe(DETAIL_LEVELS.standard);
+    expect(() => getDetailLevel('full')).toThrow('Invalid detail: full. Valid levels: basic, standard, comprehensive');
+    expect(Object.keys(pruneVisionAnalysis(visionAnalysis(), 'basic'))).toEqual(['visual_elements']);
+    expect(Object.keys(pruneVisionAnalysis(visionAnalysis()))).toEqual(['visual_elements', 'edges', 'contours', 'lines']);
+    expect(Object.keys(pruneVisionAnalysis(visionAnalysis(), 'comprehensive'))).toEqual(VISION_KEYS);
+  });
+});
+
+describe('ImageToText precision and detail', () => {
+  afterEach(() => {
+    sharp.mockReset();
+  });
+
+  test('takes its defaults from the precision profile, and lets each setting override them', () => {
+    expect(createAnalyzer({ precision: 'fast' }).config).toMatchObject({
+      analysisScales: [1.0],
+      edgeDetectors: ['sobel'],
+      ocrPageSegModes: [PSM.SINGLE_BLOCK],
+      ocrPreprocessing: false,
+      enableComponentOCR: false,
+      enableDesignSystemAnalysis: false
+    });
+    expect(createAnalyzer({ precision: 'fast', edgeDetectors: ['canny'], enableDesignSystemAnalysis: true }).config).toMatchObject({
+      analysisScales: [1.0], edgeDetectors: ['canny'], enableDesignSystemAnalysis: true
+    });
+    expect(() => createAnalyzer({ precision: 'ultra' })).toThrow('Invalid precision: ultra');
+    expect(() => createAnalyzer({ detail: 'full' })).toThrow('Invalid detail: full');
+  });
+
+  test('runs only the edge detectors of the profile', async () => {
+    const { visionAnalyzer } = createAnalyzer({ precision: 'standard' });
+    visionAnalyzer.applySobelOperator = jest.fn(async () => ({ quality: 0.6 }));
+    visionAnalyzer.applyCannyApproximation = jest.fn(async () => ({ quality: 0.8 }));
+    visionAnalyzer.applyLaplacianOperator = jest.fn();
+
+    const edges = await visionAnalyzer.performEnsembleEdgeDetection(Buffer.alloc(0));
+
+    expect(Object.keys(edges)).toEqual(['sobel', 'canny', 'ensemble_score']);
+    expect(edges.ensemble_score).toBeCloseTo(0.7);
+    expect(visionAnalyzer.applyLaplacianOperator).not.toHaveBeenCalled();
+  });
+
+  test('analyzes the image at each scale of the profile', async () => {
+    const { visionAnalyzer } = createAnalyzer({ precision: 'high' });
+    const resize = jest.fn(() => ({ toBuffer: async () => Buffer.alloc(0) }));
+    sharp.mockImplementation(() => ({
+      resize,
+      stats: async () => ({ channels: [{ stdev: 51, mean: 128, min: 0, max: 255 }] })
+    }));
+
+    const scales = await visionAnalyzer.performMultiScaleAnalysis(Buffer.alloc(0), { width: 400, height: 200 });
+
+    expect(Object.keys(scales).map(Number).sort()).toEqual([0.5, 0.75, 1, 1.25]);
+    expect(resize.mock.calls).toEqual([[200, 100], [300, 150], [400, 200], [500, 250]]);
+    expect(scales[1]).toMatchObject({ sharpness: 0.2, contrast: 1 });
+  });
+
+  test('drops raw vision data after the stages ran, per analyzer or per call', async () => {
+    const analyzer = createAnalyzer({ detail: 'basic' });
+    const seen = [];
+    analyzer.stageRegistry = new StageRegistry([
+      { name: 'vision', outputs: ['vision_analysis'], run: () => visionAnalysis() },
+      { name: 'layout', inputs: ['vision_analysis'], run: ({ result }) => { seen.push(Object.keys(result.vision_analysis)); } }
+    ]);
+    const run = options => analyzer.runStages({
+      analyzer, result: {}, config: analyzer.config, options
+    });
+
+    const basic = await run({});
+    const comprehensive = await run({ detail: 'comprehensive' });
+
+    expect(seen).toEqual([VISION_KEYS, VISION_KEYS]);
+    expect(Object.keys(basic.vision_analysis)).toEqual(['visual_elements']);
+    expect(Object.keys(comprehensive.vision_analysis)).toEqual(VISION_KEYS);
+  });
+});
@@ -0,0 +1,103 @@
+const StageRegistry = require('../../src/core/stageRegistry');
+const { Profiler, measure } = require('../../src/utils/profiler');
+const { createAbortError } = require('../../src/utils/abort');
+
+// The analyzer's modules load sharp, which none of these tests use
+jest.mock('sharp', () => jest.fn());
+const { ImageToText } = require('../../src');
+
+const names = span => [span.name, span.children.map(names)];
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Profiler', () => {
+  test('records a span for each nested sub-step', async () => {
+    const profiler = new Profiler();
+
+    const value = await profiler.measure('vision', async vision => {
+      await vision.measure('sobel', () => wait(5));
+      await vision.measure('canny', () => 'edges');
+      return 'done';
+    });
+    const profile = profiler.toJSON();
+
+    expect(value).toBe('done');
+    expect(names(profile)).toEqual(['analysis', [['vision', [['sobel', []], ['canny', []]]]]]);
+    expect(Object.keys(profile)).toEqual(['name', 'wall_ms', 'cpu_ms', 'heap_delta_bytes', 'peak_heap_delta_bytes', 'children']);
+    const [vision] = profile.children;
+    expect(vision.wall_ms).toBeGreaterThanOrEqual(vision.children[0].wall_ms);
+    expect(vision.children[0].wall_ms).toBeGreaterThanOrEqual(4);
+    expect(vision.peak_heap_delta_bytes).toBeGreaterThanOrEqual(vision.heap_delta_bytes);
+    expect(profile.peak_heap_delta_bytes).toBeGreaterThanOrEqual(0);
+  });
+
+  test('marks failed and aborted spans and rethrows their errors', async () => {
+    const profiler = new Profiler('stages');
+
+    await expect(profiler.measure('ocr', () => { throw new Error('no text'); })).rejects.toThrow('no text');
+    await expect(profiler.measure('layout', async () => { throw createAbortError(); })).rejects.toMatchObject({ name: 'AbortError' });
+    await profiler.measure('colors', () => null);
+
+    expect(profiler.toJSON().children.map(span => [span.name, span.status])).toEqual([
+      ['ocr', 'failed'], ['layout', 'aborted'], ['colors', undefined]
+    ]);
+  });
+
+  test('marks spans that ran alongside siblings, and everything inside them, as concurrent', async () => {
+    const profiler = new Profiler();
+
+    await profiler.measure('before', () => null);
+    await Promise.all(['crop_1', 'crop_2'].map(name => profiler.measure(name, crop => crop.measure('ocr', () => wait(1)))));
+    await profiler.measure('after', () => null);
+
+    const spans = profiler.toJSON().children;
+    expect(spans.map(span => [span.name, !!span.concurrent])).toEqual([
+      ['before', false], ['crop_1', true], ['crop_2', true], ['after', false]
+    ]);
+    expect(spans[1].children[0].concurrent).toBe(true);
+    expect(profiler.toJSON().concurrent).toBeUndefined();
+  });
+
+  test('keeps the first measurement when finished twice', async () => {
+    const profiler = new Profiler('once');
+    profiler.finish();
+    const { wall_ms: wallTime } = profiler.toJSON();
+
+    await wait(5);
+
+    expect(profiler.finish()).toBe(profiler);
+    expect(profiler.toJSON().wall_ms).toBe(wallTime);
+  });
+
+  test('measure() runs the sub-step directly when there is no profiler', async () => {
+    const profiler = new Profiler();
+
+    await expect(measure(null, 'sobel', child => child)).resolves.toBeNull();
+    await expect(measure(profiler, 'sobel', child => child.name)).resolves.toBe('sobel');
+    await expect(measure(null, 'sobel', () => { throw new Error('failed'); })).rejects.toThrow('failed');
+  });
+});
+
+describe('ImageToText profile', () => {
+  test('gives each stage a span its sub-steps are recorded in', async () => {
+    const analyzer = new ImageToText({ config: false, enablePerformanceOptimization: false });
+    analyzer.stageRegistry = new StageRegistry([
+      {
+        name: 'vision',
+        outputs: ['vision_analysis'],
+        run: async ({ profiler }) => {
+          await measure(profiler, 'sobel', () => null);
+          return {};
+        }
+      },
+      { name: 'broken', run: () => { throw new Error('layout failed'); } }
+    ]);
+    const profiler = new Profiler('analysis');
+    const result = await analyzer.runStages({ analyzer, result: {}, config: analyzer.config, options: {}, profiler });
+
+    analyzer.attachProfile(result, profiler);
+
+    expect(names(result.analysis_statistics.profile)).toEqual(['analysis', [['vision', [['sobel', []]]], ['broken', []]]]);
+    expect(result.analysis_statistics.profile.children[1].status).toBe('failed');
+  });
+});
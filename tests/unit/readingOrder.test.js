@@ -0,0 +1,84 @@
+const ReadingOrderAnalyzer = require('../../src/core/readingOrder');
+const LayoutAnalyzer = require('../../src/core/layoutAnalyzer');
+const { normalizeTextExtraction } = require('../../src/utils/textExtraction');
+
+const line = (text, x, y, width = 200, height = 14) =>
+  ({ text, confidence: 90, bbox: { x0: x, y0: y, x1: x + width, y1: y + height } });
+
+/**
+ * A normalized extraction with one paragraph per list of Tesseract lines
+ */
+function createPage(paragraphs, language = 'eng') {
+  const boxes = paragraphs.map(lines => lines.map(item => item.bbox));
+  return normalizeTextExtraction({
+    text: paragraphs.flat().map(item => item.text).join('\n'),
+    confidence: 90,
+    words: [],
+    lines: paragraphs.flat(),
+    paragraphs: paragraphs.map((lines, index) => ({
+      text: lines.map(item => item.text).join('\n'),
+      confidence: 90,
+      bbox: {
+        x0: Math.min(...boxes[index].map(box => box.x0)),
+        y0: Math.min(...boxes[index].map(box => box.y0)),
+        x1: Math.max(...boxes[index].map(box => box.x1)),
+        y1: Math.max(...boxes[index].map(box => box.y1))
+      }
+    })),
+    blocks: []
+  }, { engine: 'tesseract', language, width: 800, height: 800 });
+}
+
+// A title across the page, two columns of two paragraphs each and a footer, listed
+// row by row as Tesseract often does
+const article = createPage([
+  [line('Title', 20, 10, 560, 30)],
+  [line('L1a', 20, 60), line('L1b', 20, 76)],
+  [line('R1a', 320, 60), line('R1b', 320, 76)],
+  [line('L2a', 20, 110), line('L2b', 20, 126)],
+  [line('R2a', 340, 105), line('R2b', 320, 121)],
+  [line('Footer', 20, 300, 560)]
+]);
+
+const paragraphsOf = result => result.plain_text.split('\n\n');
+
+describe('ReadingOrderAnalyzer', () => {
+  const layoutAnalyzer = new LayoutAnalyzer();
+
+  test('reads each column through before the next', () => {
+    const result = new ReadingOrderAnalyzer(layoutAnalyzer).analyze(article);
+
+    expect(paragraphsOf(result)).toEqual(['Title', 'L1a\nL1b', 'L2a\nL2b', 'R1a\nR1b', 'R2a\nR2b', 'Footer']);
+    expect(result.reading_order.map(paragraph => paragraph.order)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(result.reading_order[1]).toMatchObject({ confidence: 0.9, position: { x: 20, y: 60, width: 200, height: 30 } });
+  });
+
+  test('reads across the page with the rows flow', () => {
+    const result = new ReadingOrderAnalyzer(layoutAnalyzer, { readingFlow: 'rows' }).analyze(article);
+
+    expect(paragraphsOf(result)).toEqual(['Title', 'L1a\nL1b', 'R1a\nR1b', 'L2a\nL2b', 'R2a\nR2b', 'Footer']);
+  });
+
+  test('reads columns right to left for right-to-left text', () => {
+    const expected = ['Title', 'R1a\nR1b', 'R2a\nR2b', 'L1a\nL1b', 'L2a\nL2b', 'Footer'];
+
+    expect(paragraphsOf(new ReadingOrderAnalyzer(layoutAnalyzer, { readingDirection: 'rtl' }).analyze(article))).toEqual(expected);
+    expect(paragraphsOf(new ReadingOrderAnalyzer(layoutAnalyzer).analyze({ ...article, language: 'ara' }))).toEqual(expected);
+  });
+
+  test('reads label and value pairs row by row', () => {
+    const form = createPage([
+      [line('Name', 20, 10, 80)], [line('Ada', 200, 10, 80)],
+      [line('Email', 20, 40, 80)], [line('ada@example.com', 200, 40, 80)]
+    ]);
+
+    expect(paragraphsOf(new ReadingOrderAnalyzer(layoutAnalyzer).analyze(form))).toEqual(['Name', 'Ada', 'Email', 'ada@example.com']);
+  });
+
+  test('gives an empty order for a page without text', () => {
+    const result = new ReadingOrderAnalyzer(layoutAnalyzer).analyze(createPage([]));
+
+    expect(result.reading_order).toEqual([]);
+    expect(result.plain_text).toBe('');
+  });
+});
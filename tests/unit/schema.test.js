@@ -0,0 +1,143 @@
+const { SCHEMA_VERSION, resultSchema, validateResult, validateAgainstSchema } = require('../../src/schema');
+const { toUnitConfidence, normalizeTextItem, normalizeTextExtraction } = require('../../src/utils/textExtraction');
+const { item, createExtraction } = require('../helpers/ocrFixtures');
+
+const createResult = overrides => ({
+  schema_version: SCHEMA_VERSION,
+  image_metadata: {
+    file_path: null,
+    file_name: 'buffer.png',
+    input_type: 'buffer',
+    dimensions: '400x300',
+    format: 'PNG',
+    width: 400,
+    height: 300,
+    analyzed_at: '2024-01-01T00:00:00.000Z'
+  },
+  text_extraction: createExtraction(),
+  components: [{ id: 'component_1a2b3c4d', type: 'button', confidence: 0.8, position: { x: 10, y: 10, width: 80, height: 24 } }],
+  stage_errors: [],
+  ...overrides
+});
+
+describe('schema', () => {
+  test('publishes its version in the schema', () => {
+    expect(SCHEMA_VERSION).toMatch(/^\d+\.\d+\.\d+$/);
+    expect(resultSchema.properties.schema_version.const).toBe(SCHEMA_VERSION);
+  });
+
+  describe('validateResult', () => {
+    test('accepts a well-formed result', () => {
+      expect(validateResult(createResult())).toEqual({ valid: true, schema_version: SCHEMA_VERSION, errors: [] });
+    });
+
+    test('reports each problem with its path', () => {
+      const result = createResult({ schema_version: '0.1.0' });
+      result.image_metadata.input_type = 'url';
+      result.image_metadata.dimensions = '400 by 300';
+      result.image_metadata.width = 0;
+      delete result.image_metadata.analyzed_at;
+      result.components[0].position.width = '80';
+      result.text_extraction.confidence = 90;
+
+      const { valid, errors } = validateResult(result);
+
+      expect(valid).toBe(false);
+      expect(errors).toEqual([
+        { path: '$.schema_version', message: `must equal "${SCHEMA_VERSION}"` },
+        { path: '$.image_metadata', message: "missing required property 'analyzed_at'" },
+        { path: '$.image_metadata.input_type', message: 'must be one of: file, base64, buffer, stream, raw' },
+        { path: '$.image_metadata.dimensions', message: 'must match pattern ^\\d+x\\d+$' },
+        { path: '$.image_metadata.width', message: 'must be >= 1' },
+        { path: '$.text_extraction.confidence', message: 'must be <= 1' },
+        { path: '$.components[0].position.width', message: 'must be number, got string' }
+      ]);
+    });
+
+    test('rejects results that are not objects', () => {
+      expect(validateResult(null).errors).toEqual([{ path: '$', message: 'must be object, got null' }]);
+    });
+  });
+
+  test('validates against other schemas, including exclusive minimums and additional properties', () => {
+    const schema = {
+      type: 'object',
+      properties: { scale: { type: 'number', exclusiveMinimum: 0 }, count: { type: 'integer' } },
+      additionalProperties: { $ref: '#/definitions/label' },
+      definitions: { label: { type: 'string' } }
+    };
+
+    expect(validateAgainstSchema({ scale: 0.5, count: 2, name: 'a' }, schema)).toEqual([]);
+    expect(validateAgainstSchema({ scale: 0, count: 1.5, name: 3 }, schema)).toEqual([
+      { path: '$.scale', message: 'must be > 0' },
+      { path: '$.count', message: 'must be integer, got number' },
+      { path: '$.name', message: 'must be string, got number' }
+    ]);
+    expect(validateAgainstSchema({ scale: 1, extra: true }, { properties: schema.properties, additionalProperties: false })).toEqual([
+      { path: '$', message: "unexpected property 'extra'" }
+    ]);
+    expect(() => validateAgainstSchema({}, { $ref: '#/definitions/missing' })).toThrow(
+      'Unresolvable schema reference: #/definitions/missing'
+    );
+  });
+});
+
+describe('textExtraction normalization', () => {
+  test('converts confidences to the 0-1 range', () => {
+    expect(toUnitConfidence(87.5)).toBe(0.875);
+    expect(toUnitConfidence(0.42)).toBe(0.42);
+    expect(toUnitConfidence(150)).toBe(1);
+    expect(toUnitConfidence(-3)).toBe(0);
+    expect(toUnitConfidence(NaN)).toBe(0);
+    expect(toUnitConfidence(undefined)).toBe(0);
+  });
+
+  test('normalizes items with a bounding box or a position, dropping empty ones', () => {
+    expect(normalizeTextItem(item(' Sign in ', 10, 20, 60, 30, 80))).toEqual({
+      text: 'Sign in', confidence: 0.8, position: { x: 10, y: 20, width: 50, height: 10 }
+    });
+    expect(normalizeTextItem({ text: 'Hola', confidence: 0.7, language: 'spa', position: { x: 1, y: 2, width: 3, height: 4 } }))
+      .toEqual({ text: 'Hola', confidence: 0.7, language: 'spa', position: { x: 1, y: 2, width: 3, height: 4 } });
+    expect(normalizeTextItem(item('  ', 0, 0, 1, 1))).toBeNull();
+    expect(normalizeTextItem({ text: 'no box' })).toBeNull();
+  });
+
+  test('gives both OCR back ends the same text_extraction shape', () => {
+    const frame = { width: 400, height: 300 };
+    const tesseract = normalizeTextExtraction({
+      raw_text: 'Sign in\n',
+      confidence: 91,
+      structured_text: [{ ...item('Sign in', 10, 10, 80, 30, 91), id: 'text_1', type: 'heading', words: [item('Sign', 10, 10, 40, 30, 93)] }],
+      lines: [item('Sign in', 10, 10, 80, 30, 91)],
+      words: [item('Sign', 10, 10, 40, 30, 93), item('in', 45, 10, 80, 30, 89)]
+    }, { engine: 'tesseract', language: 'eng', ...frame });
+    const multiLanguage = normalizeTextExtraction({
+      language: 'eng',
+      raw_text: 'Sign in',
+      processed_text: ' Sign in ',
+      confidence: 0.91,
+      language_detection: { primary_language: 'eng', confidence: 0.9 },
+      structured_text: [{ text: 'Sign in', confidence: 0.91, type: 'heading', position: { x: 10, y: 10, width: 70, height: 20 } }],
+      lines: [{ text: 'Sign in', confidence: 0.91, position: { x: 10, y: 10, width: 70, height: 20 } }]
+    }, { engine: 'multi_language', language: 'fra', ...frame });
+
+    [tesseract, multiLanguage].forEach(extraction => {
+      expect(validateResult(createResult({ text_extraction: extraction })).errors).toEqual([]);
+    });
+    expect(tesseract).toMatchObject({ engine: 'tesseract', language: 'eng', raw_text: 'Sign in', confidence: 0.91 });
+    expect(multiLanguage).toMatchObject({
+      engine: 'multi_language', language: 'eng', processed_text: 'Sign in', language_detection: { primary_language: 'eng' }
+    });
+    expect(tesseract.structured_text[0].position).toEqual(multiLanguage.structured_text[0].position);
+    expect(tesseract.structured_text[0].id).toMatch(/^text_[0-9a-f]{8}$/);
+    expect(tesseract.structured_text[0].words).toHaveLength(1);
+    expect(multiLanguage).toMatchObject({ words: [], paragraphs: [], blocks: [] });
+  });
+
+  test('produces an empty extraction from missing OCR output', () => {
+    expect(normalizeTextExtraction(null)).toEqual({
+      engine: 'tesseract', language: 'eng', raw_text: '', confidence: 0,
+      structured_text: [], words: [], lines: [], paragraphs: [], blocks: []
+    });
+  });
+});
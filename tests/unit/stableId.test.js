@@ -0,0 +1,111 @@
+const { createStableId, assignStableIds, getIdPrefix } = require('../../src/utils/stableId');
+
+// The analyzer's modules load sharp, which none of these tests use
+jest.mock('sharp', () => jest.fn());
+const { ImageToText } = require('../../src');
+
+const FRAME = { width: 1000, height: 800 };
+const button = (x, y, text = 'Save') => ({ type: 'button', position: { x, y, width: 120, height: 40 }, text });
+
+describe('stableId', () => {
+  test('derives the ID from type, position and text', () => {
+    const id = createStableId('component', button(100, 200), FRAME);
+
+    expect(id).toMatch(/^component_[0-9a-f]{8}$/);
+    expect(createStableId('component', button(100, 200), FRAME)).toBe(id);
+    expect(createStableId('component', { ...button(100, 200), type: 'link' }, FRAME)).not.toBe(id);
+    expect(createStableId('component', button(100, 200, 'Cancel'), FRAME)).not.toBe(id);
+    expect(createStableId('component', button(300, 200), FRAME)).not.toBe(id);
+  });
+
+  test('ignores small shifts, text case and whitespace', () => {
+    const id = createStableId('component', button(100, 200, 'Save changes'), FRAME);
+
+    expect(createStableId('component', button(102, 198, '  save\nCHANGES '), FRAME)).toBe(id);
+  });
+
+  test('quantizes to a pixel grid when the image size is unknown', () => {
+    const id = createStableId('rect', button(100, 200));
+
+    expect(createStableId('rect', button(102, 201))).toBe(id);
+    expect(createStableId('rect', button(110, 200))).not.toBe(id);
+    expect(createStableId('rect', button(110, 200), { pixelGrid: 32 })).toBe(createStableId('rect', button(100, 200), { pixelGrid: 32 }));
+  });
+
+  test('reads the text with getText and accepts elements without a position', () => {
+    const getText = element => element.text_content;
+    const component = { type: 'input', position: { x: 0, y: 0, width: 50, height: 20 }, text_content: 'Email' };
+
+    expect(createStableId('component', component, { ...FRAME, getText })).toBe(
+      createStableId('component', { ...component, text_content: undefined, text: 'Email' }, FRAME)
+    );
+    expect(createStableId('text', { type: 'label' })).toMatch(/^text_[0-9a-f]{8}$/);
+  });
+
+  describe('assignStableIds', () => {
+    test('numbers identical elements by position, whatever their detection order', () => {
+      const elements = [button(100, 200), button(101, 201), button(300, 200), button(100, 199)];
+
+      const ids = assignStableIds(elements, 'component', FRAME).map(element => element.id);
+      const reversed = assignStableIds([...elements].reverse(), 'component', FRAME).map(element => element.id).reverse();
+
+      expect(ids).toEqual(reversed);
+      expect(ids[3]).toBe(createStableId('component', elements[0], FRAME));
+      expect(ids.slice(0, 2)).toEqual([`${ids[3]}-2`, `${ids[3]}-3`]);
+      expect(ids[2]).toMatch(/^component_[0-9a-f]{8}$/);
+    });
+
+    test('breaks position ties by size, and numbers elements without a position in order', () => {
+      const wide = { ...button(100, 200), position: { x: 100, y: 200, width: 122, height: 40 } };
+      const tall = { ...button(100, 200), position: { x: 100, y: 200, width: 120, height: 41 } };
+
+      const ids = assignStableIds([wide, tall, button(100, 200)], 'component', FRAME).map(element => element.id);
+      const untyped = assignStableIds([{ text: 'a' }, { text: 'a' }], 'text').map(element => element.id);
+
+      expect(ids).toEqual([`${ids[2]}-3`, `${ids[2]}-2`, ids[2]]);
+      expect(untyped).toEqual([untyped[0], `${untyped[0]}-2`]);
+    });
+
+    test('takes the prefix from a function and copies the elements', () => {
+      const elements = [{ ...button(0, 0), id: 'rect_1' }, { ...button(0, 100), id: 'text_2' }];
+
+      const labelled = assignStableIds(elements, element => getIdPrefix(element.id), FRAME);
+
+      expect(labelled.map(element => getIdPrefix(element.id))).toEqual(['rect', 'text']);
+      expect(labelled[0]).not.toBe(elements[0]);
+      expect(elements[0].id).toBe('rect_1');
+    });
+  });
+
+  test('reads the prefix of an ID', () => {
+    expect(getIdPrefix('component_1a2b3c4d')).toBe('component');
+    expect(getIdPrefix('visual_element_1a2b3c4d-2')).toBe('visual_element');
+    expect(getIdPrefix('plain')).toBe('plain');
+  });
+});
+
+describe('ImageToText component IDs', () => {
+  const visualElement = (id, x, y) => ({
+    id, type: 'rectangle', position: { x, y, width: 120, height: 40 }, area: 4800, aspect_ratio: 3, confidence: 0.9
+  });
+
+  test('keep the same ID for a component whatever the detection order', async () => {
+    const analyzer = new ImageToText({ config: false, enablePerformanceOptimization: false });
+    const elements = [visualElement('rect_a', 100, 100), visualElement('rect_b', 100, 400), visualElement('rect_c', 600, 100)];
+    const textElements = [{ id: 'text_1', text: 'Sign in', position: { x: 110, y: 110, width: 80, height: 20 } }];
+    const classify = async visualElements => {
+      const components = await analyzer.classifyComponents({
+        vision_analysis: { visual_elements: visualElements, image_metadata: FRAME },
+        text_extraction: { structured_text: textElements }
+      });
+      return new Map(components.map(component => [component.source_element_id, component.id]));
+    };
+
+    const first = await classify(elements);
+    const second = await classify([...elements].reverse());
+
+    expect(first.size).toBe(3);
+    expect(second).toEqual(first);
+    [...first.values()].forEach(id => expect(id).toMatch(/^component_[0-9a-f]{8}$/));
+  });
+});
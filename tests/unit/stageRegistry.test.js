@@ -0,0 +1,160 @@
+const StageRegistry = require('../../src/core/stageRegistry');
+
+const stage = (name, definition = {}) => ({ name, run: async () => name, ...definition });
+const order = registry => registry.resolve().map(resolved => resolved.name);
+
+describe('StageRegistry', () => {
+  test('runs a stage after the stages that produce its inputs', () => {
+    const registry = new StageRegistry([
+      stage('report', { inputs: ['layout', 'text'] }),
+      stage('layout', { inputs: ['image'], outputs: ['layout'] }),
+      stage('ocr', { inputs: ['image'], outputs: ['text'] })
+    ]);
+
+    expect(order(registry)).toEqual(['layout', 'ocr', 'report']);
+  });
+
+  test('applies in-place updates in registration order before the stages that only read the key', () => {
+    const registry = new StageRegistry([
+      stage('summary', { inputs: ['text'] }),
+      stage('ocr', { outputs: ['text'] }),
+      stage('refine', { inputs: ['text'], outputs: ['text'] }),
+      stage('correct', { inputs: ['text'], outputs: ['text'] })
+    ]);
+
+    expect(order(registry)).toEqual(['ocr', 'refine', 'correct', 'summary']);
+  });
+
+  test('follows after, before and priority, ignoring constraints on inactive stages', () => {
+    const registry = new StageRegistry([
+      stage('a', { priority: 5 }),
+      stage('b', { after: 'c' }),
+      stage('c', { priority: 1 }),
+      stage('d', { before: ['a', 'missing'], priority: 9 })
+    ]);
+
+    expect(order(registry)).toEqual(['c', 'b', 'd', 'a']);
+  });
+
+  test('reports dependency cycles', () => {
+    const registry = new StageRegistry([
+      stage('a', { after: 'b' }),
+      stage('b', { after: 'a' }),
+      stage('c')
+    ]);
+
+    expect(() => registry.resolve()).toThrow('Pipeline stages have a dependency cycle: a, b');
+  });
+
+  test('rejects duplicate names and malformed definitions', () => {
+    const registry = new StageRegistry([stage('a')]);
+
+    expect(() => registry.register(stage('a'))).toThrow("Stage 'a' is already registered; use replace() to override it");
+    expect(() => registry.register(null)).toThrow('Stage definition must be an object');
+    expect(() => registry.register({ name: ' ', run() {} })).toThrow('requires a non-empty name');
+    expect(() => registry.register({ name: 'b' })).toThrow("Stage 'b' requires a run() function");
+    expect(() => registry.register(stage('b', { inputs: [1] }))).toThrow("Stage 'b' inputs must be a string or an array of strings");
+    expect(() => registry.register(stage('b', { enabled: 'yes' }))).toThrow("Stage 'b' enabled must be a boolean or a function");
+  });
+
+  test('disables and re-enables stages, listing disabled ones last', () => {
+    const registry = new StageRegistry([stage('a'), stage('b', { enabled: false }), stage('c')]);
+    registry.disable('a');
+
+    expect(order(registry)).toEqual(['c']);
+    expect(registry.list().map(({ name, enabled }) => [name, enabled])).toEqual([['c', true], ['a', false], ['b', false]]);
+
+    registry.enable('b');
+    expect(order(registry)).toEqual(['b', 'c']);
+    expect(() => registry.disable('missing')).toThrow("Unknown stage 'missing'");
+  });
+
+  test('keeps a function enabled on the stage for the pipeline to call', () => {
+    const enabled = context => context.ocr;
+    const registry = new StageRegistry([stage('a', { enabled })]);
+
+    expect(registry.get('a').enabled).toBe(enabled);
+    expect(registry.list()[0].enabled).toBe(true);
+  });
+
+  describe('replace', () => {
+    test('keeps the replaced stage\'s position in registration order', async () => {
+      const registry = new StageRegistry([stage('a'), stage('b'), stage('c')]);
+      registry.replace('a', { run: async () => 'new a' });
+
+      expect(order(registry)).toEqual(['a', 'b', 'c']);
+      await expect(registry.get('a').run()).resolves.toBe('new a');
+      expect(() => registry.replace('missing', stage('missing'))).toThrow("Cannot replace unknown stage 'missing'");
+    });
+
+    test('moves the disabled state to a new name', () => {
+      const registry = new StageRegistry([stage('a'), stage('b')]);
+      registry.disable('a');
+      registry.replace('a', stage('z'));
+
+      expect(registry.has('a')).toBe(false);
+      expect(registry.disabled.has('a')).toBe(false);
+      expect(registry.list().map(({ name, enabled }) => [name, enabled])).toEqual([['b', true], ['z', false]]);
+
+      registry.replace('z', stage('z', { enabled: true }));
+      expect(order(registry)).toEqual(['z', 'b']);
+    });
+
+    test('refuses to rename a stage onto another registered stage', () => {
+      const registry = new StageRegistry([stage('a'), stage('b')]);
+
+      expect(() => registry.replace('a', stage('b'))).toThrow("Cannot rename stage 'a' to 'b': that stage is already registered");
+      expect(order(registry)).toEqual(['a', 'b']);
+    });
+
+    test('use() registers new stages and replaces existing ones', () => {
+      const registry = new StageRegistry([stage('a')]);
+      const run = async () => 'replaced';
+      registry.use(stage('b')).use({ name: 'a', run });
+
+      expect(order(registry)).toEqual(['a', 'b']);
+      expect(registry.get('a').run).toBe(run);
+    });
+  });
+
+  test('unregisters stages along with their disabled state', () => {
+    const registry = new StageRegistry([stage('a', { enabled: false })]);
+
+    expect(registry.unregister('a')).toBe(true);
+    expect(registry.unregister('a')).toBe(false);
+    expect(registry.disabled.size).toBe(0);
+    registry.register(stage('a'));
+    expect(order(registry)).toEqual(['a']);
+  });
+
+  describe('configure', () => {
+    test('registers entries with run() and updates the others', () => {
+      const toggle = () => true;
+      const registry = new StageRegistry([stage('a', { enabled: toggle }), stage('b'), stage('c')]);
+      registry.configure([
+        { name: 'a', enabled: false },
+        { name: 'b', before: 'c', priority: 3 },
+        stage('d', { before: 'b', enabled: false }),
+        { name: 'c', enabled: () => false }
+      ]);
+
+      expect(order(registry)).toEqual(['b', 'c']);
+      expect(registry.get('a').enabled).toBe(toggle);
+      expect(registry.get('b').priority).toBe(3);
+      expect(registry.get('c').enabled()).toBe(false);
+
+      registry.configure([{ name: 'a', enabled: true }, { name: 'd', enabled: true }]);
+      expect(order(registry)).toEqual(['a', 'd', 'b', 'c']);
+    });
+
+    test('rejects malformed entries and unknown stages', () => {
+      const registry = new StageRegistry([stage('a')]);
+
+      expect(() => registry.configure({ name: 'a' })).toThrow('stages must be an array of stage definitions');
+      expect(() => registry.configure([{ enabled: false }])).toThrow('Each stage entry requires a name');
+      expect(() => registry.configure([{ name: 'b', enabled: false }])).toThrow("Unknown stage 'b'");
+      expect(() => registry.configure([{ name: 'a', enabled: 1 }])).toThrow("Stage 'a' enabled must be a boolean or a function");
+      expect(registry.configure()).toBe(registry);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+const TableDetector = require('../../src/core/tableDetector');
+const LayoutAnalyzer = require('../../src/core/layoutAnalyzer');
+
+const word = (text, x, y, extra = {}) =>
+  ({ text, confidence: 0.9, position: { x, y, width: text.length * 7, height: 12 }, ...extra });
+
+/**
+ * Words of a row of cells ([text, x]), 4px apart within a cell
+ */
+function row(words, y, cells, extra) {
+  cells.forEach(([text, x]) => text.split(' ').reduce((left, part) => {
+    words.push(word(part, left, y, extra));
+    return left + part.length * 7 + 4;
+  }, x));
+}
+
+const segment = (orientation, x, y, width, height) => ({ orientation, position: { x, y, width, height }, thickness: 1 });
+
+describe('TableDetector', () => {
+  const detector = new TableDetector(new LayoutAnalyzer());
+
+  describe('toCSV', () => {
+    test('quotes fields with commas, quotes and line breaks', () => {
+      expect(detector.toCSV([
+        ['Name', 'Note'],
+        ['Ada', 'Said "hi", then left'],
+        ['Alan', 'Line one\nLine two'],
+        ['Grace', '']
+      ])).toBe('Name,Note\nAda,"Said ""hi"", then left"\nAlan,"Line one\nLine two"\nGrace,');
+    });
+  });
+
+  describe('toMarkdown', () => {
+    test('uses the header row and escapes pipes and line breaks', () => {
+      expect(detector.toMarkdown([
+        ['Plan', 'Limits'],
+        ['Pro', 'a | b\nc']
+      ], 1)).toBe('| Plan | Limits |\n| --- | --- |\n| Pro | a \\| b<br>c |');
+    });
+
+    test('joins several header rows into one', () => {
+      expect(detector.toMarkdown([
+        ['Q1', '', 'Q2'],
+        ['Sales', 'Costs', 'Sales'],
+        ['10', '4', '12']
+      ], 2)).toBe('| Q1 Sales | Costs | Q2 Sales |\n| --- | --- | --- |\n| 10 | 4 | 12 |');
+    });
+
+    test('numbers the columns of a table without a header row', () => {
+      expect(detector.toMarkdown([['a', 'b']], 0)).toBe('| Column 1 | Column 2 |\n| --- | --- |\n| a | b |');
+    });
+  });
+
+  test('finds a borderless table from aligned word columns', () => {
+    const words = [];
+    const body = { style: { font_weight: 'regular', background_color: '#ffffff' } };
+    row(words, 10, [['This is a paragraph of prose text above', 20]]);
+    row(words, 40, [['Name', 20], ['Role', 200], ['Sales', 360]], { style: { font_weight: 'bold', background_color: '#f3f4f6' } });
+    row(words, 64, [['Ada Lovelace', 20], ['Engineer', 200], ['1,200', 360]], body);
+    row(words, 88, [['Alan Turing', 20], ['Research lead', 200], ['$3,400', 360]], body);
+    row(words, 112, [['Grace Hopper', 20], ['Admiral', 200], ['980', 360]], body);
+
+    const [table, ...others] = detector.detect({ text_extraction: { words }, image_metadata: { width: 600, height: 400 } });
+
+    expect(others).toEqual([]);
+    expect(table).toMatchObject({ source: 'whitespace', rows: 4, columns: 3, header_rows: 1 });
+    expect(table.data).toEqual([
+      ['Name', 'Role', 'Sales'],
+      ['Ada Lovelace', 'Engineer', '1,200'],
+      ['Alan Turing', 'Research lead', '$3,400'],
+      ['Grace Hopper', 'Admiral', '980']
+    ]);
+    expect(table.csv.split('\n')[1]).toBe('Ada Lovelace,Engineer,"1,200"');
+    expect(table.markdown.split('\n').slice(0, 2)).toEqual(['| Name | Role | Sales |', '| --- | --- | --- |']);
+  });
+
+  test('finds a ruled table and merges cells without a ruling between them', () => {
+    const words = [];
+    row(words, 30, [['Plan', 20], ['Seats', 150], ['Price', 280]]);
+    row(words, 60, [['Team plan with everything', 20], ['49', 280]]);
+    row(words, 90, [['Pro', 20], ['5', 150], ['99', 280]]);
+    row(words, 120, [['Total', 20], ['6', 150], ['148', 280]]);
+    const segments = [
+      ...[20, 50, 80, 110].map(y => segment('horizontal', 11, y, 378, 1)),
+      segment('vertical', 10, 21, 1, 89),
+      segment('vertical', 140, 21, 1, 29),
+      segment('vertical', 140, 81, 1, 29),
+      segment('vertical', 270, 21, 1, 89),
+      segment('vertical', 389, 21, 1, 89)
+    ];
+
+    const [table] = detector.detect({
+      text_extraction: { words },
+      vision_analysis: { lines: { segments } },
+      image_metadata: { width: 400, height: 200 }
+    });
+
+    expect(table).toMatchObject({ source: 'ruling', rows: 4, columns: 3, header_rows: 1 });
+    expect(table.cells.find(cell => cell.row === 1 && cell.column === 0)).toMatchObject({
+      text: 'Team plan with everything',
+      column_span: 2,
+      row_span: 1
+    });
+    expect(table.data[1]).toEqual(['Team plan with everything', '', '49']);
+    expect(table.markdown.split('\n')[2]).toBe('| Team plan with everything |  | 49 |');
+  });
+});
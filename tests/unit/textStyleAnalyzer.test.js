@@ -0,0 +1,130 @@
+const TextStyleAnalyzer = require('../../src/core/textStyleAnalyzer');
+
+const WHITE = [255, 255, 255];
+const INK = [26, 26, 26];
+
+// A solid RGB image
+const createImage = (width, height, color = WHITE) => {
+  const data = new Uint8Array(width * height * 3);
+  for (let i = 0; i < width * height; i++) data.set(color, i * 3);
+  return { data, width, height, channels: 3 };
+};
+
+/**
+ * Draw block letters of a sans-serif font at 20px: capitals 14px tall, lower case 10px,
+ * each letter two stems with a bar. `shear` leans the letters right by that much per row above the baseline.
+ */
+const drawText = (image, text, { x = 20, baseline = 40, stroke = 2, color = INK, shear = 0 } = {}) => {
+  const fill = (left, top, width, height) => {
+    for (let y = top; y < top + height; y++) {
+      const shift = Math.round(shear * (baseline - y));
+      for (let column = left; column < left + width; column++) {
+        image.data.set(color, (y * image.width + column + shift) * 3);
+      }
+    }
+  };
+
+  [...text].forEach((letter, index) => {
+    const left = x + index * 14;
+    const top = letter === letter.toUpperCase() ? baseline - 14 : baseline - 10;
+    fill(left, top, stroke, baseline - top);
+    fill(left + 10 - stroke, top, stroke, baseline - top);
+    // Capitals are joined in the middle (H), lower case letters at the top (n)
+    fill(left, letter === letter.toUpperCase() ? top + 6 : top, 10, stroke);
+  });
+  return { x: x - 1, y: baseline - 15, width: text.length * 14, height: 18 };
+};
+
+describe('TextStyleAnalyzer', () => {
+  const analyzer = new TextStyleAnalyzer(null);
+
+  test('measures the font size, heights, weight and colors of dark text on a light background', () => {
+    const image = createImage(200, 60);
+    const box = drawText(image, 'Hnnn');
+
+    expect(analyzer.measure(image, box, 'Hnnn')).toEqual({
+      font_size: 20,
+      cap_height: 14,
+      x_height: 10,
+      baseline: 40,
+      stroke_width: 2,
+      font_weight: 'regular',
+      italic: false,
+      slant: 0,
+      color: '#1a1a1a',
+      background_color: '#ffffff',
+      contrast_ratio: 17.4
+    });
+  });
+
+  test('tells bold from regular text by the width of its stems', () => {
+    const image = createImage(200, 60);
+    const box = drawText(image, 'Hnnn', { stroke: 3 });
+
+    expect(analyzer.measure(image, box, 'Hnnn')).toMatchObject({ font_size: 20, stroke_width: 3, font_weight: 'bold' });
+  });
+
+  test('measures light text on a dark background', () => {
+    const image = createImage(200, 60, [30, 60, 120]);
+    const box = drawText(image, 'Hnnn', { color: WHITE });
+
+    expect(analyzer.measure(image, box, 'Hnnn')).toMatchObject({
+      font_size: 20, color: '#ffffff', background_color: '#1e3c78', font_weight: 'regular'
+    });
+  });
+
+  test('detects slanted text as italic', () => {
+    const image = createImage(200, 60);
+    const box = drawText(image, 'Hnnn', { shear: 0.25 });
+    box.width += 6;
+
+    const style = analyzer.measure(image, box, 'Hnnn');
+
+    expect(style.italic).toBe(true);
+    expect(style.slant).toBeCloseTo(14, 0);
+  });
+
+  test('takes the font size from the x-height when no letter reaches the cap height', () => {
+    const image = createImage(200, 60);
+    const box = drawText(image, 'nnnn');
+
+    expect(analyzer.measure(image, box, 'nnnn')).toMatchObject({ font_size: 19, cap_height: null, x_height: 10 });
+  });
+
+  test('gives no style to boxes that are too small, outside the image or without text', () => {
+    const image = createImage(200, 60);
+    const box = drawText(image, 'Hn');
+
+    expect(analyzer.measure(image, { ...box, height: 5 }, 'Hn')).toBeNull();
+    expect(analyzer.measure(image, { ...box, x: 300 }, 'Hn')).toBeNull();
+    expect(analyzer.measure(image, { ...box, y: 45, height: 10 }, 'Hn')).toBeNull();
+    expect(analyzer.measure(image, box, '...')).toBeNull();
+    expect(analyzer.measure(image, null, 'Hn')).toBeNull();
+  });
+
+  test('computes WCAG contrast ratios', () => {
+    expect(analyzer.contrastRatio([0, 0, 0], [255, 255, 255])).toBe(21);
+    expect(analyzer.contrastRatio([255, 255, 255], [255, 255, 255])).toBe(1);
+  });
+
+  test('attaches a style to each line and word it can measure', async () => {
+    const image = createImage(200, 60);
+    const box = drawText(image, 'Hnnn');
+    const imageProcessor = { readRGB: jest.fn(async () => image) };
+    const styleAnalyzer = new TextStyleAnalyzer(imageProcessor, { minTextHeight: 10 });
+    const extraction = {
+      lines: [{ text: 'Hnnn', position: box }],
+      words: [{ text: 'Hnnn', position: box }, { text: 'tiny', position: { x: 0, y: 0, width: 20, height: 8 } }]
+    };
+
+    const result = await styleAnalyzer.analyze(extraction, Buffer.alloc(0));
+
+    expect(result.lines[0].style.font_size).toBe(20);
+    expect(result.words[0].style).toEqual(result.lines[0].style);
+    expect(result.words[1]).toBe(extraction.words[1]);
+
+    const empty = { lines: [], words: [] };
+    await expect(styleAnalyzer.analyze(empty, Buffer.alloc(0))).resolves.toBe(empty);
+    expect(imageProcessor.readRGB).toHaveBeenCalledTimes(1);
+  });
+});
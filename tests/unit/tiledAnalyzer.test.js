@@ -0,0 +1,126 @@
+const TiledAnalyzer = require('../../src/core/tiledAnalyzer');
+
+// A 100x200 image cut into two tiles that overlap by 40 pixels
+const IMAGE = { width: 100, height: 200 };
+const TILES = [
+  { x: 0, y: 0, width: 100, height: 120 },
+  { x: 0, y: 80, width: 100, height: 120 }
+];
+
+// Tiles are processed at full resolution, so only the offset maps them back
+const createImageProcessor = (image = IMAGE) => ({
+  process: jest.fn(async (source, { region }) => ({
+    buffer: Buffer.alloc(0),
+    metadata: { width: region.width, height: region.height, region, originalWidth: image.width, originalHeight: image.height }
+  }))
+});
+
+const line = (text, x0, y0, x1, y1, confidence = 90) => ({ id: 'line_00000000', text, confidence, bbox: { x0, y0, x1, y1 } });
+
+// Each tile reads its lines in its own coordinates
+const tileResult = (lines, stats = {}) => ({
+  raw_text: lines.map(item => item.text).join('\n'),
+  processed_text: lines.map(item => item.text).join(' '),
+  confidence: 80,
+  lines,
+  stats: { processing_time: 10, word_count: lines.length, engine: 'tesseract', ...stats }
+});
+
+const TILE_RESULTS = [
+  tileResult([
+    line('Header', 10, 10, 60, 20),
+    line('Seam text', 10, 100, 80, 112, 85),
+    line('Cut li', 10, 112, 50, 120, 99)
+  ], { confidence_mean: 0.8 }),
+  tileResult([
+    line('Seam text', 10, 20, 80, 32, 95),
+    line('Cut line', 10, 32, 80, 42, 70),
+    line('Footer', 10, 100, 60, 110)
+  ], { confidence_mean: 0.6, engine: 'tesseract' })
+];
+
+const analyzeTiles = (tileResults, options) => {
+  const analyzer = new TiledAnalyzer(createImageProcessor());
+  let index = 0;
+  return analyzer.analyze(Buffer.alloc(0), TILES, async () => tileResults[index++], options);
+};
+
+describe('TiledAnalyzer', () => {
+  test('maps tile results back to the image and removes seam duplicates', async () => {
+    const merged = await analyzeTiles(TILE_RESULTS);
+
+    expect(merged.lines.map(item => [item.text, item.bbox.y0, item.confidence])).toEqual([
+      ['Header', 10, 90],
+      ['Seam text', 100, 95],
+      ['Cut line', 112, 70],
+      ['Footer', 180, 90]
+    ]);
+    expect(merged.raw_text).toBe('Header\nSeam text\nCut line\nFooter');
+    expect(merged.processed_text).toBe('Header Seam text Cut line Footer');
+    expect(merged.tiling).toEqual({ tiles: 2, tile_positions: TILES, duplicates_removed: 2 });
+  });
+
+  test('sums counts and durations, averages other numbers and keeps the most common value', async () => {
+    const { confidence, stats } = await analyzeTiles(TILE_RESULTS);
+
+    expect(confidence).toBe(80);
+    expect(stats).toEqual({ processing_time: 20, word_count: 6, engine: 'tesseract', confidence_mean: 0.7 });
+  });
+
+  test('gives an element the same ID whichever tile it is kept from', async () => {
+    const swapped = TILE_RESULTS.map(result => ({
+      ...result,
+      lines: result.lines.map(item => (item.text === 'Seam text' ? { ...item, confidence: 180 - item.confidence } : item))
+    }));
+
+    const first = await analyzeTiles(TILE_RESULTS);
+    const second = await analyzeTiles(swapped);
+    const seamLine = result => result.lines.find(item => item.text === 'Seam text');
+
+    expect(seamLine(first).confidence).toBe(95);
+    expect(seamLine(second).confidence).toBe(95);
+    expect(seamLine(first).id).toMatch(/^line_[0-9a-f]{8}$/);
+    expect(seamLine(second).id).toBe(seamLine(first).id);
+    expect(new Set(first.lines.map(item => item.id)).size).toBe(4);
+  });
+
+  test('keeps overlapping items with different text and items without a position', async () => {
+    const merged = await analyzeTiles([
+      { lines: [line('Sign in', 10, 100, 60, 110)], notes: ['first'] },
+      { lines: [line('Log out', 10, 20, 60, 30)], notes: ['second'] }
+    ]);
+
+    expect(merged.lines.map(item => item.text)).toEqual(['Sign in', 'Log out']);
+    expect(merged.notes).toEqual(['first', 'second']);
+    expect(merged.tiling.duplicates_removed).toBe(0);
+  });
+
+  test('prefers the complete copy of an item cut by a vertical seam', async () => {
+    const tiles = [{ x: 0, y: 0, width: 60, height: 50 }, { x: 40, y: 0, width: 60, height: 50 }];
+    const tileResults = [
+      { components: [{ type: 'button', position: { x: 45, y: 10, width: 15, height: 10 }, confidence: 0.9 }], error: null, dark: true },
+      { components: [{ type: 'button', position: { x: 5, y: 10, width: 20, height: 10 }, confidence: 0.6 }], error: null, dark: true }
+    ];
+    const analyzer = new TiledAnalyzer(createImageProcessor({ width: 100, height: 50 }));
+
+    const merged = await analyzer.analyze(Buffer.alloc(0), tiles, async (buffer, metadata, tile) => tileResults[tile.x ? 1 : 0]);
+
+    expect(merged.components).toEqual([{ type: 'button', position: { x: 45, y: 10, width: 20, height: 10 }, confidence: 0.6 }]);
+    expect(merged).toMatchObject({ error: null, dark: true, tiling: { duplicates_removed: 1 } });
+  });
+
+  test('processes one tile at a time and stops when aborted', async () => {
+    const controller = new AbortController();
+    const imageProcessor = createImageProcessor();
+    const analyzer = new TiledAnalyzer(imageProcessor);
+    const analyzeTile = jest.fn(async () => {
+      controller.abort();
+      return {};
+    });
+
+    await expect(analyzer.analyze(Buffer.alloc(0), TILES, analyzeTile, { signal: controller.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(imageProcessor.process).toHaveBeenCalledTimes(1);
+    expect(imageProcessor.process).toHaveBeenCalledWith(expect.any(Buffer), { region: TILES[0] });
+  });
+});
@@ -0,0 +1,48 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { loadVocabulary, resolveVocabularyPaths, getVocabularyTerms, getUserWords } = require('../../src/utils/vocabulary');
+
+describe('vocabulary', () => {
+  let directory;
+
+  beforeAll(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'vocabulary-'));
+    await fs.writeFile(path.join(directory, 'terms.txt'), '# Products\nAcme Cloud\n\n  DataSync  \nAcme Cloud\n');
+    await fs.writeJson(path.join(directory, 'vocabulary.json'), { terms: 'terms.txt', languages: { deu: ['Anmelden'] } });
+  });
+
+  afterAll(() => fs.remove(directory));
+
+  test('loads an array of terms, trimmed and without duplicates', () => {
+    expect(loadVocabulary([' Acme  Cloud ', 'Acme Cloud', '', 42])).toEqual({ terms: ['Acme Cloud'], languages: {} });
+    expect(loadVocabulary(undefined)).toEqual({ terms: [], languages: {} });
+  });
+
+  test('loads word lists relative to the vocabulary file, skipping comments', () => {
+    expect(loadVocabulary(path.join(directory, 'vocabulary.json'))).toEqual({
+      terms: ['Acme Cloud', 'DataSync'],
+      languages: { deu: ['Anmelden'] }
+    });
+  });
+
+  test('rejects missing and malformed word lists', () => {
+    expect(() => loadVocabulary(path.join(directory, 'missing.txt'))).toThrow('Vocabulary file not found');
+    expect(() => loadVocabulary({ terms: 42 })).toThrow('Vocabulary word lists must be arrays of terms');
+  });
+
+  test('resolves word list paths against a directory', () => {
+    expect(resolveVocabularyPaths({ terms: 'terms.txt', languages: { deu: ['Anmelden'] } }, '/config')).toEqual({
+      terms: path.resolve('/config', 'terms.txt'),
+      languages: { deu: ['Anmelden'] }
+    });
+  });
+
+  test('gives the shared terms and those of each OCR language', () => {
+    const vocabulary = { terms: ['Acme Cloud'], languages: { deu: ['Anmelden'], fra: ['Connexion'] } };
+
+    expect(getVocabularyTerms(vocabulary, 'eng')).toEqual(['Acme Cloud']);
+    expect(getVocabularyTerms(vocabulary, 'eng+deu')).toEqual(['Acme Cloud', 'Anmelden']);
+    expect(getUserWords(vocabulary, 'deu+fra')).toEqual(['Acme', 'Cloud', 'Anmelden', 'Connexion']);
+  });
+});